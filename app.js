@@ -1,3 +1,10 @@
+import { diffCharacters, pickFields, applyChangesOnto } from './shared/characterDiff.js';
+import { splitSentences } from './shared/textSegmentation.js';
+import { detectCharacterFormat } from './shared/characterCard.js';
+import { characterToTypeScript, parseTypeScriptCharacter } from './shared/characterModule.js';
+import { migrateCharacter } from './shared/characterMigrations.js';
+import { formatIssue } from './shared/characterIssues.js';
+
 document.addEventListener('DOMContentLoaded', () => {
     // Track mouse position for tooltips
     document.addEventListener('mousemove', (e) => {
@@ -25,18 +32,33 @@ document.addEventListener('DOMContentLoaded', () => {
     // DOM Elements
     const characterPrompt = document.getElementById('character-prompt');
     const generateFromPromptBtn = document.getElementById('generate-from-prompt');
+    const generateFromDocumentsBtn = document.getElementById('generate-from-documents');
+    const sourceDocumentsInput = document.getElementById('source-documents');
+    const cancelGenerationBtn = document.getElementById('cancel-generation');
     const promptStatus = document.getElementById('prompt-status');
     const processingStatus = document.getElementById('processing-status');
     const dropZone = document.getElementById('drop-zone');
     const fileList = document.getElementById('file-list');
     const downloadBtn = document.getElementById('download-json');
+    const downloadTsBtn = document.getElementById('download-ts');
+    const downloadYamlBtn = document.getElementById('download-yaml');
+    const downloadCardBtn = document.getElementById('download-card');
+    const downloadPngCardBtn = document.getElementById('download-png-card');
+    const cardAvatarInput = document.getElementById('card-avatar-input');
+    const pngCardIncludeV2 = document.getElementById('png-card-include-v2');
+    const downloadKnowledgeArchiveBtn = document.getElementById('download-knowledge-archive');
+    const knowledgeArchiveShared = document.getElementById('knowledge-archive-shared');
     const knowledgeContent = document.getElementById('knowledge-content');
+    const validationResults = document.getElementById('validation-results');
     const addExampleBtn = document.getElementById('add-example');
     const messageExamplesContainer = document.getElementById('message-examples-container');
     const modelSelect = document.getElementById('model-select');
     const apiKeyInput = document.getElementById('api-key');
     const saveKeyBtn = document.getElementById('save-key');
     const apiKeyStatus = document.getElementById('api-key-status');
+    const apiKeyLabel = document.getElementById('api-key-label');
+    const providerBaseUrlGroup = document.getElementById('provider-base-url-group');
+    const providerBaseUrlInput = document.getElementById('provider-base-url');
     const characterDropZone = document.getElementById('character-drop-zone');
     const characterFileStatus = document.getElementById('character-file-status');
     const characterFileInput = document.getElementById('character-file-input');
@@ -49,9 +71,32 @@ document.addEventListener('DOMContentLoaded', () => {
     const adjectivesContainer = document.getElementById('adjectives-container');
     const addAdjectiveBtn = document.getElementById('add-adjective');
     const processKnowledgeBtn = document.getElementById('process-knowledge');
+    const cancelProcessingBtn = document.getElementById('cancel-processing');
     const knowledgeEntries = document.getElementById('knowledge-entries');
+    const knowledgeReferencesContainer = document.getElementById('knowledge-references');
+    const knowledgeArchiveInput = document.getElementById('knowledge-archive-input');
+    const importKnowledgeArchiveBtn = document.getElementById('import-knowledge-archive');
     const addKnowledgeBtn = document.getElementById('add-knowledge');
+    const knowledgeSourceFilter = document.getElementById('knowledge-source-filter');
+    const removeKnowledgeSourceBtn = document.getElementById('remove-knowledge-source');
+    const findDuplicatesBtn = document.getElementById('find-duplicates');
+    const duplicateReview = document.getElementById('duplicate-review');
+    const duplicateSummary = document.getElementById('duplicate-summary');
+    const duplicateGroupsContainer = document.getElementById('duplicate-groups');
     const clientToggles = document.querySelectorAll('.client-toggle');
+    const libraryList = document.getElementById('library-list');
+    const librarySearch = document.getElementById('library-search');
+    const libraryTags = document.getElementById('library-tags');
+    const libraryStatus = document.getElementById('library-status');
+    const saveToLibraryBtn = document.getElementById('save-to-library');
+    const revisionList = document.getElementById('revision-list');
+    const revisionFromSelect = document.getElementById('revision-from');
+    const revisionToSelect = document.getElementById('revision-to');
+    const compareRevisionsBtn = document.getElementById('compare-revisions');
+    const revisionDiff = document.getElementById('revision-diff');
+    const refineReview = document.getElementById('refine-review');
+    const refineReviewSummary = document.getElementById('refine-review-summary');
+    const refineReviewChanges = document.getElementById('refine-review-changes');
 
     // Character form elements
     const characterName = document.getElementById('character-name');
@@ -72,36 +117,136 @@ document.addEventListener('DOMContentLoaded', () => {
     const BACKUP_INTERVAL = 5 * 60 * 1000; // 5 minutes in milliseconds
     const BACKUP_KEY_PREFIX = 'character_backup_';
     const DEFAULT_BACKUP_NAME = 'Autosave';
+    const REVISIONS_STORAGE_KEY = 'character_revisions';
+    const MAX_REVISIONS = 50;
+    const CURRENT_REVISION = 'current';
+    const DEFAULT_PROVIDER = 'openrouter';
+
+    // Form element each character field is edited in, for inline validation messages
+    const VALIDATION_FIELD_SELECTORS = {
+        'name': '#character-name',
+        'clients': '.client-toggles',
+        'modelProvider': '#model-provider',
+        'settings': '#voice-model',
+        'bio': '#bio',
+        'lore': '#lore',
+        'topics': '#topics',
+        'style': '#style-all',
+        'style.all': '#style-all',
+        'style.chat': '#style-chat',
+        'style.post': '#style-post',
+        'messageExamples': '#message-examples-container',
+        'postExamples': '#post-examples',
+        'adjectives': '#adjectives-container',
+        'people': '#people-container',
+        'knowledge': '#knowledge-entries'
+    };
+
+    // LLM providers the model picker can route to, and the Eliza modelProvider
+    // each one maps to (null means derive it from the OpenRouter model id).
+    // Only providers with allowsBaseUrl take a base URL from the browser.
+    const LLM_PROVIDERS = {
+        'openrouter': { name: 'OpenRouter', requiresApiKey: true, requiresBaseUrl: false, allowsBaseUrl: false, elizaProvider: null },
+        'openai-compatible': { name: 'OpenAI-Compatible', requiresApiKey: false, requiresBaseUrl: true, allowsBaseUrl: true, elizaProvider: 'openai' },
+        'ollama': { name: 'Ollama', requiresApiKey: false, requiresBaseUrl: false, allowsBaseUrl: true, elizaProvider: 'ollama' },
+        'anthropic': { name: 'Anthropic', requiresApiKey: true, requiresBaseUrl: false, allowsBaseUrl: false, elizaProvider: 'anthropic' }
+    };
 
     // Store files and current character data
     let collectedFiles = [];
     let currentCharacterData = null;
+    let activeGeneration = null;
+    let currentLibraryId = null;
+    let pendingRefinement = null;
+    // Where processed knowledge came from, keyed by entry text (see knowledgeKey).
+    // Editor state only: exported characters keep knowledge as plain strings.
+    let knowledgeSources = {};
+    // Knowledge items that point at files ({ path } or { directory }) rather than
+    // holding text. They are listed above the entries and exported unchanged
+    let knowledgeReferences = [];
+    // YAML the loaded character was imported from, so a YAML export can keep
+    // its comments. Only used while the character keeps the same name
+    let characterYamlSource = null;
+    // Duplicate groups under review, holding the entry elements they were found in
+    let duplicateGroups = [];
+    // Knowledge source filter value for entries that were not processed from a file
+    const MANUAL_KNOWLEDGE_SOURCE = ':manual';
 
     // Helper Functions
-    const updateKnowledgeDisplay = (knowledge = []) => {
+    // Knowledge is exported with a trailing period, so key entries the same way
+    const knowledgeKey = (text) => {
+        const trimmed = text.trim();
+        return trimmed.endsWith('.') ? trimmed : `${trimmed}.`;
+    };
+
+    // Remember where processed or generated knowledge came from. Distilled
+    // facts also carry the chunk they were taken from
+    const rememberKnowledgeSources = (entries = []) => {
+        entries.forEach(({ text, source, chunk }) => {
+            if (source) knowledgeSources[knowledgeKey(text)] = chunk ? { ...source, chunk } : source;
+        });
+    };
+
+    const isNonBlankString = (value) => typeof value === 'string' && value.trim() !== '';
+
+    const isKnowledgeReference = (item) => Boolean(item) && typeof item === 'object' &&
+        (isNonBlankString(item.path) || isNonBlankString(item.directory));
+
+    const updateKnowledgeReferences = () => {
+        knowledgeReferencesContainer.innerHTML = '';
+        knowledgeReferencesContainer.style.display = knowledgeReferences.length ? '' : 'none';
+        knowledgeReferences.forEach((reference, index) => {
+            const item = document.createElement('div');
+            item.className = 'knowledge-reference';
+            const label = document.createElement('span');
+            label.className = 'knowledge-reference-path';
+            const isFile = isNonBlankString(reference.path);
+            label.textContent = isFile ? reference.path : `${reference.directory.replace(/\/+$/, '')}/`;
+            label.title = isFile ? 'Knowledge file' : 'Knowledge directory';
+            item.appendChild(label);
+            if (reference.shared) {
+                const shared = document.createElement('span');
+                shared.className = 'knowledge-source';
+                shared.textContent = 'shared';
+                item.appendChild(shared);
+            }
+            const removeButton = document.createElement('button');
+            removeButton.className = 'action-button delete-button';
+            removeButton.title = 'Remove Reference';
+            removeButton.textContent = '×';
+            removeButton.addEventListener('click', () => {
+                knowledgeReferences.splice(index, 1);
+                updateKnowledgeReferences();
+                updateCurrentKnowledge();
+            });
+            item.appendChild(removeButton);
+            knowledgeReferencesContainer.appendChild(item);
+        });
+    };
+
+    const updateKnowledgeDisplay = (items = []) => {
         if (knowledgeEntries) {
+            knowledgeReferences = items.filter(isKnowledgeReference);
+            updateKnowledgeReferences();
+            const knowledge = items.filter(item => typeof item === 'string');
+
+            // A pending duplicate review points at the entries being replaced
+            hideDuplicateReview();
             knowledgeEntries.innerHTML = '';
             if (knowledge.length) {
                 knowledge.forEach(entry => {
-                    knowledgeEntries.appendChild(createKnowledgeEntry(entry));
+                    knowledgeEntries.appendChild(createKnowledgeEntry(entry, knowledgeSources[knowledgeKey(entry)]));
                 });
                 updateKnowledgeNumbers();
             } else {
                 knowledgeEntries.innerHTML = '<div class="no-knowledge">No knowledge entries yet</div>';
             }
+            updateKnowledgeSourceFilter();
         }
     };
 
-    const splitIntoSentences = (text) => {
-        if (!text || typeof text !== 'string' || text.trim() === '') {
-            return [];
-        }
-        return text
-            .split(/[.!?]+/)
-            .map(sentence => sentence.trim())
-            .filter(sentence => sentence.length > 0)
-            .map(sentence => sentence + '.');
-    };
+    // Same segmentation the server uses for knowledge files
+    const splitIntoSentences = (text) => splitSentences(text);
 
     const splitAdjectives = (text) => {
         if (!text || typeof text !== 'string' || text.trim() === '') {
@@ -113,42 +258,60 @@ document.addEventListener('DOMContentLoaded', () => {
             .filter(word => word.length > 0);
     };
 
-    const createMessageExample = () => {
+    // Message examples can have any number of turns. Other speakers keep their
+    // {{userN}} placeholder; examples without placeholders alternate between
+    // {{user1}} and the character, starting with {{user1}}, except for a lone
+    // turn, which is the character opening the conversation (a card greeting)
+    const USER_PLACEHOLDER_PATTERN = /^\{\{user\d+\}\}$/;
+
+    const createMessageExample = (messages = []) => {
+        const turns = messages.length ? messages : [{ user: '{{user1}}' }, {}];
+        const hasPlaceholders = turns.some(message => USER_PLACEHOLDER_PATTERN.test(message?.user || ''));
+
         const example = document.createElement('div');
         example.className = 'message-example';
-        example.innerHTML = `
-            <div class="message-pair">
-                <textarea placeholder="Write an example user message..." class="user-message"></textarea>
-            </div>
-            <div class="message-pair">
-                <textarea placeholder="Write the character's response..." class="character-message"></textarea>
-            </div>
-            <button class="action-button delete-button" title="Remove Example">×</button>
-        `;
-        example.querySelector('.delete-button').addEventListener('click', () => {
+        turns.forEach((message, index) => {
+            const user = hasPlaceholders
+                ? (USER_PLACEHOLDER_PATTERN.test(message?.user || '') ? message.user : null)
+                : (index % 2 === 0 && turns.length > 1 ? '{{user1}}' : null);
+
+            const pair = document.createElement('div');
+            pair.className = 'message-pair';
+            const textarea = document.createElement('textarea');
+            if (user) {
+                textarea.className = 'user-message';
+                textarea.dataset.user = user;
+                textarea.placeholder = user === '{{user1}}' ? 'Write an example user message...' : `Write a message from ${user}...`;
+            } else {
+                textarea.className = 'character-message';
+                textarea.placeholder = "Write the character's response...";
+            }
+            textarea.value = message?.content?.text || '';
+            pair.appendChild(textarea);
+            example.appendChild(pair);
+        });
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'action-button delete-button';
+        deleteButton.title = 'Remove Example';
+        deleteButton.textContent = '×';
+        deleteButton.addEventListener('click', () => {
             example.remove();
         });
+        example.appendChild(deleteButton);
         return example;
     };
 
+    const isEmptyMessageExample = (example) => Array.from(example.querySelectorAll('textarea'))
+        .every(textarea => !textarea.value.trim());
+
     const collectMessageExamples = () => {
         return Array.from(messageExamplesContainer.querySelectorAll('.message-example'))
-            .map(example => {
-                const userMessage = example.querySelector('.user-message').value.trim();
-                const charMessage = example.querySelector('.character-message').value.trim();
-                if (!userMessage && !charMessage) return null;
-                return [
-                    {
-                        user: '{{user1}}',
-                        content: { text: userMessage || '' }
-                    },
-                    {
-                        user: characterName.value || 'character',
-                        content: { text: charMessage || '' }
-                    }
-                ];
-            })
-            .filter(example => example !== null);
+            .filter(example => !isEmptyMessageExample(example))
+            .map(example => Array.from(example.querySelectorAll('textarea')).map(textarea => ({
+                user: textarea.dataset.user || characterName.value || 'character',
+                content: { text: textarea.value.trim() }
+            })));
     };
 
     const createPersonEntry = (value = '') => {
@@ -218,7 +381,10 @@ document.addEventListener('DOMContentLoaded', () => {
             plugins: [],
             bio: splitIntoSentences(bioInput.value),
             lore: splitIntoSentences(loreInput.value),
-            knowledge: knowledgeLines.length ? knowledgeLines : (knowledge || []),
+            knowledge: [
+                ...(knowledgeLines.length ? knowledgeLines : (knowledge || []).filter(item => typeof item === 'string')),
+                ...knowledgeReferences
+            ],
             messageExamples: messageExamples,
             postExamples: splitIntoSentences(postExamplesInput.value),
             topics: splitIntoSentences(topicsInput.value),
@@ -237,6 +403,11 @@ document.addEventListener('DOMContentLoaded', () => {
         updateKnowledgeDisplay(currentCharacterData.knowledge);
         knowledgeContent.innerHTML = `<pre>${JSON.stringify(currentCharacterData, null, 2)}</pre>`;
         downloadBtn.disabled = false;
+        downloadTsBtn.disabled = false;
+        downloadYamlBtn.disabled = false;
+        downloadCardBtn.disabled = false;
+        downloadPngCardBtn.disabled = false;
+        downloadKnowledgeArchiveBtn.disabled = false;
     };
 
     const populateFormFields = (data) => {
@@ -317,14 +488,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
         // Message Examples
         data.messageExamples?.forEach(example => {
-            const exampleElement = createMessageExample();
-            const userMessage = exampleElement.querySelector('.user-message');
-            const charMessage = exampleElement.querySelector('.character-message');
-            
-            userMessage.value = example[0]?.content?.text || '';
-            charMessage.value = example[1]?.content?.text || '';
-            
-            messageExamplesContainer.appendChild(exampleElement);
+            messageExamplesContainer.appendChild(createMessageExample(example));
         });
 
         if (!data.messageExamples?.length) {
@@ -335,6 +499,99 @@ document.addEventListener('DOMContentLoaded', () => {
         // Update the debug output without regenerating the character
         knowledgeContent.innerHTML = `<pre>${JSON.stringify(currentCharacterData, null, 2)}</pre>`;
         downloadBtn.disabled = false;
+        downloadTsBtn.disabled = false;
+        downloadYamlBtn.disabled = false;
+        downloadCardBtn.disabled = false;
+        downloadPngCardBtn.disabled = false;
+        downloadKnowledgeArchiveBtn.disabled = false;
+    };
+
+    // Find the form element an issue path such as "style.chat[2]" belongs to
+    const findFieldForPath = (path) => {
+        const match = path.match(/^([A-Za-z]+)(?:\.([A-Za-z]+))?/);
+        if (!match) return null;
+        const selector = VALIDATION_FIELD_SELECTORS[`${match[1]}.${match[2]}`] ||
+            VALIDATION_FIELD_SELECTORS[match[1]];
+        return selector ? document.querySelector(selector) : null;
+    };
+
+    const clearValidation = () => {
+        validationResults.innerHTML = '';
+        document.querySelectorAll('.field-issues').forEach(element => element.remove());
+        document.querySelectorAll('.has-validation-error').forEach(element => {
+            element.classList.remove('has-validation-error');
+        });
+    };
+
+    // Show validation issues next to the fields they refer to, plus a summary
+    const renderValidation = ({ errors = [], warnings = [] }) => {
+        clearValidation();
+
+        const summary = document.createElement('div');
+        summary.className = `validation-summary ${errors.length ? 'invalid' : 'valid'}`;
+        summary.textContent = errors.length || warnings.length
+            ? `Schema check: ${errors.length} error(s), ${warnings.length} warning(s)`
+            : 'Schema check passed';
+        validationResults.appendChild(summary);
+
+        [
+            ...errors.map(issue => ({ ...issue, severity: 'error' })),
+            ...warnings.map(issue => ({ ...issue, severity: 'warning' }))
+        ].forEach(issue => {
+            const line = document.createElement('div');
+            line.className = `field-issue ${issue.severity}`;
+            line.textContent = formatIssue(issue);
+
+            const field = findFieldForPath(issue.path);
+            const group = field?.closest('.form-group') || field?.parentElement;
+            if (!group) {
+                validationResults.appendChild(line);
+                return;
+            }
+
+            let issueList = group.querySelector(':scope > .field-issues');
+            if (!issueList) {
+                issueList = document.createElement('div');
+                issueList.className = 'field-issues';
+                group.appendChild(issueList);
+            }
+            issueList.appendChild(line);
+            if (issue.severity === 'error') {
+                group.classList.add('has-validation-error');
+            }
+        });
+    };
+
+    const validateCurrentCharacter = async () => {
+        const result = await apiCall('/api/validate-character', {
+            method: 'POST',
+            body: JSON.stringify({ character: currentCharacterData })
+        });
+        renderValidation(result);
+        return result;
+    };
+
+    // Status line suffix listing changes made to an imported file, or '' for none
+    const describeChanges = (summary, changes = []) => (changes.length
+        ? ` (${summary}: ${changes.map(formatIssue).join('; ')})`
+        : '');
+
+    // Describe the automatic fixes /api/fix-json applied to an imported file
+    const describeFixes = (changes = []) =>
+        describeChanges(`${changes.length} automatic fix${changes.length === 1 ? '' : 'es'}`, changes);
+
+    const describeMigration = ({ fromVersion, changes }) =>
+        describeChanges(`upgraded from format version ${fromVersion}`, changes);
+
+    const CHARACTER_FORMAT_LABELS = {
+        'card-v1': 'Character Card V1',
+        'card-v2': 'Character Card V2',
+        eliza: 'Eliza'
+    };
+
+    const describeConversion = ({ from, dropped = [] }) => {
+        const note = ` (converted from ${CHARACTER_FORMAT_LABELS[from] || from}`;
+        return dropped.length ? `${note}; not carried over: ${dropped.join(', ')})` : `${note})`;
     };
 
     const formatFileSize = (bytes) => {
@@ -345,6 +602,41 @@ document.addEventListener('DOMContentLoaded', () => {
         return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
     };
 
+    // Provider of the selected model, taken from its optgroup
+    const getSelectedProvider = () => {
+        const option = modelSelect.options[modelSelect.selectedIndex];
+        return option?.parentElement?.dataset.provider || DEFAULT_PROVIDER;
+    };
+
+    const getApiKeyStorageKey = (provider) => `${provider}_api_key`;
+    const getBaseUrlStorageKey = (provider) => `${provider}_base_url`;
+
+    const getProviderApiKey = (provider = getSelectedProvider()) => {
+        return localStorage.getItem(getApiKeyStorageKey(provider));
+    };
+
+    // Fields sent to the generation endpoints to route the request
+    const getProviderRequestFields = () => {
+        const provider = getSelectedProvider();
+        const baseUrl = LLM_PROVIDERS[provider].allowsBaseUrl
+            ? localStorage.getItem(getBaseUrlStorageKey(provider)) || undefined
+            : undefined;
+        return { provider, baseUrl };
+    };
+
+    // Returns an error message if the selected provider is missing settings
+    const checkProviderSettings = () => {
+        const provider = getSelectedProvider();
+        const settings = LLM_PROVIDERS[provider];
+        if (settings.requiresApiKey && !getProviderApiKey(provider)) {
+            return `Please set your ${settings.name} API key`;
+        }
+        if (settings.requiresBaseUrl && !localStorage.getItem(getBaseUrlStorageKey(provider))) {
+            return `Please set the ${settings.name} base URL`;
+        }
+        return null;
+    };
+
     const apiCall = async (endpoint, options = {}) => {
         try {
             const response = await fetch(`${API_BASE_URL}${endpoint}`, {
@@ -374,6 +666,252 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
 
+    // Open a streaming endpoint, dispatch its Server-Sent Events to the
+    // matching handlers and resolve with the payload of the final complete event
+    const streamApiCall = async (endpoint, options = {}, handlers = {}) => {
+        let response;
+        try {
+            response = await fetch(`${API_BASE_URL}${endpoint}`, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...options.headers,
+                }
+            });
+        } catch (error) {
+            if (error.message === 'Failed to fetch') {
+                throw new Error('Cannot connect to server. Please ensure the server is running.');
+            }
+            throw error;
+        }
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = null;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+
+            for (const rawEvent of events) {
+                let eventName = 'message';
+                let data = '';
+                rawEvent.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) eventName = line.slice(6).trim();
+                    else if (line.startsWith('data:')) data += line.slice(5).trim();
+                });
+
+                const payload = data ? JSON.parse(data) : null;
+                if (eventName === 'error') {
+                    throw new Error(payload?.error || 'Streaming failed');
+                }
+                if (eventName === 'complete') {
+                    result = payload;
+                }
+                handlers[eventName]?.(payload);
+            }
+        }
+
+        if (!result) {
+            throw new Error('Stream ended before the character was complete');
+        }
+        return result;
+    };
+
+    // Generation and refinement run as background jobs. The pending job is
+    // kept in localStorage with what is needed to apply its result, so a
+    // reload can pick it up when it is ready
+    const PENDING_CHARACTER_JOB_KEY = 'pending_character_job';
+
+    // Start a generate/refine job from a JSON body and resolve with the job
+    const startCharacterJob = async (endpoint, body) => {
+        const apiKey = getProviderApiKey();
+        return apiCall(`${endpoint}?async=true`, {
+            method: 'POST',
+            headers: apiKey ? { 'X-API-Key': apiKey } : {},
+            body: JSON.stringify({ ...body, ...getProviderRequestFields() })
+        });
+    };
+
+    // Status text for a character job's progress
+    const describeCharacterJobProgress = (progress, statusText) => {
+        if (progress.totalParts && !progress.receivedChars) {
+            return `Summarizing documents... (${progress.summarizedParts} of ${progress.totalParts} parts)`;
+        }
+        const prefix = progress.repairAttempt
+            ? `Model returned invalid JSON, repairing (attempt ${progress.repairAttempt})...`
+            : statusText;
+        return progress.receivedChars ? `${prefix} (${progress.receivedChars} characters received)` : prefix;
+    };
+
+    // Stream a generate/refine job's events until it finishes; the cancel
+    // button stops the stream and cancels the job. A resumed job starts from
+    // the progress it made so far. With liveSections, the form is filled in
+    // section by section as each field completes
+    const followCharacterJob = async (pending, { statusText, liveSections = false }) => {
+        try {
+            localStorage.setItem(PENDING_CHARACTER_JOB_KEY, JSON.stringify(pending));
+        } catch (error) {
+            // The job still runs; only resuming it after a reload is lost
+            console.warn('Could not remember the pending job:', error);
+        }
+        activeGeneration = new AbortController();
+        activeGeneration.signal.addEventListener('abort', () => {
+            apiCall(`/api/jobs/${pending.id}/cancel`, { method: 'POST' }).catch(error => {
+                console.error('Cancel generation error:', error);
+            });
+        });
+        cancelGenerationBtn.style.display = '';
+        const progress = {};
+        const partialCharacter = {};
+
+        const showSections = () => {
+            if (!liveSections) return;
+            try {
+                populateFormFields(partialCharacter);
+            } catch (error) {
+                // Sections with unexpected shapes are fixed up by the final normalized result
+                console.warn('Could not display the sections received so far:', error);
+            }
+        };
+
+        try {
+            return await streamApiCall(`/api/jobs/${pending.id}/events`, {
+                method: 'GET',
+                signal: activeGeneration.signal
+            }, {
+                progress: (update) => {
+                    Object.assign(progress, update);
+                    promptStatus.textContent = describeCharacterJobProgress(progress, statusText);
+                    if (update.partialCharacter) {
+                        Object.assign(partialCharacter, update.partialCharacter);
+                        showSections();
+                    }
+                },
+                token: ({ text }) => {
+                    progress.receivedChars = (progress.receivedChars || 0) + text.length;
+                    promptStatus.textContent = describeCharacterJobProgress(progress, statusText);
+                },
+                repair: ({ attempt }) => {
+                    progress.repairAttempt = attempt;
+                    promptStatus.textContent = describeCharacterJobProgress(progress, statusText);
+                },
+                section: ({ key, value }) => {
+                    partialCharacter[key] = value;
+                    showSections();
+                }
+            });
+        } finally {
+            localStorage.removeItem(PENDING_CHARACTER_JOB_KEY);
+            activeGeneration = null;
+            cancelGenerationBtn.style.display = 'none';
+        }
+    };
+
+    // Status suffix noting how many JSON repair round-trips a result needed
+    const describeRepairs = (repairAttempts) => {
+        if (!repairAttempts) return '';
+        return ` after ${repairAttempts} JSON repair${repairAttempts === 1 ? '' : 's'}`;
+    };
+
+    const loadGeneratedCharacter = (character, { prompt, model }) => {
+        hideRefinementReview();
+        populateFormFields(character);
+        recordRevision('generate', character, { prompt, model });
+        currentLibraryId = null;
+        libraryTags.value = '';
+    };
+
+    // How each kind of character job shows its progress and applies its
+    // result. Pending jobs hold { id, type, statusText, prompt, model } plus
+    // what their type needs
+    const CHARACTER_JOB_TYPES = {
+        'generate-character': {
+            label: 'Generation',
+            liveSections: true,
+            apply: (result, pending) => {
+                loadGeneratedCharacter(result.character, pending);
+                promptStatus.textContent = `Character generated successfully${describeRepairs(result.repairAttempts)}`;
+                promptStatus.className = 'success';
+            }
+        },
+        'generate-from-documents': {
+            label: 'Generation',
+            liveSections: true,
+            apply: (result, pending) => {
+                rememberKnowledgeSources(result.entries);
+                loadGeneratedCharacter(result.character, pending);
+
+                const notes = [];
+                if (result.summarized?.length) notes.push(`summarized ${result.summarized.join(', ')} to fit`);
+                if (result.errors?.length) {
+                    notes.push(`could not use ${result.errors.map(({ filename, error }) => `${filename} (${error})`).join('; ')}`);
+                }
+                promptStatus.textContent = `Character generated from ${pending.documentCount - (result.errors?.length || 0)} document(s)${describeRepairs(result.repairAttempts)}${notes.length ? `; ${notes.join('; ')}` : ''}`;
+                promptStatus.className = result.errors?.length ? 'error' : 'success';
+            }
+        },
+        // The form is left alone until the proposed changes are reviewed
+        'refine-character': {
+            label: 'Refinement',
+            liveSections: false,
+            apply: (result, { baseCharacter, prompt, model }) => {
+                const hasChanges = showRefinementReview(baseCharacter, result.character, { prompt, model });
+                promptStatus.textContent = hasChanges
+                    ? `Refinement ready for review${describeRepairs(result.repairAttempts)}`
+                    : 'Refinement proposed no changes';
+                promptStatus.className = 'success';
+                characterPrompt.value = '';
+            }
+        }
+    };
+
+    // Only one character job runs at a time
+    const setCharacterJobButtonsDisabled = (disabled) => {
+        [generateFromPromptBtn, generateFromDocumentsBtn, refineCharacterBtn, ...refineSectionButtons].forEach(button => {
+            button.disabled = disabled;
+        });
+    };
+
+    // Run a character job to completion: start it (unless it is being resumed),
+    // follow it and apply its result
+    const runCharacterJob = async (pending, start) => {
+        const { label, liveSections, apply } = CHARACTER_JOB_TYPES[pending.type];
+        promptStatus.textContent = pending.statusText;
+        promptStatus.className = '';
+        setCharacterJobButtonsDisabled(true);
+
+        try {
+            const job = start ? { ...pending, id: (await start()).id } : pending;
+            apply(await followCharacterJob(job, { statusText: pending.statusText, liveSections }), job);
+        } catch (error) {
+            if (error.name === 'AbortError' || error.message === 'Cancelled') {
+                promptStatus.textContent = `${label} cancelled`;
+                promptStatus.className = 'error';
+                return;
+            }
+            console.error(`${label} error:`, error);
+            promptStatus.textContent = `Error: ${error.message}`;
+            promptStatus.className = 'error';
+        } finally {
+            setCharacterJobButtonsDisabled(false);
+        }
+    };
+
+    cancelGenerationBtn.addEventListener('click', () => {
+        activeGeneration?.abort();
+    });
+
     // Event Handlers
     document.querySelectorAll('.section-header').forEach(header => {
         header.addEventListener('click', () => {
@@ -383,10 +921,16 @@ document.addEventListener('DOMContentLoaded', () => {
     });
 
     const checkSavedApiKey = () => {
-        const savedKey = localStorage.getItem(API_KEY_STORAGE_KEY);
+        const provider = getSelectedProvider();
+        const settings = LLM_PROVIDERS[provider];
+        const savedKey = getProviderApiKey(provider);
         const apiKeyInput = document.getElementById('api-key-input');
         const apiKeyStatus = document.getElementById('api-key-status');
         const statusText = apiKeyStatus.querySelector('.status-text');
+
+        apiKeyLabel.textContent = `${settings.name} API Key${settings.requiresApiKey ? '' : ' (optional)'}`;
+        providerBaseUrlGroup.style.display = settings.allowsBaseUrl ? 'block' : 'none';
+        providerBaseUrlInput.value = localStorage.getItem(getBaseUrlStorageKey(provider)) || '';
         
         if (savedKey) {
             apiKeyInput.style.display = 'none';
@@ -406,23 +950,34 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
-        localStorage.setItem(API_KEY_STORAGE_KEY, apiKey);
+        localStorage.setItem(getApiKeyStorageKey(getSelectedProvider()), apiKey);
         checkSavedApiKey();
     });
 
     document.getElementById('remove-key').addEventListener('click', () => {
         if (confirm('Are you sure you want to remove your API key?')) {
-            localStorage.removeItem(API_KEY_STORAGE_KEY);
+            localStorage.removeItem(getApiKeyStorageKey(getSelectedProvider()));
             checkSavedApiKey();
         }
     });
 
+    providerBaseUrlInput.addEventListener('change', () => {
+        const baseUrl = providerBaseUrlInput.value.trim();
+        const storageKey = getBaseUrlStorageKey(getSelectedProvider());
+        if (baseUrl) {
+            localStorage.setItem(storageKey, baseUrl);
+        } else {
+            localStorage.removeItem(storageKey);
+        }
+    });
+
     modelSelect.addEventListener('change', () => {
         const selectedModel = modelSelect.value;
         if (selectedModel) {
-            const provider = selectedModel.split('/')[0];
+            const provider = LLM_PROVIDERS[getSelectedProvider()].elizaProvider || selectedModel.split('/')[0];
             modelProvider.value = provider;
         }
+        checkSavedApiKey();
     });
 
     addExampleBtn.addEventListener('click', () => {
@@ -435,12 +990,22 @@ document.addEventListener('DOMContentLoaded', () => {
         characterFileInput.click();
     });
 
-    characterFileInput.addEventListener('change', async (e) => {
-        const file = e.target.files[0];
-        if (!file) return;
+    // Reads a selected or dropped character file into the editor: Eliza JSON,
+    // YAML or character.ts, a Character Card (converted on the server) or a
+    // PNG card. JSON that does not parse is sent to /api/fix-json
+    const characterFileKind = (file) => {
+        const name = file.name.toLowerCase();
+        if (name.endsWith('.png') || file.type === 'image/png') return 'png';
+        if (name.endsWith('.ts')) return 'typescript';
+        if (name.endsWith('.yaml') || name.endsWith('.yml')) return 'yaml';
+        if (name.endsWith('.json') || file.type === 'application/json') return 'json';
+        return null;
+    };
 
-        if (!file.name.endsWith('.json')) {
-            characterFileStatus.textContent = 'Please select a JSON file';
+    const importCharacterFile = async (file) => {
+        const kind = characterFileKind(file);
+        if (!kind) {
+            characterFileStatus.textContent = 'Please select a JSON, YAML or character.ts file, or a PNG card';
             characterFileStatus.className = 'error';
             return;
         }
@@ -449,37 +1014,84 @@ document.addEventListener('DOMContentLoaded', () => {
         characterFileStatus.className = '';
 
         try {
-            const content = await file.text();
             let characterData;
+            let content = null;
+            let fixes = '';
+
+            if (kind === 'png') {
+                const formData = new FormData();
+                formData.append('file', file);
+                const response = await fetch(`${API_BASE_URL}/api/png-card/import`, { method: 'POST', body: formData });
+                const result = await response.json().catch(() => ({}));
+                if (!response.ok) {
+                    throw new Error(result.error || `HTTP error! status: ${response.status}`);
+                }
+                characterData = result.character;
+                if (result.from !== 'eliza') fixes = describeConversion(result);
+            } else {
+                content = await file.text();
+                if (kind === 'typescript') {
+                    characterData = parseTypeScriptCharacter(content);
+                } else if (kind === 'yaml') {
+                    const response = await apiCall('/api/character-yaml/import', {
+                        method: 'POST',
+                        body: JSON.stringify({ content })
+                    });
+                    characterData = response.character;
+                } else {
+                    try {
+                        characterData = JSON.parse(content);
+                        console.log('Loaded character data:', characterData);
+                    } catch (parseError) {
+                        const apiKey = localStorage.getItem(API_KEY_STORAGE_KEY);
+                        if (!apiKey) {
+                            throw new Error('Please set your OpenRouter API key to fix JSON formatting');
+                        }
 
-            try {
-                characterData = JSON.parse(content);
-                console.log('Loaded character data:', characterData);
-            } catch (parseError) {
-                const apiKey = localStorage.getItem(API_KEY_STORAGE_KEY);
-                if (!apiKey) {
-                    throw new Error('Please set your OpenRouter API key to fix JSON formatting');
+                        characterFileStatus.textContent = 'Fixing JSON formatting...';
+                        const response = await apiCall('/api/fix-json', {
+                            method: 'POST',
+                            headers: {
+                                'X-API-Key': apiKey
+                            },
+                            body: JSON.stringify({ content })
+                        });
+                        characterData = response.character;
+                        fixes = describeFixes(response.changes);
+                    }
                 }
 
-                characterFileStatus.textContent = 'Fixing JSON formatting...';
-                const response = await apiCall('/api/fix-json', {
-                    method: 'POST',
-                    headers: {
-                        'X-API-Key': apiKey
-                    },
-                    body: JSON.stringify({ content })
-                });
-                characterData = response.character;
+                if (detectCharacterFormat(characterData) !== 'eliza') {
+                    const converted = await apiCall('/api/convert', {
+                        method: 'POST',
+                        body: JSON.stringify({ data: characterData, to: 'eliza' })
+                    });
+                    characterData = converted.result;
+                    fixes += describeConversion(converted);
+                }
             }
 
+            const migration = migrateCharacter(characterData);
+            characterData = migration.character;
+            fixes += describeMigration(migration);
+
             populateFormFields(characterData);
-            characterFileStatus.textContent = 'Character loaded successfully';
+            characterYamlSource = kind === 'yaml' ? { name: characterData.name, content } : null;
+            currentLibraryId = null;
+            libraryTags.value = '';
+            characterFileStatus.textContent = `Character loaded successfully${fixes}`;
             characterFileStatus.className = 'success';
         } catch (error) {
             console.error('Character loading error:', error);
             characterFileStatus.textContent = `Error: ${error.message}`;
             characterFileStatus.className = 'error';
         }
+    };
+
+    characterFileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        await importCharacterFile(file);
     });
 
     // Generate JSON button handler
@@ -487,6 +1099,12 @@ document.addEventListener('DOMContentLoaded', () => {
         // Generate character with current knowledge
         displayResults(currentCharacterData?.knowledge || []);
         knowledgeContent.scrollIntoView({ behavior: 'smooth' });
+
+        try {
+            await validateCurrentCharacter();
+        } catch (error) {
+            console.error('Validation error:', error);
+        }
     });
 
     // File input and drop handlers
@@ -540,7 +1158,7 @@ document.addEventListener('DOMContentLoaded', () => {
     generateFromPromptBtn.addEventListener('click', async () => {
         const prompt = characterPrompt.value.trim();
         const selectedModel = modelSelect.value;
-        const apiKey = localStorage.getItem(API_KEY_STORAGE_KEY);
+        const providerError = checkProviderSettings();
 
         if (!prompt) {
             promptStatus.textContent = 'Please enter a prompt';
@@ -554,43 +1172,90 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
-        if (!apiKey) {
-            promptStatus.textContent = 'Please set your OpenRouter API key';
+        if (providerError) {
+            promptStatus.textContent = providerError;
             promptStatus.className = 'error';
             return;
         }
 
-        promptStatus.textContent = 'Generating character...';
-        promptStatus.className = '';
-        generateFromPromptBtn.disabled = true;
+        await runCharacterJob(
+            { type: 'generate-character', statusText: 'Generating character...', prompt, model: selectedModel },
+            () => startCharacterJob('/api/generate-character', { prompt, model: selectedModel })
+        );
+    });
 
-        try {
-            const data = await apiCall('/api/generate-character', {
-                method: 'POST',
-                headers: {
-                    'X-API-Key': apiKey
-                },
-                body: JSON.stringify({ 
-                    prompt,
-                    model: selectedModel
-                })
-            });
+    // Generation from documents uploads the files with the job request
+    generateFromDocumentsBtn.addEventListener('click', async () => {
+        const prompt = characterPrompt.value.trim();
+        const selectedModel = modelSelect.value;
+        const documents = [...sourceDocumentsInput.files];
+        const providerError = checkProviderSettings();
 
-            populateFormFields(data.character);
-            promptStatus.textContent = 'Character generated successfully';
-            promptStatus.className = 'success';
-        } catch (error) {
-            console.error('Generation error:', error);
-            promptStatus.textContent = `Error: ${error.message}`;
+        if (documents.length === 0) {
+            promptStatus.textContent = 'Please choose at least one source document';
             promptStatus.className = 'error';
-        } finally {
-            generateFromPromptBtn.disabled = false;
+            return;
+        }
+
+        if (!selectedModel) {
+            promptStatus.textContent = 'Please select a model';
+            promptStatus.className = 'error';
+            return;
+        }
+
+        if (providerError) {
+            promptStatus.textContent = providerError;
+            promptStatus.className = 'error';
+            return;
         }
+
+        const pending = {
+            type: 'generate-from-documents',
+            statusText: 'Generating character...',
+            prompt,
+            model: selectedModel,
+            documentCount: documents.length
+        };
+
+        await runCharacterJob(pending, async () => {
+            promptStatus.textContent = 'Reading documents...';
+            const formData = new FormData();
+            documents.forEach(file => formData.append('files', file));
+            formData.append('prompt', prompt);
+            formData.append('model', selectedModel);
+            const { provider, baseUrl } = getProviderRequestFields();
+            formData.append('provider', provider);
+            if (baseUrl) formData.append('baseUrl', baseUrl);
+
+            const apiKey = getProviderApiKey();
+            const response = await fetch(`${API_BASE_URL}/api/generate-from-documents?async=true`, {
+                method: 'POST',
+                headers: apiKey ? { 'X-API-Key': apiKey } : {},
+                body: formData
+            });
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                const failures = (data.errors || []).map(({ filename, error }) => `${filename} (${error})`).join('; ');
+                throw new Error(`${data.error || `HTTP error! status: ${response.status}`}${failures ? `: ${failures}` : ''}`);
+            }
+
+            return response.json();
+        });
     });
 
-    downloadBtn.addEventListener('click', () => {
+    downloadBtn.addEventListener('click', async () => {
         if (!currentCharacterData) return;
 
+        try {
+            const { errors } = await validateCurrentCharacter();
+            if (errors.length && !confirm(`The character has ${errors.length} schema error(s). Download anyway?`)) {
+                return;
+            }
+        } catch (error) {
+            console.error('Validation error:', error);
+        }
+
         const blob = new Blob([JSON.stringify(currentCharacterData, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -602,89 +1267,178 @@ document.addEventListener('DOMContentLoaded', () => {
         URL.revokeObjectURL(url);
     });
 
-    checkSavedApiKey();
-    addExampleBtn.click();
+    downloadTsBtn.addEventListener('click', () => {
+        if (!currentCharacterData) return;
 
-    // Add these event listeners for the character drop zone
-    characterDropZone.addEventListener('dragover', (e) => {
-        e.preventDefault();
-        characterDropZone.classList.add('drag-over');
+        const blob = new Blob([characterToTypeScript(currentCharacterData)], { type: 'text/typescript' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'character.ts';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
     });
 
-    characterDropZone.addEventListener('dragleave', (e) => {
-        e.preventDefault();
-        characterDropZone.classList.remove('drag-over');
-    });
+    downloadYamlBtn.addEventListener('click', async () => {
+        if (!currentCharacterData) return;
 
-    characterDropZone.addEventListener('drop', async (e) => {
-        e.preventDefault();
-        characterDropZone.classList.remove('drag-over');
-        
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
-            const file = files[0];
-            if (file.type === 'application/json') {
-                try {
-                    const text = await file.text();
-                    let characterData;
-                    try {
-                        characterData = JSON.parse(text);
-                        console.log('Loaded character data (drag/drop):', characterData);
-                    } catch (parseError) {
-                        const apiKey = localStorage.getItem(API_KEY_STORAGE_KEY);
-                        if (!apiKey) {
-                            throw new Error('Please set your OpenRouter API key to fix JSON formatting');
-                        }
+        try {
+            const source = characterYamlSource?.name === currentCharacterData.name ? characterYamlSource.content : undefined;
+            const response = await fetch(`${API_BASE_URL}/api/character-yaml/export`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ character: currentCharacterData, source })
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
 
-                        characterFileStatus.textContent = 'Fixing JSON formatting...';
-                        const response = await apiCall('/api/fix-json', {
-                            method: 'POST',
-                            headers: {
-                                'X-API-Key': apiKey
-                            },
-                            body: JSON.stringify({ content: text })
-                        });
-                        characterData = response.character;
-                    }
-                    
-                    populateFormFields(characterData);
-                    characterFileStatus.textContent = 'Character loaded successfully!';
-                    characterFileStatus.className = 'success';
-                } catch (error) {
-                    console.error('Character loading error:', error);
-                    characterFileStatus.textContent = 'Error loading character file: ' + error.message;
-                    characterFileStatus.className = 'error';
-                }
-            } else {
-                characterFileStatus.textContent = 'Please upload a JSON file.';
-                characterFileStatus.className = 'error';
+            const url = URL.createObjectURL(await response.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${currentCharacterData.name || 'character'}.character.yaml`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('YAML export error:', error);
+            alert(`Could not create the YAML file: ${error.message}`);
+        }
+    });
+
+    downloadCardBtn.addEventListener('click', async () => {
+        if (!currentCharacterData) return;
+
+        try {
+            const { result, dropped } = await apiCall('/api/convert', {
+                method: 'POST',
+                body: JSON.stringify({ data: currentCharacterData, to: 'card-v2' })
+            });
+            if (dropped.length && !confirm(`Character cards have no place for: ${dropped.join(', ')}. Download without them?`)) {
+                return;
             }
+
+            const blob = new Blob([JSON.stringify(result, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${currentCharacterData.name || 'character'}.card.json`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Card conversion error:', error);
+            alert(`Could not convert the character: ${error.message}`);
         }
     });
 
-    // Add this helper function to load the character data into the form
-    function loadCharacterData(data) {
-        // Basic Information
-        document.getElementById('character-name').value = data.name || '';
-        document.getElementById('model-provider').value = data.modelProvider || '';
-        document.getElementById('voice-model').value = data.voiceModel || '';
+    // PNG cards embed the character in an avatar image chosen for the download
+    downloadPngCardBtn.addEventListener('click', () => {
+        if (!currentCharacterData) return;
+        cardAvatarInput.click();
+    });
 
-        // Character Details
-        document.getElementById('bio').value = data.bio?.join('\n') || '';
-        document.getElementById('lore').value = data.lore?.join('\n') || '';
-        document.getElementById('topics').value = data.topics?.join('\n') || '';
+    cardAvatarInput.addEventListener('change', async () => {
+        const [image] = cardAvatarInput.files;
+        if (!image || !currentCharacterData) return;
 
-        // Style
-        document.getElementById('style-all').value = data.style?.all?.join('\n') || '';
-        document.getElementById('style-chat').value = data.style?.chat?.join('\n') || '';
-        document.getElementById('style-post').value = data.style?.post?.join('\n') || '';
+        downloadPngCardBtn.disabled = true;
+        try {
+            const formData = new FormData();
+            formData.append('file', image);
+            formData.append('character', JSON.stringify(currentCharacterData));
+            formData.append('includeCard', String(pngCardIncludeV2.checked));
+            const response = await fetch(`${API_BASE_URL}/api/png-card/export`, { method: 'POST', body: formData });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+
+            const url = URL.createObjectURL(await response.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${currentCharacterData.name || 'character'}.png`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('PNG card error:', error);
+            alert(`Could not create the PNG card: ${error.message}`);
+        } finally {
+            cardAvatarInput.value = '';
+            downloadPngCardBtn.disabled = false;
+        }
+    });
+
+    // The same character as a ZIP, with its knowledge moved into Markdown files
+    // grouped by the file each entry was processed from
+    downloadKnowledgeArchiveBtn.addEventListener('click', async () => {
+        if (!currentCharacterData) return;
+
+        downloadKnowledgeArchiveBtn.disabled = true;
+        try {
+            const knowledge = currentCharacterData.knowledge || [];
+            const response = await fetch(`${API_BASE_URL}/api/knowledge/archive`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    character: currentCharacterData,
+                    shared: knowledgeArchiveShared.checked,
+                    sources: knowledge.map(item => (typeof item === 'string'
+                        ? knowledgeSources[knowledgeKey(item)]?.filename || null
+                        : null))
+                })
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
 
-        // Examples
-        document.getElementById('post-examples').value = data.examples?.posts?.join('\n') || '';
+            const url = URL.createObjectURL(await response.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `${currentCharacterData.name || 'character'}-knowledge.zip`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Knowledge archive error:', error);
+            alert(`Could not create the knowledge archive: ${error.message}`);
+        } finally {
+            downloadKnowledgeArchiveBtn.disabled = false;
+        }
+    });
+
+    checkSavedApiKey();
+    addExampleBtn.click();
+
+    // Add these event listeners for the character drop zone
+    characterDropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        characterDropZone.classList.add('drag-over');
+    });
+
+    characterDropZone.addEventListener('dragleave', (e) => {
+        e.preventDefault();
+        characterDropZone.classList.remove('drag-over');
+    });
+
+    characterDropZone.addEventListener('drop', async (e) => {
+        e.preventDefault();
+        characterDropZone.classList.remove('drag-over');
         
-        // Adjectives
-        document.getElementById('adjectives').value = data.adjectives?.join(' ') || '';
-    }
+        const files = e.dataTransfer.files;
+        if (files.length > 0) {
+            await importCharacterFile(files[0]);
+        }
+    });
 
     // Update backup functions
     const saveBackup = (name = DEFAULT_BACKUP_NAME) => {
@@ -695,7 +1449,10 @@ document.addEventListener('DOMContentLoaded', () => {
         const backup = {
             name: name || DEFAULT_BACKUP_NAME,
             timestamp: new Date().toISOString(),
-            data: currentCharacterData
+            data: currentCharacterData,
+            knowledgeSources: Object.fromEntries(currentCharacterData.knowledge
+                .filter(text => typeof text === 'string' && knowledgeSources[text])
+                .map(text => [text, knowledgeSources[text]]))
         };
         const key = BACKUP_KEY_PREFIX + (name || DEFAULT_BACKUP_NAME).replace(/\s+/g, '_').toLowerCase();
         localStorage.setItem(key, JSON.stringify(backup));
@@ -768,6 +1525,7 @@ document.addEventListener('DOMContentLoaded', () => {
         if (backup) {
             // Store the backup data as current character
             currentCharacterData = backup.data;
+            knowledgeSources = { ...knowledgeSources, ...backup.knowledgeSources };
             
             // Populate form fields and display knowledge
             populateFormFields(currentCharacterData);
@@ -780,6 +1538,11 @@ document.addEventListener('DOMContentLoaded', () => {
             // Update debug output
             knowledgeContent.innerHTML = `<pre>${JSON.stringify(currentCharacterData, null, 2)}</pre>`;
             downloadBtn.disabled = false;
+            downloadTsBtn.disabled = false;
+            downloadYamlBtn.disabled = false;
+            downloadCardBtn.disabled = false;
+            downloadPngCardBtn.disabled = false;
+            downloadKnowledgeArchiveBtn.disabled = false;
         }
     };
 
@@ -809,11 +1572,431 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
         saveBackup(name);
+        recordRevision('manual', currentCharacterData, { prompt: `Saved backup "${name}"` });
         document.getElementById('new-backup-name').value = ''; // Clear the input after saving
     };
 
+    // Server character library
+    const setLibraryStatus = (message, className = '') => {
+        libraryStatus.textContent = message;
+        libraryStatus.className = className;
+    };
+
+    const parseTags = (text) => text.split(',')
+        .map(tag => tag.trim())
+        .filter(tag => tag.length > 0);
+
+    const createLibraryItem = (summary) => {
+        const item = document.createElement('div');
+        item.className = 'backup-item library-item';
+        item.classList.toggle('active', summary.id === currentLibraryId);
+        item.innerHTML = `
+            <span class="backup-name"></span>
+            <button class="action-button load-button" title="Load from library">
+                <i class="fa-solid fa-folder-open"></i>
+            </button>
+            <button class="action-button delete-button" title="Delete from library">
+                <i class="fa-solid fa-trash"></i>
+            </button>
+        `;
+        const name = item.querySelector('.backup-name');
+        name.textContent = summary.name || 'Unnamed character';
+        name.title = [
+            summary.tags.length ? `Tags: ${summary.tags.join(', ')}` : 'No tags',
+            `Updated: ${new Date(summary.updatedAt).toLocaleString()}`
+        ].join('\n');
+
+        item.querySelector('.load-button').addEventListener('click', () => loadFromLibrary(summary.id));
+        item.querySelector('.delete-button').addEventListener('click', () => deleteFromLibrary(summary));
+        return item;
+    };
+
+    const updateLibraryList = async () => {
+        try {
+            const params = new URLSearchParams();
+            if (librarySearch.value.trim()) {
+                params.set('search', librarySearch.value.trim());
+            }
+            const { characters } = await apiCall(`/api/characters?${params}`);
+            libraryList.innerHTML = '';
+            characters.forEach(summary => libraryList.appendChild(createLibraryItem(summary)));
+        } catch (error) {
+            console.error('Library error:', error);
+            setLibraryStatus(`Error loading library: ${error.message}`, 'error');
+        }
+    };
+
+    const loadFromLibrary = async (id) => {
+        try {
+            const record = await apiCall(`/api/characters/${encodeURIComponent(id)}`);
+            populateFormFields(record.character);
+            currentLibraryId = record.id;
+            libraryTags.value = record.tags.join(', ');
+            setLibraryStatus(`Loaded "${record.name}" from library`, 'success');
+            updateLibraryList();
+        } catch (error) {
+            console.error('Library error:', error);
+            setLibraryStatus(`Error: ${error.message}`, 'error');
+        }
+    };
+
+    const deleteFromLibrary = async (summary) => {
+        if (!confirm(`Are you sure you want to delete "${summary.name}" from the server library?`)) return;
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/api/characters/${encodeURIComponent(summary.id)}`, {
+                method: 'DELETE'
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+            if (summary.id === currentLibraryId) {
+                currentLibraryId = null;
+            }
+            setLibraryStatus(`Deleted "${summary.name}"`, 'success');
+            updateLibraryList();
+        } catch (error) {
+            console.error('Library error:', error);
+            setLibraryStatus(`Error: ${error.message}`, 'error');
+        }
+    };
+
+    // Save the form to the library, updating the entry it was loaded from if any
+    saveToLibraryBtn.addEventListener('click', async () => {
+        const currentKnowledge = currentCharacterData?.knowledge || [];
+        currentCharacterData = collectCharacterData(currentKnowledge);
+
+        if (!currentCharacterData.name) {
+            setLibraryStatus('Please enter a character name before saving', 'error');
+            return;
+        }
+
+        try {
+            const body = JSON.stringify({
+                character: currentCharacterData,
+                tags: parseTags(libraryTags.value)
+            });
+            const record = currentLibraryId
+                ? await apiCall(`/api/characters/${encodeURIComponent(currentLibraryId)}`, { method: 'PUT', body })
+                : await apiCall('/api/characters', { method: 'POST', body });
+
+            currentLibraryId = record.id;
+            recordRevision('manual', currentCharacterData, { prompt: `Saved "${record.name}" to library` });
+            setLibraryStatus(`Saved "${record.name}" to library`, 'success');
+            updateLibraryList();
+        } catch (error) {
+            console.error('Library error:', error);
+            setLibraryStatus(`Error: ${error.message}`, 'error');
+        }
+    });
+
+    let librarySearchTimeout = null;
+    librarySearch.addEventListener('input', () => {
+        clearTimeout(librarySearchTimeout);
+        librarySearchTimeout = setTimeout(updateLibraryList, 300);
+    });
+
+    // Revision history
+    const getRevisions = () => {
+        try {
+            return JSON.parse(localStorage.getItem(REVISIONS_STORAGE_KEY)) || [];
+        } catch (error) {
+            console.error('Error loading revisions:', error);
+            return [];
+        }
+    };
+
+    // Drop the oldest revisions until the history fits in localStorage
+    const storeRevisions = (revisions) => {
+        let remaining = revisions;
+        while (remaining.length) {
+            try {
+                localStorage.setItem(REVISIONS_STORAGE_KEY, JSON.stringify(remaining));
+                return;
+            } catch (error) {
+                if (remaining.length === 1) {
+                    console.error('Error saving revision:', error);
+                    return;
+                }
+                remaining = remaining.slice(1);
+            }
+        }
+    };
+
+    const recordRevision = (source, character, { prompt = '', model = '' } = {}) => {
+        if (!character) return;
+
+        const revision = {
+            id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            timestamp: new Date().toISOString(),
+            source,
+            prompt,
+            model,
+            character: JSON.parse(JSON.stringify(character))
+        };
+        storeRevisions([...getRevisions(), revision].slice(-MAX_REVISIONS));
+        updateRevisionList();
+    };
+
+    const describeRevision = (revision) => [
+        new Date(revision.timestamp).toLocaleString(),
+        revision.source,
+        revision.model
+    ].filter(Boolean).join(' · ');
+
+    const getRevisionCharacter = (id) => {
+        if (id === CURRENT_REVISION) {
+            return collectCharacterData(currentCharacterData?.knowledge || []);
+        }
+        return getRevisions().find(revision => revision.id === id)?.character || null;
+    };
+
+    const createRevisionItem = (revision) => {
+        const item = document.createElement('div');
+        item.className = 'revision-item';
+        item.innerHTML = `
+            <span class="revision-source"></span>
+            <span class="revision-details"></span>
+            <button class="action-button load-button" title="Restore this revision">
+                <i class="fa-solid fa-rotate-left"></i>
+            </button>
+        `;
+        item.querySelector('.revision-source').textContent = revision.source;
+        const details = item.querySelector('.revision-details');
+        details.textContent = [revision.model, revision.prompt].filter(Boolean).join(' · ') || revision.character.name || '';
+        details.title = [describeRevision(revision), revision.prompt].filter(Boolean).join('\n');
+
+        item.querySelector('.load-button').addEventListener('click', () => {
+            if (confirm('Restore this revision? Unsaved changes in the editor will be replaced.')) {
+                populateFormFields(revision.character);
+            }
+        });
+        return item;
+    };
+
+    const fillRevisionSelect = (select, revisions, defaultValue) => {
+        const previous = select.value;
+        select.innerHTML = '';
+        select.add(new Option('Current editor', CURRENT_REVISION));
+        revisions.forEach(revision => select.add(new Option(describeRevision(revision), revision.id)));
+        const values = Array.from(select.options).map(option => option.value);
+        select.value = values.includes(previous) ? previous : defaultValue;
+    };
+
+    const updateRevisionList = () => {
+        const revisions = getRevisions().reverse();
+        revisionList.innerHTML = '';
+        revisions.forEach(revision => revisionList.appendChild(createRevisionItem(revision)));
+
+        fillRevisionSelect(revisionFromSelect, revisions, revisions[0]?.id || CURRENT_REVISION);
+        fillRevisionSelect(revisionToSelect, revisions, CURRENT_REVISION);
+    };
+
+    const formatDiffEntry = (value) => {
+        if (typeof value === 'string') return value;
+        if (Array.isArray(value) && value.every(message => message?.content)) {
+            return value.map(message => `${message.user}: ${message.content.text || ''}`).join('\n');
+        }
+        return JSON.stringify(value);
+    };
+
+    const createDiffLine = (type, text) => {
+        const line = document.createElement('div');
+        line.className = `diff-line ${type}`;
+        line.textContent = `${type === 'added' ? '+ ' : type === 'removed' ? '- ' : '  '}${text}`;
+        return line;
+    };
+
+    // Copy one field from a revision into the editor, leaving the rest untouched
+    const applyRevisionField = (path, sourceCharacter) => {
+        const current = collectCharacterData(currentCharacterData?.knowledge || []);
+        populateFormFields(pickFields({ ...currentCharacterData, ...current }, sourceCharacter, [path]));
+    };
+
+    const renderRevisionDiff = (fromCharacter, toCharacter) => {
+        const diff = diffCharacters(fromCharacter, toCharacter);
+        revisionDiff.innerHTML = '';
+
+        if (!diff.length) {
+            revisionDiff.textContent = 'No differences';
+            return;
+        }
+
+        diff.forEach(field => {
+            const block = document.createElement('div');
+            block.className = 'diff-field';
+            block.innerHTML = `
+                <div class="diff-field-header">
+                    <span><span class="diff-label"></span> <span class="diff-counts"></span></span>
+                    <button class="action-button load-button" title="Use this version of the field in the editor">
+                        <i class="fa-solid fa-file-import"></i>
+                    </button>
+                </div>
+            `;
+            block.querySelector('.diff-label').textContent = field.label;
+
+            if (field.kind === 'value') {
+                block.appendChild(createDiffLine('removed', String(field.before)));
+                block.appendChild(createDiffLine('added', String(field.after)));
+            } else {
+                block.querySelector('.diff-counts').textContent = `+${field.added} -${field.removed}`;
+                field.ops
+                    .filter(op => op.type !== 'equal')
+                    .forEach(op => block.appendChild(createDiffLine(op.type, formatDiffEntry(op.value))));
+                const unchanged = field.ops.length - field.added - field.removed;
+                if (unchanged) {
+                    block.appendChild(createDiffLine('equal', `${unchanged} unchanged`));
+                }
+            }
+
+            block.querySelector('.load-button').addEventListener('click', () => {
+                applyRevisionField(field.path, toCharacter);
+            });
+            revisionDiff.appendChild(block);
+        });
+    };
+
+    compareRevisionsBtn.addEventListener('click', () => {
+        const fromCharacter = getRevisionCharacter(revisionFromSelect.value);
+        const toCharacter = getRevisionCharacter(revisionToSelect.value);
+        if (!fromCharacter || !toCharacter) {
+            revisionDiff.textContent = 'Select two revisions to compare';
+            return;
+        }
+        renderRevisionDiff(fromCharacter, toCharacter);
+    });
+
+    // Refinement review: show the refined character as a change set against
+    // the character that was sent, and apply only what is accepted
+    const updateFieldToggle = (block) => {
+        const toggle = block.querySelector('.review-field-toggle input');
+        const lines = Array.from(block.querySelectorAll('.review-line input'));
+        if (!lines.length) return;
+        const checked = lines.filter(input => input.checked).length;
+        toggle.checked = checked === lines.length;
+        toggle.indeterminate = checked > 0 && checked < lines.length;
+    };
+
+    const createReviewLine = (type, text, index) => {
+        const line = document.createElement('label');
+        line.className = 'review-line';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.dataset.index = index;
+        line.appendChild(checkbox);
+        line.appendChild(createDiffLine(type, text));
+        return line;
+    };
+
+    const createReviewField = (field) => {
+        const block = document.createElement('div');
+        block.className = 'diff-field';
+        block.dataset.path = field.path;
+        block.innerHTML = `
+            <div class="diff-field-header">
+                <label class="review-field-toggle">
+                    <input type="checkbox" checked>
+                    <span class="diff-label"></span>
+                    <span class="diff-counts"></span>
+                </label>
+            </div>
+        `;
+        block.querySelector('.diff-label').textContent = field.label;
+
+        if (field.kind === 'value') {
+            block.appendChild(createDiffLine('removed', String(field.before)));
+            block.appendChild(createDiffLine('added', String(field.after)));
+        } else {
+            block.querySelector('.diff-counts').textContent = `+${field.added} -${field.removed}`;
+            field.ops.forEach((op, index) => {
+                if (op.type !== 'equal') {
+                    block.appendChild(createReviewLine(op.type, formatDiffEntry(op.value), index));
+                }
+            });
+        }
+
+        block.querySelector('.review-field-toggle input').addEventListener('change', (e) => {
+            block.querySelectorAll('.review-line input').forEach(input => {
+                input.checked = e.target.checked;
+            });
+        });
+        block.querySelectorAll('.review-line input').forEach(input => {
+            input.addEventListener('change', () => updateFieldToggle(block));
+        });
+        return block;
+    };
+
+    // Returns false when the refinement changed nothing that can be reviewed
+    const showRefinementReview = (base, proposed, meta) => {
+        const diff = diffCharacters(base, proposed);
+        if (!diff.length) {
+            hideRefinementReview();
+            return false;
+        }
+
+        pendingRefinement = { base, diff, meta };
+        refineReviewChanges.innerHTML = '';
+        diff.forEach(field => refineReviewChanges.appendChild(createReviewField(field)));
+        refineReviewSummary.textContent = `${diff.length} section(s) changed. Untick anything you do not want to keep.`;
+        refineReview.style.display = '';
+        refineReview.classList.remove('collapsed');
+        refineReview.scrollIntoView({ behavior: 'smooth' });
+        return true;
+    };
+
+    const hideRefinementReview = () => {
+        pendingRefinement = null;
+        refineReview.style.display = 'none';
+        refineReviewChanges.innerHTML = '';
+    };
+
+    const collectReviewDecisions = () => {
+        const decisions = {};
+        refineReviewChanges.querySelectorAll('.diff-field').forEach(block => {
+            const lines = Array.from(block.querySelectorAll('.review-line input'));
+            decisions[block.dataset.path] = lines.length
+                ? lines.filter(input => input.checked).map(input => Number(input.dataset.index))
+                : block.querySelector('.review-field-toggle input').checked;
+        });
+        return decisions;
+    };
+
+    const setAllReviewChoices = (checked) => {
+        refineReviewChanges.querySelectorAll('input[type="checkbox"]').forEach(input => {
+            input.checked = checked;
+            input.indeterminate = false;
+        });
+    };
+
+    document.getElementById('review-accept-all').addEventListener('click', () => setAllReviewChoices(true));
+    document.getElementById('review-reject-all').addEventListener('click', () => setAllReviewChoices(false));
+
+    document.getElementById('review-discard').addEventListener('click', () => {
+        hideRefinementReview();
+        promptStatus.textContent = 'Refinement discarded';
+        promptStatus.className = '';
+    });
+
+    document.getElementById('review-apply').addEventListener('click', () => {
+        if (!pendingRefinement) return;
+
+        // The form may have been edited while the review was open; keep those edits
+        const { base, diff, meta } = pendingRefinement;
+        const current = collectCharacterData(currentCharacterData?.knowledge || []);
+        const result = applyChangesOnto(current, base, diff, collectReviewDecisions());
+        populateFormFields(result);
+        recordRevision('refine', result, meta);
+        hideRefinementReview();
+        promptStatus.textContent = 'Refinement applied';
+        promptStatus.className = 'success';
+    });
+
     // Initialize backup list
     updateBackupList();
+    updateLibraryList();
+    updateRevisionList();
 
     // Set up automatic backup
     setInterval(saveBackup, BACKUP_INTERVAL);
@@ -837,6 +2020,91 @@ document.addEventListener('DOMContentLoaded', () => {
     // Initialize with empty entries
     adjectivesContainer.appendChild(createAdjectiveEntry());
 
+    // Knowledge files are processed as a background job. Its id is kept in
+    // localStorage so a reload can pick the result up when it is ready
+    const PENDING_KNOWLEDGE_JOB_KEY = 'pending_knowledge_job';
+    const JOB_POLL_INTERVAL = 1000;
+    let activeKnowledgeJobId = null;
+
+    // Poll a job until it finishes and resolve with its result
+    const waitForJob = async (id, onProgress) => {
+        for (;;) {
+            const job = await apiCall(`/api/jobs/${id}`);
+            if (job.status === 'completed') return job.result;
+            if (job.status === 'cancelled') throw new Error('Cancelled');
+            if (job.status === 'failed') throw new Error(job.error || 'Job failed');
+            onProgress?.(job.progress);
+            await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+        }
+    };
+
+    const addProcessedKnowledge = (knowledge, entries = []) => {
+        rememberKnowledgeSources(entries);
+
+        // Get existing knowledge
+        const existingKnowledge = currentCharacterData?.knowledge || [];
+
+        // Combine existing and new knowledge
+        const combinedKnowledge = [...existingKnowledge, ...knowledge];
+
+        // Update only the knowledge display
+        updateKnowledgeDisplay(combinedKnowledge);
+
+        // Update the currentCharacterData with new knowledge
+        if (currentCharacterData) {
+            currentCharacterData.knowledge = combinedKnowledge;
+        } else {
+            currentCharacterData = { knowledge: combinedKnowledge };
+        }
+    };
+
+    const followKnowledgeJob = async (jobId) => {
+        activeKnowledgeJobId = jobId;
+        localStorage.setItem(PENDING_KNOWLEDGE_JOB_KEY, jobId);
+        processKnowledgeBtn.disabled = true;
+        cancelProcessingBtn.style.display = '';
+
+        try {
+            const result = await waitForJob(jobId, progress => {
+                if (progress?.totalChunks) {
+                    processingStatus.textContent = `Distilling knowledge... (${progress.distilledChunks} of ${progress.totalChunks} chunks)`;
+                } else if (progress?.totalFiles) {
+                    processingStatus.textContent = `Processing knowledge files... (${progress.processedFiles} of ${progress.totalFiles})`;
+                }
+            });
+            console.log('Processed data:', result);
+            addProcessedKnowledge(result.knowledge || [], result.entries);
+
+            const duplicates = await findKnowledgeDuplicates().catch(error => {
+                console.error('Duplicate check error:', error);
+                return 0;
+            });
+            const duplicateNote = duplicates ? ` ${duplicates} possible duplicate${duplicates === 1 ? '' : 's'} to review.` : '';
+
+            const failures = result.errors || [];
+            if (failures.length) {
+                processingStatus.textContent = `Some files could not be used: ${failures
+                    .map(({ filename, error }) => `${filename} (${error})`)
+                    .join('; ')}.${duplicateNote}`;
+                processingStatus.className = 'error';
+            } else {
+                processingStatus.textContent = `Knowledge files processed successfully.${duplicateNote}`;
+                processingStatus.className = 'success';
+            }
+        } catch (error) {
+            console.error('Processing error:', error);
+            processingStatus.textContent = error.message === 'Cancelled'
+                ? 'Knowledge processing cancelled'
+                : `Error processing knowledge: ${error.message}`;
+            processingStatus.className = 'error';
+        } finally {
+            activeKnowledgeJobId = null;
+            localStorage.removeItem(PENDING_KNOWLEDGE_JOB_KEY);
+            processKnowledgeBtn.disabled = false;
+            cancelProcessingBtn.style.display = 'none';
+        }
+    };
+
     // Add process knowledge button handler
     processKnowledgeBtn.addEventListener('click', async () => {
         if (collectedFiles.length === 0) {
@@ -845,6 +2113,16 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
+        const distill = document.getElementById('distill-knowledge').checked;
+        if (distill) {
+            const providerError = modelSelect.value ? checkProviderSettings() : 'Please select a model to distill with';
+            if (providerError) {
+                processingStatus.textContent = providerError;
+                processingStatus.className = 'error';
+                return;
+            }
+        }
+
         processingStatus.textContent = 'Processing knowledge files...';
         processingStatus.className = '';
         processKnowledgeBtn.disabled = true;
@@ -855,66 +2133,110 @@ document.addEventListener('DOMContentLoaded', () => {
                 console.log('Appending file:', file.name);
                 formData.append('files', file);
             });
+            formData.append('chunkSize', document.getElementById('chunk-size').value);
+            formData.append('chunkOverlap', document.getElementById('chunk-overlap').value);
+            formData.append('fields', document.getElementById('knowledge-fields').value);
+
+            const headers = {};
+            if (distill) {
+                const { provider, baseUrl } = getProviderRequestFields();
+                const { name, bio, adjectives, topics } = collectCharacterData(currentCharacterData?.knowledge || []);
+                formData.append('distill', 'true');
+                formData.append('model', modelSelect.value);
+                formData.append('provider', provider);
+                if (baseUrl) formData.append('baseUrl', baseUrl);
+                formData.append('maxFacts', document.getElementById('distill-max-facts').value);
+                formData.append('character', JSON.stringify({ name, bio, adjectives, topics }));
+
+                const apiKey = getProviderApiKey();
+                if (apiKey) headers['X-API-Key'] = apiKey;
+            }
 
-            const response = await fetch(`${API_BASE_URL}/api/process-files`, {
+            const response = await fetch(`${API_BASE_URL}/api/process-files?async=true`, {
                 method: 'POST',
+                headers,
                 body: formData
             });
 
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
             }
 
-            const data = await response.json();
-            console.log('Processed data:', data);
-
-            // Get existing knowledge
-            const existingKnowledge = currentCharacterData?.knowledge || [];
-
-            // Combine existing and new knowledge
-            const combinedKnowledge = [...existingKnowledge, ...(data.knowledge || [])];
-
-            // Update only the knowledge display
-            updateKnowledgeDisplay(combinedKnowledge);
-            
-            // Update the currentCharacterData with new knowledge
-            if (currentCharacterData) {
-                currentCharacterData.knowledge = combinedKnowledge;
-            } else {
-                currentCharacterData = { knowledge: combinedKnowledge };
-            }
+            const job = await response.json();
 
-            // Clear processed files
+            // The server has the files now
             collectedFiles = [];
             updateFileList();
 
-            processingStatus.textContent = 'Knowledge files processed successfully';
-            processingStatus.className = 'success';
+            await followKnowledgeJob(job.id);
         } catch (error) {
             console.error('Processing error:', error);
             processingStatus.textContent = `Error processing knowledge: ${error.message}`;
             processingStatus.className = 'error';
-        } finally {
             processKnowledgeBtn.disabled = false;
         }
     });
 
-    const createKnowledgeEntry = (value = '') => {
+    cancelProcessingBtn.addEventListener('click', async () => {
+        if (!activeKnowledgeJobId) return;
+        try {
+            await apiCall(`/api/jobs/${activeKnowledgeJobId}/cancel`, { method: 'POST' });
+        } catch (error) {
+            console.error('Cancel processing error:', error);
+        }
+    });
+
+    // Pick up a knowledge job that was still running when the page was closed
+    const pendingKnowledgeJob = localStorage.getItem(PENDING_KNOWLEDGE_JOB_KEY);
+    if (pendingKnowledgeJob) {
+        processingStatus.textContent = 'Resuming knowledge processing...';
+        processingStatus.className = '';
+        followKnowledgeJob(pendingKnowledgeJob);
+    }
+
+    const describeKnowledgeSource = ({ filename, section, ingestedAt }) => [
+        filename,
+        section,
+        ingestedAt && new Date(ingestedAt).toLocaleString()
+    ].filter(Boolean).join(' · ');
+
+    // source is { filename, section, ingestedAt } for processed files, absent for manual entries
+    const createKnowledgeEntry = (value = '', source = null) => {
         const entry = document.createElement('div');
         entry.className = 'knowledge-entry';
         entry.innerHTML = `
             <span class="entry-number"></span>
-            <input type="text" class="knowledge-text" value="${value}" placeholder="Enter knowledge...">
+            <div class="knowledge-body">
+                <textarea class="knowledge-text" rows="1" placeholder="Enter knowledge..."></textarea>
+                <div class="knowledge-source"></div>
+            </div>
             <button class="action-button delete-button" title="Remove Knowledge">×</button>
         `;
+        entry.knowledgeSource = source;
+        // Chunks can span several lines (headings, lists)
+        const textarea = entry.querySelector('.knowledge-text');
+        textarea.value = value;
+        textarea.rows = Math.min(Math.max(value.split('\n').length, 1), 8);
+
+        const sourceLabel = entry.querySelector('.knowledge-source');
+        if (source) {
+            sourceLabel.textContent = describeKnowledgeSource(source);
+            sourceLabel.title = source.chunk
+                ? `${sourceLabel.textContent}\n\nDistilled from:\n${source.chunk}`
+                : sourceLabel.textContent;
+        } else {
+            sourceLabel.remove();
+        }
         
         entry.querySelector('.delete-button').addEventListener('click', () => {
             entry.remove();
             updateKnowledgeNumbers();
             updateCurrentKnowledge();
+            updateKnowledgeSourceFilter();
         });
         
-        entry.querySelector('input').addEventListener('change', updateCurrentKnowledge);
+        textarea.addEventListener('change', updateCurrentKnowledge);
         return entry;
     };
 
@@ -925,16 +2247,215 @@ document.addEventListener('DOMContentLoaded', () => {
     };
 
     const updateCurrentKnowledge = () => {
+        // Entries keep their source when edited, so re-key sources by the current text
+        knowledgeEntries.querySelectorAll('.knowledge-entry').forEach(entry => {
+            const text = entry.querySelector('.knowledge-text').value;
+            if (entry.knowledgeSource && text.trim()) {
+                knowledgeSources[knowledgeKey(text)] = entry.knowledgeSource;
+            }
+        });
+
         if (currentCharacterData) {
             const knowledgeLines = Array.from(knowledgeEntries.querySelectorAll('.knowledge-text'))
                 .map(input => input.value.trim())
                 .filter(text => text.length > 0)
                 .map(text => text.endsWith('.') ? text : text + '.');
             
-            currentCharacterData.knowledge = knowledgeLines;
+            currentCharacterData.knowledge = [...knowledgeLines, ...knowledgeReferences];
         }
     };
 
+    // Filter values: '' for everything, MANUAL_KNOWLEDGE_SOURCE, or a filename
+    const knowledgeSourceValue = (entry) => entry.knowledgeSource?.filename || MANUAL_KNOWLEDGE_SOURCE;
+
+    const applyKnowledgeSourceFilter = () => {
+        const selected = knowledgeSourceFilter.value;
+        knowledgeEntries.querySelectorAll('.knowledge-entry').forEach(entry => {
+            entry.style.display = !selected || knowledgeSourceValue(entry) === selected ? '' : 'none';
+        });
+        removeKnowledgeSourceBtn.disabled = !selected;
+    };
+
+    const updateKnowledgeSourceFilter = () => {
+        const counts = new Map();
+        knowledgeEntries.querySelectorAll('.knowledge-entry').forEach(entry => {
+            const value = knowledgeSourceValue(entry);
+            counts.set(value, (counts.get(value) || 0) + 1);
+        });
+
+        const selected = knowledgeSourceFilter.value;
+        knowledgeSourceFilter.innerHTML = '<option value="">All sources</option>';
+        const values = [...counts.keys()].sort((a, b) => (
+            a === MANUAL_KNOWLEDGE_SOURCE ? -1 : b === MANUAL_KNOWLEDGE_SOURCE ? 1 : a.localeCompare(b)
+        ));
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${value === MANUAL_KNOWLEDGE_SOURCE ? 'Manual entries' : value} (${counts.get(value)})`;
+            knowledgeSourceFilter.appendChild(option);
+        });
+        knowledgeSourceFilter.value = counts.has(selected) ? selected : '';
+        applyKnowledgeSourceFilter();
+    };
+
+    knowledgeSourceFilter.addEventListener('change', applyKnowledgeSourceFilter);
+
+    removeKnowledgeSourceBtn.addEventListener('click', () => {
+        const selected = knowledgeSourceFilter.value;
+        if (!selected) return;
+
+        const label = selected === MANUAL_KNOWLEDGE_SOURCE ? 'manual entries' : `entries from "${selected}"`;
+        if (!confirm(`Remove all ${label}?`)) return;
+
+        knowledgeEntries.querySelectorAll('.knowledge-entry').forEach(entry => {
+            if (knowledgeSourceValue(entry) === selected) entry.remove();
+        });
+        if (!knowledgeEntries.querySelector('.knowledge-entry')) {
+            knowledgeEntries.innerHTML = '<div class="no-knowledge">No knowledge entries yet</div>';
+        }
+        updateKnowledgeNumbers();
+        updateCurrentKnowledge();
+        updateKnowledgeSourceFilter();
+    });
+
+    const DUPLICATE_KIND_LABELS = {
+        exact: 'Exact copies',
+        normalized: 'Same apart from spacing, case or punctuation',
+        near: 'Near duplicates'
+    };
+
+    const hideDuplicateReview = () => {
+        duplicateGroups = [];
+        duplicateReview.style.display = 'none';
+        duplicateGroupsContainer.innerHTML = '';
+    };
+
+    // groups come from /api/knowledge/dedupe; entries are the elements its indexes refer to
+    const showDuplicateReview = (groups, entries) => {
+        duplicateGroups = groups.map(group => ({ ...group, elements: group.indexes.map(index => entries[index]) }));
+        duplicateGroupsContainer.innerHTML = '';
+
+        duplicateGroups.forEach((group, groupIndex) => {
+            const container = document.createElement('div');
+            container.className = 'duplicate-group';
+            container.innerHTML = '<div class="duplicate-group-title"></div>';
+            container.querySelector('.duplicate-group-title').textContent = group.kind === 'near'
+                ? `${DUPLICATE_KIND_LABELS.near} (${Math.round(group.similarity * 100)}% similar)`
+                : DUPLICATE_KIND_LABELS[group.kind];
+
+            const addOption = (value, label) => {
+                const option = document.createElement('label');
+                option.className = 'duplicate-option';
+                option.innerHTML = '<input type="radio"><span></span>';
+                const radio = option.querySelector('input');
+                radio.name = `duplicate-group-${groupIndex}`;
+                radio.value = value;
+                radio.checked = value === '0';
+                option.querySelector('span').textContent = label;
+                container.appendChild(option);
+            };
+            // The earliest copy is kept unless another is chosen
+            group.elements.forEach((element, index) => {
+                const number = element.querySelector('.entry-number').textContent;
+                addOption(String(index), `Keep ${number} ${element.querySelector('.knowledge-text').value}`);
+            });
+            addOption('all', 'Keep all');
+
+            duplicateGroupsContainer.appendChild(container);
+        });
+
+        const duplicates = groups.reduce((total, group) => total + group.indexes.length - 1, 0);
+        duplicateSummary.textContent = `${groups.length} group${groups.length === 1 ? '' : 's'} of duplicates, ` +
+            `${duplicates} entr${duplicates === 1 ? 'y' : 'ies'} to remove. Choose which entry to keep in each group.`;
+        duplicateReview.style.display = '';
+    };
+
+    // Checks the current entries and opens the review when there are duplicates.
+    // Resolves to the number of entries that would be removed
+    const findKnowledgeDuplicates = async () => {
+        const entries = Array.from(knowledgeEntries.querySelectorAll('.knowledge-entry'));
+        const { groups, duplicates } = await apiCall('/api/knowledge/dedupe', {
+            method: 'POST',
+            body: JSON.stringify({ knowledge: entries.map(entry => entry.querySelector('.knowledge-text').value) })
+        });
+
+        if (groups.length) {
+            showDuplicateReview(groups, entries);
+        } else {
+            hideDuplicateReview();
+        }
+        return duplicates;
+    };
+
+    findDuplicatesBtn.addEventListener('click', async () => {
+        findDuplicatesBtn.disabled = true;
+        try {
+            const duplicates = await findKnowledgeDuplicates();
+            processingStatus.textContent = duplicates ? `Found ${duplicates} possible duplicate${duplicates === 1 ? '' : 's'}` : 'No duplicates found';
+            processingStatus.className = 'success';
+        } catch (error) {
+            console.error('Duplicate check error:', error);
+            processingStatus.textContent = `Error checking for duplicates: ${error.message}`;
+            processingStatus.className = 'error';
+        } finally {
+            findDuplicatesBtn.disabled = false;
+        }
+    });
+
+    importKnowledgeArchiveBtn.addEventListener('click', () => knowledgeArchiveInput.click());
+
+    // Knowledge files from an archive are added as entries, with the file as their source
+    knowledgeArchiveInput.addEventListener('change', async () => {
+        const [file] = knowledgeArchiveInput.files;
+        if (!file) return;
+
+        importKnowledgeArchiveBtn.disabled = true;
+        processingStatus.textContent = `Reading ${file.name}...`;
+        processingStatus.className = '';
+        try {
+            const formData = new FormData();
+            formData.append('file', file);
+            const response = await fetch(`${API_BASE_URL}/api/knowledge/archive/import`, { method: 'POST', body: formData });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.error || `HTTP error! status: ${response.status}`);
+            }
+
+            addProcessedKnowledge(result.knowledge, result.entries);
+            const count = result.knowledge.length;
+            processingStatus.textContent = `Imported ${count} knowledge entr${count === 1 ? 'y' : 'ies'} from ${file.name}.` +
+                (result.missing.length ? ` Missing from the archive: ${result.missing.join(', ')}.` : '');
+            processingStatus.className = result.missing.length ? 'error' : 'success';
+        } catch (error) {
+            console.error('Knowledge archive import error:', error);
+            processingStatus.textContent = `Error importing knowledge archive: ${error.message}`;
+            processingStatus.className = 'error';
+        } finally {
+            knowledgeArchiveInput.value = '';
+            importKnowledgeArchiveBtn.disabled = false;
+        }
+    });
+
+    document.getElementById('duplicates-cancel').addEventListener('click', hideDuplicateReview);
+
+    document.getElementById('duplicates-apply').addEventListener('click', () => {
+        duplicateGroups.forEach((group, groupIndex) => {
+            const choice = duplicateGroupsContainer.querySelector(`input[name="duplicate-group-${groupIndex}"]:checked`)?.value;
+            if (choice === undefined || choice === 'all') return;
+            group.elements.forEach((element, index) => {
+                if (String(index) !== choice) element.remove();
+            });
+        });
+
+        if (!knowledgeEntries.querySelector('.knowledge-entry')) {
+            knowledgeEntries.innerHTML = '<div class="no-knowledge">No knowledge entries yet</div>';
+        }
+        updateKnowledgeNumbers();
+        updateCurrentKnowledge();
+        updateKnowledgeSourceFilter();
+        hideDuplicateReview();
+    });
+
     // Add knowledge button handler
     addKnowledgeBtn.addEventListener('click', () => {
         if (knowledgeEntries.querySelector('.no-knowledge')) {
@@ -943,7 +2464,8 @@ document.addEventListener('DOMContentLoaded', () => {
         const entry = createKnowledgeEntry();
         knowledgeEntries.appendChild(entry);
         updateKnowledgeNumbers();
-        entry.querySelector('input').focus();
+        updateKnowledgeSourceFilter();
+        entry.querySelector('.knowledge-text').focus();
     });
 
     // Initialize client toggles
@@ -1004,11 +2526,336 @@ document.addEventListener('DOMContentLoaded', () => {
     const refineCharacterBtn = document.getElementById('refine-character');
     const refineStatus = document.getElementById('refine-status');
 
-    // Add this event listener with the other initialization code
-    refineCharacterBtn.addEventListener('click', async () => {
+    // "Generate more": ask for new entries for one field and append them to
+    // what is already in the form
+    const expandCountInput = document.getElementById('expand-count');
+    const expandSectionButtons = document.querySelectorAll('.expand-section-button');
+    const EXPAND_TEXTAREAS = {
+        bio: bioInput,
+        lore: loreInput,
+        topics: topicsInput,
+        'style.all': styleAllInput,
+        'style.chat': styleChatInput,
+        'style.post': stylePostInput,
+        postExamples: postExamplesInput
+    };
+
+    const appendExpandedItems = (field, items) => {
+        if (field === 'messageExamples') {
+            // Drop the empty placeholder example before appending
+            messageExamplesContainer.querySelectorAll('.message-example').forEach(example => {
+                if (isEmptyMessageExample(example)) example.remove();
+            });
+            items.forEach(example => messageExamplesContainer.appendChild(createMessageExample(example)));
+            return;
+        }
+
+        if (field === 'adjectives') {
+            adjectivesContainer.querySelectorAll('.adjective-entry').forEach(entry => {
+                if (!entry.querySelector('.adjective-name').value.trim()) entry.remove();
+            });
+            items.forEach(adjective => adjectivesContainer.appendChild(createAdjectiveEntry(adjective)));
+            return;
+        }
+
+        const textarea = EXPAND_TEXTAREAS[field];
+        textarea.value = [textarea.value.trim(), ...items].filter(Boolean).join('\n');
+    };
+
+    expandSectionButtons.forEach(button => {
+        button.addEventListener('click', async () => {
+            const field = button.dataset.expandField;
+            const count = parseInt(expandCountInput.value, 10);
+            const selectedModel = modelSelect.value;
+            const providerError = checkProviderSettings();
+
+            if (!selectedModel) {
+                promptStatus.textContent = 'Please select a model';
+                promptStatus.className = 'error';
+                return;
+            }
+
+            if (providerError) {
+                promptStatus.textContent = providerError;
+                promptStatus.className = 'error';
+                return;
+            }
+
+            if (!Number.isInteger(count) || count < 1 || count > 50) {
+                promptStatus.textContent = 'Enter between 1 and 50 entries to generate';
+                promptStatus.className = 'error';
+                return;
+            }
+
+            const apiKey = getProviderApiKey();
+            button.disabled = true;
+            promptStatus.textContent = `Generating ${count} more ${field} entries...`;
+            promptStatus.className = '';
+
+            try {
+                const data = await apiCall('/api/expand-section', {
+                    method: 'POST',
+                    headers: apiKey ? { 'X-API-Key': apiKey } : {},
+                    body: JSON.stringify({
+                        model: selectedModel,
+                        currentCharacter: collectCharacterData(currentCharacterData?.knowledge || []),
+                        field,
+                        count,
+                        ...getProviderRequestFields()
+                    })
+                });
+
+                appendExpandedItems(field, data.items);
+                promptStatus.textContent = data.items.length
+                    ? `Added ${data.items.length} new ${field} entr${data.items.length === 1 ? 'y' : 'ies'}`
+                    : 'No new entries; everything the model suggested was already there';
+                promptStatus.className = data.items.length ? 'success' : 'error';
+            } catch (error) {
+                console.error('Expand section error:', error);
+                promptStatus.textContent = `Error: ${error.message}`;
+                promptStatus.className = 'error';
+            } finally {
+                button.disabled = false;
+            }
+        });
+    });
+
+    // Chat logs: list who speaks in the uploaded exports, then mine the chosen
+    // participant's messages into examples (and, with a model, style rules)
+    const chatLogFilesInput = document.getElementById('chat-log-files');
+    const chatParticipantSelect = document.getElementById('chat-participant');
+    const chatMaxExamplesInput = document.getElementById('chat-max-examples');
+    const mineChatLogsBtn = document.getElementById('mine-chat-logs');
+    const chatLogStatus = document.getElementById('chat-log-status');
+
+    const postChatLogs = async (endpoint, fields, headers = {}) => {
+        const formData = new FormData();
+        [...chatLogFilesInput.files].forEach(file => formData.append('files', file));
+        Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+
+        const response = await fetch(`${API_BASE_URL}${endpoint}`, { method: 'POST', headers, body: formData });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        return data;
+    };
+
+    const describeChatLogErrors = (errors = []) => (errors.length
+        ? ` Could not use: ${errors.map(({ filename, error }) => `${filename} (${error})`).join('; ')}.`
+        : '');
+
+    chatLogFilesInput.addEventListener('change', async () => {
+        chatParticipantSelect.innerHTML = '<option value="">Choose chat exports first</option>';
+        chatParticipantSelect.disabled = true;
+        mineChatLogsBtn.disabled = true;
+        if (chatLogFilesInput.files.length === 0) return;
+
+        chatLogStatus.textContent = 'Reading chat logs...';
+        chatLogStatus.className = '';
+
+        try {
+            const data = await postChatLogs('/api/chat-logs/participants', {});
+            chatParticipantSelect.innerHTML = '';
+            data.participants.forEach(({ name, messages }) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = `${name} (${messages} message${messages === 1 ? '' : 's'})`;
+                chatParticipantSelect.appendChild(option);
+            });
+            // Preselect whoever matches the character being edited
+            const current = characterName.value.trim().toLowerCase();
+            const match = data.participants.find(({ name }) => name.toLowerCase() === current);
+            if (match) chatParticipantSelect.value = match.name;
+
+            chatParticipantSelect.disabled = false;
+            mineChatLogsBtn.disabled = false;
+            const messageCount = data.files.reduce((total, file) => total + file.messages, 0);
+            chatLogStatus.textContent = `Found ${messageCount} messages from ${data.participants.length} participants.${describeChatLogErrors(data.errors)}`;
+            chatLogStatus.className = data.errors.length ? 'error' : 'success';
+        } catch (error) {
+            console.error('Chat log error:', error);
+            chatLogStatus.textContent = `Error: ${error.message}`;
+            chatLogStatus.className = 'error';
+        }
+    });
+
+    mineChatLogsBtn.addEventListener('click', async () => {
+        const participant = chatParticipantSelect.value;
+        const count = parseInt(chatMaxExamplesInput.value, 10);
+        const selectedModel = modelSelect.value;
+
+        if (!participant) {
+            chatLogStatus.textContent = 'Please choose who the character is';
+            chatLogStatus.className = 'error';
+            return;
+        }
+
+        if (!Number.isInteger(count) || count < 1 || count > 50) {
+            chatLogStatus.textContent = 'Enter between 1 and 50 examples to add';
+            chatLogStatus.className = 'error';
+            return;
+        }
+
+        const fields = {
+            participant,
+            characterName: characterName.value.trim() || participant,
+            maxExamples: count,
+            maxPosts: count
+        };
+        const headers = {};
+        if (selectedModel) {
+            const providerError = checkProviderSettings();
+            if (providerError) {
+                chatLogStatus.textContent = providerError;
+                chatLogStatus.className = 'error';
+                return;
+            }
+            const { provider, baseUrl } = getProviderRequestFields();
+            Object.assign(fields, { model: selectedModel, provider }, baseUrl ? { baseUrl } : {});
+            const apiKey = getProviderApiKey();
+            if (apiKey) headers['X-API-Key'] = apiKey;
+        }
+
+        mineChatLogsBtn.disabled = true;
+        chatLogStatus.textContent = selectedModel ? 'Mining examples and summarizing style...' : 'Mining examples...';
+        chatLogStatus.className = '';
+
+        try {
+            const data = await postChatLogs('/api/chat-logs/examples', fields, headers);
+
+            appendExpandedItems('messageExamples', data.messageExamples);
+            appendExpandedItems('postExamples', data.postExamples);
+            if (data.style) {
+                appendExpandedItems('style.all', data.style.all);
+                appendExpandedItems('style.chat', data.style.chat);
+                appendExpandedItems('style.post', data.style.post);
+            }
+            appendExpandedItems('adjectives', data.adjectives);
+
+            const styleNote = data.style
+                ? ', plus style rules and adjectives'
+                : '; select a model to also summarize their style';
+            chatLogStatus.textContent = `Added ${data.messageExamples.length} message examples and ${data.postExamples.length} post examples${styleNote}.${describeChatLogErrors(data.errors)}`;
+            chatLogStatus.className = data.errors.length ? 'error' : 'success';
+        } catch (error) {
+            console.error('Chat log error:', error);
+            chatLogStatus.textContent = `Error: ${error.message}`;
+            chatLogStatus.className = 'error';
+        } finally {
+            mineChatLogsBtn.disabled = false;
+        }
+    });
+
+    // Batch generation: upload a prompts file, then poll until the archive is ready
+    const batchFileInput = document.getElementById('batch-file');
+    const batchConcurrencyInput = document.getElementById('batch-concurrency');
+    const startBatchBtn = document.getElementById('start-batch');
+    const downloadBatchLink = document.getElementById('download-batch');
+    const batchStatus = document.getElementById('batch-status');
+    const batchProgress = document.getElementById('batch-progress');
+    const batchFailures = document.getElementById('batch-failures');
+    const BATCH_POLL_INTERVAL = 2000;
+
+    const showBatchProgress = (progress) => {
+        batchProgress.style.display = '';
+        batchProgress.max = progress.total;
+        batchProgress.value = progress.completed;
+        batchStatus.textContent = `${progress.completed} of ${progress.total} done` +
+            (progress.failed ? ` (${progress.failed} failed)` : '');
+        batchStatus.className = progress.status === 'completed' && !progress.failed ? 'success' : '';
+
+        batchFailures.innerHTML = '';
+        progress.failures.forEach(failure => {
+            const item = document.createElement('li');
+            item.textContent = `Row ${failure.row}: ${failure.error}`;
+            batchFailures.appendChild(item);
+        });
+    };
+
+    const pollBatch = async (id) => {
+        try {
+            const progress = await apiCall(`/api/batch-generate/${id}`);
+            showBatchProgress(progress);
+
+            if (progress.status === 'completed') {
+                downloadBatchLink.href = `${API_BASE_URL}/api/batch-generate/${id}/archive`;
+                downloadBatchLink.style.display = '';
+                startBatchBtn.disabled = false;
+                return;
+            }
+            setTimeout(() => pollBatch(id), BATCH_POLL_INTERVAL);
+        } catch (error) {
+            console.error('Batch progress error:', error);
+            batchStatus.textContent = `Error: ${error.message}`;
+            batchStatus.className = 'error';
+            startBatchBtn.disabled = false;
+        }
+    };
+
+    startBatchBtn.addEventListener('click', async () => {
+        const file = batchFileInput.files[0];
+        const providerError = checkProviderSettings();
+
+        if (!file) {
+            batchStatus.textContent = 'Please choose a CSV or JSONL file of prompts';
+            batchStatus.className = 'error';
+            return;
+        }
+
+        if (providerError) {
+            batchStatus.textContent = providerError;
+            batchStatus.className = 'error';
+            return;
+        }
+
+        const { provider, baseUrl } = getProviderRequestFields();
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('model', modelSelect.value);
+        formData.append('provider', provider);
+        formData.append('concurrency', batchConcurrencyInput.value);
+        if (baseUrl) {
+            formData.append('baseUrl', baseUrl);
+        }
+
+        const apiKey = getProviderApiKey();
+        startBatchBtn.disabled = true;
+        downloadBatchLink.style.display = 'none';
+        batchFailures.innerHTML = '';
+        batchStatus.textContent = 'Starting batch...';
+        batchStatus.className = '';
+
+        try {
+            // Let the browser set the multipart boundary
+            const response = await fetch(`${API_BASE_URL}/api/batch-generate`, {
+                method: 'POST',
+                headers: apiKey ? { 'X-API-Key': apiKey } : {},
+                body: formData
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+
+            showBatchProgress(data);
+            setTimeout(() => pollBatch(data.id), BATCH_POLL_INTERVAL);
+        } catch (error) {
+            console.error('Batch start error:', error);
+            batchStatus.textContent = `Error: ${error.message}`;
+            batchStatus.className = 'error';
+            startBatchBtn.disabled = false;
+        }
+    });
+
+    const refineSectionButtons = document.querySelectorAll('.refine-section-button');
+
+    // Refines the whole character, or only the given field paths when the
+    // request comes from a section's "refine this" button
+    const runRefinement = async (fields, label = 'character') => {
         const refinePrompt = characterPrompt.value.trim();
         const selectedModel = modelSelect.value;
-        const apiKey = localStorage.getItem(API_KEY_STORAGE_KEY);
+        const providerError = checkProviderSettings();
 
         if (!currentCharacterData) {
             promptStatus.textContent = 'No character data to refine. Please generate or load a character first.';
@@ -1028,41 +2875,58 @@ document.addEventListener('DOMContentLoaded', () => {
             return;
         }
 
-        if (!apiKey) {
-            promptStatus.textContent = 'Please set your OpenRouter API key';
+        if (providerError) {
+            promptStatus.textContent = providerError;
             promptStatus.className = 'error';
             return;
         }
 
-        promptStatus.textContent = 'Refining character...';
-        promptStatus.className = '';
-        refineCharacterBtn.disabled = true;
+        const baseCharacter = currentCharacterData;
+        await runCharacterJob(
+            {
+                type: 'refine-character',
+                statusText: `Refining ${label}...`,
+                prompt: refinePrompt,
+                model: selectedModel,
+                baseCharacter
+            },
+            () => startCharacterJob('/api/refine-character', {
+                prompt: refinePrompt,
+                model: selectedModel,
+                currentCharacter: baseCharacter,
+                fields
+            })
+        );
+    };
 
-        try {
-            const response = await apiCall('/api/refine-character', {
-                method: 'POST',
-                headers: {
-                    'X-API-Key': apiKey
-                },
-                body: JSON.stringify({ 
-                    prompt: refinePrompt,
-                    model: selectedModel,
-                    currentCharacter: currentCharacterData
-                })
-            });
+    refineCharacterBtn.addEventListener('click', () => runRefinement());
 
-            populateFormFields(response.character);
-            promptStatus.textContent = 'Character refined successfully';
-            promptStatus.className = 'success';
-            characterPrompt.value = '';
+    // Section "refine this" buttons live in the collapsible headers, so keep
+    // their clicks from toggling the section
+    refineSectionButtons.forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const section = button.closest('.section');
+            const label = section.querySelector('.section-header span').textContent;
+            runRefinement(section.dataset.refineFields.split(','), label);
+        });
+    });
+
+    // Pick up a generation or refinement job that was still running when the page was closed
+    const pendingCharacterJob = localStorage.getItem(PENDING_CHARACTER_JOB_KEY);
+    if (pendingCharacterJob) {
+        let pending = null;
+        try {
+            pending = JSON.parse(pendingCharacterJob);
         } catch (error) {
-            console.error('Refinement error:', error);
-            promptStatus.textContent = `Error: ${error.message}`;
-            promptStatus.className = 'error';
-        } finally {
-            refineCharacterBtn.disabled = false;
+            console.error('Could not read the pending job:', error);
         }
-    });
+        if (pending?.id && CHARACTER_JOB_TYPES[pending.type]) {
+            runCharacterJob(pending);
+        } else {
+            localStorage.removeItem(PENDING_CHARACTER_JOB_KEY);
+        }
+    }
 
     // Affiliate dropdown functionality
     const affiliateToggle = document.getElementById('affiliate-toggle');
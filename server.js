@@ -4,20 +4,37 @@ import cors from 'cors';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import fs from 'fs/promises';
-import pdf2md from '@opendocsg/pdf2md';
-import { CharacterGeneratorService } from './services/characterGenerator.js';
+import { CharacterGeneratorService, EXPANDABLE_FIELDS, MAX_EXPAND_COUNT, MAX_DISTILL_FACTS } from './services/characterGenerator.js';
+import { getProvider, listProviders, resolveBaseUrl } from './services/llmProviders.js';
+import { validateCharacter } from './services/characterSchema.js';
+import { CharacterStore } from './services/characterStore.js';
+import { DIFF_FIELDS } from './shared/characterDiff.js';
+import { convertCharacter, characterToCard, detectCharacterFormat } from './shared/characterCard.js';
+import { readCharacterFromPng, embedCharacterInPng } from './services/pngCard.js';
+import { parseCharacterYaml, characterToYaml } from './services/characterYaml.js';
+import { BatchRunner, parseBatchInput } from './services/batchGenerator.js';
+import { slugify } from './services/slugify.js';
+import { JobQueue } from './services/jobQueue.js';
+import { extractDocumentText } from './services/documentExtractors.js';
+import { findDuplicateGroups, DEFAULT_SIMILARITY_THRESHOLD } from './services/knowledgeDedupe.js';
+import { createKnowledgeArchive, readKnowledgeArchive, isKnowledgeReference } from './services/knowledgeArchive.js';
+import { parseChatLog, listParticipants, mineChatExamples, DEFAULT_CHAT_EXAMPLES, MAX_CHAT_EXAMPLES } from './services/chatLogs.js';
+import { chunkSections, DEFAULT_CHUNK_SIZE, DEFAULT_CHUNK_OVERLAP, MAX_CHUNK_SIZE } from './shared/textSegmentation.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 const app = express();
 const characterService = new CharacterGeneratorService();
+const characterStore = new CharacterStore();
+const batchRunner = new BatchRunner(characterService);
+const jobQueue = new JobQueue({ directory: process.env.JOB_STORE_DIR });
 
 // CORS configuration with explicit methods
 const corsOptions = {
     origin: true,
     credentials: true,
-    methods: ['GET', 'POST', 'OPTIONS'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
     allowedHeaders: ['Content-Type', 'X-API-Key', 'Authorization']
 };
 
@@ -46,6 +63,88 @@ const sendJsonResponse = (res, data) => {
     return res.json(data);
 };
 
+// Start a Server-Sent Events response and return a function that sends one event
+const openEventStream = (res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    return (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+};
+
+// Run a character operation while relaying its progress as Server-Sent Events.
+// The operation receives { signal, onToken, onSection, onRepair }; the signal is aborted
+// when the browser disconnects so the upstream model request is cancelled.
+const streamCharacterOperation = async (res, operation, fallbackError) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    const sendEvent = openEventStream(res);
+
+    try {
+        const result = await operation({
+            signal: controller.signal,
+            onToken: text => sendEvent('token', { text }),
+            onSection: section => sendEvent('section', section),
+            onRepair: repair => sendEvent('repair', repair)
+        });
+        sendEvent('complete', result);
+    } catch (error) {
+        if (!controller.signal.aborted) {
+            console.error('Streaming error:', error);
+            sendEvent('error', { error: error.message || fallbackError });
+        }
+    } finally {
+        res.end();
+    }
+};
+
+// Long-running endpoints run as a background job when called with ?async=true
+const isAsyncRequest = (req) => req.query.async === 'true' || req.query.async === '1';
+
+// Queue a character operation as a job, recording its streamed progress, and
+// answer 202 with the job. The operation receives the same callbacks as with
+// streamCharacterOperation, plus onProgress for operations that report their
+// own steps; the signal is aborted when the job is cancelled. Completed
+// sections are kept in progress.partialCharacter so a watcher that joins late
+// (see /api/jobs/:id/events) can catch up, and every callback is also sent
+// live to the job's watchers.
+const startCharacterJob = (res, type, operation) => {
+    const job = jobQueue.enqueue(type, ({ signal, reportProgress, emit }) => {
+        let receivedChars = 0;
+        const sections = [];
+        const partialCharacter = {};
+        return operation({
+            signal,
+            onToken: text => {
+                receivedChars += text.length;
+                reportProgress({ receivedChars });
+                emit('token', { text });
+            },
+            onSection: ({ key, value }) => {
+                sections.push(key);
+                partialCharacter[key] = value;
+                reportProgress({ sections: [...sections], partialCharacter: { ...partialCharacter } });
+                emit('section', { key, value });
+            },
+            onRepair: (repair) => {
+                reportProgress({ repairAttempt: repair.attempt });
+                emit('repair', repair);
+            },
+            onProgress: (progress) => {
+                reportProgress(progress);
+                emit('progress', progress);
+            }
+        });
+    });
+    return sendJsonResponse(res.status(202), job);
+};
+
 // Fix JSON formatting endpoint
 app.post('/api/fix-json', async (req, res) => {
     try {
@@ -56,8 +155,8 @@ app.post('/api/fix-json', async (req, res) => {
         }
 
         try {
-            const characterData = characterService.fixJson(content);
-            res.json({ character: characterData });
+            const { character, changes } = characterService.fixJson(content);
+            res.json({ character, changes });
         } catch (error) {
             console.error('JSON fixing error:', error);
             res.status(500).json({ error: error.message || 'Failed to fix JSON formatting' });
@@ -68,17 +167,186 @@ app.post('/api/fix-json', async (req, res) => {
     }
 });
 
+// Convert between Eliza characters and Character Card V2 (TavernAI/SillyTavern)
+app.post('/api/convert', (req, res) => {
+    try {
+        const { data, to = 'eliza' } = req.body;
+
+        if (!data) {
+            return res.status(400).json({ error: 'Character data is required' });
+        }
+
+        res.json(convertCharacter(data, to));
+    } catch (error) {
+        console.error('Conversion error:', error);
+        res.status(400).json({ error: error.message || 'Failed to convert character' });
+    }
+});
+
+// Read a character from YAML
+app.post('/api/character-yaml/import', (req, res) => {
+    try {
+        const { content } = req.body;
+
+        if (typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({ error: 'Content is required' });
+        }
+
+        res.json({ character: parseCharacterYaml(content) });
+    } catch (error) {
+        console.error('YAML import error:', error);
+        res.status(400).json({ error: error.message || 'Failed to read YAML' });
+    }
+});
+
+// Write a character as YAML, keeping the comments of the YAML it came from
+app.post('/api/character-yaml/export', (req, res) => {
+    try {
+        const { character, source } = req.body;
+
+        if (detectCharacterFormat(character) !== 'eliza') {
+            return res.status(400).json({ error: 'character must be an Eliza character' });
+        }
+        if (source !== undefined && typeof source !== 'string') {
+            return res.status(400).json({ error: 'source must be a string' });
+        }
+
+        res.setHeader('Content-Type', 'text/yaml; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${slugify(character.name || '') || 'character'}.character.yaml"`);
+        res.send(characterToYaml(character, { source }));
+    } catch (error) {
+        console.error('YAML export error:', error);
+        res.status(500).json({ error: error.message || 'Failed to write YAML' });
+    }
+});
+
+// Read the character embedded in a PNG card
+app.post('/api/png-card/import', upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+        const content = await fs.readFile(req.file.path);
+        res.json(readCharacterFromPng(content));
+    } catch (error) {
+        console.error('PNG card import error:', error);
+        res.status(400).json({ error: error.message || 'Failed to read PNG card' });
+    } finally {
+        await fs.unlink(req.file.path).catch(console.error);
+    }
+});
+
+// Embed a character (and optionally its Character Card V2) in an uploaded avatar
+app.post('/api/png-card/export', upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No image uploaded' });
+    }
+
+    try {
+        let character;
+        try {
+            character = JSON.parse(req.body.character || '');
+        } catch {
+            return res.status(400).json({ error: 'character must be a JSON object' });
+        }
+        if (detectCharacterFormat(character) !== 'eliza') {
+            return res.status(400).json({ error: 'character must be an Eliza character' });
+        }
+
+        const image = await fs.readFile(req.file.path);
+        const card = req.body.includeCard === 'true' ? characterToCard(character).card : undefined;
+        const png = embedCharacterInPng(image, character, { card });
+
+        res.setHeader('Content-Type', 'image/png');
+        res.setHeader('Content-Disposition', `attachment; filename="${slugify(character.name || '') || 'character'}.png"`);
+        return res.send(png);
+    } catch (error) {
+        console.error('PNG card export error:', error);
+        res.status(400).json({ error: error.message || 'Failed to create PNG card' });
+    } finally {
+        await fs.unlink(req.file.path).catch(console.error);
+    }
+});
+
+// Resolve the provider selected in a request body, or null if it is unknown
+const resolveProvider = (providerId) => {
+    try {
+        return getProvider(providerId);
+    } catch {
+        return null;
+    }
+};
+
+// Check a base URL sent for a provider against the allowlist, returning an
+// error message if it may not be used
+const validateBaseUrl = (provider, baseUrl) => {
+    try {
+        resolveBaseUrl(provider, baseUrl);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+// Check the optional list of fields for a section-scoped refinement,
+// returning an error message if invalid
+const validateRefineFields = (fields) => {
+    if (fields === undefined) return null;
+    if (!Array.isArray(fields) || fields.length === 0) {
+        return 'Fields must be a non-empty array of field paths';
+    }
+    const unknownField = fields.find(field => !DIFF_FIELDS.some(known => known.path === field));
+    return unknownField === undefined ? null : `Unknown field: ${unknownField}`;
+};
+
+// List available LLM providers
+app.get('/api/providers', (req, res) => {
+    return sendJsonResponse(res, { providers: listProviders() });
+});
+
+// Character schema validation endpoint
+app.post('/api/validate-character', (req, res) => {
+    const { character } = req.body;
+
+    if (character === undefined) {
+        return res.status(400).json({ error: 'Character is required' });
+    }
+
+    return sendJsonResponse(res, validateCharacter(character));
+});
+
 // Character generation endpoint
 app.post('/api/generate-character', async (req, res) => {
     try {
-        const { prompt, model } = req.body;
+        const { prompt, model, provider: providerId, baseUrl } = req.body;
         const apiKey = req.headers['x-api-key'];
+        const provider = resolveProvider(providerId);
 
-        if (!prompt || !model || !apiKey) {
+        if (!provider) {
+            return res.status(400).json({ error: `Unknown provider: ${providerId}` });
+        }
+
+        const baseUrlError = validateBaseUrl(provider, baseUrl);
+        if (baseUrlError) {
+            return res.status(400).json({ error: baseUrlError });
+        }
+
+        if (!prompt || !model || (provider.requiresApiKey && !apiKey)) {
             return res.status(400).json({ error: 'Missing required fields: prompt, model, or API key' });
         }
 
-        const result = await characterService.generateCharacter(prompt, model, apiKey);
+        const generate = (options = {}) => characterService.generateCharacter(prompt, model, apiKey, {
+            provider: provider.id,
+            baseUrl,
+            ...options
+        });
+
+        if (isAsyncRequest(req)) {
+            return startCharacterJob(res, 'generate-character', generate);
+        }
+
+        const result = await generate();
         return sendJsonResponse(res, result);
     } catch (error) {
         console.error('Character generation error:', error);
@@ -88,13 +356,238 @@ app.post('/api/generate-character', async (req, res) => {
     }
 });
 
+// Read uploaded source documents as plain text, removing each upload once
+// read. Files that could not be used are listed in errors: { filename, error }
+const readSourceDocuments = async (files) => {
+    const documents = [];
+    const errors = [];
+
+    for (const file of files) {
+        try {
+            const content = await fs.readFile(file.path);
+            const text = (await extractDocumentText(content, file.originalname, { mimetype: file.mimetype }) || '').trim();
+            if (!text) {
+                throw new Error('No text found');
+            }
+            documents.push({ filename: file.originalname, text });
+        } catch (fileError) {
+            console.error(`Error reading document ${file.originalname}:`, fileError);
+            errors.push({ filename: file.originalname, error: fileError.message });
+        } finally {
+            await fs.unlink(file.path).catch(console.error);
+        }
+    }
+
+    return { documents, errors };
+};
+
+// Character generation from uploaded documents, with an optional description
+app.post('/api/generate-from-documents', upload.array('files'), async (req, res) => {
+    const files = req.files || [];
+    try {
+        const { prompt, model, provider: providerId, baseUrl } = req.body;
+        const apiKey = req.headers['x-api-key'];
+        const provider = resolveProvider(providerId);
+        const baseUrlError = provider && validateBaseUrl(provider, baseUrl);
+
+        let validationError = null;
+        if (!provider) {
+            validationError = `Unknown provider: ${providerId}`;
+        } else if (baseUrlError) {
+            validationError = baseUrlError;
+        } else if (files.length === 0) {
+            validationError = 'No documents uploaded';
+        } else if (!model || (provider.requiresApiKey && !apiKey)) {
+            validationError = 'Missing required fields: model or API key';
+        }
+        if (validationError) {
+            await Promise.all(files.map(file => fs.unlink(file.path).catch(console.error)));
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { documents, errors } = await readSourceDocuments(files);
+        if (documents.length === 0) {
+            return res.status(400).json({ error: 'None of the documents could be read', errors });
+        }
+
+        const generate = async (options = {}) => ({
+            ...await characterService.generateFromDocuments(documents, prompt, model, apiKey, {
+                provider: provider.id,
+                baseUrl: baseUrl || undefined,
+                ...options
+            }),
+            errors
+        });
+
+        if (isAsyncRequest(req)) {
+            return startCharacterJob(res, 'generate-from-documents', generate);
+        }
+
+        const result = await generate();
+        return sendJsonResponse(res, result);
+    } catch (error) {
+        console.error('Document generation error:', error);
+        return sendJsonResponse(res.status(500), {
+            error: error.message || 'Failed to generate character'
+        });
+    }
+});
+
+// Read uploaded chat exports, removing each upload once read. Each file gets
+// its own threads so no conversation spans two files; files that could not
+// be used are listed in errors: { filename, error }
+const readChatLogFiles = async (files) => {
+    const messages = [];
+    const formats = [];
+    const errors = [];
+
+    for (const file of files) {
+        try {
+            const content = await fs.readFile(file.path, 'utf-8');
+            const log = parseChatLog(content, file.originalname);
+            const threadOffset = messages.reduce((highest, item) => Math.max(highest, item.thread + 1), 0);
+            log.messages.forEach(item => messages.push({ ...item, thread: item.thread + threadOffset }));
+            formats.push({ filename: file.originalname, format: log.format, messages: log.messages.length });
+        } catch (fileError) {
+            console.error(`Error reading chat log ${file.originalname}:`, fileError);
+            errors.push({ filename: file.originalname, error: fileError.message });
+        } finally {
+            await fs.unlink(file.path).catch(console.error);
+        }
+    }
+
+    return { messages, files: formats, errors };
+};
+
+// Whole number form field within 1..max, or the default when empty
+const readCount = (value, fallback, max, label) => {
+    if (value === undefined || value === '') return { count: fallback };
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 1 || count > max) {
+        return { error: `${label} must be a whole number from 1 to ${max}` };
+    }
+    return { count };
+};
+
+// List who speaks in uploaded chat exports, so one can be picked as the character
+app.post('/api/chat-logs/participants', upload.array('files'), async (req, res) => {
+    try {
+        const files = req.files || [];
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+
+        const { messages, files: formats, errors } = await readChatLogFiles(files);
+        if (messages.length === 0) {
+            return res.status(400).json({ error: 'No messages found in the uploaded files', errors });
+        }
+        return sendJsonResponse(res, { participants: listParticipants(messages), files: formats, errors });
+    } catch (error) {
+        console.error('Chat log error:', error);
+        res.status(500).json({ error: error.message || 'Failed to read chat logs' });
+    }
+});
+
+// Mine one participant's messages into message and post examples and, when a
+// model is given, summarize their style and adjectives with it
+app.post('/api/chat-logs/examples', upload.array('files'), async (req, res) => {
+    const files = req.files || [];
+    try {
+        const { participant, characterName, model, provider: providerId, baseUrl } = req.body;
+        const apiKey = req.headers['x-api-key'];
+        const provider = model ? resolveProvider(providerId) : null;
+        const baseUrlError = provider && validateBaseUrl(provider, baseUrl);
+        const { count: maxExamples, error: examplesError } = readCount(req.body.maxExamples, DEFAULT_CHAT_EXAMPLES, MAX_CHAT_EXAMPLES, 'maxExamples');
+        const { count: maxPosts, error: postsError } = readCount(req.body.maxPosts, DEFAULT_CHAT_EXAMPLES, MAX_CHAT_EXAMPLES, 'maxPosts');
+
+        let validationError = examplesError || postsError;
+        if (files.length === 0) {
+            validationError = 'No files uploaded';
+        } else if (!participant) {
+            validationError = 'Missing required field: participant';
+        } else if (model && !provider) {
+            validationError = `Unknown provider: ${providerId}`;
+        } else if (baseUrlError) {
+            validationError = baseUrlError;
+        } else if (model && provider.requiresApiKey && !apiKey) {
+            validationError = 'An API key is required to summarize the style';
+        }
+        if (validationError) {
+            await Promise.all(files.map(file => fs.unlink(file.path).catch(console.error)));
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { messages, errors } = await readChatLogFiles(files);
+        const participants = listParticipants(messages);
+        if (!participants.some(({ name }) => name === participant)) {
+            return res.status(400).json({
+                error: `Unknown participant: ${participant}. Participants: ${participants.map(({ name }) => name).join(', ') || 'none'}`,
+                errors
+            });
+        }
+
+        const name = characterName || participant;
+        let mined;
+        try {
+            mined = mineChatExamples(messages, participant, { characterName: name, maxExamples, maxPosts });
+        } catch (mineError) {
+            return res.status(400).json({ error: mineError.message, errors });
+        }
+        const { messageExamples, postExamples, samples, stats } = mined;
+
+        let style = null;
+        let adjectives = [];
+        if (model) {
+            ({ style, adjectives } = await characterService.summarizeChatStyle(samples, stats, model, apiKey, {
+                provider: provider.id,
+                baseUrl: baseUrl || undefined,
+                name
+            }));
+        }
+
+        return sendJsonResponse(res, { messageExamples, postExamples, style, adjectives, stats, errors });
+    } catch (error) {
+        console.error('Chat log error:', error);
+        res.status(500).json({ error: error.message || 'Failed to mine chat logs' });
+    }
+});
+
 // Character refinement endpoint
 app.post('/api/refine-character', async (req, res) => {
     try {
-        const { prompt, model, currentCharacter } = req.body;
+        const { prompt, model, currentCharacter, provider: providerId, baseUrl, fields } = req.body;
         const apiKey = req.headers['x-api-key'];
+        const provider = resolveProvider(providerId);
+
+        if (!provider) {
+            return res.status(400).json({ error: `Unknown provider: ${providerId}` });
+        }
+
+        const baseUrlError = validateBaseUrl(provider, baseUrl);
+        if (baseUrlError) {
+            return res.status(400).json({ error: baseUrlError });
+        }
+
+        const fieldsError = validateRefineFields(fields);
+        if (fieldsError) {
+            return res.status(400).json({ error: fieldsError });
+        }
 
-        const result = await characterService.refineCharacter(prompt, model, currentCharacter, apiKey);
+        const refine = (options = {}) => characterService.refineCharacter(prompt, model, currentCharacter, apiKey, {
+            provider: provider.id,
+            baseUrl,
+            fields,
+            ...options
+        });
+
+        if (isAsyncRequest(req)) {
+            if (!prompt || !model || !currentCharacter) {
+                return res.status(400).json({ error: 'Missing required fields: prompt, model, or current character' });
+            }
+            return startCharacterJob(res, 'refine-character', refine);
+        }
+
+        const result = await refine();
         return sendJsonResponse(res, result);
 
     } catch (error) {
@@ -103,7 +596,317 @@ app.post('/api/refine-character', async (req, res) => {
     }
 });
 
+// "Generate more" endpoint: new, non-duplicate entries for one section
+app.post('/api/expand-section', async (req, res) => {
+    try {
+        const { model, currentCharacter, field, count = 5, instructions, provider: providerId, baseUrl } = req.body;
+        const apiKey = req.headers['x-api-key'];
+        const provider = resolveProvider(providerId);
+
+        if (!provider) {
+            return res.status(400).json({ error: `Unknown provider: ${providerId}` });
+        }
+
+        const baseUrlError = validateBaseUrl(provider, baseUrl);
+        if (baseUrlError) {
+            return res.status(400).json({ error: baseUrlError });
+        }
+
+        if (!model || !currentCharacter || (provider.requiresApiKey && !apiKey)) {
+            return res.status(400).json({ error: 'Missing required fields: model, current character, or API key' });
+        }
+
+        if (!EXPANDABLE_FIELDS.includes(field)) {
+            return res.status(400).json({ error: `Field must be one of: ${EXPANDABLE_FIELDS.join(', ')}` });
+        }
+
+        if (!Number.isInteger(count) || count < 1 || count > MAX_EXPAND_COUNT) {
+            return res.status(400).json({ error: `Count must be a whole number from 1 to ${MAX_EXPAND_COUNT}` });
+        }
+
+        const result = await characterService.expandSection(field, count, model, currentCharacter, apiKey, {
+            provider: provider.id,
+            baseUrl,
+            instructions
+        });
+        return sendJsonResponse(res, result);
+    } catch (error) {
+        console.error('Section expansion error:', error);
+        res.status(500).json({ error: error.message || 'Failed to expand section' });
+    }
+});
+
+// Streaming character generation endpoint
+app.post('/api/generate-character/stream', async (req, res) => {
+    const { prompt, model, provider: providerId, baseUrl } = req.body;
+    const apiKey = req.headers['x-api-key'];
+    const provider = resolveProvider(providerId);
+
+    if (!provider) {
+        return res.status(400).json({ error: `Unknown provider: ${providerId}` });
+    }
+
+    const baseUrlError = validateBaseUrl(provider, baseUrl);
+    if (baseUrlError) {
+        return res.status(400).json({ error: baseUrlError });
+    }
+
+    if (!prompt || !model || (provider.requiresApiKey && !apiKey)) {
+        return res.status(400).json({ error: 'Missing required fields: prompt, model, or API key' });
+    }
+
+    await streamCharacterOperation(res, streamOptions => characterService.generateCharacter(prompt, model, apiKey, {
+        provider: provider.id,
+        baseUrl,
+        ...streamOptions
+    }), 'Failed to generate character');
+});
+
+// Streaming character refinement endpoint
+app.post('/api/refine-character/stream', async (req, res) => {
+    const { prompt, model, currentCharacter, provider: providerId, baseUrl, fields } = req.body;
+    const apiKey = req.headers['x-api-key'];
+    const provider = resolveProvider(providerId);
+
+    if (!provider) {
+        return res.status(400).json({ error: `Unknown provider: ${providerId}` });
+    }
+
+    const baseUrlError = validateBaseUrl(provider, baseUrl);
+    if (baseUrlError) {
+        return res.status(400).json({ error: baseUrlError });
+    }
+
+    if (!prompt || !model || !currentCharacter) {
+        return res.status(400).json({ error: 'Missing required fields: prompt, model, or current character' });
+    }
+
+    const fieldsError = validateRefineFields(fields);
+    if (fieldsError) {
+        return res.status(400).json({ error: fieldsError });
+    }
+
+    await streamCharacterOperation(res, streamOptions => characterService.refineCharacter(prompt, model, currentCharacter, apiKey, {
+        provider: provider.id,
+        baseUrl,
+        fields,
+        ...streamOptions
+    }), 'Failed to refine character');
+});
+
+// Check the body of a character library write, returning an error message if invalid
+const validateLibraryInput = ({ character, tags }) => {
+    if (!character || typeof character !== 'object' || Array.isArray(character)) {
+        return 'Character object is required';
+    }
+    if (character.name !== undefined && typeof character.name !== 'string') {
+        return 'Character name must be a string';
+    }
+    if (tags !== undefined && (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string'))) {
+        return 'Tags must be an array of strings';
+    }
+    return null;
+};
+
+// Character library endpoints
+app.get('/api/characters', async (req, res) => {
+    try {
+        const { search, tags } = req.query;
+        const characters = await characterStore.list({
+            search: typeof search === 'string' ? search : undefined,
+            tags: typeof tags === 'string' ? tags.split(',') : undefined
+        });
+        return sendJsonResponse(res, { characters });
+    } catch (error) {
+        console.error('Character library error:', error);
+        res.status(500).json({ error: 'Failed to list characters' });
+    }
+});
+
+app.get('/api/characters/:id', async (req, res) => {
+    try {
+        const record = await characterStore.get(req.params.id);
+        if (!record) {
+            return res.status(404).json({ error: 'Character not found' });
+        }
+        return sendJsonResponse(res, record);
+    } catch (error) {
+        console.error('Character library error:', error);
+        res.status(500).json({ error: 'Failed to load character' });
+    }
+});
+
+app.post('/api/characters', async (req, res) => {
+    try {
+        const inputError = validateLibraryInput(req.body);
+        if (inputError) {
+            return res.status(400).json({ error: inputError });
+        }
+
+        const record = await characterStore.create(req.body);
+        return sendJsonResponse(res.status(201), record);
+    } catch (error) {
+        console.error('Character library error:', error);
+        res.status(500).json({ error: 'Failed to save character' });
+    }
+});
+
+app.put('/api/characters/:id', async (req, res) => {
+    try {
+        const inputError = validateLibraryInput(req.body);
+        if (inputError) {
+            return res.status(400).json({ error: inputError });
+        }
+
+        const record = await characterStore.update(req.params.id, req.body);
+        if (!record) {
+            return res.status(404).json({ error: 'Character not found' });
+        }
+        return sendJsonResponse(res, record);
+    } catch (error) {
+        console.error('Character library error:', error);
+        res.status(500).json({ error: 'Failed to save character' });
+    }
+});
+
+app.delete('/api/characters/:id', async (req, res) => {
+    try {
+        const deleted = await characterStore.delete(req.params.id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Character not found' });
+        }
+        return res.status(204).end();
+    } catch (error) {
+        console.error('Character library error:', error);
+        res.status(500).json({ error: 'Failed to delete character' });
+    }
+});
+
 // File processing endpoint
+const parsedChunkSize = parseInt(process.env.KNOWLEDGE_CHUNK_SIZE, 10);
+const parsedChunkOverlap = parseInt(process.env.KNOWLEDGE_CHUNK_OVERLAP, 10);
+const KNOWLEDGE_CHUNK_DEFAULTS = {
+    chunkSize: Number.isNaN(parsedChunkSize) ? DEFAULT_CHUNK_SIZE : parsedChunkSize,
+    overlap: Number.isNaN(parsedChunkOverlap) ? DEFAULT_CHUNK_OVERLAP : parsedChunkOverlap
+};
+
+// Read chunkSize/chunkOverlap form fields, returning { options } or { error }
+const readChunkOptions = ({ chunkSize, chunkOverlap }) => {
+    const options = { ...KNOWLEDGE_CHUNK_DEFAULTS };
+    if (chunkSize !== undefined && chunkSize !== '') {
+        options.chunkSize = Number(chunkSize);
+        if (!Number.isInteger(options.chunkSize) || options.chunkSize < 1 || options.chunkSize > MAX_CHUNK_SIZE) {
+            return { error: `chunkSize must be a whole number from 1 to ${MAX_CHUNK_SIZE}` };
+        }
+    }
+    if (chunkOverlap !== undefined && chunkOverlap !== '') {
+        options.overlap = Number(chunkOverlap);
+        if (!Number.isInteger(options.overlap) || options.overlap < 0 || options.overlap >= options.chunkSize) {
+            return { error: 'chunkOverlap must be a whole number smaller than chunkSize' };
+        }
+    }
+    return { options };
+};
+
+// Columns or keys to keep from CSV, JSON and YAML files: a comma or
+// newline separated form field. Undefined means everything
+const readFieldSelection = (fields) => {
+    const selection = typeof fields === 'string'
+        ? fields.split(/[,\n]/).map(field => field.trim()).filter(Boolean)
+        : [];
+    return selection.length ? selection : undefined;
+};
+
+// Read the optional distill form fields (distill, model, provider, baseUrl,
+// maxFacts and character as JSON), returning { options } or { error }.
+// options is null when distillation was not requested
+const readDistillOptions = (body, apiKey) => {
+    if (body.distill !== 'true') return { options: null };
+
+    const provider = resolveProvider(body.provider);
+    if (!provider) {
+        return { error: `Unknown provider: ${body.provider}` };
+    }
+    const baseUrlError = validateBaseUrl(provider, body.baseUrl);
+    if (baseUrlError) {
+        return { error: baseUrlError };
+    }
+    if (!body.model || (provider.requiresApiKey && !apiKey)) {
+        return { error: 'Distill mode needs a model and API key' };
+    }
+
+    const options = { model: body.model, apiKey, provider: provider.id, baseUrl: body.baseUrl || undefined };
+    if (body.maxFacts !== undefined && body.maxFacts !== '') {
+        options.maxFacts = Number(body.maxFacts);
+        if (!Number.isInteger(options.maxFacts) || options.maxFacts < 1 || options.maxFacts > MAX_DISTILL_FACTS) {
+            return { error: `maxFacts must be a whole number from 1 to ${MAX_DISTILL_FACTS}` };
+        }
+    }
+    if (body.character) {
+        try {
+            options.character = JSON.parse(body.character);
+        } catch {
+            return { error: 'character must be valid JSON' };
+        }
+    }
+    return { options };
+};
+
+// Extract knowledge chunks from uploaded files, removing each upload once read.
+// knowledge holds the plain strings; entries carries the same chunks with
+// where they came from: { text, source: { filename, section, ingestedAt } }.
+// Files that could not be used are listed in errors: { filename, error }.
+// With distill options the chunks are replaced by facts distilled from them,
+// each entry keeping its original chunk as provenance
+const processKnowledgeFiles = async (files, { signal, onProgress, chunkOptions = KNOWLEDGE_CHUNK_DEFAULTS, fields, distill } = {}) => {
+    const entries = [];
+    const errors = [];
+    const ingestedAt = new Date().toISOString();
+
+    for (const [index, file] of files.entries()) {
+        if (signal?.aborted) {
+            await Promise.all(files.slice(index).map(remaining => fs.unlink(remaining.path).catch(console.error)));
+            throw new Error('Cancelled');
+        }
+
+        try {
+            const content = await fs.readFile(file.path);
+            const text = await extractDocumentText(content, file.originalname, { mimetype: file.mimetype, fields });
+
+            const chunks = chunkSections(text || '', chunkOptions);
+            if (chunks.length === 0) {
+                throw new Error('No text found');
+            }
+            chunks.forEach(chunk => entries.push({
+                text: chunk.text,
+                source: { filename: file.originalname, section: chunk.section, ingestedAt }
+            }));
+        } catch (fileError) {
+            console.error(`Error processing file ${file.originalname}:`, fileError);
+            errors.push({ filename: file.originalname, error: fileError.message });
+        } finally {
+            await fs.unlink(file.path).catch(console.error);
+        }
+
+        onProgress?.({ processedFiles: index + 1, totalFiles: files.length });
+    }
+
+    if (distill && entries.length > 0) {
+        const { model, apiKey, provider, baseUrl, maxFacts, character } = distill;
+        const { facts } = await characterService.distillKnowledge(entries, model, apiKey, {
+            provider,
+            baseUrl,
+            maxFacts,
+            character,
+            signal,
+            onProgress
+        });
+        return { knowledge: facts.map(fact => fact.text), entries: facts, errors, distilledChunks: entries.length };
+    }
+
+    return { knowledge: entries.map(entry => entry.text), entries, errors };
+};
+
 app.post('/api/process-files', upload.array('files'), async (req, res) => {
     try {
         const files = req.files;
@@ -111,50 +914,234 @@ app.post('/api/process-files', upload.array('files'), async (req, res) => {
             return res.status(400).json({ error: 'No files uploaded' });
         }
 
-        const knowledge = [];
-
-        for (const file of files) {
-            try {
-                const content = await fs.readFile(file.path);
-                let processedContent;
-
-                if (file.mimetype === 'application/pdf') {
-                    const uint8Array = new Uint8Array(content);
-                    processedContent = await pdf2md(uint8Array);
-                    processedContent = processedContent
-                        .split(/[.!?]+/)
-                        .map(sentence => sentence.trim())
-                        .filter(sentence => sentence.length > 0 && !sentence.startsWith('-'))
-                        .map(sentence => sentence + '.');
-                } else if (isTextFile(file.originalname)) {
-                    processedContent = content.toString('utf-8')
-                        .split(/[.!?]+/)
-                        .map(sentence => sentence.trim())
-                        .filter(sentence => sentence.length > 0 && !sentence.startsWith('-'))
-                        .map(sentence => sentence + '.');
-                }
-
-                if (processedContent) {
-                    knowledge.push(...processedContent);
-                }
-
-                await fs.unlink(file.path).catch(console.error);
-            } catch (fileError) {
-                console.error(`Error processing file ${file.originalname}:`, fileError);
-            }
+        const { options: chunkOptions, error: chunkError } = readChunkOptions(req.body);
+        const { options: distill, error: distillError } = readDistillOptions(req.body, req.headers['x-api-key']);
+        if (chunkError || distillError) {
+            await Promise.all(files.map(file => fs.unlink(file.path).catch(console.error)));
+            return res.status(400).json({ error: chunkError || distillError });
         }
+        const fields = readFieldSelection(req.body.fields);
 
-        res.json({ knowledge });
+        if (isAsyncRequest(req)) {
+            const job = jobQueue.enqueue('process-files', ({ signal, reportProgress }) => {
+                reportProgress({ processedFiles: 0, totalFiles: files.length });
+                return processKnowledgeFiles(files, { signal, onProgress: reportProgress, chunkOptions, fields, distill });
+            }, {
+                // processKnowledgeFiles deletes the uploads, so a job cancelled before it ran must
+                onCancel: () => Promise.all(files.map(file => fs.unlink(file.path).catch(console.error)))
+            });
+            return sendJsonResponse(res.status(202), job);
+        }
+
+        res.json(await processKnowledgeFiles(files, { chunkOptions, fields, distill }));
     } catch (error) {
         console.error('File processing error:', error);
-        res.status(500).json({ error: 'Failed to process files' });
+        res.status(500).json({ error: error.message || 'Failed to process files' });
     }
 });
 
-// Helper functions
-const isTextFile = filename => ['.txt','.md','.json','.yml','.csv'].includes(
-    filename.toLowerCase().slice(filename.lastIndexOf('.'))
-);
+// Group exact, whitespace/case-only and near-duplicate knowledge entries
+app.post('/api/knowledge/dedupe', (req, res) => {
+    try {
+        const { knowledge, threshold = DEFAULT_SIMILARITY_THRESHOLD } = req.body;
+
+        if (!Array.isArray(knowledge) || !knowledge.every(entry => typeof entry === 'string')) {
+            return res.status(400).json({ error: 'knowledge must be an array of strings' });
+        }
+
+        if (typeof threshold !== 'number' || threshold <= 0 || threshold > 1) {
+            return res.status(400).json({ error: 'threshold must be a number above 0 and at most 1' });
+        }
+
+        const groups = findDuplicateGroups(knowledge, { threshold });
+        return sendJsonResponse(res, {
+            groups,
+            duplicates: groups.reduce((total, group) => total + group.indexes.length - 1, 0)
+        });
+    } catch (error) {
+        console.error('Knowledge dedupe error:', error);
+        res.status(500).json({ error: 'Failed to find duplicates' });
+    }
+});
+
+// Download a character with its knowledge moved into a folder of Markdown
+// files, as a ZIP laid out like an Eliza project
+app.post('/api/knowledge/archive', (req, res) => {
+    try {
+        const { character, shared = false, sources = [] } = req.body;
+
+        if (!character || typeof character !== 'object' || Array.isArray(character)) {
+            return res.status(400).json({ error: 'Character is required' });
+        }
+        if (!Array.isArray(character.knowledge) || !character.knowledge.some(item => typeof item === 'string' || isKnowledgeReference(item))) {
+            return res.status(400).json({ error: 'The character has no knowledge to export' });
+        }
+        if (typeof shared !== 'boolean' || !Array.isArray(sources)) {
+            return res.status(400).json({ error: 'shared must be a boolean and sources an array' });
+        }
+
+        const { archive } = createKnowledgeArchive(character, { shared, sources });
+        const filename = `${slugify(character.name || '') || 'character'}-knowledge.zip`;
+        res.setHeader('Content-Type', 'application/zip');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        return res.send(archive);
+    } catch (error) {
+        console.error('Knowledge archive error:', error);
+        res.status(500).json({ error: error.message || 'Failed to create knowledge archive' });
+    }
+});
+
+// Read a knowledge archive (as written above, or any ZIP of Markdown files)
+// back into knowledge entries
+app.post('/api/knowledge/archive/import', upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+        const content = await fs.readFile(req.file.path);
+        return sendJsonResponse(res, readKnowledgeArchive(content));
+    } catch (error) {
+        console.error('Knowledge archive import error:', error);
+        res.status(400).json({ error: error.message || 'Failed to read knowledge archive' });
+    } finally {
+        await fs.unlink(req.file.path).catch(console.error);
+    }
+});
+
+// Background job status, progress and result
+app.get('/api/jobs/:id', async (req, res) => {
+    try {
+        const job = await jobQueue.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        return sendJsonResponse(res, job);
+    } catch (error) {
+        console.error('Job lookup error:', error);
+        res.status(500).json({ error: 'Failed to read job' });
+    }
+});
+
+// Live events of a job as Server-Sent Events: its progress so far, then each
+// event as it happens, ending with complete (the result) or error. Closing the
+// stream leaves the job running, so a reloaded page can watch it again.
+app.get('/api/jobs/:id/events', async (req, res) => {
+    try {
+        let sendEvent = null;
+        const sendOutcome = (job) => {
+            if (job.status === 'completed') sendEvent('complete', job.result);
+            else if (job.status === 'cancelled') sendEvent('error', { error: 'Cancelled' });
+            else sendEvent('error', { error: job.error || 'Job failed' });
+            res.end();
+        };
+
+        const watched = jobQueue.watch(req.params.id, (event, data) => {
+            if (event === 'finished') sendOutcome(data);
+            else sendEvent(event, data);
+        });
+        const job = watched ? watched.job : await jobQueue.get(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        sendEvent = openEventStream(res);
+        sendEvent('progress', job.progress || {});
+        if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+            watched?.unsubscribe();
+            return sendOutcome(job);
+        }
+        res.on('close', () => watched.unsubscribe());
+    } catch (error) {
+        console.error('Job events error:', error);
+        res.status(500).json({ error: 'Failed to read job' });
+    }
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    const job = jobQueue.cancel(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    return sendJsonResponse(res, job);
+});
+
+// Batch generation: start a batch from an uploaded CSV/JSONL of prompts
+app.post('/api/batch-generate', upload.single('file'), async (req, res) => {
+    try {
+        const file = req.file;
+        if (!file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const content = await fs.readFile(file.path, 'utf-8');
+        await fs.unlink(file.path).catch(console.error);
+
+        const { model, provider: providerId, baseUrl, concurrency } = req.body;
+        const apiKey = req.headers['x-api-key'];
+        const provider = resolveProvider(providerId);
+
+        if (!provider) {
+            return res.status(400).json({ error: `Unknown provider: ${providerId}` });
+        }
+
+        const baseUrlError = validateBaseUrl(provider, baseUrl);
+        if (baseUrlError) {
+            return res.status(400).json({ error: baseUrlError });
+        }
+
+        if (provider.requiresApiKey && !apiKey) {
+            return res.status(400).json({ error: 'Missing required fields: API key' });
+        }
+
+        let rows;
+        try {
+            rows = parseBatchInput(content, file.originalname);
+        } catch (parseError) {
+            return res.status(400).json({ error: parseError.message });
+        }
+
+        const rowWithoutModel = rows.find(row => !row.model && !model);
+        if (rowWithoutModel) {
+            return res.status(400).json({ error: `Row ${rowWithoutModel.row}: no model given and no default model selected` });
+        }
+
+        const parsedConcurrency = parseInt(concurrency, 10);
+        const progress = batchRunner.start(rows, {
+            model,
+            apiKey,
+            provider: provider.id,
+            baseUrl,
+            concurrency: Number.isNaN(parsedConcurrency) ? undefined : parsedConcurrency
+        });
+        return sendJsonResponse(res.status(202), progress);
+    } catch (error) {
+        console.error('Batch generation error:', error);
+        res.status(500).json({ error: error.message || 'Failed to start batch' });
+    }
+});
+
+app.get('/api/batch-generate/:id', (req, res) => {
+    const progress = batchRunner.getProgress(req.params.id);
+    if (!progress) {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+    return sendJsonResponse(res, progress);
+});
+
+app.get('/api/batch-generate/:id/archive', (req, res) => {
+    const progress = batchRunner.getProgress(req.params.id);
+    if (!progress) {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+    if (progress.status !== 'completed') {
+        return res.status(409).json({ error: 'Batch is still running' });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="characters-${progress.id}.zip"`);
+    return res.send(batchRunner.getArchive(req.params.id));
+});
 
 const PORT = process.env.PORT || 4001;
 const HOST = process.env.HOST || '0.0.0.0';
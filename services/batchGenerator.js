@@ -0,0 +1,254 @@
+import { randomUUID } from 'crypto';
+import { parseCsvRecords } from './csvParser.js';
+import { createZipArchive } from './zipArchive.js';
+import { slugify } from './slugify.js';
+
+export const MAX_BATCH_ROWS = 500;
+export const MAX_BATCH_CONCURRENCY = 10;
+
+const parsedConcurrency = parseInt(process.env.BATCH_CONCURRENCY, 10);
+const DEFAULT_CONCURRENCY = Number.isNaN(parsedConcurrency) ? 3 : parsedConcurrency;
+
+// Finished batches are dropped after this long
+const BATCH_RETENTION_MS = 60 * 60 * 1000;
+
+const readRow = (value, rowNumber) => {
+    const source = typeof value === 'string' ? { prompt: value } : value;
+    if (!source || typeof source !== 'object' || Array.isArray(source)) {
+        throw new Error(`Row ${rowNumber}: expected an object or a prompt string`);
+    }
+
+    const prompt = typeof source.prompt === 'string' ? source.prompt.trim() : '';
+    if (!prompt) {
+        throw new Error(`Row ${rowNumber}: prompt is required`);
+    }
+
+    const optional = (key) => (typeof source[key] === 'string' && source[key].trim() ? source[key].trim() : undefined);
+    return { row: rowNumber, prompt, model: optional('model'), name: optional('name') };
+};
+
+const looksLikeJsonLines = (content) => /^\s*[{"]/.test(content);
+
+/**
+ * Reads batch prompts from CSV (with a header row containing a "prompt"
+ * column, and optional "model" and "name" columns) or JSONL (one object with
+ * the same keys, or a bare prompt string, per line). The format is taken
+ * from the file extension, or guessed from the content when there is none.
+ * @param {string} content
+ * @param {string} [filename]
+ * @returns {Array<{row: number, prompt: string, model?: string, name?: string}>}
+ * @throws {Error} Naming the row, if any row cannot be used
+ */
+export const parseBatchInput = (content, filename = '') => {
+    const extension = filename.toLowerCase().slice(filename.lastIndexOf('.'));
+    const isJsonLines = ['.jsonl', '.ndjson'].includes(extension) ||
+        (extension !== '.csv' && looksLikeJsonLines(content));
+
+    let rows;
+    if (isJsonLines) {
+        rows = content.split(/\r?\n/)
+            .map((line, index) => ({ line: line.trim(), rowNumber: index + 1 }))
+            .filter(({ line }) => line.length > 0)
+            .map(({ line, rowNumber }) => {
+                let value;
+                try {
+                    value = JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Row ${rowNumber}: invalid JSON (${error.message})`);
+                }
+                return readRow(value, rowNumber);
+            });
+    } else {
+        const { headers, records } = parseCsvRecords(content);
+        const columns = Object.fromEntries(headers.map(header => [header.toLowerCase(), header]));
+        if (!columns.prompt) {
+            throw new Error('CSV must have a "prompt" column');
+        }
+        // Row numbers count the header, so they match what a spreadsheet shows
+        rows = records
+            .map((record, index) => ({ record, rowNumber: index + 2 }))
+            .filter(({ record }) => Object.values(record).some(value => value !== ''))
+            .map(({ record, rowNumber }) => readRow({
+                prompt: record[columns.prompt],
+                model: columns.model ? record[columns.model] : undefined,
+                name: columns.name ? record[columns.name] : undefined
+            }, rowNumber));
+    }
+
+    if (rows.length === 0) {
+        throw new Error('No prompts found');
+    }
+    if (rows.length > MAX_BATCH_ROWS) {
+        throw new Error(`Too many prompts: ${rows.length} (limit ${MAX_BATCH_ROWS})`);
+    }
+    return rows;
+};
+
+/**
+ * Runs an async worker over every item with at most `limit` running at once.
+ * Results keep the order of the items.
+ * @param {Array} items
+ * @param {number} limit
+ * @param {(item: any, index: number) => Promise<any>} worker
+ * @returns {Promise<Array>}
+ */
+export const mapWithConcurrency = async (items, limit, worker) => {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const runNext = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, runNext));
+    return results;
+};
+
+/**
+ * Runs batches of character generations in the background and keeps their
+ * results in memory until they are downloaded or expire.
+ */
+export class BatchRunner {
+    /**
+     * @param {object} service A CharacterGeneratorService
+     * @param {object} [options]
+     * @param {number} [options.retentionMs] How long finished batches are kept
+     */
+    constructor(service, { retentionMs = BATCH_RETENTION_MS } = {}) {
+        this.service = service;
+        this.retentionMs = retentionMs;
+        this.batches = new Map();
+    }
+
+    /**
+     * Starts generating every row and returns immediately.
+     * @param {Array<{row: number, prompt: string, model?: string, name?: string}>} rows From parseBatchInput
+     * @param {object} options
+     * @param {string} [options.model] Used for rows without their own model
+     * @param {string} [options.apiKey]
+     * @param {string} [options.provider]
+     * @param {string} [options.baseUrl]
+     * @param {number} [options.concurrency]
+     * @returns {object} The batch progress, see getProgress
+     */
+    start(rows, { model, apiKey, provider, baseUrl, concurrency = DEFAULT_CONCURRENCY }) {
+        this.pruneExpired();
+
+        const batch = {
+            id: randomUUID(),
+            status: 'running',
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+            rows,
+            results: [],
+            completed: 0
+        };
+        this.batches.set(batch.id, batch);
+
+        const limit = Math.min(Math.max(concurrency, 1), MAX_BATCH_CONCURRENCY);
+        batch.done = mapWithConcurrency(rows, limit, async (row) => {
+            try {
+                const prompt = row.name ? `Name: ${row.name}. ${row.prompt}` : row.prompt;
+                const { character } = await this.service.generateCharacter(prompt, row.model || model, apiKey, {
+                    provider,
+                    baseUrl
+                });
+                if (row.name) {
+                    character.name = row.name;
+                }
+                batch.results.push({ row: row.row, character });
+            } catch (error) {
+                batch.results.push({ row: row.row, error: error.message || 'Generation failed' });
+            } finally {
+                batch.completed++;
+            }
+        }).then(() => {
+            batch.status = 'completed';
+            batch.finishedAt = new Date().toISOString();
+        });
+
+        return this.getProgress(batch.id);
+    }
+
+    /**
+     * @param {string} id
+     * @returns {{id: string, status: 'running'|'completed', total: number, completed: number, succeeded: number, failed: number, failures: Array<{row: number, prompt: string, error: string}>, createdAt: string, finishedAt: string|null}|null}
+     */
+    getProgress(id) {
+        const batch = this.batches.get(id);
+        if (!batch) return null;
+
+        const failures = this.getFailures(batch);
+        return {
+            id: batch.id,
+            status: batch.status,
+            total: batch.rows.length,
+            completed: batch.completed,
+            succeeded: batch.results.length - failures.length,
+            failed: failures.length,
+            failures,
+            createdAt: batch.createdAt,
+            finishedAt: batch.finishedAt
+        };
+    }
+
+    getFailures(batch) {
+        return batch.results
+            .filter(result => result.error)
+            .sort((a, b) => a.row - b.row)
+            .map(result => ({
+                row: result.row,
+                prompt: batch.rows.find(row => row.row === result.row).prompt,
+                error: result.error
+            }));
+    }
+
+    /**
+     * Builds the download for a finished batch: one JSON file per generated
+     * character under characters/, plus report.json listing every row and
+     * why any of them failed.
+     * @param {string} id
+     * @returns {Buffer|null} Null if the batch does not exist or is still running
+     */
+    getArchive(id) {
+        const batch = this.batches.get(id);
+        if (!batch || batch.status !== 'completed') return null;
+
+        const usedNames = new Set();
+        const files = batch.results
+            .filter(result => result.character)
+            .sort((a, b) => a.row - b.row)
+            .map(({ row, character }) => {
+                const base = slugify(character.name || '') || `character-${row}`;
+                let name = base;
+                for (let suffix = 2; usedNames.has(name); suffix++) {
+                    name = `${base}-${suffix}`;
+                }
+                usedNames.add(name);
+                return { row, name: `characters/${name}.json`, content: JSON.stringify(character, null, 2) };
+            });
+
+        const { failures, ...summary } = this.getProgress(id);
+        const report = {
+            ...summary,
+            files: files.map(({ row, name }) => ({ row, file: name })),
+            failures
+        };
+
+        return createZipArchive([
+            ...files.map(({ name, content }) => ({ name, content })),
+            { name: 'report.json', content: JSON.stringify(report, null, 2) }
+        ]);
+    }
+
+    pruneExpired(now = Date.now()) {
+        this.batches.forEach((batch, id) => {
+            if (batch.finishedAt && now - new Date(batch.finishedAt).getTime() > this.retentionMs) {
+                this.batches.delete(id);
+            }
+        });
+    }
+}
@@ -1,5 +1,11 @@
 import nodeFetch from 'node-fetch';
 import JSON5 from 'json5';
+import { getProvider, readStreamDeltas, resolveBaseUrl } from './llmProviders.js';
+import { IncrementalCharacterParser } from './incrementalParser.js';
+import { DIFF_FIELDS, getFieldValue, setFieldValue } from '../shared/characterDiff.js';
+import { chunkText } from '../shared/textSegmentation.js';
+import { isKnowledgeReference } from './knowledgeArchive.js';
+import { migrateCharacter } from '../shared/characterMigrations.js';
 
 const DEFAULT_TEMPLATE = {
     name: "",
@@ -50,9 +56,157 @@ CRITICAL INSTRUCTIONS:
 5. Ensure valid JSON syntax.
 6. DO NOT include any text outside the JSON object.`;
 
+const SYSTEM_PROMPT_SECTION_REFINEMENT = `You are an expert character editor. Your task is to rewrite selected sections of an existing character profile based on new instructions, keeping them consistent with the rest of the character.
+
+CRITICAL INSTRUCTIONS:
+1. Output ONLY a valid JSON object.
+2. Include ONLY the sections listed in the provided template, nested exactly as shown.
+3. Apply the user's refinement instructions carefully.
+4. Keep the sections consistent with the character context you are given.
+5. Ensure valid JSON syntax.
+6. DO NOT include any text outside the JSON object.`;
+
+const SYSTEM_PROMPT_EXPANSION = `You are an expert creative writer extending an existing character profile. Your task is to write new entries for one section of the character, in the same voice and format as the existing entries.
+
+CRITICAL INSTRUCTIONS:
+1. Output ONLY a valid JSON object of the form {"items": [...]}.
+2. Every item must match the format of the existing entries.
+3. Do not repeat or closely paraphrase any existing entry.
+4. Stay consistent with the character context you are given.
+5. Ensure valid JSON syntax.
+6. DO NOT include any text outside the JSON object.`;
+
+const SYSTEM_PROMPT_DISTILLATION = `You are an expert knowledge curator preparing background knowledge for an AI character. You will be given numbered excerpts from source documents.
+
+CRITICAL INSTRUCTIONS:
+1. Output ONLY a valid JSON object of the form {"facts": [{"text": "...", "excerpt": 1}]}.
+2. Each fact is one standalone sentence that makes sense without the excerpt: name people, places and things instead of using pronouns.
+3. "excerpt" is the number of the excerpt the fact comes from.
+4. Keep only facts the character would plausibly know or talk about; skip navigation text, citations and trivia.
+5. Never invent information that is not in the excerpts.
+6. Ensure valid JSON syntax.
+7. DO NOT include any text outside the JSON object.`;
+
+const SYSTEM_PROMPT_DOCUMENT_SUMMARY = `You are condensing source material that an AI character will be based on. You will be given one document, or one part of a longer document.
+
+CRITICAL INSTRUCTIONS:
+1. Output ONLY the condensed text, with no introduction or commentary.
+2. Keep names, places, dates, relationships, opinions and events.
+3. Keep a few short verbatim quotes that show how people in the document speak or write.
+4. Drop repetition, navigation text, citations and boilerplate.
+5. Never add information that is not in the document.
+6. Stay within the requested length.`;
+
+const SYSTEM_PROMPT_DOCUMENT_GENERATION = `You are an expert creative writer and character designer specializing in creating AI personas. Your task is to create a character profile grounded in the source documents you are given, following the user's description when there is one.
+
+CRITICAL INSTRUCTIONS:
+1. Output ONLY a valid JSON object.
+2. Follow the provided template structure EXACTLY.
+3. "bio", "lore", "topics" and "style" must be drawn from the documents; do not contradict them or invent major facts they do not support.
+4. "style" fields should describe HOW the character speaks, based on how the documents show them speaking or writing.
+5. "knowledge" items are objects of the form {"text": "...", "source": "<file name>"}: one standalone fact from the documents, and the file name of the document it comes from exactly as given.
+6. "messageExamples" must be realistic dialogues in the character's voice.
+7. DO NOT include any text outside the JSON object (no markdown, no explanations).
+8. Ensure valid JSON syntax (close all braces/brackets, escape quotes if needed).`;
+
+const SYSTEM_PROMPT_CHAT_STYLE = `You are an expert at describing how people write. You will be given real chat messages written by one person, with a few measurements of their writing.
+
+CRITICAL INSTRUCTIONS:
+1. Output ONLY a valid JSON object of the form {"style": {"all": [...], "chat": [...], "post": [...]}, "adjectives": [...]}.
+2. Style entries are short, concrete rules describing HOW the person writes (e.g. "writes in lowercase", "rarely uses punctuation", "answers questions with questions"), as seen in the messages and measurements.
+3. "all" holds rules for everything they write, "chat" for replies in conversation, "post" for standalone posts.
+4. "adjectives" are single lowercase words describing their personality as it comes across in the messages.
+5. Describe only what the messages show; do not quote them or invent a backstory.
+6. Ensure valid JSON syntax.
+7. DO NOT include any text outside the JSON object.`;
+
+const SYSTEM_PROMPT_REPAIR = `You are a JSON repair tool. You will be given a character profile that failed to parse as JSON, together with the parser error.
+
+CRITICAL INSTRUCTIONS:
+1. Output ONLY the corrected JSON object.
+2. Fix the syntax error and any other syntax problems you find.
+3. If the JSON is cut off, close it and complete any unfinished fields briefly.
+4. Keep all existing content; do not rewrite or summarize it.
+5. DO NOT include any text outside the JSON object.`;
+
+// Fields that can be refined on their own, as dotted paths
+export const REFINABLE_FIELDS = DIFF_FIELDS.map(field => field.path);
+
+// Sent with section refinements so the model knows who it is writing for
+const SECTION_CONTEXT_FIELDS = ['name', 'bio', 'adjectives', 'topics'];
+
+// Fields that "generate more" can add entries to
+export const EXPANDABLE_FIELDS = [
+    'bio', 'lore', 'topics', 'messageExamples', 'postExamples', 'adjectives',
+    'style.all', 'style.chat', 'style.post'
+];
+
+export const MAX_EXPAND_COUNT = 50;
+
+// Limits on how many facts distillation keeps
+export const DEFAULT_DISTILL_FACTS = 100;
+export const MAX_DISTILL_FACTS = 1000;
+
+// Excerpts are sent to the model in batches of about this many characters
+const DISTILL_BATCH_CHARS = 8000;
+
+// Source documents are condensed until together they fit in about this many characters
+const parsedDocumentContext = parseInt(process.env.DOCUMENT_CONTEXT_CHARS, 10);
+const DOCUMENT_CONTEXT_CHARS = Number.isNaN(parsedDocumentContext) ? 24000 : parsedDocumentContext;
+// Documents that are too long are summarized in parts of about this many characters,
+// and summaries that are still too long are summarized again, a few rounds at most
+const DOCUMENT_SUMMARY_PART_CHARS = 12000;
+const MAX_SUMMARY_ROUNDS = 3;
+
+// Format hints for fields whose entries are not plain sentences
+const EXPANSION_ITEM_FORMATS = {
+    messageExamples: 'Each item is a two-message conversation: [{"user": "{{user1}}", "content": {"text": "..."}}, {"user": "<character name>", "content": {"text": "..."}}]',
+    adjectives: 'Each item is a single lowercase adjective.',
+    topics: 'Each item is a short topic.'
+};
+
+// Comparison key for spotting duplicates regardless of case, spacing and punctuation
+const duplicateKey = (item) => (typeof item === 'string' ? item : JSON.stringify(item))
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+
+// A name given in a description ("Her name is Ada."), or ''
+const suggestName = (prompt) => {
+    const nameMatch = prompt?.match(/name(?:\s+is)?(?:\s*:)?\s*([A-Z][a-zA-Z\s]+?)(?:\.|\s|$)/i);
+    return nameMatch ? nameMatch[1].trim() : '';
+};
+
+// Share a character budget among documents: short documents keep their full
+// length and the rest split what is left evenly
+const allocateBudget = (lengths, budget) => {
+    const limits = new Array(lengths.length);
+    let remaining = budget;
+    const order = lengths.map((length, index) => index).sort((a, b) => lengths[a] - lengths[b]);
+    order.forEach((index, position) => {
+        const share = Math.floor(remaining / (order.length - position));
+        limits[index] = Math.min(lengths[index], share);
+        remaining -= limits[index];
+    });
+    return limits;
+};
+
+const isMessageExample = (item) => Array.isArray(item) && item.length > 0 && item.every(message =>
+    message && typeof message.user === 'string' && typeof message.content?.text === 'string');
+
+const parsedRepairAttempts = parseInt(process.env.MAX_REPAIR_ATTEMPTS, 10);
+const DEFAULT_MAX_REPAIR_ATTEMPTS = Number.isNaN(parsedRepairAttempts) ? 2 : parsedRepairAttempts;
+
 export class CharacterGeneratorService {
-    constructor(fetchImplementation = nodeFetch) {
+    /**
+     * @param {Function} [fetchImplementation]
+     * @param {object} [options]
+     * @param {number} [options.maxRepairAttempts] How many times to ask the model
+     *   to fix a response that is not valid JSON before giving up
+     */
+    constructor(fetchImplementation = nodeFetch, { maxRepairAttempts = DEFAULT_MAX_REPAIR_ATTEMPTS } = {}) {
         this.fetch = fetchImplementation;
+        this.maxRepairAttempts = maxRepairAttempts;
     }
 
     /**
@@ -93,169 +247,811 @@ export class CharacterGeneratorService {
 
     /**
      * Validate and normalize character data
+     * @param {object} data
+     * @param {Array<{path: string, message: string}>} [changes] Receives a note
+     *   for every value that had to be added, converted or dropped
+     * @returns {object}
      */
-    normalizeCharacterData(data) {
+    normalizeCharacterData(data, changes = []) {
         const characterData = { ...data };
+        const record = (path, message) => changes.push({ path, message });
 
-        // Ensure required fields exist
-        const defaults = DEFAULT_TEMPLATE;
+        // Helper to ensure array, keeping a lone string as a single entry
+        const ensureArray = (value, path) => {
+            if (Array.isArray(value)) return value;
+            if (value === undefined || value === null) {
+                record(path, 'missing, set to empty array');
+                return [];
+            }
+            if (typeof value === 'string') {
+                record(path, 'converted string to array');
+                return value.trim() ? [value] : [];
+            }
+            record(path, `replaced ${typeof value} with empty array`);
+            return [];
+        };
 
-        // Helper to ensure array
-        const ensureArray = (arr) => Array.isArray(arr) ? arr : [];
+        // Helper to ensure plain object
+        const ensureObject = (value, path, fallback = {}) => {
+            if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+            record(path, value === undefined || value === null
+                ? 'missing, set to default'
+                : `replaced ${Array.isArray(value) ? 'array' : typeof value} with default`);
+            return fallback;
+        };
 
-        characterData.bio = ensureArray(characterData.bio);
-        characterData.lore = ensureArray(characterData.lore);
-        characterData.topics = ensureArray(characterData.topics);
-        characterData.knowledge = ensureArray(characterData.knowledge);
-        characterData.messageExamples = ensureArray(characterData.messageExamples);
-        characterData.postExamples = ensureArray(characterData.postExamples);
-        characterData.adjectives = ensureArray(characterData.adjectives);
-        characterData.people = ensureArray(characterData.people);
+        characterData.bio = ensureArray(characterData.bio, 'bio');
+        characterData.lore = ensureArray(characterData.lore, 'lore');
+        characterData.topics = ensureArray(characterData.topics, 'topics');
+        characterData.knowledge = ensureArray(characterData.knowledge, 'knowledge');
+        characterData.messageExamples = ensureArray(characterData.messageExamples, 'messageExamples');
+        characterData.postExamples = ensureArray(characterData.postExamples, 'postExamples');
+        characterData.adjectives = ensureArray(characterData.adjectives, 'adjectives');
+        characterData.people = ensureArray(characterData.people, 'people');
 
-        characterData.style = characterData.style || {};
-        characterData.style.all = ensureArray(characterData.style.all);
-        characterData.style.chat = ensureArray(characterData.style.chat);
-        characterData.style.post = ensureArray(characterData.style.post);
+        characterData.style = { ...ensureObject(characterData.style, 'style') };
+        characterData.style.all = ensureArray(characterData.style.all, 'style.all');
+        characterData.style.chat = ensureArray(characterData.style.chat, 'style.chat');
+        characterData.style.post = ensureArray(characterData.style.post, 'style.post');
 
-        characterData.settings = characterData.settings || {};
-        characterData.settings.secrets = characterData.settings.secrets || {};
-        characterData.settings.voice = characterData.settings.voice || { model: "" };
+        characterData.settings = { ...ensureObject(characterData.settings, 'settings') };
+        characterData.settings.secrets = ensureObject(characterData.settings.secrets, 'settings.secrets');
+        characterData.settings.voice = ensureObject(characterData.settings.voice, 'settings.voice', { model: "" });
 
-        // Process knowledge entries (ensure they are sentences)
-        characterData.knowledge = characterData.knowledge.map(entry => {
+        // Process knowledge entries (ensure they are sentences); references to
+        // knowledge files ({ path } or { directory }) are kept as they are
+        let periodsAdded = 0;
+        characterData.knowledge = characterData.knowledge.map((entry, index) => {
             if (typeof entry === 'string') {
-                return entry.endsWith('.') ? entry : entry + '.';
+                if (entry.endsWith('.')) return entry;
+                periodsAdded++;
+                return entry + '.';
+            }
+            if (isKnowledgeReference(entry)) return entry;
+            if (entry && typeof entry === 'object' && ['path', 'directory', 'shared'].some(key => key in entry)) {
+                record(`knowledge[${index}]`, 'removed file reference without a path or directory');
+                return null;
             }
             if (typeof entry === 'object' && entry !== null) {
                 const text = entry.text || entry.content || entry.value || entry.toString();
-                return typeof text === 'string' ?
-                    (text.endsWith('.') ? text : text + '.') :
-                    null;
+                if (typeof text === 'string') {
+                    record(`knowledge[${index}]`, 'converted object to text');
+                    return text.endsWith('.') ? text : text + '.';
+                }
             }
+            record(`knowledge[${index}]`, `removed ${entry === null ? 'null' : typeof entry} entry`);
             return null;
         }).filter(Boolean);
 
+        if (periodsAdded > 0) {
+            record('knowledge', `added trailing period to ${periodsAdded} entr${periodsAdded === 1 ? 'y' : 'ies'}`);
+        }
+
         return characterData;
     }
 
-    async generateCharacter(prompt, model, apiKey) {
-        if (!prompt) throw new Error('Prompt is required');
-        if (!model) throw new Error('Model is required');
-        if (!apiKey) throw new Error('API key is required');
+    /**
+     * Sends a chat completion request through the selected provider adapter.
+     * @param {Array<{role: string, content: string}>} messages
+     * @param {object} options
+     * @param {string} options.model
+     * @param {string} [options.apiKey]
+     * @param {string} [options.provider] Provider id, defaults to OpenRouter
+     * @param {string} [options.baseUrl] Overrides the default base URL of providers that allow it;
+     *   must be on LLM_BASE_URL_ALLOWLIST
+     * @param {string} [options.errorMessage] Message used when the provider gives none
+     * @param {AbortSignal} [options.signal] Aborts the upstream request
+     * @param {(text: string) => void} [options.onToken] Streams the response, called with each chunk of text
+     * @returns {Promise<string>} The generated text
+     */
+    async requestCompletion(messages, { model, apiKey, provider: providerId, baseUrl, errorMessage = 'Request failed', signal, onToken }) {
+        const provider = getProvider(providerId);
+        const resolvedBaseUrl = resolveBaseUrl(provider, baseUrl);
 
-        // Extract potential name
-        const nameMatch = prompt.match(/name(?:\s+is)?(?:\s*:)?\s*([A-Z][a-zA-Z\s]+?)(?:\.|\s|$)/i);
-        const suggestedName = nameMatch ? nameMatch[1].trim() : '';
+        if (provider.requiresApiKey && !apiKey) throw new Error('API key is required');
+        if (provider.requiresBaseUrl && !resolvedBaseUrl) throw new Error(`Base URL is required for ${provider.name}`);
 
-        const template = { ...DEFAULT_TEMPLATE, name: suggestedName };
+        const { url, options } = provider.buildRequest({
+            model,
+            messages,
+            temperature: 0.7,
+            maxTokens: 4000,
+            apiKey,
+            baseUrl: resolvedBaseUrl,
+            stream: Boolean(onToken)
+        });
 
-        const response = await this.fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': process.env.APP_URL || 'http://localhost:4000',
-                'X-Title': 'Eliza Character Generator'
-            },
-            body: JSON.stringify({
-                model: model,
-                messages: [
+        const response = await this.fetch(url, { ...options, signal });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(provider.extractError(error) || errorMessage);
+        }
+
+        if (onToken) {
+            let content = '';
+            for await (const delta of readStreamDeltas(response.body, provider)) {
+                content += delta;
+                onToken(delta);
+            }
+            return content;
+        }
+
+        const data = await response.json();
+        const content = provider.extractContent(data);
+        if (typeof content !== 'string') {
+            throw new Error(`${provider.name} returned no content`);
+        }
+        return content;
+    }
+
+    /**
+     * Parses a model response as character JSON. When parsing fails, the broken
+     * output and the parse error are sent back to the model for repair, up to
+     * maxRepairAttempts times.
+     * @param {string} content The model's original response
+     * @param {object} requestOptions Model/provider options for requestCompletion
+     * @param {object} [options]
+     * @param {number} [options.maxRepairAttempts]
+     * @param {(repair: {attempt: number, error: string}) => void} [options.onRepair]
+     * @returns {Promise<{parsedData: object, content: string, repairAttempts: number}>}
+     */
+    async parseWithRepair(content, requestOptions, { maxRepairAttempts = this.maxRepairAttempts, onRepair } = {}) {
+        let currentContent = content;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return {
+                    parsedData: this.parseAIResponse(currentContent),
+                    content: currentContent,
+                    repairAttempts: attempt
+                };
+            } catch (parseError) {
+                if (attempt >= maxRepairAttempts) {
+                    if (attempt === 0) throw parseError;
+                    throw new Error(`${parseError.message} (after ${attempt} repair attempt${attempt === 1 ? '' : 's'})`);
+                }
+
+                onRepair?.({ attempt: attempt + 1, error: parseError.message });
+
+                currentContent = await this.requestCompletion([
                     {
                         role: 'system',
-                        content: SYSTEM_PROMPT_GENERATION
+                        content: SYSTEM_PROMPT_REPAIR
                     },
                     {
                         role: 'user',
-                        content: `Template to follow:
+                        content: `Parser error: ${parseError.message}
+
+Broken JSON:
+${currentContent}`
+                    }
+                ], {
+                    ...requestOptions,
+                    onToken: undefined,
+                    errorMessage: 'Failed to repair character JSON'
+                });
+            }
+        }
+    }
+
+    /**
+     * Creates a parser that reports character fields as they finish streaming.
+     * @returns {IncrementalCharacterParser}
+     */
+    createIncrementalParser() {
+        return new IncrementalCharacterParser(content => this.parseAIResponse(content));
+    }
+
+    /**
+     * Builds the streaming callbacks for requestCompletion from the caller's
+     * onToken/onSection handlers. Returns undefined when not streaming.
+     * @param {object} handlers
+     * @param {(text: string) => void} [handlers.onToken]
+     * @param {(section: {key: string, value: any}) => void} [handlers.onSection]
+     */
+    createStreamHandler({ onToken, onSection }) {
+        if (!onToken && !onSection) return undefined;
+
+        const parser = onSection ? this.createIncrementalParser() : null;
+        return (text) => {
+            onToken?.(text);
+            parser?.push(text).forEach(section => onSection(section));
+        };
+    }
+
+    /**
+     * Generates a new character from a description.
+     * @param {string} prompt
+     * @param {string} model
+     * @param {string} [apiKey]
+     * @param {object} [options] Provider selection ({ provider, baseUrl }), streaming
+     *   options ({ signal, onToken, onSection }) and JSON repair options
+     *   ({ maxRepairAttempts, onRepair })
+     */
+    async generateCharacter(prompt, model, apiKey, { provider, baseUrl, signal, onToken, onSection, maxRepairAttempts, onRepair } = {}) {
+        if (!prompt) throw new Error('Prompt is required');
+        if (!model) throw new Error('Model is required');
+
+        const template = { ...DEFAULT_TEMPLATE, name: suggestName(prompt) };
+        const requestOptions = { model, apiKey, provider, baseUrl, signal };
+
+        const generatedContent = await this.requestCompletion([
+            {
+                role: 'system',
+                content: SYSTEM_PROMPT_GENERATION
+            },
+            {
+                role: 'user',
+                content: `Template to follow:
 ${JSON.stringify(template, null, 2)}
 
 Character description: ${prompt}
 
 Generate a complete character profile as a single JSON object following the exact template structure.`
-                    }
-                ],
-                temperature: 0.7,
-                max_tokens: 4000
-            })
+            }
+        ], {
+            ...requestOptions,
+            errorMessage: 'Failed to generate character',
+            onToken: this.createStreamHandler({ onToken, onSection })
         });
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error?.message || 'Failed to generate character');
+        const { parsedData, content, repairAttempts } = await this.parseWithRepair(
+            generatedContent,
+            requestOptions,
+            { maxRepairAttempts, onRepair }
+        );
+        return {
+            character: this.normalizeCharacterData(parsedData),
+            rawPrompt: prompt,
+            rawResponse: content,
+            repairAttempts
+        };
+    }
+
+    /**
+     * Refines an existing character according to new instructions.
+     * @param {string} prompt
+     * @param {string} model
+     * @param {object} currentCharacter
+     * @param {string} [apiKey]
+     * @param {object} [options] Provider selection ({ provider, baseUrl }), streaming
+     *   options ({ signal, onToken, onSection }) and JSON repair options
+     *   ({ maxRepairAttempts, onRepair }). Pass fields (dotted paths such as
+     *   'style.chat') to rewrite only those sections; see refineFields
+     */
+    async refineCharacter(prompt, model, currentCharacter, apiKey, { provider, baseUrl, signal, onToken, onSection, maxRepairAttempts, onRepair, fields } = {}) {
+        if (!prompt || !model || !currentCharacter) throw new Error('Missing required arguments');
+
+        if (fields) {
+            return this.refineFields(prompt, model, currentCharacter, fields, apiKey, {
+                provider, baseUrl, signal, onToken, onSection, maxRepairAttempts, onRepair
+            });
         }
 
-        const data = await response.json();
-        const generatedContent = data.choices[0].message.content;
+        const existingKnowledge = Array.isArray(currentCharacter.knowledge) ? currentCharacter.knowledge : [];
+        const hasExistingKnowledge = existingKnowledge.length > 0;
+        const requestOptions = { model, apiKey, provider, baseUrl, signal };
+
+        const generatedContent = await this.requestCompletion([
+            {
+                role: 'system',
+                content: SYSTEM_PROMPT_REFINEMENT
+            },
+            {
+                role: 'user',
+                content: `Current character data:
+${JSON.stringify(currentCharacter, null, 2)}
+
+Template to follow:
+${JSON.stringify(DEFAULT_TEMPLATE, null, 2)}
+
+Refinement instructions: ${prompt}
+
+Output the refined character data as a single JSON object. ${hasExistingKnowledge ? 'DO NOT modify the existing knowledge array unless instructed.' : ''}`
+            }
+        ], {
+            ...requestOptions,
+            errorMessage: 'Failed to refine character',
+            onToken: this.createStreamHandler({ onToken, onSection })
+        });
+
+        const { parsedData, content, repairAttempts } = await this.parseWithRepair(
+            generatedContent,
+            requestOptions,
+            { maxRepairAttempts, onRepair }
+        );
 
-        const parsedData = this.parseAIResponse(generatedContent);
         return {
             character: this.normalizeCharacterData(parsedData),
             rawPrompt: prompt,
-            rawResponse: generatedContent
+            rawResponse: content,
+            repairAttempts
         };
     }
 
-    async refineCharacter(prompt, model, currentCharacter, apiKey) {
+    /**
+     * Rewrites only the given fields of a character. The model sees a short
+     * identity context plus the current value of each field and answers with
+     * just those fields, which are merged back into the character here so
+     * nothing else can change. Fields missing from the answer are left as they were.
+     * @param {string} prompt
+     * @param {string} model
+     * @param {object} currentCharacter
+     * @param {string[]} fields Dotted paths from REFINABLE_FIELDS
+     * @param {string} [apiKey]
+     * @param {object} [options] Same as refineCharacter
+     * @returns {Promise<{character: object, fields: string[], rawPrompt: string, rawResponse: string, repairAttempts: number}>}
+     */
+    async refineFields(prompt, model, currentCharacter, fields, apiKey, { provider, baseUrl, signal, onToken, onSection, maxRepairAttempts, onRepair } = {}) {
         if (!prompt || !model || !currentCharacter) throw new Error('Missing required arguments');
-        if (!apiKey) throw new Error('API key is required');
+        if (!Array.isArray(fields) || fields.length === 0) throw new Error('At least one field is required');
 
-        const existingKnowledge = Array.isArray(currentCharacter.knowledge) ? currentCharacter.knowledge : [];
-        const hasExistingKnowledge = existingKnowledge.length > 0;
+        const unknownField = fields.find(field => !REFINABLE_FIELDS.includes(field));
+        if (unknownField !== undefined) throw new Error(`Unknown field: ${unknownField}`);
 
-        const template = { ...DEFAULT_TEMPLATE, ...currentCharacter };
+        const pickPaths = (source, paths) => paths.reduce(
+            (result, path) => setFieldValue(result, path, getFieldValue(source, path) ?? getFieldValue(DEFAULT_TEMPLATE, path)),
+            {}
+        );
+        const context = pickPaths(currentCharacter, SECTION_CONTEXT_FIELDS.filter(path => !fields.includes(path)));
+        const currentSections = pickPaths(currentCharacter, fields);
+        const template = pickPaths(DEFAULT_TEMPLATE, fields);
+        const requestOptions = { model, apiKey, provider, baseUrl, signal };
 
-        const response = await this.fetch('https://openrouter.ai/api/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiKey}`,
-                'Content-Type': 'application/json',
-                'HTTP-Referer': process.env.APP_URL || 'http://localhost:4000',
-                'X-Title': 'Eliza Character Generator'
+        const generatedContent = await this.requestCompletion([
+            {
+                role: 'system',
+                content: SYSTEM_PROMPT_SECTION_REFINEMENT
             },
-            body: JSON.stringify({
-                model: model,
-                messages: [
+            {
+                role: 'user',
+                content: `Character context (do not output):
+${JSON.stringify(context, null, 2)}
+
+Current sections:
+${JSON.stringify(currentSections, null, 2)}
+
+Template to follow:
+${JSON.stringify(template, null, 2)}
+
+Refinement instructions: ${prompt}
+
+Output only the refined sections as a single JSON object.`
+            }
+        ], {
+            ...requestOptions,
+            errorMessage: 'Failed to refine character',
+            onToken: this.createStreamHandler({ onToken, onSection })
+        });
+
+        const { parsedData, content, repairAttempts } = await this.parseWithRepair(
+            generatedContent,
+            requestOptions,
+            { maxRepairAttempts, onRepair }
+        );
+
+        const merged = fields.reduce((result, path) => {
+            const value = getFieldValue(parsedData, path);
+            return value === undefined ? result : setFieldValue(result, path, value);
+        }, currentCharacter);
+
+        return {
+            character: this.normalizeCharacterData(merged),
+            fields,
+            rawPrompt: prompt,
+            rawResponse: content,
+            repairAttempts
+        };
+    }
+
+    /**
+     * Writes new entries for one list field of a character. Only entries that
+     * are well-formed and not duplicates of existing entries (or of each
+     * other) are returned; the character itself is not modified.
+     * @param {string} field One of EXPANDABLE_FIELDS
+     * @param {number} count How many entries to ask for, at most MAX_EXPAND_COUNT
+     * @param {string} model
+     * @param {object} currentCharacter
+     * @param {string} [apiKey]
+     * @param {object} [options] Provider selection ({ provider, baseUrl, signal }),
+     *   JSON repair options ({ maxRepairAttempts, onRepair }) and optional
+     *   extra instructions
+     * @returns {Promise<{field: string, items: Array, rawResponse: string, repairAttempts: number}>}
+     */
+    async expandSection(field, count, model, currentCharacter, apiKey, { provider, baseUrl, signal, maxRepairAttempts, onRepair, instructions } = {}) {
+        if (!model || !currentCharacter) throw new Error('Missing required arguments');
+        if (!EXPANDABLE_FIELDS.includes(field)) throw new Error(`Unknown field: ${field}`);
+        if (!Number.isInteger(count) || count < 1 || count > MAX_EXPAND_COUNT) {
+            throw new Error(`Count must be a whole number from 1 to ${MAX_EXPAND_COUNT}`);
+        }
+
+        const existingValue = getFieldValue(currentCharacter, field);
+        const existing = Array.isArray(existingValue) ? existingValue : [];
+        const context = SECTION_CONTEXT_FIELDS
+            .filter(path => path !== field)
+            .reduce((result, path) => setFieldValue(result, path, getFieldValue(currentCharacter, path) ?? getFieldValue(DEFAULT_TEMPLATE, path)), {});
+        const requestOptions = { model, apiKey, provider, baseUrl, signal };
+
+        const generatedContent = await this.requestCompletion([
+            {
+                role: 'system',
+                content: SYSTEM_PROMPT_EXPANSION
+            },
+            {
+                role: 'user',
+                content: `Character context:
+${JSON.stringify(context, null, 2)}
+
+Section: ${field}
+Existing entries:
+${JSON.stringify(existing, null, 2)}
+${EXPANSION_ITEM_FORMATS[field] ? `\n${EXPANSION_ITEM_FORMATS[field]}\n` : ''}
+${instructions ? `Additional instructions: ${instructions}\n\n` : ''}Write ${count} new entries for this section as {"items": [...]}.`
+            }
+        ], {
+            ...requestOptions,
+            errorMessage: 'Failed to expand section'
+        });
+
+        const { parsedData, content, repairAttempts } = await this.parseWithRepair(
+            generatedContent,
+            requestOptions,
+            { maxRepairAttempts, onRepair }
+        );
+
+        // A JSON null reply counts as no items
+        const candidates = Array.isArray(parsedData) ? parsedData : parsedData?.items;
+        const isValidItem = field === 'messageExamples'
+            ? isMessageExample
+            : (item) => typeof item === 'string' && item.trim().length > 0;
+        const seen = new Set(existing.map(duplicateKey));
+
+        const items = (Array.isArray(candidates) ? candidates : [])
+            .filter(isValidItem)
+            .map(item => (typeof item === 'string' ? item.trim() : item))
+            .filter(item => {
+                const key = duplicateKey(item);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, count);
+
+        return { field, items, rawResponse: content, repairAttempts };
+    }
+
+    /**
+     * Distills knowledge chunks into short standalone facts. Chunks are sent in
+     * numbered batches, and each batch may return its share of the facts still
+     * allowed, so a long document is covered from start to end rather than
+     * filling the cap from its first pages.
+     * @param {Array<{text: string, source?: object}>} chunks Knowledge entries as produced by file processing
+     * @param {string} model
+     * @param {string} apiKey
+     * @param {object} [options]
+     * @param {number} [options.maxFacts] Cap on the number of facts returned
+     * @param {object} [options.character] Character the knowledge is for; its name, bio and topics guide relevance
+     * @param {(progress: {distilledChunks: number, totalChunks: number}) => void} [options.onProgress]
+     * @returns {Promise<{facts: Array<{text: string, source?: object, chunk: string}>, repairAttempts: number}>}
+     *   Each fact keeps the chunk it was taken from as provenance
+     */
+    async distillKnowledge(chunks, model, apiKey, { provider, baseUrl, signal, maxRepairAttempts, onRepair, maxFacts = DEFAULT_DISTILL_FACTS, character, onProgress } = {}) {
+        if (!model) throw new Error('Missing required arguments');
+        if (!Number.isInteger(maxFacts) || maxFacts < 1 || maxFacts > MAX_DISTILL_FACTS) {
+            throw new Error(`maxFacts must be a whole number from 1 to ${MAX_DISTILL_FACTS}`);
+        }
+
+        const batches = [];
+        chunks.forEach(chunk => {
+            const current = batches[batches.length - 1];
+            const length = current ? current.reduce((total, item) => total + item.text.length, 0) : Infinity;
+            if (length + chunk.text.length > DISTILL_BATCH_CHARS) {
+                batches.push([chunk]);
+            } else {
+                current.push(chunk);
+            }
+        });
+
+        const context = character
+            ? SECTION_CONTEXT_FIELDS.reduce((result, path) => {
+                const value = getFieldValue(character, path);
+                return value === undefined ? result : setFieldValue(result, path, value);
+            }, {})
+            : null;
+        const requestOptions = { model, apiKey, provider, baseUrl, signal };
+        const facts = [];
+        const seen = new Set();
+        let repairAttempts = 0;
+        let distilledChunks = 0;
+
+        for (const [index, batch] of batches.entries()) {
+            const remaining = maxFacts - facts.length;
+            if (remaining <= 0) break;
+            const limit = Math.ceil(remaining / (batches.length - index));
+
+            const excerpts = batch.map((chunk, number) => `[${number + 1}]\n${chunk.text}`).join('\n\n');
+            const generatedContent = await this.requestCompletion([
+                {
+                    role: 'system',
+                    content: SYSTEM_PROMPT_DISTILLATION
+                },
+                {
+                    role: 'user',
+                    content: `${context ? `Character:\n${JSON.stringify(context, null, 2)}\n\n` : ''}Excerpts:
+${excerpts}
+
+Extract at most ${limit} facts as {"facts": [...]}.`
+                }
+            ], {
+                ...requestOptions,
+                errorMessage: 'Failed to distill knowledge'
+            });
+
+            const parsed = await this.parseWithRepair(generatedContent, requestOptions, { maxRepairAttempts, onRepair });
+            repairAttempts += parsed.repairAttempts;
+
+            // A JSON null reply counts as no facts
+            const candidates = Array.isArray(parsed.parsedData) ? parsed.parsedData : parsed.parsedData?.facts;
+            (Array.isArray(candidates) ? candidates : [])
+                .map(fact => (typeof fact === 'string' ? { text: fact } : fact))
+                .filter(fact => typeof fact?.text === 'string' && fact.text.trim().length > 0)
+                .slice(0, limit)
+                .forEach(fact => {
+                    const key = duplicateKey(fact.text);
+                    if (seen.has(key)) return;
+                    seen.add(key);
+
+                    // Facts without a valid excerpt number are credited to the batch's first chunk
+                    const chunk = batch[Number.isInteger(fact.excerpt) && batch[fact.excerpt - 1] ? fact.excerpt - 1 : 0];
+                    facts.push({ text: fact.text.trim(), ...(chunk.source && { source: chunk.source }), chunk: chunk.text });
+                });
+
+            distilledChunks += batch.length;
+            onProgress?.({ distilledChunks, totalChunks: chunks.length });
+        }
+
+        return { facts, repairAttempts };
+    }
+
+    /**
+     * Shortens one document to about `limit` characters by summarizing it in
+     * parts, summarizing the joined summaries again if they are still too
+     * long. Text left over after the last round is cut at the limit.
+     * @param {{filename: string, text: string}} document
+     * @param {number} limit
+     * @param {object} requestOptions Model/provider options for requestCompletion
+     * @param {(parts: number) => void} [onPartsPlanned] Called with the number of parts each round will summarize
+     * @param {() => void} [onPartSummarized]
+     * @returns {Promise<string>}
+     */
+    async condenseDocument({ filename, text }, limit, requestOptions, { onPartsPlanned, onPartSummarized } = {}) {
+        let condensed = text;
+
+        for (let round = 0; round < MAX_SUMMARY_ROUNDS && condensed.length > limit; round++) {
+            const parts = chunkText(condensed, { chunkSize: DOCUMENT_SUMMARY_PART_CHARS });
+            const partLimit = Math.max(Math.floor(limit / parts.length), 200);
+            onPartsPlanned?.(parts.length);
+
+            const summaries = [];
+            for (const [index, part] of parts.entries()) {
+                const label = parts.length > 1 ? `${filename} (part ${index + 1} of ${parts.length})` : filename;
+                const summary = await this.requestCompletion([
                     {
                         role: 'system',
-                        content: SYSTEM_PROMPT_REFINEMENT
+                        content: SYSTEM_PROMPT_DOCUMENT_SUMMARY
                     },
                     {
                         role: 'user',
-                        content: `Current character data:
-${JSON.stringify(currentCharacter, null, 2)}
+                        content: `Document: ${label}
 
-Template to follow:
-${JSON.stringify(DEFAULT_TEMPLATE, null, 2)}
-
-Refinement instructions: ${prompt}
+${part}
 
-Output the refined character data as a single JSON object. ${hasExistingKnowledge ? 'DO NOT modify the existing knowledge array unless instructed.' : ''}`
+Condense this to at most ${partLimit} characters.`
                     }
-                ],
-                temperature: 0.7,
-                max_tokens: 4000
-            })
+                ], {
+                    ...requestOptions,
+                    errorMessage: 'Failed to summarize document'
+                });
+                summaries.push(summary.trim());
+                onPartSummarized?.();
+            }
+            condensed = summaries.join('\n\n');
+        }
+
+        return condensed.length > limit ? condensed.slice(0, limit) : condensed;
+    }
+
+    /**
+     * Generates a character grounded in source documents, optionally guided by
+     * a description. Documents that together exceed the context budget are
+     * summarized first; short documents are sent whole.
+     * @param {Array<{filename: string, text: string}>} documents Extracted document text
+     * @param {string} [prompt] Character description
+     * @param {string} model
+     * @param {string} [apiKey]
+     * @param {object} [options] Provider selection ({ provider, baseUrl }), streaming
+     *   options ({ signal, onToken, onSection }) and JSON repair options
+     *   ({ maxRepairAttempts, onRepair })
+     * @param {number} [options.contextChars] Character budget for the documents
+     * @param {(progress: {summarizedParts: number, totalParts: number}) => void} [options.onProgress]
+     * @returns {Promise<{character: object, entries: Array<{text: string, source: object}>, summarized: string[],
+     *   rawPrompt: string, rawResponse: string, repairAttempts: number}>}
+     *   entries lists the knowledge items whose source names one of the documents;
+     *   summarized lists the documents that did not fit and were summarized
+     */
+    async generateFromDocuments(documents, prompt, model, apiKey, { provider, baseUrl, signal, onToken, onSection, maxRepairAttempts, onRepair, contextChars = DOCUMENT_CONTEXT_CHARS, onProgress } = {}) {
+        if (!Array.isArray(documents) || documents.length === 0) throw new Error('At least one document is required');
+        if (!model) throw new Error('Model is required');
+
+        const requestOptions = { model, apiKey, provider, baseUrl, signal };
+        const limits = allocateBudget(documents.map(document => document.text.length), contextChars);
+        const summarized = [];
+        let summarizedParts = 0;
+        let totalParts = 0;
+
+        const condensedDocuments = [];
+        for (const [index, document] of documents.entries()) {
+            if (document.text.length <= limits[index]) {
+                condensedDocuments.push(document);
+                continue;
+            }
+            summarized.push(document.filename);
+            const text = await this.condenseDocument(document, limits[index], requestOptions, {
+                onPartsPlanned: parts => {
+                    totalParts += parts;
+                    onProgress?.({ summarizedParts, totalParts });
+                },
+                onPartSummarized: () => {
+                    summarizedParts++;
+                    onProgress?.({ summarizedParts, totalParts });
+                }
+            });
+            condensedDocuments.push({ filename: document.filename, text });
+        }
+
+        const template = {
+            ...DEFAULT_TEMPLATE,
+            name: suggestName(prompt),
+            knowledge: [{ text: "", source: "" }]
+        };
+        const sources = condensedDocuments
+            .map(({ filename, text }) => `=== ${filename} ===\n${text}`)
+            .join('\n\n');
+
+        const generatedContent = await this.requestCompletion([
+            {
+                role: 'system',
+                content: SYSTEM_PROMPT_DOCUMENT_GENERATION
+            },
+            {
+                role: 'user',
+                content: `Template to follow:
+${JSON.stringify(template, null, 2)}
+
+${prompt ? `Character description: ${prompt}\n\n` : ''}Source documents:
+${sources}
+
+Generate a complete character profile grounded in the source documents as a single JSON object following the exact template structure.`
+            }
+        ], {
+            ...requestOptions,
+            errorMessage: 'Failed to generate character',
+            onToken: this.createStreamHandler({ onToken, onSection })
         });
 
-        if (!response.ok) {
-            const error = await response.json();
-            throw new Error(error.error?.message || 'Failed to refine character');
+        const { parsedData, content, repairAttempts } = await this.parseWithRepair(
+            generatedContent,
+            requestOptions,
+            { maxRepairAttempts, onRepair }
+        );
+
+        // Knowledge comes back as {text, source} objects; keep the text for the
+        // character and the source for entries, when it names one of the documents
+        const filenames = new Map(documents.map(({ filename }) => [filename.toLowerCase(), filename]));
+        const knowledgeSources = [];
+        const data = { ...parsedData };
+        if (Array.isArray(data.knowledge)) {
+            data.knowledge = data.knowledge
+                .map(item => (typeof item === 'string' ? { text: item } : item))
+                .filter(item => typeof item?.text === 'string' && item.text.trim().length > 0)
+                .map(item => {
+                    const source = typeof item.source === 'string' ? item.source.trim().toLowerCase() : '';
+                    knowledgeSources.push(filenames.get(source) || null);
+                    return item.text.trim();
+                });
         }
 
-        const data = await response.json();
-        const generatedContent = data.choices[0].message.content;
+        const character = this.normalizeCharacterData(data);
+        const ingestedAt = new Date().toISOString();
+        const entries = character.knowledge
+            .map((text, index) => (knowledgeSources[index]
+                ? { text, source: { filename: knowledgeSources[index], section: '', ingestedAt } }
+                : null))
+            .filter(Boolean);
+
+        return {
+            character,
+            entries,
+            summarized,
+            rawPrompt: prompt || '',
+            rawResponse: content,
+            repairAttempts
+        };
+    }
+
+    /**
+     * Describes how someone writes, from a sample of their chat messages, as
+     * Eliza style rules and adjectives.
+     * @param {string[]} samples Messages written by the person
+     * @param {object} stats Measurements from describeChatStyle
+     * @param {string} model
+     * @param {string} [apiKey]
+     * @param {object} [options] Provider selection ({ provider, baseUrl, signal }) and
+     *   JSON repair options ({ maxRepairAttempts, onRepair })
+     * @param {string} [options.name] The person's name, to refer to them by
+     * @returns {Promise<{style: {all: string[], chat: string[], post: string[]}, adjectives: string[], repairAttempts: number}>}
+     */
+    async summarizeChatStyle(samples, stats, model, apiKey, { provider, baseUrl, signal, maxRepairAttempts, onRepair, name } = {}) {
+        if (!Array.isArray(samples) || samples.length === 0) throw new Error('At least one message is required');
+        if (!model) throw new Error('Model is required');
+
+        const requestOptions = { model, apiKey, provider, baseUrl, signal };
+        const generatedContent = await this.requestCompletion([
+            {
+                role: 'system',
+                content: SYSTEM_PROMPT_CHAT_STYLE
+            },
+            {
+                role: 'user',
+                content: `${name ? `Person: ${name}\n\n` : ''}Measurements (shares are of all their messages, 0-1):
+${JSON.stringify(stats, null, 2)}
+
+Messages:
+${samples.map(sample => `- ${sample.replace(/\n/g, ' / ')}`).join('\n')}
+
+Describe their style as {"style": {"all": [...], "chat": [...], "post": [...]}, "adjectives": [...]}.`
+            }
+        ], {
+            ...requestOptions,
+            errorMessage: 'Failed to summarize chat style'
+        });
 
-        const parsedData = this.parseAIResponse(generatedContent);
+        const { parsedData, repairAttempts } = await this.parseWithRepair(generatedContent, requestOptions, { maxRepairAttempts, onRepair });
+        const strings = (value) => (Array.isArray(value) ? value : [])
+            .filter(item => typeof item === 'string' && item.trim())
+            .map(item => item.trim());
+        const style = parsedData?.style && typeof parsedData.style === 'object' ? parsedData.style : {};
 
         return {
-            character: this.normalizeCharacterData(parsedData),
-            rawPrompt: prompt,
-            rawResponse: generatedContent
+            style: { all: strings(style.all), chat: strings(style.chat), post: strings(style.post) },
+            adjectives: [...new Set(strings(parsedData?.adjectives).map(adjective => adjective.toLowerCase()))],
+            repairAttempts
         };
     }
 
+    /**
+     * Parses possibly malformed character JSON and normalizes it, reporting
+     * every change made along the way.
+     * @param {string} content
+     * @returns {{character: object, changes: Array<{path: string, message: string}>}}
+     */
     fixJson(content) {
-        const parsed = this.parseAIResponse(content);
-        return this.normalizeCharacterData(parsed);
+        const changes = [];
+        let parsed;
+
+        try {
+            parsed = JSON.parse(content);
+        } catch (strictParseError) {
+            parsed = this.parseAIResponse(content);
+            changes.push({ path: '', message: `repaired JSON syntax (${strictParseError.message})` });
+        }
+
+        // Older formats are upgraded first, so normalizing sees the current shape
+        const migration = migrateCharacter(parsed);
+        changes.push(...migration.changes);
+
+        const character = this.normalizeCharacterData(migration.character, changes);
+        return { character, changes };
     }
 }
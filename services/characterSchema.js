@@ -0,0 +1,227 @@
+/**
+ * Schema for the Eliza character file format and a validator that reports
+ * problems with JSON paths instead of coercing them away.
+ */
+
+// Issues are formatted the same way in the browser, so the formatter lives in shared/
+export { formatIssue } from '../shared/characterIssues.js';
+
+export const KNOWN_CLIENTS = ['discord', 'direct', 'twitter', 'telegram', 'farcaster', 'lens', 'auto'];
+
+export const KNOWN_MODEL_PROVIDERS = [
+    'openai', 'eternalai', 'anthropic', 'grok', 'groq', 'llama_cloud', 'together',
+    'llama_local', 'google', 'claude_vertex', 'redpill', 'openrouter', 'ollama',
+    'heurist', 'galadriel', 'falai', 'gaianet', 'ali_bailian', 'volengine'
+];
+
+const stringArray = { type: 'array', items: { type: 'string' }, warnIfEmpty: true };
+
+// Eliza also takes knowledge files, relative to characters/knowledge/
+const knowledgeReferenceSchema = {
+    type: 'object',
+    requiredAnyOf: ['path', 'directory'],
+    properties: {
+        path: { type: 'string' },
+        directory: { type: 'string' },
+        shared: { type: 'boolean' }
+    }
+};
+
+const messageSchema = {
+    type: 'object',
+    properties: {
+        user: { type: 'string', required: true },
+        content: {
+            type: 'object',
+            required: true,
+            properties: {
+                text: { type: 'string', required: true },
+                action: { type: 'string' }
+            },
+            additionalProperties: true
+        }
+    }
+};
+
+/**
+ * Schema nodes:
+ *   type                  'string' | 'boolean' | 'array' | 'object' | 'any'
+ *   required              report an error when missing
+ *   requiredAnyOf         keys of which an object needs at least one as a
+ *                         non-blank string
+ *   oneOf                 list of alternative schemas
+ *   items                 schema for array items
+ *   properties            schemas for object keys
+ *   additionalProperties  true allows unknown keys, a schema validates them,
+ *                         otherwise unknown keys are reported as warnings
+ *   values/valueLabel     allowed string values and how to name them
+ *   valueSeverity         'error' or 'warning' for values outside the list
+ *   warnIfEmpty           warn when an array is empty or a string is blank
+ */
+export const CHARACTER_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string', required: true, warnIfEmpty: true },
+        username: { type: 'string' },
+        system: { type: 'string' },
+        clients: {
+            type: 'array',
+            required: true,
+            items: { type: 'string', values: KNOWN_CLIENTS, valueLabel: 'client', valueSeverity: 'error' }
+        },
+        modelProvider: {
+            type: 'string',
+            required: true,
+            values: KNOWN_MODEL_PROVIDERS,
+            valueLabel: 'model provider',
+            valueSeverity: 'warning'
+        },
+        imageModelProvider: { type: 'string', values: KNOWN_MODEL_PROVIDERS, valueLabel: 'model provider', valueSeverity: 'warning' },
+        modelEndpointOverride: { type: 'string' },
+        settings: {
+            type: 'object',
+            properties: {
+                secrets: { type: 'object', additionalProperties: { type: 'string' } },
+                voice: {
+                    type: 'object',
+                    properties: {
+                        model: { type: 'string' },
+                        url: { type: 'string' }
+                    },
+                    additionalProperties: true
+                },
+                model: { type: 'string' },
+                embeddingModel: { type: 'string' }
+            },
+            additionalProperties: true
+        },
+        plugins: { type: 'array', items: { type: 'any' } },
+        bio: { required: true, oneOf: [stringArray, { type: 'string', warnIfEmpty: true }] },
+        lore: { ...stringArray, required: true },
+        knowledge: { type: 'array', items: { oneOf: [{ type: 'string' }, knowledgeReferenceSchema] } },
+        messageExamples: {
+            type: 'array',
+            required: true,
+            warnIfEmpty: true,
+            items: { type: 'array', items: messageSchema }
+        },
+        postExamples: { ...stringArray, required: true },
+        topics: { ...stringArray, required: true },
+        style: {
+            type: 'object',
+            required: true,
+            properties: {
+                all: { ...stringArray, required: true },
+                chat: { ...stringArray, required: true },
+                post: { ...stringArray, required: true }
+            }
+        },
+        adjectives: { ...stringArray, required: true },
+        people: { type: 'array', items: { type: 'string' } },
+        templates: { type: 'object', additionalProperties: { type: 'string' } },
+        clientConfig: { type: 'object', additionalProperties: true },
+        twitterProfile: { type: 'object', additionalProperties: true },
+        nft: { type: 'object', additionalProperties: true }
+    }
+};
+
+const describeType = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+};
+
+const joinPath = (path, key) => {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+};
+
+/**
+ * Validates a value against a schema node, collecting issues.
+ * @returns {boolean} Whether the value matched the node's type
+ */
+const validateNode = (value, schema, path, issues) => {
+    if (schema.oneOf) {
+        const match = schema.oneOf.find(option => describeType(value) === option.type);
+        if (!match) {
+            const expected = schema.oneOf.map(option => option.type).join(' or ');
+            issues.errors.push({ path, message: `expected ${expected}, got ${describeType(value)}` });
+            return false;
+        }
+        return validateNode(value, match, path, issues);
+    }
+
+    if (schema.type === 'any') return true;
+
+    if (describeType(value) !== schema.type) {
+        issues.errors.push({ path, message: `expected ${schema.type}, got ${describeType(value)}` });
+        return false;
+    }
+
+    if (schema.type === 'string') {
+        if (schema.warnIfEmpty && value.trim() === '') {
+            issues.warnings.push({ path, message: 'is empty' });
+        } else if (schema.values && !schema.values.includes(value)) {
+            const list = schema.valueSeverity === 'error' ? issues.errors : issues.warnings;
+            list.push({ path, message: `"${value}" not a known ${schema.valueLabel}` });
+        }
+    }
+
+    if (schema.type === 'array') {
+        if (schema.warnIfEmpty && value.length === 0) {
+            issues.warnings.push({ path, message: 'is empty' });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => validateNode(item, schema.items, joinPath(path, index), issues));
+        }
+    }
+
+    if (schema.type === 'object') {
+        const properties = schema.properties || {};
+
+        if (schema.requiredAnyOf && !schema.requiredAnyOf.some(key => typeof value[key] === 'string' && value[key].trim())) {
+            issues.errors.push({ path, message: `needs a non-empty ${schema.requiredAnyOf.join(' or ')}` });
+        }
+
+        Object.entries(properties).forEach(([key, propertySchema]) => {
+            const propertyPath = joinPath(path, key);
+            if (value[key] === undefined) {
+                if (propertySchema.required) {
+                    issues.errors.push({ path: propertyPath, message: 'missing' });
+                }
+                return;
+            }
+            validateNode(value[key], propertySchema, propertyPath, issues);
+        });
+
+        Object.keys(value)
+            .filter(key => !Object.prototype.hasOwnProperty.call(properties, key))
+            .forEach(key => {
+                const propertyPath = joinPath(path, key);
+                if (schema.additionalProperties === true) return;
+                if (schema.additionalProperties) {
+                    validateNode(value[key], schema.additionalProperties, propertyPath, issues);
+                } else {
+                    issues.warnings.push({ path: propertyPath, message: 'unknown key' });
+                }
+            });
+    }
+
+    return true;
+};
+
+/**
+ * Validates character data against the Eliza character schema.
+ * @param {any} character
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ */
+export const validateCharacter = (character) => {
+    const issues = { errors: [], warnings: [] };
+    validateNode(character, CHARACTER_SCHEMA, '', issues);
+    return {
+        valid: issues.errors.length === 0,
+        errors: issues.errors,
+        warnings: issues.warnings
+    };
+};
@@ -0,0 +1,158 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const DEFAULT_STORE_DIR = process.env.CHARACTER_STORE_DIR || 'data/characters';
+const ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+const normalizeTags = (tags) => {
+    if (!Array.isArray(tags)) return [];
+    return [...new Set(tags
+        .filter(tag => typeof tag === 'string')
+        .map(tag => tag.trim().toLowerCase())
+        .filter(tag => tag.length > 0))];
+};
+
+const nameOf = (character) => (typeof character?.name === 'string' ? character.name : '');
+
+// Records written before names were checked may hold any JSON in name or tags
+const toSummary = ({ id, name, tags, createdAt, updatedAt }) => ({
+    id,
+    name: typeof name === 'string' ? name : '',
+    tags: normalizeTags(tags),
+    createdAt,
+    updatedAt
+});
+
+/**
+ * File-backed character library. Each character is stored as one JSON file
+ * named after its id, so the store needs nothing beyond the local disk.
+ *
+ * Records look like { id, name, tags, createdAt, updatedAt, character }.
+ */
+export class CharacterStore {
+    constructor(directory = DEFAULT_STORE_DIR) {
+        this.directory = directory;
+    }
+
+    filePath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    async readRecord(id) {
+        if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+
+        try {
+            return JSON.parse(await fs.readFile(this.filePath(id), 'utf-8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Writes a record through a temporary file so a crash never leaves a
+     * half-written character behind.
+     */
+    async writeRecord(record) {
+        await fs.mkdir(this.directory, { recursive: true });
+        const target = this.filePath(record.id);
+        const temporary = `${target}.${process.pid}.tmp`;
+        await fs.writeFile(temporary, JSON.stringify(record, null, 2));
+        await fs.rename(temporary, target);
+        return record;
+    }
+
+    /**
+     * Lists stored characters, newest first.
+     * @param {object} [filters]
+     * @param {string} [filters.search] Matches part of the name or a tag
+     * @param {string[]} [filters.tags] Only characters with all of these tags
+     * @returns {Promise<Array<{id: string, name: string, tags: string[], createdAt: string, updatedAt: string}>>}
+     */
+    async list({ search, tags } = {}) {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const records = await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.readRecord(file.slice(0, -'.json'.length)).catch(error => {
+                console.error(`Error reading stored character ${file}:`, error);
+                return null;
+            })));
+
+        const query = (search || '').trim().toLowerCase();
+        const requiredTags = normalizeTags(tags);
+
+        return records
+            .filter(Boolean)
+            .map(toSummary)
+            .filter(record => !query ||
+                record.name.toLowerCase().includes(query) ||
+                record.tags.some(tag => tag.includes(query)))
+            .filter(record => requiredTags.every(tag => record.tags.includes(tag)))
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<object|null>} The record, or null if it does not exist
+     */
+    async get(id) {
+        return this.readRecord(id);
+    }
+
+    /**
+     * @param {object} input
+     * @param {object} input.character Eliza character data
+     * @param {string[]} [input.tags]
+     * @returns {Promise<object>} The new record
+     */
+    async create({ character, tags }) {
+        const now = new Date().toISOString();
+        return this.writeRecord({
+            id: randomUUID(),
+            name: nameOf(character),
+            tags: normalizeTags(tags),
+            createdAt: now,
+            updatedAt: now,
+            character
+        });
+    }
+
+    /**
+     * Replaces a stored character, keeping its tags unless new ones are given.
+     * @param {string} id
+     * @param {object} input
+     * @param {object} input.character
+     * @param {string[]} [input.tags]
+     * @returns {Promise<object|null>} The updated record, or null if it does not exist
+     */
+    async update(id, { character, tags }) {
+        const existing = await this.readRecord(id);
+        if (!existing) return null;
+
+        return this.writeRecord({
+            ...existing,
+            name: nameOf(character),
+            tags: tags === undefined ? existing.tags : normalizeTags(tags),
+            updatedAt: new Date().toISOString(),
+            character
+        });
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<boolean>} Whether a character was deleted
+     */
+    async delete(id) {
+        if (!(await this.readRecord(id))) return false;
+        await fs.unlink(this.filePath(id));
+        return true;
+    }
+}
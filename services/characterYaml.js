@@ -0,0 +1,95 @@
+import YAML from 'yaml';
+
+/**
+ * Characters as YAML files, which diff better in review than JSON. Exports
+ * can start from the YAML a character was imported from, so its comments,
+ * key order and quoting survive wherever the values they belong to do.
+ */
+
+// Strings at least this long are written as folded block scalars (>)
+export const BLOCK_SCALAR_MIN_LENGTH = 80;
+const LINE_WIDTH = 100;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const keyOf = (pair) => String(YAML.isScalar(pair.key) ? pair.key.value : pair.key);
+
+/**
+ * Reads a character from YAML.
+ * @param {string} text
+ * @returns {object}
+ * @throws {Error} If the YAML is invalid or is not a mapping
+ */
+export const parseCharacterYaml = (text) => {
+    const document = YAML.parseDocument(text);
+    if (document.errors.length) {
+        throw new Error(`Invalid YAML: ${document.errors[0].message}`);
+    }
+    const data = document.toJS();
+    if (!isPlainObject(data)) {
+        throw new Error('A YAML character must be a mapping of fields');
+    }
+    return data;
+};
+
+// Updates a node in place to hold value, so comments attached to it and to
+// the items that still exist are kept; a node of a different kind is replaced
+const mergeNode = (document, node, value) => {
+    if (isPlainObject(value) && YAML.isMap(node)) {
+        node.items = node.items.filter(pair => Object.prototype.hasOwnProperty.call(value, keyOf(pair)));
+        Object.entries(value).forEach(([key, item]) => {
+            const pair = node.items.find(existing => keyOf(existing) === key);
+            if (pair) {
+                pair.value = mergeNode(document, pair.value, item);
+            } else {
+                node.items.push(document.createPair(key, item));
+            }
+        });
+        return node;
+    }
+    if (Array.isArray(value) && YAML.isSeq(node)) {
+        node.items = value.map((item, index) => (index < node.items.length
+            ? mergeNode(document, node.items[index], item)
+            : document.createNode(item)));
+        return node;
+    }
+    if (YAML.isScalar(node) && (value === null || typeof value !== 'object')) {
+        node.value = value;
+        return node;
+    }
+    return document.createNode(value);
+};
+
+/**
+ * Writes a character as YAML. Multi-line strings become literal block
+ * scalars (|) and long ones folded block scalars (>).
+ * @param {object} character
+ * @param {object} [options]
+ * @param {string} [options.source] YAML the character was imported from; its
+ *   comments and layout are kept where the same keys and items still exist
+ * @returns {string}
+ */
+export const characterToYaml = (character, { source } = {}) => {
+    let document = source ? YAML.parseDocument(source) : null;
+    if (document && !document.errors.length && YAML.isMap(document.contents)) {
+        mergeNode(document, document.contents, character);
+    } else {
+        document = new YAML.Document(character);
+    }
+
+    YAML.visit(document, {
+        Scalar(key, node) {
+            if (key === 'key' || typeof node.value !== 'string') return;
+            if (node.value.includes('\n')) {
+                node.type = 'BLOCK_LITERAL';
+            } else if (node.value.length >= BLOCK_SCALAR_MIN_LENGTH) {
+                node.type = 'BLOCK_FOLDED';
+            } else if (node.type === 'BLOCK_LITERAL' || node.type === 'BLOCK_FOLDED') {
+                // Shortened since the import; let the writer pick a flow style
+                node.type = undefined;
+            }
+        }
+    });
+
+    return document.toString({ lineWidth: LINE_WIDTH });
+};
@@ -0,0 +1,362 @@
+/**
+ * Reads chat log exports (Discord, Telegram, generic JSON and plain text)
+ * into a list of messages, and mines one participant's messages into
+ * message and post examples. Everything here is deterministic; only the
+ * style summary built from the results uses a model.
+ *
+ * Messages are { author, text, timestamp, thread }: timestamp is in
+ * milliseconds or null, and thread separates chats that were exported
+ * together, so no conversation spans two of them.
+ */
+
+export const CHAT_LOG_EXTENSIONS = ['.json', '.txt', '.log'];
+
+export const DEFAULT_CHAT_EXAMPLES = 10;
+export const MAX_CHAT_EXAMPLES = 50;
+
+// A pause this long between two messages starts a new conversation
+const CONVERSATION_GAP_MS = 30 * 60 * 1000;
+// Turns longer than this make poor examples
+const MAX_EXAMPLE_TURN_CHARS = 500;
+// Post examples are short, standalone messages
+const MIN_POST_CHARS = 40;
+const MAX_POST_CHARS = 280;
+// Style statistics and samples are based on at most this many messages
+const MAX_STYLE_SAMPLES = 60;
+const MAX_SAMPLE_CHARS = 300;
+
+const AUTHOR_KEYS = ['author', 'user', 'from', 'sender', 'speaker', 'username', 'name'];
+const TEXT_KEYS = ['text', 'content', 'message', 'body'];
+const TIME_KEYS = ['timestamp', 'date', 'time', 'created_at', 'createdAt'];
+
+// Discord message types that carry what someone wrote; the rest are joins, pins and calls
+const DISCORD_TEXT_TYPES = ['Default', 'Reply'];
+
+// "12/01/2023, 14:05 - Name: text" and "[12/01/2023, 14:05:09] Name: text" (WhatsApp)
+const DATED_LINE_PATTERN = /^\[?(\d{1,4}[./-]\d{1,2}[./-]\d{2,4}),?\s+(\d{1,2}:\d{2}(?::\d{2})?(?:\s?[AaPp]\.?[Mm]\.?)?)\]?\s*(?:-\s*)?([^:]{1,60}?):\s+(.*)$/;
+// "[2023-01-12 14:05] Name: text"
+const BRACKETED_LINE_PATTERN = /^\[([^\]]{1,40})\]\s*([^:]{1,60}?):\s+(.*)$/;
+// "[14:05] <Name> text" (IRC)
+const IRC_LINE_PATTERN = /^(?:\[[^\]]{1,40}\]\s*)?<([^>]{1,60})>\s+(.*)$/;
+// "Name: text"
+const PLAIN_LINE_PATTERN = /^([^\s:][^:]{0,59}?):\s+(.*)$/;
+// Longer "names" are more likely prose that happens to contain a colon
+const MAX_NAME_WORDS = 4;
+
+const URL_ONLY_PATTERN = /^(?:https?:\/\/\S+\s*)+$/;
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/u;
+
+const toTimestamp = (value) => {
+    if (typeof value === 'number') {
+        // Unix seconds or milliseconds
+        return value < 1e12 ? value * 1000 : value;
+    }
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+};
+
+const cleanText = (text) => text.replace(/\r\n?/g, '\n').replace(/[ \t]+$/gm, '').trim();
+
+const message = (author, text, timestamp, thread = 0) => ({
+    author: String(author).trim(),
+    text: cleanText(text),
+    timestamp,
+    thread
+});
+
+// Telegram splits formatted text into plain strings and {type, text} parts
+const telegramText = (text) => (Array.isArray(text)
+    ? text.map(part => (typeof part === 'string' ? part : part?.text || '')).join('')
+    : text || '');
+
+const readTelegramChat = (chat, thread) => (chat.messages || [])
+    .filter(item => item.type === 'message')
+    .map(item => message(item.from || 'Deleted Account', telegramText(item.text), toTimestamp(item.date), thread));
+
+const readDiscordExport = (data) => data.messages
+    .filter(item => !item.type || DISCORD_TEXT_TYPES.includes(item.type))
+    .map(item => message(item.author?.nickname || item.author?.name || 'Unknown', item.content || '', toTimestamp(item.timestamp)));
+
+const pickKey = (item, keys) => keys.find(key => item[key] !== undefined && item[key] !== null);
+
+const readGenericItem = (item, thread) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) return null;
+
+    const authorKey = pickKey(item, AUTHOR_KEYS);
+    const textKey = pickKey(item, TEXT_KEYS.filter(key => key !== authorKey));
+    if (!authorKey || !textKey) return null;
+
+    let author = item[authorKey];
+    if (author && typeof author === 'object') author = author.nickname || author.name || author.username;
+    // Eliza message examples: { user, content: { text } }
+    let text = item[textKey];
+    if (text && typeof text === 'object' && !Array.isArray(text)) text = text.text;
+    if (typeof author !== 'string' && typeof author !== 'number') return null;
+    if (typeof text !== 'string') return null;
+
+    const timeKey = pickKey(item, TIME_KEYS);
+    return message(author, text, timeKey ? toTimestamp(item[timeKey]) : null, thread);
+};
+
+const readGenericJson = (data) => {
+    const items = Array.isArray(data) ? data : data?.messages;
+    if (!Array.isArray(items)) return [];
+
+    // An array of conversations, e.g. Eliza messageExamples
+    if (items.every(Array.isArray)) {
+        return items.flatMap((conversation, thread) => conversation.map(item => readGenericItem(item, thread)).filter(Boolean));
+    }
+    return items.map(item => readGenericItem(item, 0)).filter(Boolean);
+};
+
+const readJsonLog = (content) => {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid JSON: ${error.message.split('\n')[0]}`);
+    }
+
+    // Telegram Desktop, a full account export with every chat
+    if (Array.isArray(data?.chats?.list)) {
+        return { format: 'telegram', messages: data.chats.list.flatMap((chat, thread) => readTelegramChat(chat, thread)) };
+    }
+    // Telegram Desktop, a single chat
+    if (Array.isArray(data?.messages) && data.messages.some(item => item?.type === 'message' && 'from' in item)) {
+        return { format: 'telegram', messages: readTelegramChat(data, 0) };
+    }
+    // DiscordChatExporter
+    if (Array.isArray(data?.messages) && data.messages.some(item => item?.author && typeof item.author === 'object' && 'content' in item)) {
+        return { format: 'discord', messages: readDiscordExport(data) };
+    }
+    return { format: 'json', messages: readGenericJson(data) };
+};
+
+const readLine = (line) => {
+    let match = line.match(DATED_LINE_PATTERN);
+    if (match) return { author: match[3], text: match[4], timestamp: toTimestamp(`${match[1]} ${match[2]}`) };
+
+    match = line.match(IRC_LINE_PATTERN);
+    if (match) return { author: match[1], text: match[2], timestamp: null };
+
+    match = line.match(BRACKETED_LINE_PATTERN);
+    if (match) return { author: match[2], text: match[3], timestamp: toTimestamp(match[1]) };
+
+    match = line.match(PLAIN_LINE_PATTERN);
+    if (match) return { author: match[1], text: match[2], timestamp: null };
+
+    return null;
+};
+
+// One message per "Name: text" line (with optional timestamp); other lines continue the previous message
+const readTextLog = (content) => {
+    const messages = [];
+    content.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+        if (!line.trim()) return;
+
+        const parsed = readLine(line.trim());
+        if (parsed && parsed.author.trim().split(/\s+/).length <= MAX_NAME_WORDS) {
+            messages.push(message(parsed.author, parsed.text, parsed.timestamp));
+        } else if (messages.length) {
+            const last = messages[messages.length - 1];
+            last.text = cleanText(`${last.text}\n${line}`);
+        }
+    });
+    return { format: 'text', messages };
+};
+
+/**
+ * Reads a chat export. JSON files may be a Telegram Desktop export
+ * (result.json), a DiscordChatExporter export, or a generic list of
+ * { author|user|from|sender, text|content|message, timestamp } objects (also
+ * nested one list per conversation). Text files have one "Name: message"
+ * line per message, optionally with a timestamp ("[10:02] Name: hi"), in
+ * WhatsApp form ("12/01/2023, 14:05 - Name: hi") or IRC form ("<Name> hi").
+ * @param {string} content
+ * @param {string} filename
+ * @returns {{format: 'telegram'|'discord'|'json'|'text', messages: Array<{author: string, text: string, timestamp: number|null, thread: number}>}}
+ *   Service messages and messages without text are left out
+ * @throws {Error} If the file cannot be read or holds no messages
+ */
+export const parseChatLog = (content, filename = '') => {
+    const extension = filename.toLowerCase().slice(filename.lastIndexOf('.'));
+    if (filename.includes('.') && !CHAT_LOG_EXTENSIONS.includes(extension)) {
+        throw new Error(`Unsupported chat log format "${extension}". Supported formats: ${CHAT_LOG_EXTENSIONS.join(', ')}`);
+    }
+
+    const isJson = extension === '.json' || (!filename.includes('.') && /^\s*[[{]/.test(content));
+    const { format, messages } = isJson ? readJsonLog(content) : readTextLog(content);
+    const withText = messages.filter(item => item.author && item.text);
+    if (withText.length === 0) {
+        throw new Error('No messages found');
+    }
+    return { format, messages: withText };
+};
+
+/**
+ * @param {Array<{author: string}>} messages
+ * @returns {Array<{name: string, messages: number}>} Most active first
+ */
+export const listParticipants = (messages) => {
+    const counts = new Map();
+    messages.forEach(({ author }) => counts.set(author, (counts.get(author) || 0) + 1));
+    return [...counts.entries()]
+        .map(([name, count]) => ({ name, messages: count }))
+        .sort((a, b) => b.messages - a.messages || a.name.localeCompare(b.name));
+};
+
+// Splits messages into conversations and merges each run of messages by one
+// author into a single turn
+const toConversations = (messages) => {
+    const conversations = [];
+    let previous = null;
+
+    messages.forEach(item => {
+        const gap = previous && item.timestamp !== null && previous.timestamp !== null
+            ? item.timestamp - previous.timestamp
+            : 0;
+        if (!previous || item.thread !== previous.thread || gap > CONVERSATION_GAP_MS) {
+            conversations.push([]);
+        }
+
+        const turns = conversations[conversations.length - 1];
+        const last = turns[turns.length - 1];
+        if (last && last.author === item.author) {
+            last.text = `${last.text}\n${item.text}`;
+        } else {
+            turns.push({ author: item.author, text: item.text });
+        }
+        previous = item;
+    });
+
+    return conversations;
+};
+
+// Up to `count` items spread evenly from start to end, in order
+const pickEvenly = (items, count) => {
+    if (items.length <= count) return items;
+    return Array.from({ length: count }, (_, index) => items[Math.floor(index * items.length / count)]);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isUsable = (text) => text.length > 0 && !URL_ONLY_PATTERN.test(text);
+
+const dedupeKey = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Replace the other speakers in an example with {{user1}}, {{user2}}... in
+// the order they first speak, including where they are named in the text
+const toExample = (turns, participant, characterName) => {
+    const placeholders = new Map();
+    turns.forEach(({ author }) => {
+        if (author !== participant && !placeholders.has(author)) {
+            placeholders.set(author, `{{user${placeholders.size + 1}}}`);
+        }
+    });
+
+    const mentions = [...placeholders.entries()]
+        .sort(([a], [b]) => b.length - a.length)
+        .map(([name, placeholder]) => [new RegExp(`(?<![\\p{L}\\p{N}])@?${escapeRegExp(name)}(?![\\p{L}\\p{N}])`, 'giu'), placeholder]);
+    const anonymize = (text) => mentions.reduce((result, [pattern, placeholder]) => result.replace(pattern, placeholder), text);
+
+    return turns.map(({ author, text }) => ({
+        user: author === participant ? characterName : placeholders.get(author),
+        content: { text: anonymize(text) }
+    }));
+};
+
+/**
+ * Simple measurements of how someone writes, given to the model alongside
+ * sample messages when it summarizes their style.
+ * @param {string[]} texts
+ * @returns {{messages: number, averageLength: number, startsLowercase: number, endsWithPunctuation: number,
+ *   questions: number, exclamations: number, emoji: number, links: number, multiline: number}}
+ *   Everything but messages and averageLength is the share of messages (0-1)
+ */
+export const describeChatStyle = (texts) => {
+    const share = (test) => (texts.length ? Math.round(texts.filter(test).length / texts.length * 100) / 100 : 0);
+    return {
+        messages: texts.length,
+        averageLength: texts.length ? Math.round(texts.reduce((total, text) => total + text.length, 0) / texts.length) : 0,
+        startsLowercase: share(text => /^\p{Ll}/u.test(text)),
+        endsWithPunctuation: share(text => /[.!?…]["'”’)]*$/.test(text)),
+        questions: share(text => text.includes('?')),
+        exclamations: share(text => text.includes('!')),
+        emoji: share(text => EMOJI_PATTERN.test(text)),
+        links: share(text => /https?:\/\//.test(text)),
+        multiline: share(text => text.includes('\n'))
+    };
+};
+
+/**
+ * Turns one participant's messages into Eliza examples. Message examples are
+ * exchanges of up to maxTurns turns that start with someone else and end
+ * with the participant; post examples are the participant's messages of
+ * post length that were not used in an exchange. Both are spread evenly over
+ * the whole log and consecutive messages by one author count as one turn.
+ * @param {Array<{author: string, text: string, timestamp: number|null, thread: number}>} messages
+ * @param {string} participant The author whose messages are the character's
+ * @param {object} [options]
+ * @param {string} [options.characterName] Name used for the character in message examples; the participant's by default
+ * @param {number} [options.maxExamples] Message examples to keep
+ * @param {number} [options.maxPosts] Post examples to keep
+ * @param {number} [options.maxTurns] Turns per message example
+ * @returns {{messageExamples: Array<Array<{user: string, content: {text: string}}>>, postExamples: string[],
+ *   samples: string[], stats: object}} samples are the participant's messages to base a style summary on,
+ *   and stats their describeChatStyle measurements
+ * @throws {Error} If the participant wrote nothing in the log
+ */
+export const mineChatExamples = (messages, participant, {
+    characterName = participant,
+    maxExamples = DEFAULT_CHAT_EXAMPLES,
+    maxPosts = DEFAULT_CHAT_EXAMPLES,
+    maxTurns = 4
+} = {}) => {
+    const usable = messages.filter(item => isUsable(item.text));
+    const conversations = toConversations(usable);
+    const ownTurns = conversations.flat().filter(turn => turn.author === participant);
+    if (ownTurns.length === 0) {
+        throw new Error(`${participant} has no messages in the chat log`);
+    }
+
+    // Exchanges ending in one of the participant's replies, never overlapping
+    const exchanges = [];
+    const used = new Set();
+    conversations.forEach(turns => {
+        let earliest = 0;
+        turns.forEach((turn, index) => {
+            if (turn.author !== participant || index === 0 || turns[index - 1].author === participant) return;
+
+            let start = Math.max(earliest, index - maxTurns + 1);
+            while (start < index && turns[start].author === participant) start++;
+            const window = turns.slice(start, index + 1);
+            if (window.length < 2 || window.some(({ text }) => text.length > MAX_EXAMPLE_TURN_CHARS)) return;
+
+            exchanges.push(window);
+            earliest = index + 1;
+        });
+    });
+    const chosenExchanges = pickEvenly(exchanges, maxExamples);
+    chosenExchanges.forEach(window => window.forEach(turn => used.add(turn)));
+
+    // Post-length messages that were not part of a chosen exchange
+    const seen = new Set();
+    const posts = [];
+    conversations.flat().forEach(turn => {
+        if (turn.author !== participant || used.has(turn)) return;
+        if (turn.text.length < MIN_POST_CHARS || turn.text.length > MAX_POST_CHARS) return;
+        const key = dedupeKey(turn.text);
+        if (!key || seen.has(key)) return;
+        seen.add(key);
+        posts.push(turn.text);
+    });
+
+    const texts = usable.filter(item => item.author === participant).map(item => item.text);
+    return {
+        messageExamples: chosenExchanges.map(window => toExample(window, participant, characterName)),
+        postExamples: pickEvenly(posts, maxPosts),
+        samples: pickEvenly(texts, MAX_STYLE_SAMPLES).map(text => text.slice(0, MAX_SAMPLE_CHARS)),
+        stats: describeChatStyle(texts)
+    };
+};
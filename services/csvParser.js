@@ -0,0 +1,76 @@
+/**
+ * Small RFC 4180 CSV parser: quoted fields, doubled quotes, embedded
+ * newlines and CRLF line endings. Blank lines are skipped.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.delimiter]
+ * @returns {string[][]}
+ * @throws {Error} If a quoted field is never closed
+ */
+export const parseCsv = (text, { delimiter = ',' } = {}) => {
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let fieldStarted = false;
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+        fieldStarted = false;
+    };
+    const endRow = () => {
+        endField();
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && !fieldStarted) {
+            quoted = true;
+            fieldStarted = true;
+        } else if (char === delimiter) {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+            fieldStarted = true;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+};
+
+/**
+ * Parses CSV with a header row into objects keyed by the trimmed header names.
+ * @param {string} text
+ * @param {object} [options] Same as parseCsv
+ * @returns {{headers: string[], records: Array<object>}}
+ */
+export const parseCsvRecords = (text, options) => {
+    const [headerRow = [], ...rows] = parseCsv(text, options);
+    const headers = headerRow.map(header => header.trim());
+    const records = rows.map(row => Object.fromEntries(
+        headers.map((header, index) => [header, (row[index] ?? '').trim()])
+    ));
+    return { headers, records };
+};
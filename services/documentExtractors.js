@@ -0,0 +1,341 @@
+import path from 'path';
+import pdf2md from '@opendocsg/pdf2md';
+import { readZipArchive } from './zipArchive.js';
+import { structuredDataToText } from './structuredData.js';
+
+/**
+ * Text extraction for knowledge files. Every extractor returns Markdown-ish
+ * plain text (headings as "#", list items as "- ", blank lines between
+ * paragraphs) so the knowledge chunker can follow the document structure.
+ */
+
+const TEXT_EXTENSIONS = ['.txt', '.md'];
+const STRUCTURED_EXTENSIONS = ['.csv', '.json', '.yml', '.yaml'];
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', shy: '',
+    mdash: '—', ndash: '–', hellip: '…', bull: '•', middot: '·',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+    copy: '©', reg: '®', trade: '™', deg: '°', times: '×', euro: '€', pound: '£'
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+        const code = entity[1] === 'x' || entity[1] === 'X'
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+// Trims every line and keeps at most one blank line between blocks
+const tidyText = (text) => text
+    .split('\n')
+    .map(line => line.replace(/[ \t ]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const readAttribute = (attributes, name) => {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? decodeEntities(match[2] ?? match[3] ?? match[4]) : null;
+};
+
+// Elements whose content is never part of the readable text
+const HIDDEN_ELEMENTS = /<(script|style|noscript|template|head)\b[\s\S]*?<\/\1\s*>|<!--[\s\S]*?-->|<![^>]*>|<\?[\s\S]*?\?>/gi;
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const BOILERPLATE_ELEMENTS = new Set(['nav', 'aside', 'footer', 'form', 'button', 'select', 'iframe', 'svg', 'dialog']);
+const BOILERPLATE_ROLES = new Set(['navigation', 'banner', 'contentinfo', 'complementary', 'search', 'menu', 'menubar']);
+const BOILERPLATE_NAMES = /(?:^|[\s_-])(nav|navbar|navigation|menu|sidebar|breadcrumbs?|footer|cookies?|share|social|skip-link|toc)(?:$|[\s_-])/i;
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'blockquote', 'body', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+    'header', 'main', 'ol', 'p', 'pre', 'section', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'ul'
+]);
+
+const isBoilerplate = (tag, attributes, insideContent) => {
+    if (BOILERPLATE_ELEMENTS.has(tag)) return true;
+    // A page header is boilerplate; an article's own header holds its title
+    if (tag === 'header' && !insideContent) return true;
+    if (readAttribute(attributes, 'aria-hidden') === 'true' || /\bhidden\b/i.test(attributes.replace(/"[^"]*"|'[^']*'/g, ''))) {
+        return true;
+    }
+    const role = readAttribute(attributes, 'role');
+    if (role && BOILERPLATE_ROLES.has(role.toLowerCase())) return true;
+    return BOILERPLATE_NAMES.test(readAttribute(attributes, 'class') || '') ||
+        BOILERPLATE_NAMES.test(readAttribute(attributes, 'id') || '');
+};
+
+/**
+ * Extracts the readable text of an HTML or XHTML page. Navigation, headers,
+ * footers, sidebars, forms and scripts are dropped, and when the page marks
+ * its content with <main> or <article> only that is kept.
+ * @param {string} html
+ * @returns {string}
+ */
+export const extractHtmlText = (html) => {
+    const source = html.replace(HIDDEN_ELEMENTS, ' ');
+    const contentTag = /<main\b/i.test(source) ? 'main' : /<article\b/i.test(source) ? 'article' : null;
+
+    let output = '';
+    let contentDepth = 0;
+    let skip = null;
+    let preDepth = 0;
+
+    const emit = (text) => {
+        if (!skip && (!contentTag || contentDepth > 0)) output += text;
+    };
+
+    for (const [token, closing, rawTag, attributes = ''] of source.matchAll(/<(\/?)([a-zA-Z][\w:-]*)([^>]*)>|[^<]+|</g)) {
+        if (!rawTag) {
+            const text = decodeEntities(token);
+            emit(preDepth ? text : text.replace(/\s+/g, ' '));
+            continue;
+        }
+
+        const tag = rawTag.toLowerCase().replace(/^.*:/, '');
+        const selfClosing = VOID_ELEMENTS.has(tag) || attributes.endsWith('/');
+
+        if (skip) {
+            if (tag === skip.tag && !selfClosing) skip.depth += closing ? -1 : 1;
+            if (skip.depth === 0) skip = null;
+            continue;
+        }
+
+        if (!closing && !selfClosing && isBoilerplate(tag, attributes, contentDepth > 0)) {
+            skip = { tag, depth: 1 };
+            continue;
+        }
+
+        if (tag === contentTag && !selfClosing) {
+            contentDepth += closing ? -1 : 1;
+        }
+
+        const heading = tag.match(/^h([1-6])$/);
+        if (heading) {
+            emit(closing ? '\n\n' : `\n\n${'#'.repeat(Number(heading[1]))} `);
+        } else if (tag === 'li') {
+            if (!closing) emit('\n- ');
+        } else if (tag === 'br') {
+            emit('\n');
+        } else if (tag === 'pre' && !selfClosing) {
+            preDepth += closing ? -1 : 1;
+            emit('\n\n');
+        } else if (tag === 'td' || tag === 'th') {
+            emit(closing ? ' ' : '');
+        } else if (BLOCK_ELEMENTS.has(tag) || tag === 'hr') {
+            emit(tag === 'tr' ? '\n' : '\n\n');
+        }
+    }
+
+    return tidyText(output);
+};
+
+/**
+ * Extracts the text of a Word (.docx) document from word/document.xml.
+ * Heading and Title paragraph styles become Markdown headings and numbered
+ * or bulleted paragraphs become list items.
+ * @param {Buffer} buffer
+ * @returns {string}
+ * @throws {Error} If the file is not a Word document
+ */
+export const extractDocxText = (buffer) => {
+    const document = readZipArchive(buffer).find(entry => entry.name === 'word/document.xml');
+    if (!document) {
+        throw new Error('Not a Word document: word/document.xml is missing');
+    }
+
+    const xml = document.content.toString('utf-8');
+    const paragraphs = [];
+
+    for (const [, body = ''] of xml.matchAll(/<w:p\b[^>]*\/>|<w:p\b[^>]*>([\s\S]*?)<\/w:p>/g)) {
+        const properties = body.match(/<w:pPr>[\s\S]*?<\/w:pPr>/)?.[0] || '';
+        const style = properties.match(/<w:pStyle\s+w:val="([^"]*)"/)?.[1] || '';
+
+        let text = '';
+        const runs = body.replace(properties, '');
+        for (const [token, content] of runs.matchAll(/<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>|<w:tab\/>|<w:(?:br|cr)\b[^>]*\/>/g)) {
+            if (content !== undefined) text += decodeEntities(content);
+            else if (token.startsWith('<w:tab')) text += '\t';
+            else text += '\n';
+        }
+        text = text.trim();
+        if (!text) continue;
+
+        const level = style === 'Title' ? 1 : Number(style.match(/^heading\s?(\d)$/i)?.[1]);
+        if (level) {
+            paragraphs.push(`${'#'.repeat(Math.min(level, 6))} ${text.replace(/\s+/g, ' ')}`);
+        } else if (/<w:numPr>/.test(properties) || /^List/i.test(style)) {
+            paragraphs.push(`- ${text}`);
+        } else {
+            paragraphs.push(text);
+        }
+    }
+
+    // Consecutive list items stay together so they chunk as one list
+    return tidyText(paragraphs.reduce((joined, paragraph, index) => {
+        if (index === 0) return paragraph;
+        const inList = paragraph.startsWith('- ') && paragraphs[index - 1].startsWith('- ');
+        return `${joined}${inList ? '\n' : '\n\n'}${paragraph}`;
+    }, ''));
+};
+
+/**
+ * Extracts the text of an EPUB book, chapter by chapter in reading (spine)
+ * order.
+ * @param {Buffer} buffer
+ * @returns {string}
+ * @throws {Error} If the file is not an EPUB
+ */
+export const extractEpubText = (buffer) => {
+    const entries = readZipArchive(buffer);
+    const files = new Map(entries.map(entry => [entry.name, entry.content]));
+
+    const container = files.get('META-INF/container.xml')?.toString('utf-8');
+    const packagePath = container && readAttribute(container.match(/<rootfile\b[^>]*>/)?.[0] || '', 'full-path');
+    const packageXml = packagePath && files.get(packagePath)?.toString('utf-8');
+    if (!packageXml) {
+        throw new Error('Not an EPUB: the package document is missing');
+    }
+
+    const baseDirectory = path.posix.dirname(packagePath);
+    const manifest = new Map();
+    for (const [item] of packageXml.matchAll(/<item\b[^>]*>/g)) {
+        manifest.set(readAttribute(item, 'id'), {
+            href: readAttribute(item, 'href'),
+            mediaType: readAttribute(item, 'media-type')
+        });
+    }
+
+    const chapters = [];
+    for (const [itemref] of packageXml.matchAll(/<itemref\b[^>]*>/g)) {
+        const item = manifest.get(readAttribute(itemref, 'idref'));
+        if (!item || !/html/.test(item.mediaType || '')) continue;
+
+        const chapterPath = path.posix.normalize(path.posix.join(baseDirectory, decodeURIComponent(item.href)));
+        const chapter = files.get(chapterPath);
+        if (chapter) {
+            chapters.push(extractHtmlText(chapter.toString('utf-8')));
+        }
+    }
+
+    return tidyText(chapters.filter(Boolean).join('\n\n'));
+};
+
+// RTF groups whose content is metadata, not document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf',
+    'footer', 'footerl', 'footerr', 'footerf', 'footnote', 'listtable', 'listoverridetable', 'revtbl',
+    'rsidtbl', 'generator', 'xmlnstbl', 'themedata', 'colorschememapping', 'latentstyles', 'datastore', 'fldinst'
+]);
+
+/**
+ * Extracts the plain text of an RTF document. \'hh escapes are read as
+ * Windows-1252 and \uN escapes as Unicode.
+ * @param {string} rtf
+ * @returns {string}
+ * @throws {Error} If the content is not RTF
+ */
+export const extractRtfText = (rtf) => {
+    if (!/^\s*{\\rtf/.test(rtf)) {
+        throw new Error('Not an RTF document');
+    }
+
+    const windows1252 = new TextDecoder('windows-1252');
+    const stack = [];
+    let state = { skip: false, unicodeSkip: 1 };
+    let pendingSkip = 0;
+    let output = '';
+
+    const append = (text) => {
+        if (pendingSkip > 0) {
+            pendingSkip--;
+            return;
+        }
+        if (!state.skip) output += text;
+    };
+
+    const tokens = /\\([a-z]+)(-?\d+)? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|\r?\n|([^\\{}\r\n]+)/gi;
+    for (const [, word, parameter, hex, symbol, brace, text] of rtf.matchAll(tokens)) {
+        if (brace === '{') {
+            stack.push(state);
+            state = { ...state };
+        } else if (brace === '}') {
+            state = stack.pop() || state;
+            pendingSkip = 0;
+        } else if (hex) {
+            append(windows1252.decode(new Uint8Array([parseInt(hex, 16)])));
+        } else if (symbol) {
+            if (symbol === '*') state.skip = true;
+            else if (symbol === '~') append(' ');
+            else if (symbol === '_') append('-');
+            else if (symbol === '\\' || symbol === '{' || symbol === '}') append(symbol);
+            else if (symbol === '\n' || symbol === '\r') append('\n');
+        } else if (word) {
+            pendingSkip = 0;
+            if (RTF_SKIPPED_DESTINATIONS.has(word)) state.skip = true;
+            else if (word === 'par' || word === 'line' || word === 'sect' || word === 'page') append('\n');
+            else if (word === 'row') append('\n');
+            else if (word === 'tab' || word === 'cell') append(word === 'tab' ? '\t' : ' ');
+            else if (word === 'emdash') append('—');
+            else if (word === 'endash') append('–');
+            else if (word === 'bullet') append('•');
+            else if (word === 'lquote' || word === 'rquote') append(word === 'lquote' ? '‘' : '’');
+            else if (word === 'ldblquote' || word === 'rdblquote') append(word === 'ldblquote' ? '“' : '”');
+            else if (word === 'uc') state.unicodeSkip = Number(parameter) || 0;
+            else if (word === 'u') {
+                const code = Number(parameter);
+                append(String.fromCharCode(code < 0 ? code + 65536 : code));
+                pendingSkip = state.unicodeSkip;
+            }
+        } else if (text) {
+            // Fallback characters after \uN are counted one character at a time
+            for (const char of text) append(char);
+        }
+    }
+
+    // RTF paragraphs are single lines; a blank line lets the chunker see them
+    return tidyText(output.replace(/\n/g, '\n\n'));
+};
+
+const EXTRACTORS = {
+    '.pdf': (content) => pdf2md(new Uint8Array(content)),
+    '.docx': extractDocxText,
+    '.html': (content) => extractHtmlText(content.toString('utf-8')),
+    '.htm': (content) => extractHtmlText(content.toString('utf-8')),
+    '.xhtml': (content) => extractHtmlText(content.toString('utf-8')),
+    '.epub': extractEpubText,
+    '.rtf': (content) => extractRtfText(content.toString('latin1'))
+};
+
+/** File extensions that can be used as knowledge sources */
+export const SUPPORTED_EXTENSIONS = [...Object.keys(EXTRACTORS), ...TEXT_EXTENSIONS, ...STRUCTURED_EXTENSIONS];
+
+/**
+ * Extracts the text of an uploaded knowledge file, chosen by extension
+ * (or the PDF MIME type when the name has no extension). CSV, JSON and
+ * YAML become one statement per paragraph, see structuredDataToText.
+ * @param {Buffer} content
+ * @param {string} filename
+ * @param {object} [options]
+ * @param {string} [options.mimetype]
+ * @param {string[]} [options.fields] Columns or keys to keep from structured files
+ * @returns {Promise<string>}
+ * @throws {Error} For unsupported formats and unreadable files
+ */
+export const extractDocumentText = async (content, filename, { mimetype, fields } = {}) => {
+    const extension = path.extname(filename).toLowerCase();
+
+    if (TEXT_EXTENSIONS.includes(extension)) {
+        return content.toString('utf-8');
+    }
+    if (STRUCTURED_EXTENSIONS.includes(extension)) {
+        return structuredDataToText(content.toString('utf-8'), extension, { fields });
+    }
+
+    const extractor = EXTRACTORS[extension] || (mimetype === 'application/pdf' ? EXTRACTORS['.pdf'] : null);
+    if (!extractor) {
+        throw new Error(`Unsupported file format${extension ? ` "${extension}"` : ''}. Supported formats: ${SUPPORTED_EXTENSIONS.join(', ')}`);
+    }
+    return extractor(content);
+};
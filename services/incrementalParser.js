@@ -0,0 +1,91 @@
+/**
+ * Incrementally scans a streamed JSON character and reports each top-level
+ * field as soon as its value is complete, so the editor can fill in
+ * sections (name, bio, lore...) while the model is still writing.
+ *
+ * The scanner only tracks nesting and string state to find where top-level
+ * entries end; each completed entry is handed to the supplied parse
+ * function (normally CharacterGeneratorService.parseAIResponse), and entries
+ * that fail to parse are skipped rather than aborting the stream. The final
+ * result should still come from parsing the full response.
+ */
+export class IncrementalCharacterParser {
+    /**
+     * @param {(content: string) => object} parse Parses a JSON object string
+     */
+    constructor(parse) {
+        this.parse = parse;
+        this.buffer = '';
+        this.position = 0;
+        this.depth = 0;
+        this.quote = null;
+        this.escaped = false;
+        this.entryStart = -1;
+        this.done = false;
+    }
+
+    /**
+     * Adds streamed text and returns the fields completed by it.
+     * @param {string} text
+     * @returns {Array<{key: string, value: any}>}
+     */
+    push(text) {
+        this.buffer += text;
+        const sections = [];
+
+        for (; this.position < this.buffer.length && !this.done; this.position++) {
+            const char = this.buffer[this.position];
+
+            if (this.quote) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === this.quote) {
+                    this.quote = null;
+                }
+                continue;
+            }
+
+            // Ignore anything before the opening brace, e.g. a ```json fence
+            if (this.depth === 0 && char !== '{') continue;
+
+            if (char === '"' || char === '\'') {
+                this.quote = char;
+            } else if (char === '{' || char === '[') {
+                this.depth++;
+                if (this.depth === 1) {
+                    this.entryStart = this.position + 1;
+                }
+            } else if (char === '}' || char === ']') {
+                this.depth--;
+                if (this.depth === 0) {
+                    sections.push(...this.parseEntry(this.position));
+                    this.done = true;
+                }
+            } else if (char === ',' && this.depth === 1) {
+                sections.push(...this.parseEntry(this.position));
+                this.entryStart = this.position + 1;
+            }
+        }
+
+        return sections;
+    }
+
+    /**
+     * Parses the top-level entry ending at the given position.
+     * @param {number} end
+     * @returns {Array<{key: string, value: any}>}
+     */
+    parseEntry(end) {
+        const entry = this.buffer.substring(this.entryStart, end).trim();
+        if (!entry) return [];
+
+        try {
+            const parsed = this.parse(`{${entry}}`);
+            return Object.entries(parsed).map(([key, value]) => ({ key, value }));
+        } catch {
+            return [];
+        }
+    }
+}
@@ -0,0 +1,244 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+const parsedRetention = parseInt(process.env.JOB_RETENTION_MS, 10);
+const DEFAULT_RETENTION_MS = Number.isNaN(parsedRetention) ? 60 * 60 * 1000 : parsedRetention;
+const parsedConcurrency = parseInt(process.env.JOB_CONCURRENCY, 10);
+const DEFAULT_CONCURRENCY = Number.isNaN(parsedConcurrency) ? 2 : parsedConcurrency;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+const toView = ({ id, type, status, progress, result, error, createdAt, startedAt, finishedAt }) => ({
+    id, type, status, progress, result, error, createdAt, startedAt, finishedAt
+});
+
+/**
+ * In-process queue for long-running operations. Each job runs a task
+ * function in the background; callers get a job id straight away and poll
+ * for status, progress and the result, or watch its live events.
+ *
+ * Job statuses: queued -> running -> completed | failed | cancelled.
+ *
+ * With a directory, every status change is also written there as
+ * <id>.json, so finished results survive a restart. Jobs that were still
+ * queued or running when the process stopped are reported as failed.
+ */
+export class JobQueue {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.directory] Persist jobs here; memory only when omitted
+     * @param {number} [options.retentionMs] How long finished jobs are kept
+     * @param {number} [options.concurrency] How many jobs run at once
+     */
+    constructor({ directory, retentionMs = DEFAULT_RETENTION_MS, concurrency = DEFAULT_CONCURRENCY } = {}) {
+        this.directory = directory;
+        this.retentionMs = retentionMs;
+        this.concurrency = Math.max(concurrency, 1);
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+    }
+
+    filePath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+
+    /**
+     * Writes the job's current state to disk. Writes for one job are chained
+     * so a slow earlier write can never overwrite a later status.
+     */
+    persist(job) {
+        if (!this.directory) return Promise.resolve();
+
+        const view = toView(job);
+        job.persisting = (job.persisting || Promise.resolve()).then(async () => {
+            try {
+                await fs.mkdir(this.directory, { recursive: true });
+                const target = this.filePath(job.id);
+                const temporary = `${target}.${process.pid}.tmp`;
+                await fs.writeFile(temporary, JSON.stringify(view, null, 2));
+                await fs.rename(temporary, target);
+            } catch (error) {
+                console.error(`Error persisting job ${job.id}:`, error);
+            }
+        });
+        return job.persisting;
+    }
+
+    /**
+     * Queues a task.
+     * @param {string} type Operation name, e.g. 'generate-character'
+     * @param {(context: {signal: AbortSignal, reportProgress: (progress: object) => void, emit: (event: string, data: any) => void}) => Promise<any>} task
+     *   Its resolved value becomes the job result and must be JSON-serializable;
+     *   emit sends live events to watchers without storing them
+     * @param {object} [options]
+     * @param {() => void} [options.onCancel] Called when the job is cancelled
+     *   before its task started, to release what the task would have cleaned up
+     * @returns {object} The job
+     */
+    enqueue(type, task, { onCancel } = {}) {
+        this.pruneExpired();
+
+        const job = {
+            id: randomUUID(),
+            type,
+            status: 'queued',
+            progress: null,
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            task,
+            onCancel,
+            controller: new AbortController(),
+            listeners: new Set()
+        };
+        this.jobs.set(job.id, job);
+        this.persist(job);
+
+        this.pending.push(job);
+        this.runPending();
+        return toView(job);
+    }
+
+    runPending() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.pending.shift();
+            this.running++;
+            this.run(job).finally(() => {
+                this.running--;
+                this.runPending();
+            });
+        }
+    }
+
+    async run(job) {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.persist(job);
+
+        try {
+            const result = await job.task({
+                signal: job.controller.signal,
+                reportProgress: (progress) => {
+                    job.progress = { ...job.progress, ...progress };
+                },
+                emit: (event, data) => job.listeners.forEach(listener => listener(event, data))
+            });
+            if (job.status === 'running') {
+                job.status = 'completed';
+                job.result = result === undefined ? null : result;
+            }
+        } catch (error) {
+            if (job.status === 'running') {
+                job.status = 'failed';
+                job.error = error.message || 'Job failed';
+            }
+        }
+
+        job.finishedAt = job.finishedAt || new Date().toISOString();
+        job.task = null;
+        job.onCancel = null;
+        this.notifyFinished(job);
+        await this.persist(job);
+    }
+
+    notifyFinished(job) {
+        const view = toView(job);
+        job.listeners.forEach(listener => listener('finished', view));
+        job.listeners.clear();
+    }
+
+    /**
+     * Follows a job's live events. The listener gets each event its task
+     * emits, then ('finished', job) once the job completes, fails or is
+     * cancelled. Listeners are not called for jobs that already finished.
+     * @param {string} id
+     * @param {(event: string, data: any) => void} listener
+     * @returns {{job: object, unsubscribe: () => void}|null} The job as it is
+     *   now, or null if it is not known to this process
+     */
+    watch(id, listener) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        if (!FINISHED_STATUSES.includes(job.status)) {
+            job.listeners.add(listener);
+        }
+        return { job: toView(job), unsubscribe: () => job.listeners.delete(listener) };
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Promise<object|null>} The job, or null if it does not exist or has expired
+     */
+    async get(id) {
+        if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+
+        const job = this.jobs.get(id);
+        if (job) return toView(job);
+        if (!this.directory) return null;
+
+        try {
+            const stored = JSON.parse(await fs.readFile(this.filePath(id), 'utf-8'));
+            if (!FINISHED_STATUSES.includes(stored.status)) {
+                // Not in memory, so the process that ran it is gone
+                return { ...stored, status: 'failed', error: 'Interrupted by a server restart' };
+            }
+            if (Date.now() - new Date(stored.finishedAt).getTime() > this.retentionMs) return null;
+            return stored;
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Cancels a queued or running job. Running tasks are asked to stop
+     * through their abort signal and queued ones get their onCancel call;
+     * the job is marked cancelled right away.
+     * @param {string} id
+     * @returns {object|null} The job, or null if it is not known to this process
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return null;
+
+        if (!FINISHED_STATUSES.includes(job.status)) {
+            if (job.status === 'queued') {
+                this.pending = this.pending.filter(pendingJob => pendingJob !== job);
+                try {
+                    job.onCancel?.();
+                } catch (error) {
+                    console.error(`Error cleaning up job ${job.id}:`, error);
+                }
+                job.task = null;
+                job.onCancel = null;
+            }
+            job.status = 'cancelled';
+            job.finishedAt = new Date().toISOString();
+            job.controller.abort();
+            this.notifyFinished(job);
+            this.persist(job);
+        }
+        return toView(job);
+    }
+
+    /**
+     * Drops finished jobs older than the retention period, from memory and disk.
+     */
+    pruneExpired(now = Date.now()) {
+        this.jobs.forEach((job, id) => {
+            if (job.finishedAt && FINISHED_STATUSES.includes(job.status) &&
+                now - new Date(job.finishedAt).getTime() > this.retentionMs) {
+                this.jobs.delete(id);
+                if (this.directory) {
+                    fs.unlink(this.filePath(id)).catch(() => {});
+                }
+            }
+        });
+    }
+}
@@ -0,0 +1,203 @@
+import path from 'path';
+import { createZipArchive, readZipArchive } from './zipArchive.js';
+import { slugify } from './slugify.js';
+
+/**
+ * Knowledge as files instead of inline strings. Eliza resolves knowledge
+ * items of the form { path, shared } (one file) and { directory, shared }
+ * (every file in it) relative to characters/knowledge/, and loads them for
+ * retrieval. The archives written here follow that project layout, so they
+ * can be unpacked straight into an Eliza checkout.
+ */
+
+// Knowledge files are split so no single file grows past about this many characters
+export const MAX_KNOWLEDGE_FILE_CHARS = 20000;
+
+// Knowledge archives hold text, so they are read with tighter limits than other ZIP files
+export const KNOWLEDGE_ARCHIVE_LIMITS = { maxTotalSize: 50 * 1024 * 1024, maxEntries: 2000 };
+
+const KNOWLEDGE_DIRECTORY = 'knowledge';
+const TEXT_FILE_PATTERN = /\.(?:md|markdown|txt)$/i;
+const HEADING_PATTERN = /^#{1,6}\s+(.*?)\s*#*$/;
+
+/**
+ * Whether a knowledge item points at files rather than holding text.
+ * @param {any} item
+ * @returns {boolean}
+ */
+export const isKnowledgeReference = (item) => Boolean(item) && typeof item === 'object' && !Array.isArray(item) &&
+    [item.path, item.directory].some(target => typeof target === 'string' && target.trim() !== '');
+
+// Entries are written one per paragraph, so blank lines inside an entry are collapsed
+const toParagraph = (text) => text.trim().replace(/\n\s*\n+/g, '\n');
+
+const normalizePath = (value) => path.posix.normalize(value.replace(/\\/g, '/')).replace(/^(?:\.\/|\/)+/, '');
+
+/**
+ * Builds a ZIP laid out like an Eliza project: the character at
+ * characters/<name>.character.json, and its inline knowledge moved into
+ * Markdown files under characters/knowledge/<name>/, one entry per
+ * paragraph, referenced from the character as { path, shared }. Entries
+ * from the same source file are kept together; knowledge that already
+ * points at files is left as it is.
+ * @param {object} character
+ * @param {object} [options]
+ * @param {boolean} [options.shared] Mark the files as shared with other agents
+ * @param {Array<string|null>} [options.sources] Source file name for each knowledge item, by index
+ * @param {number} [options.maxFileChars] Split files beyond this size
+ * @param {Date} [options.date] Modification time recorded in the archive
+ * @returns {{archive: Buffer, character: object, files: string[]}} files lists the knowledge paths written
+ */
+export const createKnowledgeArchive = (character, { shared = false, sources = [], maxFileChars = MAX_KNOWLEDGE_FILE_CHARS, date } = {}) => {
+    const slug = slugify(character.name || '') || 'character';
+    const knowledge = Array.isArray(character.knowledge) ? character.knowledge : [];
+
+    const groups = new Map();
+    const references = [];
+    knowledge.forEach((item, index) => {
+        if (isKnowledgeReference(item)) {
+            references.push(item);
+            return;
+        }
+        if (typeof item !== 'string' || !item.trim()) return;
+
+        const source = typeof sources[index] === 'string' ? sources[index] : '';
+        const group = slugify(source.replace(/\.[^.]+$/, '')) || 'knowledge';
+        if (!groups.has(group)) groups.set(group, []);
+        groups.get(group).push(toParagraph(item));
+    });
+
+    const files = [];
+    groups.forEach((paragraphs, group) => {
+        const parts = [[]];
+        let length = 0;
+        paragraphs.forEach(paragraph => {
+            if (parts[parts.length - 1].length && length + paragraph.length > maxFileChars) {
+                parts.push([]);
+                length = 0;
+            }
+            parts[parts.length - 1].push(paragraph);
+            length += paragraph.length + 2;
+        });
+        parts.forEach((part, index) => {
+            const name = `${slug}/${group}${index ? `-${index + 1}` : ''}.md`;
+            files.push({ path: name, content: `${part.join('\n\n')}\n` });
+        });
+    });
+
+    const exported = {
+        ...character,
+        knowledge: [...files.map(file => ({ path: file.path, shared })), ...references]
+    };
+    const archive = createZipArchive([
+        { name: `characters/${slug}.character.json`, content: JSON.stringify(exported, null, 2) },
+        ...files.map(file => ({ name: `characters/${KNOWLEDGE_DIRECTORY}/${file.path}`, content: file.content }))
+    ], { date });
+
+    return { archive, character: exported, files: files.map(file => file.path) };
+};
+
+// Paragraphs of a knowledge file; heading lines name the section of the paragraphs after them
+const readKnowledgeFile = (text, filename, ingestedAt) => {
+    const entries = [];
+    let section = '';
+    text.replace(/\r\n?/g, '\n').split(/\n\s*\n/).forEach(block => {
+        const paragraph = block.trim();
+        if (!paragraph) return;
+        const heading = paragraph.match(HEADING_PATTERN);
+        if (heading && !paragraph.includes('\n')) {
+            section = heading[1];
+            return;
+        }
+        entries.push({ text: paragraph, source: { filename, section, ingestedAt } });
+    });
+    return entries;
+};
+
+/**
+ * Reads an archive of knowledge files back into entries. When it holds a
+ * character JSON, its knowledge items are resolved in order: strings are
+ * kept, and { path } and { directory } items are read from the knowledge
+ * folder next to the character file. Without one, every Markdown or text
+ * file in the archive is read.
+ * @param {Buffer} buffer
+ * @param {{maxTotalSize: number, maxEntries: number}} [limits] Most bytes the archive may
+ *   expand to and most entries it may hold
+ * @returns {{character: object|null, knowledge: string[], entries: Array<{text: string, source: object}>, missing: string[]}}
+ *   entries holds the knowledge read from files, with the file's knowledge path
+ *   as the source; missing lists referenced files that are not in the archive
+ * @throws {Error} If the archive cannot be read, is over the limits or holds no knowledge
+ */
+export const readKnowledgeArchive = (buffer, limits = KNOWLEDGE_ARCHIVE_LIMITS) => {
+    const archiveEntries = readZipArchive(buffer, limits)
+        .filter(entry => !entry.name.startsWith('__MACOSX/'))
+        .map(entry => ({ name: normalizePath(entry.name), content: entry.content }));
+
+    const characterFiles = archiveEntries
+        .filter(entry => entry.name.endsWith('.json'))
+        .map(entry => {
+            try {
+                return { name: entry.name, data: JSON.parse(entry.content.toString('utf-8')) };
+            } catch {
+                return null;
+            }
+        })
+        .filter(file => file && file.data && typeof file.data === 'object' && Array.isArray(file.data.knowledge))
+        .sort((a, b) => Number(b.name.endsWith('.character.json')) - Number(a.name.endsWith('.character.json')));
+    const characterFile = characterFiles[0] || null;
+
+    const ingestedAt = new Date().toISOString();
+    const textFiles = archiveEntries.filter(entry => TEXT_FILE_PATTERN.test(entry.name));
+    const knowledge = [];
+    const entries = [];
+    const missing = [];
+
+    const addFile = (file, knowledgePath) => {
+        readKnowledgeFile(file.content.toString('utf-8'), knowledgePath, ingestedAt).forEach(entry => {
+            knowledge.push(entry.text);
+            entries.push(entry);
+        });
+    };
+
+    if (characterFile) {
+        const characterDirectory = path.posix.dirname(characterFile.name);
+        const root = normalizePath(path.posix.join(characterDirectory, KNOWLEDGE_DIRECTORY));
+        const findFile = (knowledgePath) => textFiles.find(file => file.name === `${root}/${knowledgePath}`) ||
+            archiveEntries.find(file => file.name === `${root}/${knowledgePath}` || file.name.endsWith(`/${knowledgePath}`) || file.name === knowledgePath);
+
+        characterFile.data.knowledge.forEach(item => {
+            if (typeof item === 'string') {
+                if (item.trim()) knowledge.push(item.trim());
+                return;
+            }
+            if (!isKnowledgeReference(item)) return;
+
+            if (typeof item.path === 'string') {
+                const knowledgePath = normalizePath(item.path);
+                const file = findFile(knowledgePath);
+                if (file) addFile(file, knowledgePath);
+                else missing.push(knowledgePath);
+                return;
+            }
+
+            const directory = normalizePath(item.directory).replace(/\/+$/, '');
+            const prefix = `${root}/${directory}/`;
+            const files = textFiles.filter(file => file.name.startsWith(prefix));
+            if (files.length === 0) missing.push(`${directory}/`);
+            files.forEach(file => addFile(file, file.name.slice(root.length + 1)));
+        });
+    } else {
+        textFiles.forEach(file => {
+            const knowledgeIndex = file.name.lastIndexOf(`${KNOWLEDGE_DIRECTORY}/`);
+            addFile(file, knowledgeIndex === -1 ? file.name : file.name.slice(knowledgeIndex + KNOWLEDGE_DIRECTORY.length + 1));
+        });
+    }
+
+    if (knowledge.length === 0) {
+        throw new Error(missing.length
+            ? `None of the knowledge files were found in the archive: ${missing.join(', ')}`
+            : 'No knowledge found in the archive');
+    }
+
+    return { character: characterFile?.data || null, knowledge, entries, missing };
+};
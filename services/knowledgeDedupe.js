@@ -0,0 +1,182 @@
+/**
+ * Finds duplicate knowledge entries without any external service: exact
+ * copies, copies that differ only in whitespace, case or final punctuation,
+ * and near-duplicates found with character shingles and MinHash.
+ */
+
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.7;
+
+// Character shingles cope better than word shingles with short, one-sentence entries
+const SHINGLE_SIZE = 5;
+// 24 bands of 5 rows make pairs at 0.7 similarity candidates 99% of the time, and at 0.3 about 6%
+const BANDS = 24;
+const ROWS_PER_BAND = 5;
+const SIGNATURE_SIZE = BANDS * ROWS_PER_BAND;
+// Entries in a crowded bucket are only compared with its first few members, which
+// keeps lists of near-identical templated lines from taking quadratic time
+const MAX_BUCKET_ANCHORS = 25;
+
+// Hash functions h(x) = a * x + b (mod 2^32), with fixed seeds so results are repeatable
+const HASH_SEEDS = (() => {
+    let state = 0x9e3779b9;
+    const next = () => {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        return state;
+    };
+    return Array.from({ length: SIGNATURE_SIZE }, () => [next() | 1, next()]);
+})();
+
+// FNV-1a
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * Lowercases, collapses whitespace and drops trailing punctuation, so copies
+ * that differ only in those compare equal.
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeKnowledge = (text) => text
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[\s.!?;:,]+$/, '');
+
+const toShingles = (text) => {
+    const letters = normalizeKnowledge(text).replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+    if (letters.length <= SHINGLE_SIZE) return new Set([letters]);
+
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= letters.length; i++) {
+        shingles.add(letters.slice(i, i + SHINGLE_SIZE));
+    }
+    return shingles;
+};
+
+const minHashSignature = (shingles) => {
+    const hashes = [...shingles].map(hashString);
+    return HASH_SEEDS.map(([a, b]) => hashes.reduce(
+        (min, hash) => Math.min(min, (Math.imul(a, hash) + b) >>> 0),
+        0xffffffff
+    ));
+};
+
+/**
+ * Jaccard similarity of two sets.
+ * @param {Set} a
+ * @param {Set} b
+ * @returns {number}
+ */
+export const jaccard = (a, b) => {
+    let shared = 0;
+    a.forEach(item => {
+        if (b.has(item)) shared++;
+    });
+    const union = a.size + b.size - shared;
+    return union === 0 ? 0 : shared / union;
+};
+
+/**
+ * Groups duplicate knowledge entries. Candidate near-duplicates come from
+ * MinHash signatures split into bands (locality-sensitive hashing), so large
+ * lists are not compared pairwise; each candidate pair is then confirmed
+ * with the exact Jaccard similarity of its shingles.
+ * @param {string[]} entries
+ * @param {object} [options]
+ * @param {number} [options.threshold] Shingle similarity (0-1) at which entries count as near-duplicates
+ * @returns {Array<{kind: 'exact'|'normalized'|'near', similarity: number, indexes: number[]}>}
+ *   Indexes are in list order, so the first one is the earliest copy. kind is
+ *   the loosest match needed to join the group, and similarity its lowest pair score
+ */
+export const findDuplicateGroups = (entries, { threshold = DEFAULT_SIMILARITY_THRESHOLD } = {}) => {
+    const parent = entries.map((_, index) => index);
+    const find = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+
+    const KIND_ORDER = ['exact', 'normalized', 'near'];
+    const links = [];
+    const link = (a, b, kind, similarity) => {
+        links.push({ a, b, kind, similarity });
+        parent[find(b)] = find(a);
+    };
+
+    // Exact and normalized copies link to the first entry with the same key
+    const firstByText = new Map();
+    const firstByNormalized = new Map();
+    const unique = [];
+    entries.forEach((text, index) => {
+        const normalized = normalizeKnowledge(text);
+        if (!normalized) return;
+        if (firstByText.has(text)) {
+            link(firstByText.get(text), index, 'exact', 1);
+        } else if (firstByNormalized.has(normalized)) {
+            link(firstByNormalized.get(normalized), index, 'normalized', 1);
+        } else {
+            unique.push(index);
+        }
+        if (!firstByText.has(text)) firstByText.set(text, index);
+        if (!firstByNormalized.has(normalized)) firstByNormalized.set(normalized, index);
+    });
+
+    const shingles = new Map(unique.map(index => [index, toShingles(entries[index])]));
+    const signatures = new Map(unique.map(index => [index, minHashSignature(shingles.get(index))]));
+    const buckets = new Map();
+    unique.forEach(index => {
+        const signature = signatures.get(index);
+        for (let band = 0; band < BANDS; band++) {
+            const key = `${band}:${signature.slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND).join(',')}`;
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(index);
+        }
+    });
+
+    const compared = new Set();
+    buckets.forEach(bucket => {
+        for (let i = 0; i < Math.min(bucket.length, MAX_BUCKET_ANCHORS); i++) {
+            for (let j = i + 1; j < bucket.length; j++) {
+                // Already grouped through other matches
+                if (find(bucket[i]) === find(bucket[j])) continue;
+                const pair = `${bucket[i]}:${bucket[j]}`;
+                if (compared.has(pair)) continue;
+                compared.add(pair);
+
+                // The share of matching MinHash values estimates the similarity; only
+                // pairs that come close are worth an exact comparison
+                const [a, b] = [signatures.get(bucket[i]), signatures.get(bucket[j])];
+                const estimate = a.filter((value, k) => value === b[k]).length / SIGNATURE_SIZE;
+                if (estimate < threshold - 0.15) continue;
+
+                const similarity = jaccard(shingles.get(bucket[i]), shingles.get(bucket[j]));
+                if (similarity >= threshold) {
+                    link(bucket[i], bucket[j], 'near', similarity);
+                }
+            }
+        }
+    });
+
+    const groups = new Map();
+    entries.forEach((_, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, { kind: 'exact', similarity: 1, indexes: [] });
+        groups.get(root).indexes.push(index);
+    });
+    links.forEach(({ a, kind, similarity }) => {
+        const group = groups.get(find(a));
+        if (KIND_ORDER.indexOf(kind) > KIND_ORDER.indexOf(group.kind)) group.kind = kind;
+        group.similarity = Math.min(group.similarity, Math.round(similarity * 100) / 100);
+    });
+
+    return [...groups.values()]
+        .filter(group => group.indexes.length > 1)
+        .sort((a, b) => a.indexes[0] - b.indexes[0]);
+};
@@ -0,0 +1,298 @@
+const DEFAULT_PROVIDER_ID = 'openrouter';
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Splits chat messages into the system prompt and the remaining turns,
+ * for APIs that take the system prompt as a separate field.
+ */
+const splitSystemMessages = (messages) => ({
+    system: messages
+        .filter(message => message.role === 'system')
+        .map(message => message.content)
+        .join('\n\n'),
+    messages: messages.filter(message => message.role !== 'system')
+});
+
+const extractOpenAIContent = (data) => data.choices?.[0]?.message?.content;
+const extractOpenAIError = (data) => data.error?.message;
+const extractOpenAIDelta = (event) => event.choices?.[0]?.delta?.content;
+
+/**
+ * Provider adapters. Each adapter turns a provider-neutral completion request
+ * into a fetch call for its API and reads the generated text back out.
+ *
+ * allowsBaseUrl marks providers whose base URL a request may override; the
+ * override must be listed in LLM_BASE_URL_ALLOWLIST (see resolveBaseUrl).
+ * buildRequest({ model, messages, temperature, maxTokens, apiKey, baseUrl, stream })
+ *   returns { url, options } for fetch.
+ * extractContent(data) returns the generated text from a successful response.
+ * extractError(data) returns the error message from a failed response.
+ * streamFormat is 'sse' or 'ndjson', the framing of streamed responses.
+ * extractStreamDelta(event) returns the text carried by one streamed event.
+ */
+const PROVIDERS = {
+    openrouter: {
+        id: 'openrouter',
+        name: 'OpenRouter',
+        requiresApiKey: true,
+        requiresBaseUrl: false,
+        allowsBaseUrl: false,
+        streamFormat: 'sse',
+        buildRequest({ model, messages, temperature, maxTokens, apiKey, stream = false }) {
+            return {
+                url: 'https://openrouter.ai/api/v1/chat/completions',
+                options: {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Bearer ${apiKey}`,
+                        'Content-Type': 'application/json',
+                        'HTTP-Referer': process.env.APP_URL || 'http://localhost:4000',
+                        'X-Title': 'Eliza Character Generator'
+                    },
+                    body: JSON.stringify({
+                        model: model,
+                        messages: messages,
+                        temperature: temperature,
+                        max_tokens: maxTokens,
+                        stream: stream
+                    })
+                }
+            };
+        },
+        extractContent: extractOpenAIContent,
+        extractError: extractOpenAIError,
+        extractStreamDelta: extractOpenAIDelta
+    },
+
+    'openai-compatible': {
+        id: 'openai-compatible',
+        name: 'OpenAI-Compatible',
+        requiresApiKey: false,
+        requiresBaseUrl: true,
+        allowsBaseUrl: true,
+        defaultBaseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+        streamFormat: 'sse',
+        buildRequest({ model, messages, temperature, maxTokens, apiKey, baseUrl, stream = false }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) {
+                headers['Authorization'] = `Bearer ${apiKey}`;
+            }
+            return {
+                url: `${trimTrailingSlash(baseUrl)}/chat/completions`,
+                options: {
+                    method: 'POST',
+                    headers: headers,
+                    body: JSON.stringify({
+                        model: model,
+                        messages: messages,
+                        temperature: temperature,
+                        max_tokens: maxTokens,
+                        stream: stream
+                    })
+                }
+            };
+        },
+        extractContent: extractOpenAIContent,
+        extractError: extractOpenAIError,
+        extractStreamDelta: extractOpenAIDelta
+    },
+
+    ollama: {
+        id: 'ollama',
+        name: 'Ollama',
+        requiresApiKey: false,
+        requiresBaseUrl: false,
+        allowsBaseUrl: true,
+        defaultBaseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434',
+        streamFormat: 'ndjson',
+        buildRequest({ model, messages, temperature, maxTokens, baseUrl, stream = false }) {
+            return {
+                url: `${trimTrailingSlash(baseUrl)}/api/chat`,
+                options: {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        model: model,
+                        messages: messages,
+                        stream: stream,
+                        options: {
+                            temperature: temperature,
+                            num_predict: maxTokens
+                        }
+                    })
+                }
+            };
+        },
+        extractContent: (data) => data.message?.content,
+        extractError: (data) => typeof data.error === 'string' ? data.error : data.error?.message,
+        extractStreamDelta: (event) => event.message?.content
+    },
+
+    anthropic: {
+        id: 'anthropic',
+        name: 'Anthropic',
+        requiresApiKey: true,
+        requiresBaseUrl: false,
+        allowsBaseUrl: false,
+        defaultBaseUrl: 'https://api.anthropic.com/v1',
+        streamFormat: 'sse',
+        buildRequest({ model, messages, temperature, maxTokens, apiKey, baseUrl, stream = false }) {
+            const { system, messages: turns } = splitSystemMessages(messages);
+            return {
+                url: `${trimTrailingSlash(baseUrl)}/messages`,
+                options: {
+                    method: 'POST',
+                    headers: {
+                        'x-api-key': apiKey,
+                        'anthropic-version': '2023-06-01',
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        model: model,
+                        system: system || undefined,
+                        messages: turns,
+                        temperature: temperature,
+                        max_tokens: maxTokens,
+                        stream: stream
+                    })
+                }
+            };
+        },
+        extractContent: (data) => Array.isArray(data.content)
+            ? data.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('')
+            : undefined,
+        extractError: (data) => data.error?.message,
+        extractStreamDelta: (event) => event.type === 'content_block_delta' ? event.delta?.text : undefined
+    }
+};
+
+/**
+ * Splits a streamed response body into lines. Works with both Node streams
+ * (node-fetch) and web ReadableStreams, which are async iterables of bytes.
+ * @param {AsyncIterable<Uint8Array|string>} body
+ */
+async function* readLines(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        yield* lines;
+    }
+
+    buffer += decoder.decode();
+    if (buffer) {
+        yield buffer;
+    }
+}
+
+/**
+ * Reads a streamed completion and yields the generated text as it arrives.
+ * Throws if the provider reports an error in the middle of the stream.
+ * @param {AsyncIterable<Uint8Array|string>} body
+ * @param {object} provider A provider adapter from getProvider
+ */
+export async function* readStreamDeltas(body, provider) {
+    for await (const rawLine of readLines(body)) {
+        let line = rawLine.trim();
+
+        if (provider.streamFormat === 'sse') {
+            // Skip comments, event names and keep-alives; only data lines carry payloads
+            if (!line.startsWith('data:')) continue;
+            line = line.slice('data:'.length).trim();
+            if (line === '[DONE]') return;
+        }
+
+        if (!line) continue;
+
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch {
+            continue;
+        }
+
+        const error = event.type === 'error' || event.error ? provider.extractError(event) : undefined;
+        if (error) {
+            throw new Error(error);
+        }
+
+        const delta = provider.extractStreamDelta(event);
+        if (delta) {
+            yield delta;
+        }
+    }
+}
+
+/**
+ * Looks up a provider adapter by id, defaulting to OpenRouter.
+ * @param {string} [id]
+ * @returns {object}
+ */
+export const getProvider = (id = DEFAULT_PROVIDER_ID) => {
+    const providerId = id || DEFAULT_PROVIDER_ID;
+    if (!Object.prototype.hasOwnProperty.call(PROVIDERS, providerId)) {
+        throw new Error(`Unknown provider: ${id}`);
+    }
+    return PROVIDERS[providerId];
+};
+
+const normalizeBaseUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        return ['http:', 'https:'].includes(parsed.protocol) ? trimTrailingSlash(parsed.href) : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Base URLs requests may send for providers that allow one, from the
+ * comma-separated LLM_BASE_URL_ALLOWLIST environment variable.
+ * @returns {string[]}
+ */
+export const getAllowedBaseUrls = () => (process.env.LLM_BASE_URL_ALLOWLIST || '')
+    .split(',')
+    .map(url => normalizeBaseUrl(url.trim()))
+    .filter(Boolean);
+
+/**
+ * The base URL to send a provider's requests to. A requested URL is used only
+ * for providers that allow one, and only if it is the provider's default or
+ * on the allowlist, so clients cannot point the server at arbitrary hosts.
+ * Other providers ignore it and use their default.
+ * @param {object} provider A provider adapter from getProvider
+ * @param {string} [baseUrl] Base URL sent with the request
+ * @returns {string|undefined}
+ * @throws {Error} If the requested URL is not allowed
+ */
+export const resolveBaseUrl = (provider, baseUrl) => {
+    if (!baseUrl || !provider.allowsBaseUrl) return provider.defaultBaseUrl;
+
+    const requested = normalizeBaseUrl(baseUrl);
+    const allowed = [provider.defaultBaseUrl && normalizeBaseUrl(provider.defaultBaseUrl), ...getAllowedBaseUrls()];
+    if (!requested || !allowed.includes(requested)) {
+        throw new Error(`Base URL ${baseUrl} is not allowed for ${provider.name}. Add it to LLM_BASE_URL_ALLOWLIST on the server`);
+    }
+    return requested;
+};
+
+/**
+ * Lists the available providers in a form safe to send to the browser.
+ * @returns {Array<{id: string, name: string, requiresApiKey: boolean, requiresBaseUrl: boolean, allowsBaseUrl: boolean}>}
+ */
+export const listProviders = () => Object.values(PROVIDERS).map(provider => ({
+    id: provider.id,
+    name: provider.name,
+    requiresApiKey: provider.requiresApiKey,
+    requiresBaseUrl: provider.requiresBaseUrl,
+    allowsBaseUrl: provider.allowsBaseUrl
+}));
+
+export { DEFAULT_PROVIDER_ID };
@@ -0,0 +1,201 @@
+import zlib from 'zlib';
+import { crc32 } from './zipArchive.js';
+import { cardToCharacter, detectCharacterFormat } from '../shared/characterCard.js';
+
+/**
+ * Character data embedded in PNG images. Card front ends store a Character
+ * Card as base64 JSON in a text chunk with the keyword "chara" ("ccv3" for
+ * V3 cards); the Eliza character itself is stored as UTF-8 JSON in an iTXt
+ * chunk with the keyword "eliza", so a card exported here loads in both.
+ */
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+export const ELIZA_KEYWORD = 'eliza';
+export const CARD_KEYWORD = 'chara';
+const CARD_V3_KEYWORD = 'ccv3';
+const CHARACTER_KEYWORDS = [ELIZA_KEYWORD, CARD_KEYWORD, CARD_V3_KEYWORD];
+// Most a compressed text chunk may expand to; characters are far smaller
+export const MAX_TEXT_CHUNK_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Whether a buffer starts with the PNG signature.
+ * @param {Buffer} buffer
+ * @returns {boolean}
+ */
+export const isPng = (buffer) => buffer.length >= PNG_SIGNATURE.length &&
+    buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+
+/**
+ * Splits a PNG into its chunks, checking each chunk's CRC.
+ * @param {Buffer} buffer
+ * @returns {Array<{type: string, data: Buffer}>}
+ * @throws {Error} If the buffer is not a PNG or a chunk is cut off or corrupt
+ */
+export const readPngChunks = (buffer) => {
+    if (!isPng(buffer)) {
+        throw new Error('Not a PNG image');
+    }
+
+    const chunks = [];
+    let position = PNG_SIGNATURE.length;
+    while (position < buffer.length) {
+        if (position + 12 > buffer.length) {
+            throw new Error('Truncated PNG chunk');
+        }
+        const length = buffer.readUInt32BE(position);
+        const end = position + 8 + length;
+        if (end + 4 > buffer.length) {
+            throw new Error('Truncated PNG chunk');
+        }
+        const type = buffer.toString('latin1', position + 4, position + 8);
+        if (crc32(buffer.subarray(position + 4, end)) !== buffer.readUInt32BE(end)) {
+            throw new Error(`Corrupt PNG chunk ${type}: CRC mismatch`);
+        }
+        chunks.push({ type, data: Buffer.from(buffer.subarray(position + 8, end)) });
+        position = end + 4;
+        if (type === 'IEND') break;
+    }
+
+    if (chunks[0]?.type !== 'IHDR' || chunks[chunks.length - 1].type !== 'IEND') {
+        throw new Error('Incomplete PNG image');
+    }
+    return chunks;
+};
+
+/**
+ * Joins chunks into a PNG, computing their lengths and CRCs.
+ * @param {Array<{type: string, data: Buffer}>} chunks
+ * @returns {Buffer}
+ */
+export const writePngChunks = (chunks) => Buffer.concat([PNG_SIGNATURE, ...chunks.flatMap(({ type, data }) => {
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(data.length, 0);
+    header.write(type, 4, 'latin1');
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+    return [header, data, crc];
+})]);
+
+/**
+ * Builds a tEXt chunk (Latin-1 text) or, with international set, an
+ * uncompressed iTXt chunk (UTF-8 text).
+ * @param {string} keyword
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean} [options.international]
+ * @returns {{type: string, data: Buffer}}
+ */
+export const createTextChunk = (keyword, text, { international = false } = {}) => (international
+    ? { type: 'iTXt', data: Buffer.concat([Buffer.from(`${keyword}\0\0\0\0\0`, 'latin1'), Buffer.from(text, 'utf-8')]) }
+    : { type: 'tEXt', data: Buffer.from(`${keyword}\0${text}`, 'latin1') });
+
+// Keyword of a tEXt, zTXt or iTXt chunk, or null for other chunks
+const textChunkKeyword = ({ type, data }) => {
+    const keywordEnd = data.indexOf(0);
+    if (keywordEnd === -1 || !['tEXt', 'zTXt', 'iTXt'].includes(type)) return null;
+    return data.toString('latin1', 0, keywordEnd);
+};
+
+const inflateText = (data, keyword) => {
+    try {
+        return zlib.inflateSync(data, { maxOutputLength: MAX_TEXT_CHUNK_SIZE });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error(`The "${keyword}" chunk expands past ${MAX_TEXT_CHUNK_SIZE} bytes`);
+        }
+        throw new Error(`The "${keyword}" chunk could not be decompressed: ${error.message}`);
+    }
+};
+
+// Keyword and text of a tEXt, zTXt or iTXt chunk, or null for other chunks
+const readTextChunk = ({ type, data }) => {
+    const keyword = textChunkKeyword({ type, data });
+    if (keyword === null) return null;
+    const keywordEnd = keyword.length;
+
+    if (type === 'tEXt') {
+        return { keyword, text: data.toString('latin1', keywordEnd + 1) };
+    }
+    if (type === 'zTXt') {
+        return { keyword, text: inflateText(data.subarray(keywordEnd + 2), keyword).toString('latin1') };
+    }
+
+    // iTXt: compression flag and method, then language tag and translated keyword
+    const compressed = data[keywordEnd + 1] === 1;
+    const languageEnd = data.indexOf(0, keywordEnd + 3);
+    const translatedEnd = languageEnd === -1 ? -1 : data.indexOf(0, languageEnd + 1);
+    if (translatedEnd === -1) return null;
+    const text = data.subarray(translatedEnd + 1);
+    return { keyword, text: (compressed ? inflateText(text, keyword) : text).toString('utf-8') };
+};
+
+/**
+ * Reads the text chunks of a PNG.
+ * @param {Buffer} buffer
+ * @returns {Array<{keyword: string, text: string}>}
+ */
+export const readPngText = (buffer) => readPngChunks(buffer).map(readTextChunk).filter(Boolean);
+
+// Card front ends write base64, but some tools store the JSON as it is
+const parseEmbeddedJson = (text, keyword) => {
+    const trimmed = text.trim();
+    try {
+        return JSON.parse(trimmed.startsWith('{') ? trimmed : Buffer.from(trimmed, 'base64').toString('utf-8'));
+    } catch {
+        throw new Error(`The "${keyword}" chunk does not hold valid JSON`);
+    }
+};
+
+/**
+ * Reads the character embedded in a PNG card. An Eliza character is used as
+ * it is; otherwise a Character Card in the "chara" or "ccv3" chunk is
+ * converted.
+ * @param {Buffer} buffer
+ * @returns {{character: object, from: string, keyword: string, dropped: string[]}}
+ * @throws {Error} If the image is not a PNG or holds no character
+ */
+export const readCharacterFromPng = (buffer) => {
+    // Only the chunk holding the character is decompressed
+    const chunks = readPngChunks(buffer);
+    const chunk = CHARACTER_KEYWORDS
+        .map(keyword => chunks.find(candidate => textChunkKeyword(candidate)?.toLowerCase() === keyword))
+        .find(Boolean);
+    const embedded = chunk && readTextChunk(chunk);
+    if (!embedded) {
+        throw new Error('No character data found in the PNG. Expected a "chara" or "eliza" text chunk');
+    }
+
+    const data = parseEmbeddedJson(embedded.text, embedded.keyword);
+    const from = detectCharacterFormat(data);
+    if (!from) {
+        throw new Error(`The "${embedded.keyword}" chunk does not hold a character`);
+    }
+    if (from === 'eliza') {
+        return { character: data, from, keyword: embedded.keyword, dropped: [] };
+    }
+    const { character, dropped } = cardToCharacter(data);
+    return { character, from, keyword: embedded.keyword, dropped };
+};
+
+/**
+ * Embeds a character in a PNG, replacing any character data it already
+ * holds. The chunks go just before IEND, so the image itself is untouched.
+ * @param {Buffer} buffer PNG image
+ * @param {object} character Eliza character
+ * @param {object} [options]
+ * @param {object} [options.card] Character Card to store alongside, for card front ends
+ * @returns {Buffer}
+ */
+export const embedCharacterInPng = (buffer, character, { card } = {}) => {
+    const chunks = readPngChunks(buffer).filter(chunk => {
+        const keyword = textChunkKeyword(chunk);
+        return keyword === null || !CHARACTER_KEYWORDS.includes(keyword.toLowerCase());
+    });
+
+    const added = [createTextChunk(ELIZA_KEYWORD, JSON.stringify(character), { international: true })];
+    if (card) {
+        added.push(createTextChunk(CARD_KEYWORD, Buffer.from(JSON.stringify(card), 'utf-8').toString('base64')));
+    }
+
+    return writePngChunks([...chunks.slice(0, -1), ...added, chunks[chunks.length - 1]]);
+};
@@ -0,0 +1,14 @@
+/**
+ * Lowercase ASCII slug for file names: accents are dropped, every other run
+ * of non-alphanumerics becomes one dash, and the result is at most 60
+ * characters. May be empty, so callers supply their own fallback.
+ * @param {string} value
+ * @returns {string}
+ */
+export const slugify = (value) => value
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
@@ -0,0 +1,133 @@
+import YAML from 'yaml';
+import { parseCsvRecords } from './csvParser.js';
+
+/**
+ * Turns structured knowledge files (CSV, JSON, YAML) into plain statements,
+ * one per paragraph, so they can be chunked like any other document.
+ */
+
+const TERMINATED_PATTERN = /[.!?]["'”’)\]]*$/;
+
+const asStatement = (text) => (TERMINATED_PATTERN.test(text) ? text : `${text}.`);
+
+const formatValue = (value) => String(value).replace(/\s+/g, ' ').trim();
+
+// "characters[2].name" -> "characters.name", so one selection covers every array item
+const selectionPath = (path) => path.replace(/\[\d+\]/g, '').replace(/^\./, '');
+
+const matchesSelection = (path, fields) => {
+    const key = selectionPath(path);
+    return fields.some(field => key === field || key.startsWith(`${field}.`));
+};
+
+/**
+ * Turns CSV rows into fact sentences using the header row. The first
+ * included column names the row: "Arthur: role is King, home is Camelot."
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string[]} [options.fields] Columns to include, matched case-insensitively; all when omitted
+ * @returns {string[]}
+ * @throws {Error} If a selected column does not exist
+ */
+export const csvToStatements = (text, { fields } = {}) => {
+    const { headers, records } = parseCsvRecords(text);
+
+    let columns = headers.filter(Boolean);
+    if (fields?.length) {
+        const byName = new Map(headers.map(header => [header.toLowerCase(), header]));
+        const missing = fields.filter(field => !byName.has(field.toLowerCase()));
+        if (missing.length) {
+            throw new Error(`Unknown column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}. Available columns: ${headers.join(', ')}`);
+        }
+        columns = fields.map(field => byName.get(field.toLowerCase()));
+    }
+
+    return records.flatMap(record => {
+        const values = columns
+            .map(column => ({ column, value: formatValue(record[column] ?? '') }))
+            .filter(({ value }) => value !== '');
+        if (values.length === 0) return [];
+
+        const [subject, ...facts] = values;
+        if (facts.length === 0) return [asStatement(`${subject.column}: ${subject.value}`)];
+        return [asStatement(`${subject.value}: ${facts.map(({ column, value }) => `${column} is ${value}`).join(', ')}`)];
+    });
+};
+
+/**
+ * Flattens parsed JSON or YAML into "path: value" statements, e.g.
+ * "characters[0].home: Camelot." Arrays of plain values are listed in one
+ * statement.
+ * @param {any} data
+ * @param {object} [options]
+ * @param {string[]} [options.fields] Key paths to include. Each selects everything at
+ *   or below it, and array indexes are ignored: "characters.name" matches every character's name
+ * @returns {string[]}
+ * @throws {Error} If none of the selected keys exist
+ */
+export const flattenToStatements = (data, { fields } = {}) => {
+    const statements = [];
+    const keys = new Set();
+
+    const visit = (value, path) => {
+        if (value === null || value === undefined) return;
+
+        if (Array.isArray(value)) {
+            if (value.every(item => item === null || typeof item !== 'object')) {
+                const items = value.filter(item => item !== null && formatValue(item) !== '').map(formatValue);
+                if (items.length) statements.push({ path, text: `${path || 'items'}: ${items.join(', ')}` });
+                return;
+            }
+            value.forEach((item, index) => visit(item, `${path}[${index}]`));
+            return;
+        }
+
+        if (typeof value === 'object') {
+            Object.entries(value).forEach(([key, child]) => {
+                const childPath = path ? `${path}.${key}` : key;
+                keys.add(selectionPath(childPath));
+                visit(child, childPath);
+            });
+            return;
+        }
+
+        const text = formatValue(value);
+        if (text !== '') statements.push({ path, text: path ? `${path}: ${text}` : text });
+    };
+
+    visit(data, '');
+
+    const selected = fields?.length
+        ? statements.filter(statement => matchesSelection(statement.path, fields))
+        : statements;
+    if (fields?.length && selected.length === 0) {
+        const available = [...keys].filter(key => !key.includes('.')).join(', ');
+        throw new Error(`None of the selected keys were found (${fields.join(', ')}). Top-level keys: ${available || 'none'}`);
+    }
+    return selected.map(statement => asStatement(statement.text));
+};
+
+/**
+ * Converts a CSV, JSON or YAML file to knowledge text.
+ * @param {string} text
+ * @param {'.csv'|'.json'|'.yml'|'.yaml'} extension
+ * @param {object} [options]
+ * @param {string[]} [options.fields] Columns or key paths to include
+ * @returns {string} One statement per paragraph
+ * @throws {Error} If the file cannot be parsed or the selection matches nothing
+ */
+export const structuredDataToText = (text, extension, { fields } = {}) => {
+    let statements;
+    if (extension === '.csv') {
+        statements = csvToStatements(text, { fields });
+    } else {
+        let data;
+        try {
+            data = extension === '.json' ? JSON.parse(text) : YAML.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid ${extension === '.json' ? 'JSON' : 'YAML'}: ${error.message.split('\n')[0]}`);
+        }
+        statements = flattenToStatements(data, { fields });
+    }
+    return statements.join('\n\n');
+};
@@ -0,0 +1,192 @@
+import zlib from 'zlib';
+
+/**
+ * Minimal ZIP reader and writer, enough for exporting and importing sets of
+ * generated files without pulling in an archive dependency. Entries are
+ * deflated when that makes them smaller and stored otherwise.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const UTF8_FLAG = 0x0800;
+
+// Most an archive may expand to when read, so a small upload that inflates to
+// gigabytes (a zip bomb) fails instead of exhausting the server's memory
+export const MAX_ZIP_TOTAL_SIZE = 200 * 1024 * 1024;
+export const MAX_ZIP_ENTRIES = 10000;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * CRC-32 as used by ZIP and PNG.
+ * @param {Buffer|Uint8Array} data
+ * @returns {number}
+ */
+export const crc32 = (data) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Builds a ZIP archive in memory.
+ * @param {Array<{name: string, content: string|Buffer}>} entries Paths use forward slashes
+ * @param {object} [options]
+ * @param {Date} [options.date] Modification time recorded for every entry
+ * @returns {Buffer}
+ */
+export const createZipArchive = (entries, { date = new Date() } = {}) => {
+    const { time, date: dosDate } = toDosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(({ name, content }) => {
+        const nameBuffer = Buffer.from(name, 'utf-8');
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf-8');
+        const deflated = zlib.deflateRawSync(data);
+        const useDeflate = deflated.length < data.length;
+        const stored = useDeflate ? deflated : data;
+        const checksum = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER_SIGNATURE, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(UTF8_FLAG, 6);
+        local.writeUInt16LE(useDeflate ? METHOD_DEFLATE : METHOD_STORE, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(stored.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER_SIGNATURE, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(UTF8_FLAG, 8);
+        central.writeUInt16LE(useDeflate ? METHOD_DEFLATE : METHOD_STORE, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(checksum, 16);
+        central.writeUInt32LE(stored.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        localParts.push(local, nameBuffer, stored);
+        centralParts.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + stored.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+};
+
+const inflateEntry = (data, name, uncompressedSize) => {
+    try {
+        // maxOutputLength must be at least 1; an empty entry is checked below
+        const content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(uncompressedSize, 1) });
+        if (content.length <= uncompressedSize) return content;
+    } catch (error) {
+        if (error.code !== 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error(`Could not decompress ${name}: ${error.message}`);
+        }
+    }
+    throw new Error(`${name} is larger than the ${uncompressedSize} bytes its ZIP header records`);
+};
+
+/**
+ * Reads the file entries of a ZIP archive. Directory entries are skipped.
+ * Entries are never inflated past the size the central directory records
+ * for them, nor the archive past maxTotalSize.
+ * @param {Buffer} buffer
+ * @param {object} [options]
+ * @param {number} [options.maxTotalSize] Most bytes all entries may expand to
+ * @param {number} [options.maxEntries] Most entries, directories included, the archive may hold
+ * @returns {Array<{name: string, content: Buffer}>}
+ * @throws {Error} If the buffer is not a readable ZIP archive or an entry is too large
+ */
+export const readZipArchive = (buffer, { maxTotalSize = MAX_ZIP_TOTAL_SIZE, maxEntries = MAX_ZIP_ENTRIES } = {}) => {
+    // The end of central directory record sits at the end, before an optional comment
+    let endOffset = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            endOffset = i;
+            break;
+        }
+    }
+    if (endOffset === -1) {
+        throw new Error('Not a ZIP archive');
+    }
+
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    if (entryCount > maxEntries) {
+        throw new Error(`ZIP archive has ${entryCount} entries, more than the ${maxEntries} allowed`);
+    }
+    let position = buffer.readUInt32LE(endOffset + 16);
+    const entries = [];
+    let totalSize = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(position) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error('Corrupt ZIP central directory');
+        }
+        const method = buffer.readUInt16LE(position + 10);
+        const compressedSize = buffer.readUInt32LE(position + 20);
+        const uncompressedSize = buffer.readUInt32LE(position + 24);
+        const nameLength = buffer.readUInt16LE(position + 28);
+        const extraLength = buffer.readUInt16LE(position + 30);
+        const commentLength = buffer.readUInt16LE(position + 32);
+        const localOffset = buffer.readUInt32LE(position + 42);
+        const name = buffer.toString('utf-8', position + 46, position + 46 + nameLength);
+        position += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+
+        totalSize += method === METHOD_STORE ? compressedSize : uncompressedSize;
+        if (totalSize > maxTotalSize) {
+            throw new Error(`${name} takes the archive past its ${maxTotalSize} byte limit`);
+        }
+
+        const localNameLength = buffer.readUInt16LE(localOffset + 26);
+        const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+        const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === METHOD_STORE) {
+            entries.push({ name, content: Buffer.from(data) });
+        } else if (method === METHOD_DEFLATE) {
+            entries.push({ name, content: inflateEntry(data, name, uncompressedSize) });
+        } else {
+            throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+        }
+    }
+
+    return entries;
+};
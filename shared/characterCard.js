@@ -0,0 +1,245 @@
+/**
+ * Conversion between Eliza characters and Character Card V2, the format used
+ * by TavernAI, SillyTavern and other chat front ends
+ * (https://github.com/malfoyslastname/character-card-spec-v2). Shared between
+ * the server and the browser, so it must stay free of Node and DOM dependencies.
+ *
+ * Field mapping:
+ *   description          bio
+ *   scenario             lore
+ *   personality          style.all
+ *   system_prompt        system
+ *   first_mes            a message example opened by the character, as are
+ *   alternate_greetings  the other greetings
+ *   mes_example          messageExamples, one per <START> block
+ *   character_book       knowledge, one entry per book entry
+ */
+import { splitSentences } from './textSegmentation.js';
+
+export const CARD_SPEC = 'chara_card_v2';
+export const CARD_SPEC_VERSION = '2.0';
+export const CHARACTER_FORMATS = ['eliza', 'card-v2'];
+
+// Card fields with no Eliza counterpart, reported as dropped when set
+const UNMAPPED_CARD_FIELDS = ['creator_notes', 'post_history_instructions', 'tags', 'creator', 'character_version', 'extensions'];
+// Eliza fields with no card counterpart, reported as dropped when set
+const UNMAPPED_ELIZA_FIELDS = ['topics', 'adjectives', 'postExamples', 'style.chat', 'style.post', 'people', 'clients', 'plugins'];
+
+const USER_PLACEHOLDER_PATTERN = /^\{\{user\d+\}\}$/;
+const START_PATTERN = /^\s*<START>\s*$/im;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0) ||
+    (isPlainObject(value) && Object.keys(value).length === 0);
+
+const escapePattern = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Tells Eliza characters from character cards. Cards of a later spec version
+ * that keep the V2 layout (such as V3) are read as V2.
+ * @param {any} data
+ * @returns {'eliza'|'card-v2'|'card-v1'|null} null when data is not an object
+ */
+export const detectCharacterFormat = (data) => {
+    if (!isPlainObject(data)) return null;
+    if (typeof data.spec === 'string' && data.spec.startsWith('chara_card') && isPlainObject(data.data)) return 'card-v2';
+    // V1 cards are the bare card fields, without a spec
+    if (!('bio' in data) && ['description', 'personality', 'scenario', 'first_mes', 'mes_example']
+        .some(key => typeof data[key] === 'string')) return 'card-v1';
+    return 'eliza';
+};
+
+// Cards stand in for the two speakers with {{char}} and {{user}} (<BOT> and <USER> in older cards)
+const fromCardText = (text, name) => (typeof text === 'string' ? text : '')
+    .replace(/\{\{char\}\}|<BOT>/gi, name || '{{char}}')
+    .replace(/\{\{user\}\}|<USER>/gi, '{{user1}}')
+    .trim();
+
+const toCardText = (text, name) => {
+    const withUser = String(text ?? '').replace(/\{\{user\d+\}\}/g, '{{user}}');
+    return name ? withUser.replace(new RegExp(`(?<![\\p{L}\\p{N}])${escapePattern(name)}(?![\\p{L}\\p{N}])`, 'gu'), '{{char}}') : withUser;
+};
+
+const joinSentences = (value) => (Array.isArray(value) ? value : [value])
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim())
+    .join(' ');
+
+/**
+ * Reads mes_example text into message examples. Each <START> block is one
+ * example, and each "{{user}}:" or "{{char}}:" line (or the character's
+ * name) starts a turn; other lines continue the turn before them.
+ * @param {string} text
+ * @param {string} name Character name, used for the character's turns
+ * @returns {Array<Array<{user: string, content: {text: string}}>>}
+ */
+export const parseMessageExamples = (text, name) => {
+    if (typeof text !== 'string' || !text.trim()) return [];
+
+    const speakers = ['\\{\\{user\\}\\}', '<USER>', '\\{\\{char\\}\\}', '<BOT>', ...(name ? [escapePattern(name)] : [])];
+    const speakerPattern = new RegExp(`^\\s*(${speakers.join('|')})\\s*:\\s?(.*)$`, 'i');
+    const isUser = (speaker) => /^(?:\{\{user\}\}|<USER>)$/i.test(speaker);
+
+    return text.replace(/\r\n?/g, '\n').split(START_PATTERN).map(block => {
+        const turns = [];
+        block.split('\n').forEach(line => {
+            const match = line.match(speakerPattern);
+            if (match) {
+                turns.push({ user: isUser(match[1]) ? '{{user1}}' : name || '{{char}}', lines: [match[2]] });
+            } else if (turns.length) {
+                turns[turns.length - 1].lines.push(line);
+            }
+        });
+        return turns
+            .map(turn => ({ user: turn.user, content: { text: fromCardText(turn.lines.join('\n'), name) } }))
+            .filter(turn => turn.content.text);
+    }).filter(example => example.length);
+};
+
+/**
+ * Converts a Character Card (V2, or V1 without the data wrapper) to an Eliza
+ * character.
+ * @param {object} card
+ * @returns {{character: object, dropped: string[]}} dropped lists the card fields
+ *   that were set but have no place in an Eliza character
+ */
+export const cardToCharacter = (card) => {
+    const data = detectCharacterFormat(card) === 'card-v2' ? card.data : card;
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    const sentences = (text) => splitSentences(fromCardText(text, name));
+
+    const greetings = [data.first_mes, ...(Array.isArray(data.alternate_greetings) ? data.alternate_greetings : [])]
+        .map(text => fromCardText(text, name))
+        .filter(Boolean)
+        .map(text => [{ user: name || '{{char}}', content: { text } }]);
+
+    const entries = Array.isArray(data.character_book?.entries) ? data.character_book.entries : [];
+    const knowledge = entries
+        .filter(entry => isPlainObject(entry) && entry.enabled !== false)
+        .map(entry => fromCardText(entry.content, name))
+        .filter(Boolean);
+
+    const character = {
+        name,
+        clients: [],
+        modelProvider: '',
+        settings: { secrets: {}, voice: { model: '' } },
+        plugins: [],
+        ...(typeof data.system_prompt === 'string' && data.system_prompt.trim() ? { system: fromCardText(data.system_prompt, name) } : {}),
+        bio: sentences(data.description),
+        lore: sentences(data.scenario),
+        knowledge,
+        messageExamples: [...greetings, ...parseMessageExamples(data.mes_example, name)],
+        postExamples: [],
+        topics: [],
+        style: { all: sentences(data.personality), chat: [], post: [] },
+        adjectives: [],
+        people: []
+    };
+
+    const dropped = UNMAPPED_CARD_FIELDS.filter(field => !isEmpty(data[field]));
+    if (entries.some(entry => Array.isArray(entry?.keys) && entry.keys.length)) dropped.push('character_book.entries[].keys');
+
+    return { character, dropped };
+};
+
+/**
+ * Converts an Eliza character to a Character Card V2. Examples with a single
+ * turn from the character become the greetings; the rest are written to
+ * mes_example. Knowledge becomes constant lorebook entries, since Eliza
+ * retrieves it by relevance rather than by keyword.
+ * @param {object} character
+ * @returns {{card: object, dropped: string[]}} dropped lists the Eliza fields
+ *   that were set but have no place in a card
+ */
+export const characterToCard = (character) => {
+    const name = typeof character.name === 'string' ? character.name.trim() : '';
+    const cardText = (text) => toCardText(text, name);
+
+    const examples = (Array.isArray(character.messageExamples) ? character.messageExamples : [])
+        .filter(example => Array.isArray(example) && example.length);
+    const isCharacterTurn = (message) => !USER_PLACEHOLDER_PATTERN.test(message?.user || '');
+    const greetings = examples
+        .filter(example => example.length === 1 && isCharacterTurn(example[0]))
+        .map(example => cardText(example[0]?.content?.text || ''));
+    const mesExample = examples
+        .filter(example => !(example.length === 1 && isCharacterTurn(example[0])))
+        .map(example => ['<START>', ...example.map(message => (
+            `${isCharacterTurn(message) ? '{{char}}' : '{{user}}'}: ${cardText(message?.content?.text || '')}`
+        ))].join('\n'))
+        .join('\n');
+
+    const knowledge = Array.isArray(character.knowledge) ? character.knowledge : [];
+    const bookEntries = knowledge
+        .filter(item => typeof item === 'string' && item.trim())
+        .map((item, index) => ({
+            id: index + 1,
+            keys: [],
+            content: cardText(item.trim()),
+            extensions: {},
+            enabled: true,
+            insertion_order: index,
+            constant: true
+        }));
+
+    const card = {
+        spec: CARD_SPEC,
+        spec_version: CARD_SPEC_VERSION,
+        data: {
+            name,
+            description: cardText(joinSentences(character.bio)),
+            personality: cardText(joinSentences(character.style?.all)),
+            scenario: cardText(joinSentences(character.lore)),
+            first_mes: greetings[0] || '',
+            mes_example: mesExample,
+            creator_notes: '',
+            system_prompt: typeof character.system === 'string' ? cardText(character.system) : '',
+            post_history_instructions: '',
+            alternate_greetings: greetings.slice(1),
+            ...(bookEntries.length ? { character_book: { extensions: {}, entries: bookEntries } } : {}),
+            tags: [],
+            creator: '',
+            character_version: '',
+            extensions: {}
+        }
+    };
+
+    const dropped = UNMAPPED_ELIZA_FIELDS.filter(field => !isEmpty(field.split('.').reduce((value, key) => value?.[key], character)));
+    if (knowledge.some(item => typeof item !== 'string')) dropped.push('knowledge file references');
+
+    return { card, dropped };
+};
+
+/**
+ * Converts character data to the given format, detecting the format it is in.
+ * @param {object} data Eliza character or Character Card
+ * @param {'eliza'|'card-v2'} to
+ * @returns {{from: string, to: string, result: object, dropped: string[]}}
+ * @throws {Error} If the target format is unknown or data is not an object
+ */
+export const convertCharacter = (data, to) => {
+    if (!CHARACTER_FORMATS.includes(to)) {
+        throw new Error(`Unknown target format "${to}". Use one of: ${CHARACTER_FORMATS.join(', ')}`);
+    }
+    const from = detectCharacterFormat(data);
+    if (!from) {
+        throw new Error('Character data must be a JSON object');
+    }
+
+    if (to === 'eliza') {
+        if (from === 'eliza') return { from, to, result: data, dropped: [] };
+        const { character, dropped } = cardToCharacter(data);
+        return { from, to, result: character, dropped };
+    }
+
+    if (from === 'card-v2') return { from, to, result: data, dropped: [] };
+    if (from === 'card-v1') {
+        // V2 keeps the V1 fields as they are, inside data
+        const { card } = characterToCard({});
+        return { from, to, result: { ...card, data: { ...card.data, ...data } }, dropped: [] };
+    }
+    const { card, dropped } = characterToCard(data);
+    return { from, to, result: card, dropped };
+};
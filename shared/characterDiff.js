@@ -0,0 +1,214 @@
+/**
+ * Field-level diffing of Eliza characters. Shared between the server and the
+ * browser, so it must stay free of Node and DOM dependencies.
+ */
+
+/**
+ * Character fields compared by the diff, in display order. List fields are
+ * diffed entry by entry; value fields are compared as a whole.
+ */
+export const DIFF_FIELDS = [
+    { path: 'name', label: 'Name', kind: 'value' },
+    { path: 'modelProvider', label: 'Model Provider', kind: 'value' },
+    { path: 'clients', label: 'Clients', kind: 'list' },
+    { path: 'settings.voice.model', label: 'Voice Model', kind: 'value' },
+    { path: 'bio', label: 'Bio', kind: 'list' },
+    { path: 'lore', label: 'Lore', kind: 'list' },
+    { path: 'topics', label: 'Topics', kind: 'list' },
+    { path: 'style.all', label: 'General Style', kind: 'list' },
+    { path: 'style.chat', label: 'Chat Style', kind: 'list' },
+    { path: 'style.post', label: 'Post Style', kind: 'list' },
+    { path: 'messageExamples', label: 'Message Examples', kind: 'list' },
+    { path: 'postExamples', label: 'Post Examples', kind: 'list' },
+    { path: 'adjectives', label: 'Adjectives', kind: 'list' },
+    { path: 'people', label: 'People', kind: 'list' },
+    { path: 'knowledge', label: 'Knowledge', kind: 'list' }
+];
+
+/**
+ * Reads a dotted path such as "style.chat" from an object.
+ * @param {object} object
+ * @param {string} path
+ */
+export const getFieldValue = (object, path) => path
+    .split('.')
+    .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+
+/**
+ * Returns a copy of the object with a dotted path set, copying each object
+ * along the path so the original is left untouched.
+ * @param {object} object
+ * @param {string} path
+ * @param {any} value
+ * @returns {object}
+ */
+export const setFieldValue = (object, path, value) => {
+    const [key, ...rest] = path.split('.');
+    const copy = { ...(object || {}) };
+    copy[key] = rest.length ? setFieldValue(copy[key], rest.join('.'), value) : value;
+    return copy;
+};
+
+const entryKey = (entry) => (typeof entry === 'string' ? entry : JSON.stringify(entry));
+
+/**
+ * Diffs two lists entry by entry using their longest common subsequence.
+ * @param {Array} before
+ * @param {Array} after
+ * @returns {Array<{type: 'equal'|'added'|'removed', value: any}>}
+ */
+export const diffLists = (before = [], after = []) => {
+    const beforeKeys = before.map(entryKey);
+    const afterKeys = after.map(entryKey);
+
+    // Common prefix and suffix never need the quadratic table
+    let start = 0;
+    while (start < before.length && start < after.length && beforeKeys[start] === afterKeys[start]) {
+        start++;
+    }
+    let beforeEnd = before.length;
+    let afterEnd = after.length;
+    while (beforeEnd > start && afterEnd > start && beforeKeys[beforeEnd - 1] === afterKeys[afterEnd - 1]) {
+        beforeEnd--;
+        afterEnd--;
+    }
+
+    const rows = beforeEnd - start;
+    const columns = afterEnd - start;
+    const lengths = Array.from({ length: rows + 1 }, () => new Array(columns + 1).fill(0));
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = columns - 1; j >= 0; j--) {
+            lengths[i][j] = beforeKeys[start + i] === afterKeys[start + j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const ops = before.slice(0, start).map(value => ({ type: 'equal', value }));
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < columns) {
+        if (i < rows && j < columns && beforeKeys[start + i] === afterKeys[start + j]) {
+            ops.push({ type: 'equal', value: before[start + i] });
+            i++;
+            j++;
+        } else if (i < rows && (j === columns || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            ops.push({ type: 'removed', value: before[start + i] });
+            i++;
+        } else {
+            ops.push({ type: 'added', value: after[start + j] });
+            j++;
+        }
+    }
+    before.slice(beforeEnd).forEach(value => ops.push({ type: 'equal', value }));
+
+    return ops;
+};
+
+/**
+ * Compares two characters field by field.
+ * @param {object} before
+ * @param {object} after
+ * @returns {Array<object>} One entry per changed field: list fields carry
+ *   { path, label, kind: 'list', ops, added, removed }, value fields carry
+ *   { path, label, kind: 'value', before, after }
+ */
+export const diffCharacters = (before = {}, after = {}) => DIFF_FIELDS
+    .map(field => {
+        const beforeValue = getFieldValue(before, field.path);
+        const afterValue = getFieldValue(after, field.path);
+
+        if (field.kind === 'value') {
+            if ((beforeValue ?? '') === (afterValue ?? '')) return null;
+            return { ...field, before: beforeValue ?? '', after: afterValue ?? '' };
+        }
+
+        const ops = diffLists(
+            Array.isArray(beforeValue) ? beforeValue : [],
+            Array.isArray(afterValue) ? afterValue : []
+        );
+        const added = ops.filter(op => op.type === 'added').length;
+        const removed = ops.filter(op => op.type === 'removed').length;
+        if (!added && !removed) return null;
+        return { ...field, ops, added, removed };
+    })
+    .filter(Boolean);
+
+/**
+ * Copies the given fields from one character into another.
+ * @param {object} target Character to update
+ * @param {object} source Character to take the fields from
+ * @param {string[]} paths Dotted field paths, e.g. ['bio', 'style.chat']
+ * @returns {object} A new character; neither input is modified
+ */
+export const pickFields = (target, source, paths) => paths.reduce(
+    (result, path) => setFieldValue(result, path, getFieldValue(source, path)),
+    target
+);
+
+/**
+ * Applies the accepted parts of a diff to the character it was computed from.
+ * Removed entries are dropped only when their removal is accepted, and added
+ * entries are kept only when accepted, so rejecting a line always leaves the
+ * base character's version of it.
+ * @param {object} base The "before" character passed to diffCharacters
+ * @param {Array<object>} diff Result of diffCharacters(base, proposed)
+ * @param {object} decisions Keyed by field path: true accepts the whole field,
+ *   an array of op indexes accepts those lines of a list field; anything else
+ *   rejects the field
+ * @returns {object} A new character; the base is not modified
+ */
+export const applyChanges = (base, diff, decisions) => diff.reduce((result, field) => {
+    const decision = decisions[field.path];
+
+    if (field.kind === 'value') {
+        return decision === true ? setFieldValue(result, field.path, field.after) : result;
+    }
+
+    const isAccepted = decision === true
+        ? () => true
+        : (index) => Array.isArray(decision) && decision.includes(index);
+
+    const list = field.ops.flatMap((op, index) => {
+        if (op.type === 'equal') return [op.value];
+        if (op.type === 'removed') return isAccepted(index) ? [] : [op.value];
+        return isAccepted(index) ? [op.value] : [];
+    });
+    return setFieldValue(result, field.path, list);
+}, base);
+
+/**
+ * Applies the accepted parts of a diff to a character that may have been
+ * edited since the diff was computed, keeping those edits. Fields still as
+ * they were in base come out as with applyChanges. In list fields edited
+ * since, accepted removals drop the matching entries and accepted additions
+ * are appended unless already present; edited value fields keep the edit
+ * unless the proposed value is accepted.
+ * @param {object} current The character as it is now
+ * @param {object} base The "before" character passed to diffCharacters
+ * @param {Array<object>} diff Result of diffCharacters(base, proposed)
+ * @param {object} decisions As for applyChanges
+ * @returns {object} A new character; neither input is modified
+ */
+export const applyChangesOnto = (current, base, diff, decisions) => {
+    const listKey = (character, path) => {
+        const value = getFieldValue(character, path);
+        return JSON.stringify(Array.isArray(value) ? value : []);
+    };
+    const edited = diff.filter(field => field.kind === 'list' && listKey(current, field.path) !== listKey(base, field.path));
+
+    return edited.reduce((result, field) => {
+        const decision = decisions[field.path];
+        const accepted = field.ops.filter((op, index) => op.type !== 'equal' &&
+            (decision === true || (Array.isArray(decision) && decision.includes(index))));
+        const removed = new Set(accepted.filter(op => op.type === 'removed').map(op => entryKey(op.value)));
+
+        const value = getFieldValue(current, field.path);
+        const list = (Array.isArray(value) ? value : []).filter(entry => !removed.has(entryKey(entry)));
+        const present = new Set(list.map(entryKey));
+        accepted
+            .filter(op => op.type === 'added' && !present.has(entryKey(op.value)))
+            .forEach(op => list.push(op.value));
+        return setFieldValue(result, field.path, list);
+    }, applyChanges(current, diff.filter(field => !edited.includes(field)), decisions));
+};
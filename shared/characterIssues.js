@@ -0,0 +1,13 @@
+/**
+ * Formatting of character issues and changes, the { path, message } records
+ * reported by schema validation, fix-json and format migrations. Shared
+ * between the server and the browser, so it must stay free of Node and DOM
+ * dependencies.
+ */
+
+/**
+ * Formats an issue as a single line, e.g. `clients[0] "slack" not a known client`.
+ * @param {{path: string, message: string}} issue
+ * @returns {string}
+ */
+export const formatIssue = ({ path, message }) => (path ? `${path} ${message}` : message);
@@ -0,0 +1,203 @@
+/**
+ * Upgrades characters written in older shapes to the current format, one
+ * version at a time, reporting each change with the path it touched. Shared
+ * between the server (/api/fix-json) and the browser (file import), so it
+ * must stay free of Node and DOM dependencies.
+ *
+ * Versions:
+ *   0  early generator exports: top-level voiceModel, examples.posts
+ *   1  early Eliza files: modelProvider spelled as an enum member, a model id
+ *      or another alias, the model only in settings.model, and message
+ *      examples with "user"/"{{user}}"-style speakers or string content
+ *   2  current format
+ */
+import { MODEL_PROVIDER_ENUM, CLIENTS_ENUM } from './characterModule.js';
+
+export const CURRENT_CHARACTER_VERSION = 2;
+
+// Other names older files use for providers
+const PROVIDER_ALIASES = {
+    claude: 'anthropic',
+    llamacloud: 'llama_cloud',
+    llamalocal: 'llama_local',
+    fal: 'falai',
+    xai: 'grok',
+    gemini: 'google',
+    vertex: 'claude_vertex'
+};
+
+// Model id prefixes that name their provider, for files with only settings.model
+const MODEL_PREFIX_PROVIDERS = [
+    [/^(?:gpt-|o1|chatgpt)/i, 'openai'],
+    [/^claude/i, 'anthropic'],
+    [/^gemini/i, 'google'],
+    [/^grok/i, 'grok']
+];
+
+const USER_SPEAKER_PATTERNS = [
+    /^\{\{\s*user[\s_-]?(\d*)\s*\}\}$/i,
+    /^<user(\d*)>$/i,
+    /^user[\s_-]?(\d*)$/i
+];
+const CHARACTER_SPEAKER_PATTERN = /^(?:\{\{\s*(?:char|agent|agentName)\s*\}\}|<bot>)$/i;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const providerValues = Object.keys(MODEL_PROVIDER_ENUM);
+const providerByMember = Object.fromEntries(Object.entries(MODEL_PROVIDER_ENUM).map(([value, member]) => [member, value]));
+const clientByMember = Object.fromEntries(Object.entries(CLIENTS_ENUM).map(([value, member]) => [member, value]));
+
+/**
+ * The canonical modelProvider for a legacy spelling, or null if it is not recognized.
+ * @param {string} value e.g. "OpenAI", "ModelProviderName.LLAMACLOUD", "anthropic/claude-3-opus"
+ * @returns {string|null}
+ */
+export const canonicalProvider = (value) => {
+    if (typeof value !== 'string' || !value.trim()) return null;
+    const name = value.trim().replace(/^ModelProviderName\./, '').split('/')[0];
+    if (providerByMember[name]) return providerByMember[name];
+    const key = name.toLowerCase().replace(/[\s-]+/g, '_');
+    if (providerValues.includes(key)) return key;
+    return PROVIDER_ALIASES[key.replace(/_/g, '')] || null;
+};
+
+const migrateTo1 = (character, record) => {
+    if ('voiceModel' in character) {
+        if (typeof character.voiceModel !== 'string' || !character.voiceModel) {
+            record('voiceModel', 'removed, empty');
+        } else if (character.settings?.voice?.model) {
+            record('voiceModel', 'removed, settings.voice.model is already set');
+        } else {
+            character.settings = { ...(isPlainObject(character.settings) ? character.settings : {}) };
+            character.settings.voice = { ...(isPlainObject(character.settings.voice) ? character.settings.voice : {}), model: character.voiceModel };
+            record('voiceModel', 'moved to settings.voice.model');
+        }
+        delete character.voiceModel;
+    }
+
+    if ('examples' in character) {
+        const examples = isPlainObject(character.examples) ? character.examples : {};
+        [['posts', 'postExamples'], ['messages', 'messageExamples']].forEach(([legacy, field]) => {
+            if (!Array.isArray(examples[legacy]) || examples[legacy].length === 0) return;
+            const existing = Array.isArray(character[field]) ? character[field] : [];
+            character[field] = [...existing, ...examples[legacy]];
+            record(`examples.${legacy}`, `moved ${examples[legacy].length} to ${field}`);
+        });
+        delete character.examples;
+    }
+};
+
+const migrateSpeaker = (user, name) => {
+    if (typeof user !== 'string') return user;
+    const trimmed = user.trim();
+    if (/^\{\{user\d+\}\}$/.test(trimmed)) return trimmed;
+    for (const pattern of USER_SPEAKER_PATTERNS) {
+        const match = trimmed.match(pattern);
+        if (match) return `{{user${match[1] || 1}}}`;
+    }
+    return CHARACTER_SPEAKER_PATTERN.test(trimmed) && name ? name : user;
+};
+
+const migrateTo2 = (character, record) => {
+    const settingsModel = isPlainObject(character.settings) && typeof character.settings.model === 'string'
+        ? character.settings.model
+        : '';
+
+    if (typeof character.modelProvider === 'string' && character.modelProvider.trim()) {
+        const original = character.modelProvider;
+        const provider = canonicalProvider(original);
+        if (provider && provider !== original) {
+            character.modelProvider = provider;
+            record('modelProvider', `changed "${original}" to "${provider}"`);
+        }
+        // A model id in modelProvider ("openai/gpt-4") keeps the model in settings.model
+        if (original.includes('/') && !settingsModel) {
+            character.settings = { ...(isPlainObject(character.settings) ? character.settings : {}), model: original.slice(original.indexOf('/') + 1) };
+            record('settings.model', `set to "${character.settings.model}" from modelProvider`);
+        }
+    } else if (settingsModel) {
+        const provider = canonicalProvider(settingsModel.includes('/') ? settingsModel : '') ||
+            MODEL_PREFIX_PROVIDERS.find(([pattern]) => pattern.test(settingsModel))?.[1];
+        if (provider) {
+            character.modelProvider = provider;
+            record('modelProvider', `set to "${provider}" from settings.model`);
+        }
+    }
+
+    if (Array.isArray(character.clients)) {
+        character.clients = character.clients.map((client, index) => {
+            if (typeof client !== 'string') return client;
+            const member = client.replace(/^Clients\./, '');
+            const value = clientByMember[member] || (CLIENTS_ENUM[client.toLowerCase()] ? client.toLowerCase() : client);
+            if (value !== client) record(`clients[${index}]`, `changed "${client}" to "${value}"`);
+            return value;
+        });
+    }
+
+    if (Array.isArray(character.messageExamples)) {
+        const name = typeof character.name === 'string' ? character.name : '';
+        character.messageExamples = character.messageExamples.map((example, exampleIndex) => {
+            if (!Array.isArray(example)) return example;
+            return example.map((message, messageIndex) => {
+                if (!isPlainObject(message)) return message;
+                const path = `messageExamples[${exampleIndex}][${messageIndex}]`;
+                const migrated = { ...message };
+                const user = migrateSpeaker(message.user, name);
+                if (user !== message.user) {
+                    migrated.user = user;
+                    record(`${path}.user`, `changed "${message.user}" to "${user}"`);
+                }
+                if (typeof message.content === 'string') {
+                    migrated.content = { text: message.content };
+                    record(`${path}.content`, 'converted string to { text }');
+                }
+                return migrated;
+            });
+        });
+    }
+};
+
+// Each step upgrades from version index to index + 1
+const MIGRATIONS = [migrateTo1, migrateTo2];
+
+/**
+ * The oldest format version whose shapes appear in the character.
+ * @param {object} character
+ * @returns {number}
+ */
+export const detectCharacterVersion = (character) => {
+    if ('voiceModel' in character || 'examples' in character) return 0;
+
+    const provider = character.modelProvider;
+    const settingsModelOnly = !provider && typeof character.settings?.model === 'string';
+    const legacyProvider = typeof provider === 'string' && provider.trim() && canonicalProvider(provider) !== null &&
+        canonicalProvider(provider) !== provider;
+    const legacyClients = Array.isArray(character.clients) &&
+        character.clients.some(client => typeof client === 'string' && client !== client.replace(/^Clients\./, '').toLowerCase());
+    const legacyMessages = Array.isArray(character.messageExamples) && character.messageExamples
+        .some(example => Array.isArray(example) && example.some(message => isPlainObject(message) && (
+            typeof message.content === 'string' || migrateSpeaker(message.user, character.name) !== message.user
+        )));
+    if (settingsModelOnly || legacyProvider || legacyClients || legacyMessages) return 1;
+
+    return CURRENT_CHARACTER_VERSION;
+};
+
+/**
+ * Upgrades a character to the current format. The input is not modified.
+ * @param {object} character
+ * @returns {{character: object, fromVersion: number, toVersion: number, changes: Array<{path: string, message: string}>}}
+ */
+export const migrateCharacter = (character) => {
+    if (!isPlainObject(character)) {
+        return { character, fromVersion: CURRENT_CHARACTER_VERSION, toVersion: CURRENT_CHARACTER_VERSION, changes: [] };
+    }
+
+    const fromVersion = detectCharacterVersion(character);
+    const migrated = { ...character };
+    const changes = [];
+    const record = (path, message) => changes.push({ path, message });
+    MIGRATIONS.slice(fromVersion).forEach(migrate => migrate(migrated, record));
+
+    return { character: migrated, fromVersion, toVersion: CURRENT_CHARACTER_VERSION, changes };
+};
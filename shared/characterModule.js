@@ -0,0 +1,320 @@
+/**
+ * Eliza characters as TypeScript modules (character.ts), the way agents are
+ * configured in code. Shared between the server and the browser, so it must
+ * stay free of Node and DOM dependencies.
+ */
+
+export const CORE_PACKAGE = '@elizaos/core';
+
+// Member names of the ModelProviderName and Clients enums, by value
+export const MODEL_PROVIDER_ENUM = {
+    openai: 'OPENAI',
+    eternalai: 'ETERNALAI',
+    anthropic: 'ANTHROPIC',
+    grok: 'GROK',
+    groq: 'GROQ',
+    llama_cloud: 'LLAMACLOUD',
+    together: 'TOGETHER',
+    llama_local: 'LLAMALOCAL',
+    google: 'GOOGLE',
+    claude_vertex: 'CLAUDE_VERTEX',
+    redpill: 'REDPILL',
+    openrouter: 'OPENROUTER',
+    ollama: 'OLLAMA',
+    heurist: 'HEURIST',
+    galadriel: 'GALADRIEL',
+    falai: 'FAL',
+    gaianet: 'GAIANET',
+    ali_bailian: 'ALI_BAILIAN',
+    volengine: 'VOLENGINE'
+};
+
+export const CLIENTS_ENUM = {
+    discord: 'DISCORD',
+    direct: 'DIRECT',
+    twitter: 'TWITTER',
+    telegram: 'TELEGRAM',
+    farcaster: 'FARCASTER',
+    lens: 'LENS',
+    auto: 'AUTO'
+};
+
+const ENUMS = {
+    ModelProviderName: MODEL_PROVIDER_ENUM,
+    Clients: CLIENTS_ENUM
+};
+
+const INDENT = '    ';
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+// A raw piece of TypeScript, written as it is instead of as a literal
+class Code {
+    constructor(text) {
+        this.text = text;
+    }
+}
+
+// Values outside the enum stay strings, cast so the module still type-checks
+const enumReference = (enumName, value, used) => {
+    used.add(enumName);
+    const member = ENUMS[enumName][value];
+    return new Code(member ? `${enumName}.${member}` : `${JSON.stringify(String(value ?? ''))} as ${enumName}`);
+};
+
+const formatValue = (value, depth) => {
+    if (value instanceof Code) return value.text;
+    if (value === null || typeof value !== 'object') {
+        return value === undefined ? 'undefined' : JSON.stringify(value);
+    }
+
+    const padding = INDENT.repeat(depth + 1);
+    const closing = INDENT.repeat(depth);
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        return `[\n${value.map(item => `${padding}${formatValue(item, depth + 1)}`).join(',\n')},\n${closing}]`;
+    }
+
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    if (entries.length === 0) return '{}';
+    return `{\n${entries.map(([key, item]) => (
+        `${padding}${IDENTIFIER_PATTERN.test(key) ? key : JSON.stringify(key)}: ${formatValue(item, depth + 1)}`
+    )).join(',\n')},\n${closing}}`;
+};
+
+/**
+ * Writes an Eliza character as a TypeScript module exporting a typed
+ * Character, with modelProvider and clients as enum members.
+ * @param {object} character
+ * @param {object} [options]
+ * @param {string} [options.exportName] Name of the exported constant
+ * @param {string} [options.packageName] Package the types are imported from
+ * @returns {string}
+ */
+export const characterToTypeScript = (character, { exportName = 'character', packageName = CORE_PACKAGE } = {}) => {
+    const used = new Set();
+    const typed = { ...character };
+    if ('modelProvider' in typed) {
+        typed.modelProvider = enumReference('ModelProviderName', typed.modelProvider, used);
+    }
+    if (Array.isArray(typed.clients)) {
+        typed.clients = typed.clients.map(client => enumReference('Clients', client, used));
+    }
+
+    const imports = ['Character', ...['Clients', 'ModelProviderName'].filter(name => used.has(name))];
+    return `import { ${imports.join(', ')} } from ${JSON.stringify(packageName)};\n\n` +
+        `export const ${exportName}: Character = ${formatValue(typed, 0)};\n`;
+};
+
+// Tokenizer for the literal subset read back by parseTypeScriptCharacter
+const tokenize = (source) => {
+    const tokens = [];
+    let position = 0;
+    let line = 1;
+
+    const fail = (message) => {
+        throw new Error(`${message} at line ${line}`);
+    };
+
+    const readString = (quote) => {
+        let text = '';
+        position++;
+        while (position < source.length && source[position] !== quote) {
+            let char = source[position];
+            if (char === '\n') {
+                if (quote !== '`') fail('Unterminated string');
+                line++;
+            }
+            if (quote === '`' && char === '$' && source[position + 1] === '{') {
+                fail('Template literals with ${...} are not supported');
+            }
+            if (char === '\\') {
+                const next = source[position + 1];
+                const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+                if (next === 'u') {
+                    const braced = source[position + 2] === '{';
+                    const hex = braced
+                        ? source.slice(position + 3, source.indexOf('}', position))
+                        : source.slice(position + 2, position + 6);
+                    char = String.fromCodePoint(parseInt(hex, 16));
+                    position += braced ? hex.length + 4 : 6;
+                } else if (next === 'x') {
+                    char = String.fromCharCode(parseInt(source.slice(position + 2, position + 4), 16));
+                    position += 4;
+                } else if (next === '\n' || next === '\r') {
+                    char = '';
+                    line++;
+                    position += next === '\r' && source[position + 2] === '\n' ? 3 : 2;
+                } else {
+                    char = escapes[next] ?? next;
+                    position += 2;
+                }
+                text += char;
+                continue;
+            }
+            text += char;
+            position++;
+        }
+        if (position >= source.length) fail('Unterminated string');
+        position++;
+        return text;
+    };
+
+    while (position < source.length) {
+        const char = source[position];
+        if (char === '\n') {
+            line++;
+            position++;
+        } else if (/\s/.test(char)) {
+            position++;
+        } else if (source.startsWith('//', position)) {
+            const end = source.indexOf('\n', position);
+            position = end === -1 ? source.length : end;
+        } else if (source.startsWith('/*', position)) {
+            const end = source.indexOf('*/', position + 2);
+            if (end === -1) fail('Unterminated comment');
+            line += (source.slice(position, end).match(/\n/g) || []).length;
+            position = end + 2;
+        } else if (char === '"' || char === "'" || char === '`') {
+            const startLine = line;
+            tokens.push({ type: 'string', value: readString(char), line: startLine });
+        } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[position + 1]))) {
+            const match = source.slice(position).match(/^(?:0[xX][0-9a-fA-F_]+|(?:\d[\d_]*)?\.?\d[\d_]*(?:[eE][+-]?\d+)?)/);
+            tokens.push({ type: 'number', value: Number(match[0].replace(/_/g, '')), line });
+            position += match[0].length;
+        } else if (/[A-Za-z_$]/.test(char)) {
+            const match = source.slice(position).match(/^[\w$]+/);
+            tokens.push({ type: 'identifier', value: match[0], line });
+            position += match[0].length;
+        } else if (source.startsWith('...', position)) {
+            tokens.push({ type: 'punctuation', value: '...', line });
+            position += 3;
+        } else {
+            tokens.push({ type: 'punctuation', value: char, line });
+            position++;
+        }
+    }
+    return tokens;
+};
+
+/**
+ * Reads the character object back from a character.ts module. Only literal
+ * values are understood: objects, arrays, strings (including template
+ * strings without substitutions), numbers, booleans, null and members of the
+ * ModelProviderName and Clients enums; anything computed, such as spreads,
+ * function calls or process.env lookups, is reported with its line.
+ * @param {string} source
+ * @returns {object}
+ * @throws {Error} If no character object is found or it is not a plain literal
+ */
+export const parseTypeScriptCharacter = (source) => {
+    const tokens = tokenize(source);
+    let index = 0;
+
+    const peek = (offset = 0) => tokens[index + offset];
+    const isPunctuation = (token, value) => token?.type === 'punctuation' && token.value === value;
+    const fail = (message, token = peek()) => {
+        throw new Error(token ? `${message} at line ${token.line}` : `${message} at the end of the file`);
+    };
+    const expect = (value) => {
+        if (!isPunctuation(peek(), value)) fail(`Expected "${value}"`);
+        index++;
+    };
+
+    // The character is the object assigned to a Character-typed constant, or
+    // failing that the default export or the first object assigned at all
+    const findStart = () => {
+        const candidates = [
+            i => tokens[i].value === 'Character' && isPunctuation(tokens[i + 1], '=') && isPunctuation(tokens[i + 2], '{') ? i + 2 : -1,
+            i => tokens[i].value === 'default' && tokens[i - 1]?.value === 'export' && isPunctuation(tokens[i + 1], '{') ? i + 1 : -1,
+            i => isPunctuation(tokens[i], '=') && isPunctuation(tokens[i + 1], '{') ? i + 1 : -1
+        ];
+        for (const candidate of candidates) {
+            for (let i = 0; i < tokens.length; i++) {
+                const start = candidate(i);
+                if (start !== -1) return start;
+            }
+        }
+        return -1;
+    };
+
+    // Type assertions after a value (as const, as Character, satisfies Character) carry no data
+    const skipAssertion = () => {
+        while (peek()?.type === 'identifier' && ['as', 'satisfies'].includes(peek().value)) {
+            index++;
+            if (peek()?.type !== 'identifier') fail('Expected a type');
+            index++;
+            while (isPunctuation(peek(), '.') && peek(1)?.type === 'identifier') index += 2;
+            while (isPunctuation(peek(), '[') && isPunctuation(peek(1), ']')) index += 2;
+        }
+    };
+
+    const parseValue = () => {
+        const token = peek();
+        if (!token) fail('Expected a value');
+        let value;
+
+        if (isPunctuation(token, '{')) {
+            value = parseObject();
+        } else if (isPunctuation(token, '[')) {
+            value = parseArray();
+        } else if (token.type === 'string' || token.type === 'number') {
+            index++;
+            value = token.value;
+        } else if (isPunctuation(token, '-') && peek(1)?.type === 'number') {
+            index += 2;
+            value = -peek(-1).value;
+        } else if (token.type === 'identifier' && ['true', 'false', 'null'].includes(token.value)) {
+            index++;
+            value = token.value === 'null' ? null : token.value === 'true';
+        } else if (token.type === 'identifier' && ENUMS[token.value] && isPunctuation(peek(1), '.') && peek(2)?.type === 'identifier') {
+            const member = peek(2).value;
+            const entry = Object.entries(ENUMS[token.value]).find(([, name]) => name === member);
+            if (!entry) fail(`Unknown ${token.value} member "${member}"`);
+            index += 3;
+            value = entry[0];
+        } else if (token.type === 'identifier') {
+            fail(`Only literal values are supported, found "${token.value}"`);
+        } else {
+            fail(`Unexpected "${token.value}"`);
+        }
+
+        skipAssertion();
+        return value;
+    };
+
+    const parseObject = () => {
+        expect('{');
+        const object = {};
+        while (!isPunctuation(peek(), '}')) {
+            const key = peek();
+            if (isPunctuation(key, '...')) fail('Spread properties are not supported');
+            if (!key || !['identifier', 'string', 'number'].includes(key.type)) fail('Expected a property name');
+            index++;
+            if (!isPunctuation(peek(), ':')) fail(`Only "key: value" properties are supported, found "${key.value}"`, key);
+            index++;
+            // Defined rather than assigned, so a "__proto__" key is kept as data like JSON.parse does
+            Object.defineProperty(object, key.value, { value: parseValue(), enumerable: true, writable: true, configurable: true });
+            if (!isPunctuation(peek(), '}')) expect(',');
+        }
+        index++;
+        return object;
+    };
+
+    const parseArray = () => {
+        expect('[');
+        const array = [];
+        while (!isPunctuation(peek(), ']')) {
+            if (isPunctuation(peek(), '...')) fail('Spread elements are not supported');
+            array.push(parseValue());
+            if (!isPunctuation(peek(), ']')) expect(',');
+        }
+        index++;
+        return array;
+    };
+
+    index = findStart();
+    if (index === -1) {
+        throw new Error('No character object found. Expected "export const character: Character = { ... }"');
+    }
+    return parseValue();
+};
@@ -0,0 +1,255 @@
+/**
+ * Sentence segmentation and knowledge chunking. Shared between the server
+ * (file processing) and the browser (form fields), so it must stay free of
+ * Node and DOM dependencies.
+ */
+
+export const DEFAULT_CHUNK_SIZE = 500;
+export const MAX_CHUNK_SIZE = 20000;
+export const DEFAULT_CHUNK_OVERLAP = 0;
+
+// Words that end in a period without ending the sentence, lowercase and without the period
+const ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'ft', 'vs', 'etc', 'al',
+    'inc', 'ltd', 'co', 'corp', 'dept', 'est', 'approx', 'no', 'nos', 'fig', 'figs',
+    'vol', 'ch', 'sec', 'p', 'pp', 'ed', 'eds', 'rev', 'gen', 'col', 'capt', 'lt',
+    'sgt', 'gov', 'sen', 'rep', 'hon', 'jan', 'feb', 'mar', 'apr', 'jun', 'jul',
+    'aug', 'sep', 'sept', 'oct', 'nov', 'dec', 'cf', 'ca', 'min', 'max', 'avg'
+]);
+
+const BULLET_PATTERN = /^\s*(?:[-*+•]|\d{1,3}[.)])\s+/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE_PATTERN = /^\s*(```|~~~)/;
+const SENTENCE_END_PATTERN = /[.!?]+["'”’)\]]*(?=\s|$)/g;
+const TERMINATED_PATTERN = /[.!?]["'”’)\]]*$/;
+
+/**
+ * Whether the punctuation ending at `end` (exclusive) in a line is a real
+ * sentence boundary rather than an abbreviation, initial or similar.
+ */
+const isSentenceBoundary = (line, start, end) => {
+    const rest = line.slice(end);
+    const next = rest.match(/\S/);
+    if (!next) return true;
+
+    // "approx. five", "e.g. the": a lowercase continuation means the same sentence
+    if (/\p{Ll}/u.test(next[0])) return false;
+
+    if (line.slice(start, end).replace(/["'”’)\]]+$/, '') !== '.') return true;
+
+    const word = line.slice(0, start).split(/\s+/).pop().replace(/^["'“‘(\[]+/, '');
+    if (ABBREVIATIONS.has(word.toLowerCase())) return false;
+    // Initials ("J. R. R. Tolkien") and dotted abbreviations ("U.S.", "e.g.")
+    if (/^\p{Lu}$/u.test(word) || /^(?:\p{L}\.)+\p{L}$/u.test(word)) return false;
+    return true;
+};
+
+/**
+ * Splits one line of prose into sentences, keeping their punctuation.
+ * Periods inside numbers, versions and URLs are never boundaries because a
+ * boundary needs whitespace after it.
+ * @param {string} line
+ * @returns {string[]}
+ */
+const splitLine = (line) => {
+    const sentences = [];
+    let start = 0;
+
+    for (const match of line.matchAll(SENTENCE_END_PATTERN)) {
+        const end = match.index + match[0].length;
+        if (isSentenceBoundary(line, match.index, end)) {
+            sentences.push(line.slice(start, end).trim());
+            start = end;
+        }
+    }
+    sentences.push(line.slice(start).trim());
+
+    return sentences.filter(sentence => sentence.length > 0);
+};
+
+/**
+ * Splits text into sentences. Line breaks always end an entry, list markers
+ * are removed, and sentences keep their own punctuation; a period is added
+ * to any entry that has none.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {boolean} [options.terminate] Add a period to unterminated entries
+ * @returns {string[]}
+ */
+export const splitSentences = (text, { terminate = true } = {}) => {
+    if (!text || typeof text !== 'string') return [];
+
+    return text
+        .split(/\r?\n/)
+        .map(line => line.replace(BULLET_PATTERN, ''))
+        .flatMap(splitLine)
+        .map(sentence => (terminate && !TERMINATED_PATTERN.test(sentence) ? `${sentence}.` : sentence));
+};
+
+/**
+ * Parses text into Markdown-ish blocks: headings, paragraphs (with their
+ * hard-wrapped lines joined), bullet or numbered lists, and fenced code.
+ * @param {string} text
+ * @returns {Array<{type: 'heading', level: number, text: string}|{type: 'paragraph'|'code', text: string}|{type: 'list', items: string[]}>}
+ */
+export const segmentBlocks = (text) => {
+    const blocks = [];
+    let paragraph = [];
+    let list = null;
+    let fence = null;
+
+    const flush = () => {
+        if (paragraph.length) {
+            blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+            paragraph = [];
+        }
+        if (list) {
+            blocks.push(list);
+            list = null;
+        }
+    };
+
+    (text || '').replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+        if (fence) {
+            fence.push(line);
+            if (FENCE_PATTERN.test(line)) {
+                blocks.push({ type: 'code', text: fence.join('\n') });
+                fence = null;
+            }
+            return;
+        }
+
+        if (FENCE_PATTERN.test(line)) {
+            flush();
+            fence = [line];
+            return;
+        }
+
+        if (line.trim() === '') {
+            flush();
+            return;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            flush();
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            return;
+        }
+
+        if (BULLET_PATTERN.test(line)) {
+            if (paragraph.length) flush();
+            list = list || { type: 'list', items: [] };
+            list.items.push(line.replace(BULLET_PATTERN, '').trim());
+            return;
+        }
+
+        // Indented lines continue the previous list item
+        if (list && /^\s{2,}\S/.test(line)) {
+            list.items[list.items.length - 1] += ` ${line.trim()}`;
+            return;
+        }
+
+        if (list) flush();
+        paragraph.push(line.trim());
+    });
+
+    if (fence) {
+        blocks.push({ type: 'code', text: fence.join('\n') });
+    }
+    flush();
+
+    return blocks;
+};
+
+/**
+ * Groups text into knowledge chunks of roughly `chunkSize` characters, also
+ * reporting the heading path each chunk sits under.
+ * Chunks break between sentences, prefer to break between paragraphs, and
+ * always break at a heading; each chunk starts with the path of headings it
+ * sits under. Bullet lists stay lists. Up to `overlap` characters of whole
+ * sentences from the end of one chunk are repeated at the start of the next
+ * chunk in the same section. A single sentence longer than chunkSize
+ * becomes a chunk of its own.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {number} [options.chunkSize] Target characters per chunk; 1 gives one sentence per chunk
+ * @param {number} [options.overlap] Characters of trailing sentences to repeat
+ * @returns {Array<{text: string, section: string}>} section is '' outside any heading
+ */
+export const chunkSections = (text, { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = {}) => {
+    const chunks = [];
+    let headings = [];
+    let units = [];
+    // Length of the chunk body built from units so far, kept as units come and go
+    let bodyLength = 0;
+
+    const measure = (unitList) => unitList.reduce(
+        (total, unit, index) => total + unit.text.length + (index ? unit.separator.length : 0),
+        0
+    );
+
+    const flush = ({ carryOverlap }) => {
+        // A chunk made only of repeated overlap would just duplicate the last one
+        if (units.some(unit => !unit.repeated)) {
+            const body = units.map((unit, index) => (index ? unit.separator : '') + unit.text).join('');
+            const section = headings.map(heading => heading.text).join(' > ');
+            chunks.push({ text: section ? `${section}\n${body}` : body, section });
+        }
+
+        const carried = [];
+        let carriedLength = 0;
+        if (carryOverlap) {
+            for (let i = units.length - 1; i > 0; i--) {
+                carriedLength += units[i].text.length;
+                if (carriedLength > overlap) break;
+                carried.unshift({ ...units[i], repeated: true });
+            }
+        }
+        units = carried;
+        bodyLength = measure(carried);
+    };
+
+    const add = (unitText, separator) => {
+        if (units.length && bodyLength + separator.length + unitText.length > chunkSize) {
+            flush({ carryOverlap: true });
+        }
+        bodyLength += (units.length ? separator.length : 0) + unitText.length;
+        units.push({ text: unitText, separator });
+    };
+
+    // Start a new chunk at a paragraph boundary once this one is reasonably full
+    const startBlock = (blockLength) => {
+        if (bodyLength && bodyLength + blockLength > chunkSize && bodyLength >= chunkSize / 2) {
+            flush({ carryOverlap: true });
+        }
+    };
+
+    segmentBlocks(text).forEach(block => {
+        if (block.type === 'heading') {
+            flush({ carryOverlap: false });
+            headings = [...headings.filter(heading => heading.level < block.level), block];
+        } else if (block.type === 'paragraph') {
+            startBlock(block.text.length);
+            splitLine(block.text).forEach((sentence, index) => add(sentence, index ? ' ' : '\n'));
+        } else if (block.type === 'list') {
+            const items = block.items.map(item => `- ${item}`);
+            startBlock(items.join('\n').length);
+            items.forEach(item => add(item, '\n'));
+        } else {
+            startBlock(block.text.length);
+            add(block.text, '\n');
+        }
+    });
+    flush({ carryOverlap: false });
+
+    return chunks;
+};
+
+/**
+ * Same as chunkSections, returning just the chunk text.
+ * @param {string} text
+ * @param {object} [options] See chunkSections
+ * @returns {string[]}
+ */
+export const chunkText = (text, options) => chunkSections(text, options).map(chunk => chunk.text);
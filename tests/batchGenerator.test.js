@@ -0,0 +1,89 @@
+import { jest } from '@jest/globals';
+import { BatchRunner, mapWithConcurrency, parseBatchInput } from '../services/batchGenerator.js';
+import { readZipArchive } from '../services/zipArchive.js';
+
+describe('parseBatchInput', () => {
+    it('should read CSV with optional model and name columns', () => {
+        const rows = parseBatchInput('Prompt,Name,Model\n"A grumpy, old smith",Bram,\nA bard,,gpt-4o\n', 'npcs.csv');
+        expect(rows).toEqual([
+            { row: 2, prompt: 'A grumpy, old smith', name: 'Bram', model: undefined },
+            { row: 3, prompt: 'A bard', name: undefined, model: 'gpt-4o' }
+        ]);
+    });
+
+    it('should read JSONL objects and bare strings', () => {
+        const rows = parseBatchInput('{"prompt": "A guard", "name": "Tom"}\n\n"A thief"\n', 'npcs.jsonl');
+        expect(rows).toEqual([
+            { row: 1, prompt: 'A guard', name: 'Tom', model: undefined },
+            { row: 3, prompt: 'A thief', name: undefined, model: undefined }
+        ]);
+    });
+
+    it('should report the row that cannot be used', () => {
+        expect(() => parseBatchInput('prompt\nA guard\n  \n', 'npcs.csv')).not.toThrow();
+        expect(() => parseBatchInput('prompt,name\n,Tom\n', 'npcs.csv')).toThrow('Row 2: prompt is required');
+        expect(() => parseBatchInput('{"prompt": "ok"}\n{oops', 'npcs.jsonl')).toThrow('Row 2: invalid JSON');
+        expect(() => parseBatchInput('name\nTom\n', 'npcs.csv')).toThrow('"prompt" column');
+    });
+});
+
+describe('mapWithConcurrency', () => {
+    it('should never run more than the limit at once and keep result order', async () => {
+        let running = 0;
+        let peak = 0;
+        const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (delay, index) => {
+            running++;
+            peak = Math.max(peak, running);
+            await new Promise(resolve => setTimeout(resolve, delay));
+            running--;
+            return index;
+        });
+
+        expect(peak).toBe(2);
+        expect(results).toEqual([0, 1, 2, 3, 4]);
+    });
+});
+
+describe('BatchRunner', () => {
+    it('should generate every row, report failures and build an archive', async () => {
+        const service = {
+            generateCharacter: jest.fn(async (prompt, model) => {
+                if (prompt.includes('fail')) throw new Error('Model unavailable');
+                return { character: { name: prompt.includes('Bram') ? 'Someone Else' : 'Guard', model } };
+            })
+        };
+        const runner = new BatchRunner(service);
+        const rows = parseBatchInput('prompt,name,model\nA smith,Bram,\nA guard,,\nA guard,,other-model\nPlease fail,,\n', 'npcs.csv');
+
+        const started = runner.start(rows, { model: 'default-model', apiKey: 'key', concurrency: 2 });
+        expect(started.status).toBe('running');
+        expect(started.total).toBe(4);
+        expect(runner.getArchive(started.id)).toBeNull();
+
+        await runner.batches.get(started.id).done;
+
+        const progress = runner.getProgress(started.id);
+        expect(progress).toMatchObject({ status: 'completed', completed: 4, succeeded: 3, failed: 1 });
+        expect(progress.failures).toEqual([{ row: 5, prompt: 'Please fail', error: 'Model unavailable' }]);
+        expect(service.generateCharacter).toHaveBeenCalledWith('Name: Bram. A smith', 'default-model', 'key', expect.any(Object));
+        expect(service.generateCharacter).toHaveBeenCalledWith('A guard', 'other-model', 'key', expect.any(Object));
+
+        const entries = readZipArchive(runner.getArchive(started.id));
+        const names = entries.map(entry => entry.name);
+        expect(names).toEqual(['characters/bram.json', 'characters/guard.json', 'characters/guard-2.json', 'report.json']);
+        expect(JSON.parse(entries[0].content.toString()).name).toBe('Bram');
+
+        const report = JSON.parse(entries[3].content.toString());
+        expect(report.failed).toBe(1);
+        expect(report.files).toContainEqual({ row: 4, file: 'characters/guard-2.json' });
+    });
+
+    it('should drop finished batches after the retention period', async () => {
+        const runner = new BatchRunner({ generateCharacter: async () => ({ character: { name: 'A' } }) }, { retentionMs: 1000 });
+        const { id } = runner.start([{ row: 1, prompt: 'x' }], { model: 'm' });
+        await runner.batches.get(id).done;
+
+        runner.pruneExpired(Date.now() + 2000);
+        expect(runner.getProgress(id)).toBeNull();
+    });
+});
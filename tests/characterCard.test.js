@@ -0,0 +1,167 @@
+import {
+    detectCharacterFormat,
+    parseMessageExamples,
+    cardToCharacter,
+    characterToCard,
+    convertCharacter
+} from '../shared/characterCard.js';
+
+const card = () => ({
+    spec: 'chara_card_v2',
+    spec_version: '2.0',
+    data: {
+        name: 'Arthur',
+        description: '{{char}} is the once and future king. He rules Camelot.',
+        personality: 'Speaks formally. Never breaks an oath.',
+        scenario: '{{user}} arrives at the court of {{char}}.',
+        first_mes: 'Welcome to Camelot, {{user}}.',
+        mes_example: '<START>\n{{user}}: Who are you?\n{{char}}: The king.\nAnd your host.\n<START>\n{{user}}: Farewell.\n{{char}}: Ride safely.',
+        creator_notes: '',
+        system_prompt: 'Stay in character as {{char}}.',
+        post_history_instructions: '',
+        alternate_greetings: ['You again, {{user}}?'],
+        character_book: {
+            extensions: {},
+            entries: [
+                { id: 1, keys: [], content: 'Excalibur was given to {{char}} by the Lady of the Lake.', extensions: {}, enabled: true, insertion_order: 0, constant: true },
+                { id: 2, keys: [], content: 'A disabled entry.', extensions: {}, enabled: false, insertion_order: 1, constant: true }
+            ]
+        },
+        tags: [],
+        creator: '',
+        character_version: '',
+        extensions: {}
+    }
+});
+
+describe('detectCharacterFormat', () => {
+    it('should tell cards from Eliza characters', () => {
+        expect(detectCharacterFormat(card())).toBe('card-v2');
+        expect(detectCharacterFormat({ spec: 'chara_card_v3', spec_version: '3.0', data: {} })).toBe('card-v2');
+        expect(detectCharacterFormat({ name: 'Old', description: 'A card.', first_mes: 'Hi' })).toBe('card-v1');
+        expect(detectCharacterFormat({ name: 'Arthur', bio: ['A king.'] })).toBe('eliza');
+        expect(detectCharacterFormat([])).toBeNull();
+    });
+});
+
+describe('parseMessageExamples', () => {
+    it('should split <START> blocks into turns, including old placeholders and the character name', () => {
+        expect(parseMessageExamples('<START>\n<USER>: Hi\nArthur: Hello, {{user}}.\nKay: not a speaker\n\n<START>\n', 'Arthur')).toEqual([[
+            { user: '{{user1}}', content: { text: 'Hi' } },
+            { user: 'Arthur', content: { text: 'Hello, {{user1}}.\nKay: not a speaker' } }
+        ]]);
+        expect(parseMessageExamples('', 'Arthur')).toEqual([]);
+    });
+});
+
+describe('cardToCharacter', () => {
+    it('should map card fields to Eliza fields', () => {
+        const { character, dropped } = cardToCharacter(card());
+
+        expect(character).toMatchObject({
+            name: 'Arthur',
+            system: 'Stay in character as Arthur.',
+            bio: ['Arthur is the once and future king.', 'He rules Camelot.'],
+            lore: ['{{user1}} arrives at the court of Arthur.'],
+            knowledge: ['Excalibur was given to Arthur by the Lady of the Lake.'],
+            style: { all: ['Speaks formally.', 'Never breaks an oath.'], chat: [], post: [] }
+        });
+        expect(character.messageExamples).toEqual([
+            [{ user: 'Arthur', content: { text: 'Welcome to Camelot, {{user1}}.' } }],
+            [{ user: 'Arthur', content: { text: 'You again, {{user1}}?' } }],
+            [{ user: '{{user1}}', content: { text: 'Who are you?' } }, { user: 'Arthur', content: { text: 'The king.\nAnd your host.' } }],
+            [{ user: '{{user1}}', content: { text: 'Farewell.' } }, { user: 'Arthur', content: { text: 'Ride safely.' } }]
+        ]);
+        expect(dropped).toEqual([]);
+    });
+
+    it('should report card fields that have no Eliza counterpart', () => {
+        const source = card();
+        source.data.tags = ['fantasy'];
+        source.data.creator_notes = 'Made for testing.';
+        source.data.character_book.entries[0].keys = ['sword'];
+
+        expect(cardToCharacter(source).dropped).toEqual(['creator_notes', 'tags', 'character_book.entries[].keys']);
+    });
+});
+
+describe('characterToCard', () => {
+    it('should report Eliza fields that have no card counterpart', () => {
+        const { card: result, dropped } = characterToCard({
+            name: 'Kay',
+            bio: 'Seneschal of Camelot.',
+            topics: ['cooking'],
+            style: { all: [], chat: ['Grumbles.'], post: [] },
+            knowledge: ['Runs the kitchens.', { path: 'kay/lore.md' }]
+        });
+
+        expect(result.data.description).toBe('Seneschal of Camelot.');
+        expect(result.data.character_book.entries.map(entry => entry.content)).toEqual(['Runs the kitchens.']);
+        expect(result.data).not.toHaveProperty('system');
+        expect(dropped).toEqual(['topics', 'style.chat', 'knowledge file references']);
+    });
+});
+
+describe('round trips', () => {
+    it('should keep the mapped card fields through Eliza and back', () => {
+        const source = card();
+        source.data.character_book.entries.pop();
+
+        const { character } = cardToCharacter(source);
+        const { card: result } = characterToCard(character);
+
+        expect(result).toEqual(source);
+    });
+
+    it('should keep the mapped Eliza fields through a card and back', () => {
+        const character = {
+            name: 'Merlin',
+            clients: [],
+            modelProvider: '',
+            settings: { secrets: {}, voice: { model: '' } },
+            plugins: [],
+            system: 'Answer in riddles.',
+            bio: ['Merlin advises the king.', 'He lives backwards in time.'],
+            lore: ['Merlin was born in Carmarthen.'],
+            knowledge: ['Merlin taught Arthur.'],
+            messageExamples: [
+                [{ user: 'Merlin', content: { text: 'Ah, {{user1}}, I was expecting you.' } }],
+                [
+                    { user: '{{user1}}', content: { text: 'What comes next?' } },
+                    { user: 'Merlin', content: { text: 'What came before.' } },
+                    { user: '{{user1}}', content: { text: 'That is no answer.' } },
+                    { user: 'Merlin', content: { text: 'It is the only one.' } }
+                ]
+            ],
+            postExamples: [],
+            topics: [],
+            style: { all: ['Cryptic.', 'Patient.'], chat: [], post: [] },
+            adjectives: [],
+            people: []
+        };
+
+        const { card: result, dropped } = characterToCard(character);
+        expect(result.data.mes_example).toBe('<START>\n{{user}}: What comes next?\n{{char}}: What came before.\n{{user}}: That is no answer.\n{{char}}: It is the only one.');
+        expect(result.data.first_mes).toBe('Ah, {{user}}, I was expecting you.');
+        expect(dropped).toEqual([]);
+
+        expect(cardToCharacter(result).character).toEqual(character);
+    });
+});
+
+describe('convertCharacter', () => {
+    it('should convert in the requested direction and upgrade V1 cards', () => {
+        expect(convertCharacter(card(), 'eliza')).toMatchObject({ from: 'card-v2', to: 'eliza', result: { name: 'Arthur' } });
+
+        const eliza = { name: 'Arthur', bio: ['A king.'] };
+        expect(convertCharacter(eliza, 'eliza')).toEqual({ from: 'eliza', to: 'eliza', result: eliza, dropped: [] });
+
+        const { result } = convertCharacter({ name: 'Old', description: 'A card.', first_mes: 'Hi' }, 'card-v2');
+        expect(result).toMatchObject({ spec: 'chara_card_v2', data: { name: 'Old', description: 'A card.', first_mes: 'Hi', mes_example: '' } });
+    });
+
+    it('should reject unknown formats and non-objects', () => {
+        expect(() => convertCharacter(card(), 'pygmalion')).toThrow('Unknown target format "pygmalion"');
+        expect(() => convertCharacter('text', 'eliza')).toThrow('must be a JSON object');
+    });
+});
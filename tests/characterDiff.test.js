@@ -0,0 +1,158 @@
+import { diffLists, diffCharacters, pickFields, setFieldValue, applyChanges, applyChangesOnto } from '../shared/characterDiff.js';
+
+describe('characterDiff', () => {
+    describe('diffLists', () => {
+        it('should mark added and removed entries in order', () => {
+            expect(diffLists(['a', 'b', 'c'], ['a', 'x', 'c', 'd'])).toEqual([
+                { type: 'equal', value: 'a' },
+                { type: 'removed', value: 'b' },
+                { type: 'added', value: 'x' },
+                { type: 'equal', value: 'c' },
+                { type: 'added', value: 'd' }
+            ]);
+        });
+
+        it('should compare object entries by value', () => {
+            const example = [{ user: '{{user1}}', content: { text: 'Hi' } }];
+            expect(diffLists([example], [JSON.parse(JSON.stringify(example))])).toEqual([
+                { type: 'equal', value: example }
+            ]);
+        });
+    });
+
+    describe('diffCharacters', () => {
+        it('should report only changed fields', () => {
+            const before = {
+                name: 'Arthur',
+                bio: ['A knight.', 'Brave.'],
+                style: { all: ['formal'], chat: ['brief'], post: [] },
+                settings: { voice: { model: 'a' } }
+            };
+            const after = {
+                name: 'Arthur',
+                bio: ['A king.', 'Brave.'],
+                style: { all: ['formal'], chat: ['brief', 'warm'], post: [] },
+                settings: { voice: { model: 'b' } }
+            };
+
+            const diff = diffCharacters(before, after);
+
+            expect(diff.map(field => field.path)).toEqual(['settings.voice.model', 'bio', 'style.chat']);
+            expect(diff[0]).toMatchObject({ kind: 'value', before: 'a', after: 'b' });
+            expect(diff[1]).toMatchObject({ kind: 'list', added: 1, removed: 1 });
+            expect(diff[2].ops.filter(op => op.type === 'added')).toEqual([{ type: 'added', value: 'warm' }]);
+        });
+
+        it('should treat missing lists as empty', () => {
+            const diff = diffCharacters({}, { lore: ['Old.'] });
+            expect(diff).toEqual([expect.objectContaining({ path: 'lore', added: 1, removed: 0 })]);
+        });
+    });
+
+    describe('pickFields', () => {
+        it('should copy selected fields without modifying the inputs', () => {
+            const target = { name: 'Arthur', bio: ['Old.'], style: { all: ['formal'], chat: ['brief'] } };
+            const source = { name: 'Merlin', bio: ['New.'], style: { all: ['odd'], chat: ['cryptic'] } };
+
+            const result = pickFields(target, source, ['bio', 'style.chat']);
+
+            expect(result).toEqual({ name: 'Arthur', bio: ['New.'], style: { all: ['formal'], chat: ['cryptic'] } });
+            expect(target.style.chat).toEqual(['brief']);
+        });
+
+        it('should create missing parent objects', () => {
+            expect(setFieldValue({}, 'settings.voice.model', 'x')).toEqual({ settings: { voice: { model: 'x' } } });
+        });
+    });
+
+    describe('applyChanges', () => {
+        const base = {
+            name: 'Arthur',
+            bio: ['A knight.', 'Brave.'],
+            knowledge: ['Camelot is a castle.', 'Excalibur is a sword.'],
+            style: { all: ['formal'], chat: [], post: [] }
+        };
+        const proposed = {
+            name: 'King Arthur',
+            bio: ['A king.', 'Brave.', 'Wise.'],
+            knowledge: ['Camelot is a castle.'],
+            style: { all: ['formal'], chat: ['warm'], post: [] }
+        };
+
+        it('should apply whole fields and individual lines', () => {
+            const diff = diffCharacters(base, proposed);
+            const bio = diff.find(field => field.path === 'bio');
+            const acceptedBioLines = bio.ops
+                .map((op, index) => ({ op, index }))
+                .filter(({ op }) => op.value === 'Wise.')
+                .map(({ index }) => index);
+
+            const result = applyChanges(base, diff, {
+                'name': true,
+                'bio': acceptedBioLines,
+                'style.chat': true
+            });
+
+            expect(result.name).toBe('King Arthur');
+            expect(result.bio).toEqual(['A knight.', 'Brave.', 'Wise.']);
+            expect(result.style).toEqual({ all: ['formal'], chat: ['warm'], post: [] });
+            // The dropped knowledge entry was not accepted, so it stays
+            expect(result.knowledge).toEqual(base.knowledge);
+            expect(base.bio).toEqual(['A knight.', 'Brave.']);
+        });
+
+        it('should leave the base unchanged when everything is rejected', () => {
+            const diff = diffCharacters(base, proposed);
+            expect(applyChanges(base, diff, {})).toEqual(base);
+        });
+
+        it('should produce the proposal when everything is accepted', () => {
+            const diff = diffCharacters(base, proposed);
+            const decisions = Object.fromEntries(diff.map(field => [field.path, true]));
+            expect(applyChanges(base, diff, decisions)).toEqual(proposed);
+        });
+    });
+
+    describe('applyChangesOnto', () => {
+        const base = {
+            name: 'Arthur',
+            bio: ['A knight.', 'Brave.'],
+            lore: ['Pulled the sword.'],
+            topics: ['chivalry']
+        };
+        const proposed = {
+            name: 'King Arthur',
+            bio: ['A king.', 'Brave.'],
+            lore: ['Pulled the sword.', 'Founded the Round Table.'],
+            topics: ['chivalry', 'war']
+        };
+
+        it('should keep edits made while the changes were under review', () => {
+            const diff = diffCharacters(base, proposed);
+            const current = {
+                name: 'Arthur Pendragon',
+                bio: ['A knight.', 'Brave.', 'Married Guinevere.'],
+                lore: ['Pulled the sword.'],
+                topics: ['chivalry'],
+                adjectives: ['bold']
+            };
+
+            const result = applyChangesOnto(current, base, diff, { bio: true, lore: true });
+
+            expect(result).toEqual({
+                name: 'Arthur Pendragon',
+                bio: ['Brave.', 'Married Guinevere.', 'A king.'],
+                lore: ['Pulled the sword.', 'Founded the Round Table.'],
+                topics: ['chivalry'],
+                adjectives: ['bold']
+            });
+            expect(current.bio).toEqual(['A knight.', 'Brave.', 'Married Guinevere.']);
+        });
+
+        it('should match applyChanges when nothing was edited', () => {
+            const diff = diffCharacters(base, proposed);
+            const decisions = { name: true, topics: true };
+            expect(applyChangesOnto(base, base, diff, decisions)).toEqual(applyChanges(base, diff, decisions));
+        });
+    });
+});
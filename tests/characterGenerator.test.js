@@ -76,11 +76,640 @@ describe('CharacterGeneratorService', () => {
         });
     });
 
+    describe('section refinement', () => {
+        const currentCharacter = {
+            name: 'Arthur',
+            bio: ['A brave knight.'],
+            lore: ['Pulled a sword from a stone.'],
+            postExamples: ['For Camelot!'],
+            style: { all: ['Formal.'], chat: ['Polite.'], post: ['Rousing.'] }
+        };
+
+        const respondWith = (content) => mockFetch.mockResolvedValue({
+            ok: true,
+            json: async () => ({ choices: [{ message: { content } }] })
+        });
+
+        it('should send only context and the selected fields, and merge the answer back', async () => {
+            respondWith(JSON.stringify({
+                style: { chat: ['Teasing.'] },
+                postExamples: ['Onward!'],
+                lore: ['Ignored.']
+            }));
+
+            const result = await service.refineCharacter('Make him playful', 'test-model', currentCharacter, 'key', {
+                fields: ['style.chat', 'postExamples']
+            });
+
+            const userMessage = JSON.parse(mockFetch.mock.calls[0][1].body).messages[1].content;
+            expect(userMessage).toContain('Polite.');
+            expect(userMessage).toContain('For Camelot!');
+            expect(userMessage).toContain('A brave knight.');
+            expect(userMessage).not.toContain('Pulled a sword');
+            expect(userMessage).not.toContain('Rousing.');
+
+            expect(result.fields).toEqual(['style.chat', 'postExamples']);
+            expect(result.character.style).toEqual({ all: ['Formal.'], chat: ['Teasing.'], post: ['Rousing.'] });
+            expect(result.character.postExamples).toEqual(['Onward!']);
+            expect(result.character.lore).toEqual(['Pulled a sword from a stone.']);
+            expect(result.character.bio).toEqual(['A brave knight.']);
+        });
+
+        it('should keep a field the model left out', async () => {
+            respondWith(JSON.stringify({ postExamples: ['Onward!'] }));
+
+            const result = await service.refineFields('Shorter', 'test-model', currentCharacter, ['style.chat', 'postExamples'], 'key');
+
+            expect(result.character.style.chat).toEqual(['Polite.']);
+            expect(result.character.postExamples).toEqual(['Onward!']);
+        });
+
+        it('should reject unknown fields without calling the model', async () => {
+            await expect(service.refineFields('Shorter', 'test-model', currentCharacter, ['secrets'], 'key'))
+                .rejects.toThrow('Unknown field: secrets');
+            expect(mockFetch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('distillKnowledge', () => {
+        const respondWith = (...contents) => contents.forEach(content => mockFetch.mockResolvedValueOnce({
+            ok: true,
+            json: async () => ({ choices: [{ message: { content } }] })
+        }));
+
+        const chunk = (text, filename = 'lore.pdf') => ({ text, source: { filename, section: '', ingestedAt: 'now' } });
+
+        it('should extract facts and keep the chunk each came from', async () => {
+            respondWith(JSON.stringify({
+                facts: [
+                    { text: 'Arthur was crowned at Camelot.', excerpt: 2 },
+                    { text: 'arthur was crowned at camelot', excerpt: 1 },
+                    { text: 'Merlin raised Arthur.', excerpt: 7 },
+                    { text: '' }
+                ]
+            }));
+
+            const chunks = [chunk('Merlin raised the boy.'), chunk('The coronation took place at Camelot.')];
+            const result = await service.distillKnowledge(chunks, 'test-model', 'key', { character: { name: 'Arthur', lore: ['skip me'] } });
+
+            expect(result.facts).toEqual([
+                { text: 'Arthur was crowned at Camelot.', source: chunks[1].source, chunk: 'The coronation took place at Camelot.' },
+                { text: 'Merlin raised Arthur.', source: chunks[0].source, chunk: 'Merlin raised the boy.' }
+            ]);
+            const userMessage = JSON.parse(mockFetch.mock.calls[0][1].body).messages[1].content;
+            expect(userMessage).toContain('[2]\nThe coronation took place at Camelot.');
+            expect(userMessage).toContain('"name": "Arthur"');
+            expect(userMessage).not.toContain('skip me');
+            expect(userMessage).toContain('at most 100 facts');
+        });
+
+        it('should spread the fact cap over batches and stop once it is reached', async () => {
+            // Each chunk fills a batch of its own
+            const longChunk = (label) => chunk(`${label} `.repeat(2500));
+            respondWith(
+                JSON.stringify({ facts: ['One.', 'Two.', 'Three.'] }),
+                JSON.stringify({ facts: ['Four.', 'Five.'] })
+            );
+            const onProgress = jest.fn();
+
+            const result = await service.distillKnowledge(
+                [longChunk('a'), longChunk('b'), longChunk('c')],
+                'test-model',
+                'key',
+                { maxFacts: 2, onProgress }
+            );
+
+            expect(result.facts.map(fact => fact.text)).toEqual(['One.', 'Four.']);
+            expect(mockFetch).toHaveBeenCalledTimes(2);
+            expect(JSON.parse(mockFetch.mock.calls[1][1].body).messages[1].content).toContain('at most 1 facts');
+            expect(onProgress).toHaveBeenLastCalledWith({ distilledChunks: 2, totalChunks: 3 });
+        });
+
+        it('should treat a null reply as no facts', async () => {
+            respondWith('null');
+
+            const result = await service.distillKnowledge([chunk('Nothing to see.')], 'test-model', 'key');
+
+            expect(result.facts).toEqual([]);
+        });
+
+        it('should reject an out of range cap', async () => {
+            await expect(service.distillKnowledge([chunk('x')], 'test-model', 'key', { maxFacts: 0 }))
+                .rejects.toThrow('maxFacts must be a whole number');
+        });
+    });
+
+    describe('generateFromDocuments', () => {
+        const respondWith = (...contents) => contents.forEach(content => mockFetch.mockResolvedValueOnce({
+            ok: true,
+            json: async () => ({ choices: [{ message: { content } }] })
+        }));
+        const requestContent = (call) => JSON.parse(mockFetch.mock.calls[call][1].body).messages[1].content;
+
+        it('should send short documents whole and credit knowledge to its source file', async () => {
+            respondWith(JSON.stringify({
+                name: 'Arthur',
+                bio: ['King of the Britons.'],
+                knowledge: [
+                    { text: 'Excalibur came from the Lady of the Lake', source: 'Legends.md' },
+                    { text: 'Camelot has a round table.', source: 'unknown.txt' },
+                    'Merlin raised Arthur.'
+                ]
+            }));
+
+            const documents = [
+                { filename: 'legends.md', text: 'The Lady of the Lake gave Arthur Excalibur.' },
+                { filename: 'court.txt', text: 'Camelot has a round table.' }
+            ];
+            const result = await service.generateFromDocuments(documents, 'Make him weary', 'test-model', 'key');
+
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+            expect(requestContent(0)).toContain('Character description: Make him weary');
+            expect(requestContent(0)).toContain('=== legends.md ===\nThe Lady of the Lake gave Arthur Excalibur.');
+            expect(result.character.knowledge).toEqual([
+                'Excalibur came from the Lady of the Lake.',
+                'Camelot has a round table.',
+                'Merlin raised Arthur.'
+            ]);
+            expect(result.entries).toEqual([{
+                text: 'Excalibur came from the Lady of the Lake.',
+                source: { filename: 'legends.md', section: '', ingestedAt: expect.any(String) }
+            }]);
+            expect(result.summarized).toEqual([]);
+        });
+
+        it('should summarize documents that do not fit the context budget', async () => {
+            respondWith('Arthur pulled the sword from the stone.', JSON.stringify({ name: 'Arthur' }));
+            const onProgress = jest.fn();
+
+            const documents = [
+                { filename: 'short.txt', text: 'Arthur is king.' },
+                { filename: 'long.txt', text: 'The sword stood in the stone for years. '.repeat(100) }
+            ];
+            const result = await service.generateFromDocuments(documents, '', 'test-model', 'key', {
+                contextChars: 1000,
+                onProgress
+            });
+
+            expect(mockFetch).toHaveBeenCalledTimes(2);
+            expect(requestContent(0)).toContain('Document: long.txt');
+            expect(requestContent(0)).toMatch(/at most 985 characters/);
+            expect(requestContent(1)).toContain('=== short.txt ===\nArthur is king.');
+            expect(requestContent(1)).toContain('=== long.txt ===\nArthur pulled the sword from the stone.');
+            expect(requestContent(1)).not.toContain('Character description');
+            expect(result.summarized).toEqual(['long.txt']);
+            expect(onProgress).toHaveBeenLastCalledWith({ summarizedParts: 1, totalParts: 1 });
+        });
+
+        it('should require at least one document', async () => {
+            await expect(service.generateFromDocuments([], 'prompt', 'test-model', 'key'))
+                .rejects.toThrow('At least one document is required');
+        });
+    });
+
+    describe('summarizeChatStyle', () => {
+        it('should return cleaned style rules and unique lowercase adjectives', async () => {
+            mockFetch.mockResolvedValueOnce({
+                ok: true,
+                json: async () => ({ choices: [{ message: { content: JSON.stringify({
+                    style: { all: [' writes in lowercase ', ''], chat: ['answers briefly'], post: 'not a list' },
+                    adjectives: ['Dry', 'dry', 'patient']
+                }) } }] })
+            });
+
+            const result = await service.summarizeChatStyle(['hey', 'sure thing'], { messages: 2 }, 'test-model', 'key', { name: 'Arthur' });
+
+            expect(result).toEqual({
+                style: { all: ['writes in lowercase'], chat: ['answers briefly'], post: [] },
+                adjectives: ['dry', 'patient'],
+                repairAttempts: 0
+            });
+            const userMessage = JSON.parse(mockFetch.mock.calls[0][1].body).messages[1].content;
+            expect(userMessage).toContain('Person: Arthur');
+            expect(userMessage).toContain('- sure thing');
+        });
+
+        it('should treat a null reply as an empty style', async () => {
+            mockFetch.mockResolvedValueOnce({
+                ok: true,
+                json: async () => ({ choices: [{ message: { content: 'null' } }] })
+            });
+
+            const result = await service.summarizeChatStyle(['hey'], { messages: 1 }, 'test-model', 'key');
+
+            expect(result).toEqual({ style: { all: [], chat: [], post: [] }, adjectives: [], repairAttempts: 0 });
+        });
+    });
+
+    describe('expandSection', () => {
+        const currentCharacter = {
+            name: 'Arthur',
+            bio: ['A brave knight.'],
+            lore: ['Pulled a sword from a stone.']
+        };
+
+        const respondWith = (content) => mockFetch.mockResolvedValue({
+            ok: true,
+            json: async () => ({ choices: [{ message: { content } }] })
+        });
+
+        it('should return only new, non-duplicate entries up to the count', async () => {
+            respondWith(JSON.stringify({
+                items: [
+                    'pulled a sword from a stone',
+                    'Founded the Round Table.',
+                    'Founded the  round table!',
+                    42,
+                    'Married Guinevere.',
+                    'Fought the Saxons.'
+                ]
+            }));
+
+            const result = await service.expandSection('lore', 2, 'test-model', currentCharacter, 'key');
+
+            expect(result.field).toBe('lore');
+            expect(result.items).toEqual(['Founded the Round Table.', 'Married Guinevere.']);
+            const userMessage = JSON.parse(mockFetch.mock.calls[0][1].body).messages[1].content;
+            expect(userMessage).toContain('Pulled a sword from a stone.');
+            expect(userMessage).toContain('Write 2 new entries');
+        });
+
+        it('should keep only well-formed message examples', async () => {
+            const example = [
+                { user: '{{user1}}', content: { text: 'Hello?' } },
+                { user: 'Arthur', content: { text: 'Well met.' } }
+            ];
+            respondWith(JSON.stringify({ items: [example, 'not an example', [{ user: 'x' }]] }));
+
+            const result = await service.expandSection('messageExamples', 3, 'test-model', currentCharacter, 'key');
+
+            expect(result.items).toEqual([example]);
+        });
+
+        it('should treat a null reply as no items', async () => {
+            respondWith('null');
+
+            const result = await service.expandSection('lore', 3, 'test-model', currentCharacter, 'key');
+
+            expect(result.items).toEqual([]);
+        });
+
+        it('should reject unsupported fields and counts', async () => {
+            await expect(service.expandSection('people', 3, 'test-model', currentCharacter, 'key'))
+                .rejects.toThrow('Unknown field: people');
+            await expect(service.expandSection('lore', 0, 'test-model', currentCharacter, 'key'))
+                .rejects.toThrow('Count must be');
+            expect(mockFetch).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('provider adapters', () => {
+        const mockPrompt = 'A brave knight named Arthur';
+        const characterJson = JSON.stringify({ name: "Arthur" });
+
+        beforeEach(() => {
+            process.env.LLM_BASE_URL_ALLOWLIST = 'http://ollama.local:11434, http://localhost:8000/v1/';
+        });
+
+        afterEach(() => {
+            delete process.env.LLM_BASE_URL_ALLOWLIST;
+        });
+
+        it('should default to OpenRouter', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ choices: [{ message: { content: characterJson } }] })
+            });
+
+            await service.generateCharacter(mockPrompt, 'openai/gpt-4', 'test-key');
+
+            const [url, options] = mockFetch.mock.calls[0];
+            expect(url).toBe('https://openrouter.ai/api/v1/chat/completions');
+            expect(options.headers['Authorization']).toBe('Bearer test-key');
+        });
+
+        it('should send Anthropic Messages API requests with a separate system prompt', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ content: [{ type: 'text', text: characterJson }] })
+            });
+
+            const result = await service.generateCharacter(mockPrompt, 'claude-3-haiku-20240307', 'test-key', {
+                provider: 'anthropic'
+            });
+
+            const [url, options] = mockFetch.mock.calls[0];
+            const body = JSON.parse(options.body);
+            expect(url).toBe('https://api.anthropic.com/v1/messages');
+            expect(options.headers['x-api-key']).toBe('test-key');
+            expect(body.system).toContain('character designer');
+            expect(body.messages.every(message => message.role !== 'system')).toBe(true);
+            expect(result.character.name).toBe("Arthur");
+        });
+
+        it('should call Ollama without an API key', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ message: { role: 'assistant', content: characterJson } })
+            });
+
+            const result = await service.generateCharacter(mockPrompt, 'llama3', undefined, {
+                provider: 'ollama',
+                baseUrl: 'http://ollama.local:11434/'
+            });
+
+            const [url, options] = mockFetch.mock.calls[0];
+            expect(url).toBe('http://ollama.local:11434/api/chat');
+            expect(JSON.parse(options.body).stream).toBe(false);
+            expect(result.character.name).toBe("Arthur");
+        });
+
+        it('should use the base URL for OpenAI-compatible endpoints', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ choices: [{ message: { content: characterJson } }] })
+            });
+
+            await service.refineCharacter('Make him older', 'local-model', { name: "Arthur" }, undefined, {
+                provider: 'openai-compatible',
+                baseUrl: 'http://localhost:8000/v1'
+            });
+
+            const [url, options] = mockFetch.mock.calls[0];
+            expect(url).toBe('http://localhost:8000/v1/chat/completions');
+            expect(options.headers['Authorization']).toBeUndefined();
+        });
+
+        it('should reject base URLs that are not on the allowlist', async () => {
+            for (const baseUrl of ['http://169.254.169.254/latest', 'file:///etc/passwd', 'not a url']) {
+                await expect(service.generateCharacter(mockPrompt, 'local-model', undefined, {
+                    provider: 'openai-compatible',
+                    baseUrl
+                })).rejects.toThrow(`Base URL ${baseUrl} is not allowed for OpenAI-Compatible`);
+            }
+            expect(mockFetch).not.toHaveBeenCalled();
+        });
+
+        it('should ignore base URLs for providers with a fixed endpoint', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                json: async () => ({ content: [{ type: 'text', text: characterJson }] })
+            });
+
+            await service.generateCharacter(mockPrompt, 'claude-3-haiku-20240307', 'test-key', {
+                provider: 'anthropic',
+                baseUrl: 'http://localhost:8000/v1'
+            });
+
+            expect(mockFetch.mock.calls[0][0]).toBe('https://api.anthropic.com/v1/messages');
+        });
+
+        it('should require a base URL for OpenAI-compatible endpoints', async () => {
+            await expect(service.generateCharacter(mockPrompt, 'local-model', undefined, {
+                provider: 'openai-compatible'
+            })).rejects.toThrow('Base URL is required');
+            expect(mockFetch).not.toHaveBeenCalled();
+        });
+
+        it('should reject unknown providers', async () => {
+            await expect(service.generateCharacter(mockPrompt, 'model', 'key', { provider: 'nope' }))
+                .rejects.toThrow('Unknown provider: nope');
+        });
+    });
+
+    describe('JSON repair', () => {
+        const completion = (content) => ({
+            ok: true,
+            json: async () => ({ choices: [{ message: { content } }] })
+        });
+        const broken = '{"name": "Arthur", "bio": ["A brave knight." "Rules Camelot."]}';
+
+        it('should not repair valid responses', async () => {
+            mockFetch.mockResolvedValue(completion('{"name": "Arthur"}'));
+
+            const result = await service.generateCharacter('A knight', 'test-model', 'test-key');
+
+            expect(result.repairAttempts).toBe(0);
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+        });
+
+        it('should send broken output and the parse error back to the model', async () => {
+            mockFetch
+                .mockResolvedValueOnce(completion(broken))
+                .mockResolvedValueOnce(completion('{"name": "Arthur", "bio": ["A brave knight.", "Rules Camelot."]}'));
+
+            const repairs = [];
+            const result = await service.generateCharacter('A knight', 'test-model', 'test-key', {
+                onRepair: repair => repairs.push(repair)
+            });
+
+            expect(mockFetch).toHaveBeenCalledTimes(2);
+            const repairRequest = JSON.parse(mockFetch.mock.calls[1][1].body);
+            expect(repairRequest.model).toBe('test-model');
+            expect(repairRequest.messages[0].content).toContain('JSON repair');
+            expect(repairRequest.messages[1].content).toContain('Failed to parse JSON content');
+            expect(repairRequest.messages[1].content).toContain(broken);
+            expect(repairs).toEqual([{ attempt: 1, error: expect.stringContaining('Failed to parse JSON content') }]);
+            expect(result.repairAttempts).toBe(1);
+            expect(result.character.bio).toEqual(['A brave knight.', 'Rules Camelot.']);
+            expect(result.rawResponse).toContain('Rules Camelot.');
+        });
+
+        it('should give up after the configured number of attempts', async () => {
+            service = new CharacterGeneratorService(mockFetch, { maxRepairAttempts: 2 });
+            mockFetch.mockResolvedValue(completion(broken));
+
+            await expect(service.refineCharacter('Make him older', 'test-model', { name: 'Arthur' }, 'test-key'))
+                .rejects.toThrow('(after 2 repair attempts)');
+            expect(mockFetch).toHaveBeenCalledTimes(3);
+        });
+
+        it('should allow repairs to be disabled per call', async () => {
+            mockFetch.mockResolvedValue(completion(broken));
+
+            await expect(service.generateCharacter('A knight', 'test-model', 'test-key', { maxRepairAttempts: 0 }))
+                .rejects.toThrow('Failed to parse JSON content');
+            expect(mockFetch).toHaveBeenCalledTimes(1);
+        });
+
+        it('should repair streamed responses without streaming the repair', async () => {
+            mockFetch
+                .mockResolvedValueOnce({
+                    ok: true,
+                    body: (async function* () {
+                        yield Buffer.from(`data: ${JSON.stringify({ choices: [{ delta: { content: broken } }] })}\n\n`);
+                    })()
+                })
+                .mockResolvedValueOnce(completion('{"name": "Arthur"}'));
+
+            const result = await service.generateCharacter('A knight', 'test-model', 'test-key', {
+                onToken: () => {}
+            });
+
+            expect(JSON.parse(mockFetch.mock.calls[1][1].body).stream).toBe(false);
+            expect(result.repairAttempts).toBe(1);
+        });
+    });
+
+    describe('streaming', () => {
+        const streamBody = (lines) => (async function* () {
+            for (const line of lines) {
+                yield Buffer.from(line);
+            }
+        })();
+
+        it('should relay tokens and completed sections from an SSE stream', async () => {
+            const chunks = ['{"name": "Arthur", ', '"bio": ["A brave', ' knight."]}'];
+            mockFetch.mockResolvedValue({
+                ok: true,
+                body: streamBody([
+                    ': OPENROUTER PROCESSING\n\n',
+                    ...chunks.map(text => `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`),
+                    'data: [DONE]\n\n'
+                ])
+            });
+
+            const tokens = [];
+            const sections = [];
+            const result = await service.generateCharacter('A knight', 'test-model', 'test-key', {
+                onToken: text => tokens.push(text),
+                onSection: section => sections.push(section)
+            });
+
+            expect(JSON.parse(mockFetch.mock.calls[0][1].body).stream).toBe(true);
+            expect(tokens).toEqual(chunks);
+            expect(sections.map(section => section.key)).toEqual(['name', 'bio']);
+            expect(result.character.bio).toEqual(['A brave knight.']);
+        });
+
+        it('should read newline-delimited Ollama streams', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                body: streamBody([
+                    JSON.stringify({ message: { content: '{"name": ' } }) + '\n' + JSON.stringify({ message: { content: '"Local"}' } }),
+                    '\n' + JSON.stringify({ done: true }) + '\n'
+                ])
+            });
+
+            const tokens = [];
+            const result = await service.generateCharacter('A knight', 'llama3', undefined, {
+                provider: 'ollama',
+                onToken: text => tokens.push(text)
+            });
+
+            expect(tokens).toEqual(['{"name": ', '"Local"}']);
+            expect(result.character.name).toBe('Local');
+        });
+
+        it('should surface errors sent mid-stream', async () => {
+            mockFetch.mockResolvedValue({
+                ok: true,
+                body: streamBody([
+                    'event: error\ndata: {"type": "error", "error": {"message": "Overloaded"}}\n\n'
+                ])
+            });
+
+            await expect(service.generateCharacter('A knight', 'claude-3-haiku-20240307', 'key', {
+                provider: 'anthropic',
+                onToken: () => {}
+            })).rejects.toThrow('Overloaded');
+        });
+
+        it('should pass the abort signal to fetch', async () => {
+            const controller = new AbortController();
+            mockFetch.mockResolvedValue({
+                ok: true,
+                body: streamBody(['data: {"choices": [{"delta": {"content": "{}"}}]}\n'])
+            });
+
+            await service.generateCharacter('A knight', 'test-model', 'key', {
+                signal: controller.signal,
+                onToken: () => {}
+            });
+
+            expect(mockFetch.mock.calls[0][1].signal).toBe(controller.signal);
+        });
+    });
+
     describe('fixJson', () => {
         it('should fix malformed JSON', () => {
             const malformed = '{ name: "Test", }'; // Trailing comma
             const result = service.fixJson(malformed);
-            expect(result.name).toBe("Test");
+            expect(result.character.name).toBe("Test");
+        });
+
+        it('should report what it changed', () => {
+            const result = service.fixJson(JSON.stringify({
+                name: "Test",
+                bio: "A single bio line.",
+                lore: 42,
+                knowledge: ["No period", { text: "From object." }, 7],
+                style: { all: [] }
+            }));
+
+            expect(result.character.bio).toEqual(["A single bio line."]);
+            expect(result.character.lore).toEqual([]);
+            expect(result.character.knowledge).toEqual(["No period.", "From object."]);
+            expect(result.changes).toEqual(expect.arrayContaining([
+                { path: 'bio', message: 'converted string to array' },
+                { path: 'lore', message: 'replaced number with empty array' },
+                { path: 'style.chat', message: 'missing, set to empty array' },
+                { path: 'knowledge[1]', message: 'converted object to text' },
+                { path: 'knowledge[2]', message: 'removed number entry' },
+                { path: 'knowledge', message: 'added trailing period to 1 entry' }
+            ]));
+        });
+
+        it('should report legacy format migrations', () => {
+            const result = service.fixJson(JSON.stringify({
+                name: "Test",
+                voiceModel: "en_US-male-medium",
+                examples: { posts: ["A post."] }
+            }));
+
+            expect(result.character.settings.voice.model).toBe("en_US-male-medium");
+            expect(result.character.postExamples).toEqual(["A post."]);
+            expect(result.character).not.toHaveProperty('voiceModel');
+            expect(result.character).not.toHaveProperty('examples');
+            expect(result.changes).toEqual(expect.arrayContaining([
+                { path: 'voiceModel', message: 'moved to settings.voice.model' },
+                { path: 'examples.posts', message: 'moved 1 to postExamples' }
+            ]));
+        });
+
+        it('should keep knowledge file references', () => {
+            const result = service.fixJson(JSON.stringify({
+                name: "Test",
+                knowledge: ["Known.", { path: "test/lore.md", shared: true }, { directory: "shared" }]
+            }));
+
+            expect(result.character.knowledge).toEqual(["Known.", { path: "test/lore.md", shared: true }, { directory: "shared" }]);
+            expect(result.changes.filter(change => change.path.startsWith('knowledge'))).toEqual([]);
+        });
+
+        it('should drop knowledge file references without a path or directory', () => {
+            const result = service.fixJson(JSON.stringify({
+                name: "Test",
+                knowledge: ["Known.", { shared: true }, { path: "", shared: false }]
+            }));
+
+            expect(result.character.knowledge).toEqual(["Known."]);
+            expect(result.changes.filter(change => change.path.startsWith('knowledge'))).toEqual([
+                { path: 'knowledge[1]', message: 'removed file reference without a path or directory' },
+                { path: 'knowledge[2]', message: 'removed file reference without a path or directory' }
+            ]);
+        });
+
+        it('should report repaired syntax', () => {
+            const result = service.fixJson('{ name: "Test", }');
+            expect(result.changes[0].path).toBe('');
+            expect(result.changes[0].message).toContain('repaired JSON syntax');
+        });
+
+        it('should report nothing for a complete, valid character', () => {
+            const complete = service.normalizeCharacterData({ name: "Test", knowledge: ["Known."] });
+            const result = service.fixJson(JSON.stringify(complete));
+            expect(result.changes).toEqual([]);
         });
     });
 });
@@ -0,0 +1,114 @@
+import {
+    CURRENT_CHARACTER_VERSION,
+    canonicalProvider,
+    detectCharacterVersion,
+    migrateCharacter
+} from '../shared/characterMigrations.js';
+
+describe('canonicalProvider', () => {
+    it('should map legacy spellings to modelProvider values', () => {
+        expect(canonicalProvider('OpenAI')).toBe('openai');
+        expect(canonicalProvider('ModelProviderName.LLAMACLOUD')).toBe('llama_cloud');
+        expect(canonicalProvider('anthropic/claude-3-opus')).toBe('anthropic');
+        expect(canonicalProvider('Claude')).toBe('anthropic');
+        expect(canonicalProvider('llama-local')).toBe('llama_local');
+        expect(canonicalProvider('skynet')).toBeNull();
+    });
+});
+
+describe('detectCharacterVersion', () => {
+    it('should find the oldest shape in use', () => {
+        expect(detectCharacterVersion({ name: 'A', voiceModel: 'en_US' })).toBe(0);
+        expect(detectCharacterVersion({ name: 'A', examples: { posts: [] } })).toBe(0);
+        expect(detectCharacterVersion({ name: 'A', settings: { model: 'gpt-4o' } })).toBe(1);
+        expect(detectCharacterVersion({ name: 'A', modelProvider: 'ModelProviderName.OPENAI' })).toBe(1);
+        expect(detectCharacterVersion({ name: 'A', messageExamples: [[{ user: 'user', content: { text: 'Hi' } }]] })).toBe(1);
+        expect(detectCharacterVersion({
+            name: 'A',
+            modelProvider: 'openai',
+            clients: ['discord'],
+            settings: { model: 'gpt-4o' },
+            messageExamples: [[{ user: '{{user1}}', content: { text: 'Hi' } }, { user: 'A', content: { text: 'Hello' } }]]
+        })).toBe(CURRENT_CHARACTER_VERSION);
+    });
+});
+
+describe('migrateCharacter', () => {
+    it('should upgrade an early generator export step by step', () => {
+        const legacy = {
+            name: 'Arthur',
+            modelProvider: 'OpenAI',
+            voiceModel: 'en_US-male-medium',
+            settings: { secrets: {} },
+            clients: ['Clients.DISCORD', 'Telegram'],
+            examples: { posts: ['Long live the king.'] },
+            postExamples: ['Camelot stands.'],
+            messageExamples: [[
+                { user: '{{user}}', content: 'Who are you?' },
+                { user: '{{char}}', content: { text: 'The king.' } },
+                { user: 'user2', content: { text: 'And I?' } }
+            ]]
+        };
+
+        const result = migrateCharacter(legacy);
+
+        expect(result.fromVersion).toBe(0);
+        expect(result.toVersion).toBe(CURRENT_CHARACTER_VERSION);
+        expect(result.character).toEqual({
+            name: 'Arthur',
+            modelProvider: 'openai',
+            settings: { secrets: {}, voice: { model: 'en_US-male-medium' } },
+            clients: ['discord', 'telegram'],
+            postExamples: ['Camelot stands.', 'Long live the king.'],
+            messageExamples: [[
+                { user: '{{user1}}', content: { text: 'Who are you?' } },
+                { user: 'Arthur', content: { text: 'The king.' } },
+                { user: '{{user2}}', content: { text: 'And I?' } }
+            ]]
+        });
+        expect(result.changes).toEqual([
+            { path: 'voiceModel', message: 'moved to settings.voice.model' },
+            { path: 'examples.posts', message: 'moved 1 to postExamples' },
+            { path: 'modelProvider', message: 'changed "OpenAI" to "openai"' },
+            { path: 'clients[0]', message: 'changed "Clients.DISCORD" to "discord"' },
+            { path: 'clients[1]', message: 'changed "Telegram" to "telegram"' },
+            { path: 'messageExamples[0][0].user', message: 'changed "{{user}}" to "{{user1}}"' },
+            { path: 'messageExamples[0][0].content', message: 'converted string to { text }' },
+            { path: 'messageExamples[0][1].user', message: 'changed "{{char}}" to "Arthur"' },
+            { path: 'messageExamples[0][2].user', message: 'changed "user2" to "{{user2}}"' }
+        ]);
+        expect(legacy.voiceModel).toBe('en_US-male-medium');
+        expect(legacy.settings).toEqual({ secrets: {} });
+    });
+
+    it('should move a model id out of modelProvider and infer the provider from settings.model', () => {
+        expect(migrateCharacter({ name: 'A', modelProvider: 'anthropic/claude-3-opus' }).character)
+            .toEqual({ name: 'A', modelProvider: 'anthropic', settings: { model: 'claude-3-opus' } });
+
+        const fromSettings = migrateCharacter({ name: 'B', modelProvider: '', settings: { model: 'gpt-4o' } });
+        expect(fromSettings.character.modelProvider).toBe('openai');
+        expect(fromSettings.changes).toEqual([{ path: 'modelProvider', message: 'set to "openai" from settings.model' }]);
+    });
+
+    it('should keep an existing voice model over the legacy one', () => {
+        const result = migrateCharacter({ name: 'A', voiceModel: 'old', settings: { voice: { model: 'new' } } });
+        expect(result.character).toEqual({ name: 'A', settings: { voice: { model: 'new' } } });
+        expect(result.changes).toEqual([{ path: 'voiceModel', message: 'removed, settings.voice.model is already set' }]);
+    });
+
+    it('should drop an empty or invalid voice model without claiming one is set', () => {
+        ['', null, 42].forEach(voiceModel => {
+            const result = migrateCharacter({ name: 'A', voiceModel });
+            expect(result.character).toEqual({ name: 'A' });
+            expect(result.changes).toEqual([{ path: 'voiceModel', message: 'removed, empty' }]);
+        });
+
+        const withVoice = migrateCharacter({ name: 'A', voiceModel: '', settings: { voice: { model: 'new' } } });
+        expect(withVoice.changes).toEqual([{ path: 'voiceModel', message: 'removed, empty' }]);
+    });
+
+    it('should leave current characters alone', () => {
+        const current = { name: 'A', modelProvider: 'skynet', clients: ['discord'], messageExamples: [] };
+        expect(migrateCharacter(current)).toEqual({ character: current, fromVersion: 2, toVersion: 2, changes: [] });
+    });
+});
@@ -0,0 +1,105 @@
+import { characterToTypeScript, parseTypeScriptCharacter } from '../shared/characterModule.js';
+
+const character = () => ({
+    name: 'Arthur',
+    clients: ['discord', 'twitter'],
+    modelProvider: 'llama_cloud',
+    settings: { secrets: {}, voice: { model: 'en_US-male-medium' } },
+    plugins: [],
+    bio: ['Rules "Camelot".', 'Two\nlines ✓'],
+    lore: [],
+    knowledge: ['Excalibur came from the lake.', { path: 'arthur/court.md', shared: false }],
+    messageExamples: [[
+        { user: '{{user1}}', content: { text: 'Who are you?' } },
+        { user: 'Arthur', content: { text: 'The king.' } }
+    ]],
+    postExamples: [],
+    topics: ['chivalry'],
+    style: { all: ['formal'], chat: [], post: [] },
+    adjectives: ['brave'],
+    people: []
+});
+
+describe('characterToTypeScript', () => {
+    it('should write a typed module with enum members', () => {
+        const source = characterToTypeScript(character());
+
+        expect(source.startsWith('import { Character, Clients, ModelProviderName } from "@elizaos/core";\n\nexport const character: Character = {\n    name: "Arthur",\n')).toBe(true);
+        expect(source).toContain('    clients: [\n        Clients.DISCORD,\n        Clients.TWITTER,\n    ],\n');
+        expect(source).toContain('    modelProvider: ModelProviderName.LLAMACLOUD,\n');
+        expect(source.endsWith('};\n')).toBe(true);
+    });
+
+    it('should cast values outside the enums and import only what is used', () => {
+        const source = characterToTypeScript({ name: 'Kay', clients: ['slack'], modelProvider: 'skynet', 'odd-key': 1 });
+
+        expect(source).toContain('import { Character, Clients, ModelProviderName } from "@elizaos/core";');
+        expect(source).toContain('"slack" as Clients');
+        expect(source).toContain('modelProvider: "skynet" as ModelProviderName');
+        expect(source).toContain('"odd-key": 1');
+        expect(characterToTypeScript({ name: 'Kay' })).toContain('import { Character } from "@elizaos/core";');
+    });
+});
+
+describe('parseTypeScriptCharacter', () => {
+    it('should read back what it writes', () => {
+        expect(parseTypeScriptCharacter(characterToTypeScript(character()))).toEqual(character());
+    });
+
+    it('should read hand-written literal modules', () => {
+        const source = `import { Character, Clients, ModelProviderName } from "@elizaos/core";
+
+// The default agent
+export const mainCharacter: Character = {
+    name: 'Eliza', /* shown in chats */
+    modelProvider: ModelProviderName.FAL,
+    clients: [Clients.TELEGRAM] as Clients[],
+    settings: { secrets: {}, voice: { model: \`en_US-hfc_female-medium\` } },
+    bio: [
+        "Writes\\u00e9 code.",
+        \`Spans
+two lines.\`,
+    ],
+    temperature: -0.5,
+    verbose: true,
+    extra: null,
+} satisfies Character;
+`;
+
+        expect(parseTypeScriptCharacter(source)).toEqual({
+            name: 'Eliza',
+            modelProvider: 'falai',
+            clients: ['telegram'],
+            settings: { secrets: {}, voice: { model: 'en_US-hfc_female-medium' } },
+            bio: ['Writesé code.', 'Spans\ntwo lines.'],
+            temperature: -0.5,
+            verbose: true,
+            extra: null
+        });
+    });
+
+    it('should fall back to a default export', () => {
+        expect(parseTypeScriptCharacter('export default { name: "Kay" };')).toEqual({ name: 'Kay' });
+    });
+
+    it('should keep a __proto__ key as a plain property', () => {
+        const parsed = parseTypeScriptCharacter('export default { name: "Kay", settings: { __proto__: { polluted: true } } };');
+
+        expect(Object.getPrototypeOf(parsed.settings)).toBe(Object.prototype);
+        expect(parsed.settings.polluted).toBeUndefined();
+        expect(Object.keys(parsed.settings)).toEqual(['__proto__']);
+        expect({}.polluted).toBeUndefined();
+    });
+
+    it('should report computed values with their line', () => {
+        expect(() => parseTypeScriptCharacter('export const character: Character = {\n    ...defaultCharacter,\n};'))
+            .toThrow('Spread properties are not supported at line 2');
+        expect(() => parseTypeScriptCharacter('export const character: Character = {\n    settings: {\n        secrets: { KEY: process.env.KEY },\n    },\n};'))
+            .toThrow('Only literal values are supported, found "process" at line 3');
+        expect(() => parseTypeScriptCharacter('export const character: Character = { bio: [`Hi ${name}`] };'))
+            .toThrow('Template literals with ${...} are not supported at line 1');
+        expect(() => parseTypeScriptCharacter('export const character: Character = { modelProvider: ModelProviderName.SKYNET };'))
+            .toThrow('Unknown ModelProviderName member "SKYNET"');
+        expect(() => parseTypeScriptCharacter('const x = 1;')).toThrow('No character object found');
+    });
+});
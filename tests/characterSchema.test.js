@@ -0,0 +1,102 @@
+import { validateCharacter, formatIssue } from '../services/characterSchema.js';
+
+const validCharacter = () => ({
+    name: 'Arthur',
+    clients: ['discord'],
+    modelProvider: 'openai',
+    settings: { secrets: {}, voice: { model: 'en_US-male-medium' } },
+    plugins: [],
+    bio: ['A brave knight.'],
+    lore: ['Pulled the sword from the stone.'],
+    knowledge: ['Camelot is a castle.'],
+    messageExamples: [[
+        { user: '{{user1}}', content: { text: 'Who are you?' } },
+        { user: 'Arthur', content: { text: 'The king.' } }
+    ]],
+    postExamples: ['Long live the king.'],
+    topics: ['chivalry'],
+    style: { all: ['formal'], chat: ['brief'], post: ['regal'] },
+    adjectives: ['brave'],
+    people: []
+});
+
+describe('validateCharacter', () => {
+    it('should accept a complete character', () => {
+        expect(validateCharacter(validCharacter())).toEqual({ valid: true, errors: [], warnings: [] });
+    });
+
+    it('should report missing nested message fields with their path', () => {
+        const character = validCharacter();
+        character.messageExamples.push([{ user: '{{user1}}', content: { text: 'Hi' } }, { user: 'Arthur', content: {} }]);
+        character.messageExamples.push([{ user: '{{user1}}', content: { text: 'Hi' } }, { user: 'Arthur', content: {} }]);
+
+        const result = validateCharacter(character);
+
+        expect(result.valid).toBe(false);
+        expect(result.errors.map(formatIssue)).toEqual([
+            'messageExamples[1][1].content.text missing',
+            'messageExamples[2][1].content.text missing'
+        ]);
+    });
+
+    it('should report unknown clients as errors and unknown providers as warnings', () => {
+        const character = { ...validCharacter(), clients: ['slack'], modelProvider: 'skynet' };
+
+        const result = validateCharacter(character);
+
+        expect(result.errors.map(formatIssue)).toEqual(['clients[0] "slack" not a known client']);
+        expect(result.warnings.map(formatIssue)).toEqual(['modelProvider "skynet" not a known model provider']);
+    });
+
+    it('should report wrong types instead of coercing them', () => {
+        const character = { ...validCharacter(), lore: 'A string', topics: [1], messageExamples: [{ user: 'x' }] };
+
+        const result = validateCharacter(character);
+
+        expect(result.errors.map(formatIssue)).toEqual([
+            'lore expected array, got string',
+            'messageExamples[0] expected array, got object',
+            'topics[0] expected string, got number'
+        ]);
+    });
+
+    it('should accept a string bio', () => {
+        expect(validateCharacter({ ...validCharacter(), bio: 'A brave knight.' }).valid).toBe(true);
+    });
+
+    it('should accept knowledge file references alongside strings', () => {
+        const character = {
+            ...validCharacter(),
+            knowledge: ['Camelot is a castle.', { path: 'arthur/court.md', shared: false }, { directory: 'lore', shared: 'yes' }]
+        };
+
+        expect(validateCharacter(character).errors.map(formatIssue)).toEqual(['knowledge[2].shared expected boolean, got string']);
+    });
+
+    it('should report knowledge references without a path or directory', () => {
+        const character = {
+            ...validCharacter(),
+            knowledge: [{ shared: true }, { path: '  ', shared: false }, { directory: 7 }]
+        };
+
+        expect(validateCharacter(character).errors.map(formatIssue)).toEqual([
+            'knowledge[0] needs a non-empty path or directory',
+            'knowledge[1] needs a non-empty path or directory',
+            'knowledge[2] needs a non-empty path or directory',
+            'knowledge[2].directory expected string, got number'
+        ]);
+    });
+
+    it('should warn about unknown keys and empty sections', () => {
+        const character = { ...validCharacter(), voiceModel: 'x', adjectives: [] };
+
+        const result = validateCharacter(character);
+
+        expect(result.valid).toBe(true);
+        expect(result.warnings.map(formatIssue)).toEqual(['adjectives is empty', 'voiceModel unknown key']);
+    });
+
+    it('should reject non-object input', () => {
+        expect(validateCharacter([]).errors).toEqual([{ path: '', message: 'expected object, got array' }]);
+    });
+});
@@ -0,0 +1,87 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CharacterStore } from '../services/characterStore.js';
+
+describe('CharacterStore', () => {
+    let directory;
+    let store;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'character-store-'));
+        store = new CharacterStore(directory);
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should create and read back a character', async () => {
+        const created = await store.create({ character: { name: 'Arthur', bio: ['A knight.'] }, tags: ['Knight', ' npc ', 'knight'] });
+
+        expect(created.id).toBeDefined();
+        expect(created.name).toBe('Arthur');
+        expect(created.tags).toEqual(['knight', 'npc']);
+
+        const loaded = await store.get(created.id);
+        expect(loaded).toEqual(created);
+
+        const file = JSON.parse(await fs.readFile(path.join(directory, `${created.id}.json`), 'utf-8'));
+        expect(file.character.bio).toEqual(['A knight.']);
+    });
+
+    it('should list with search by name or tag and filter by tags', async () => {
+        await store.create({ character: { name: 'Arthur' }, tags: ['knight'] });
+        await store.create({ character: { name: 'Merlin' }, tags: ['wizard', 'npc'] });
+        await store.create({ character: { name: 'Morgana' }, tags: ['wizard'] });
+
+        expect((await store.list()).length).toBe(3);
+        expect((await store.list({ search: 'mer' })).map(c => c.name)).toEqual(['Merlin']);
+        expect((await store.list({ search: 'WIZ' })).map(c => c.name).sort()).toEqual(['Merlin', 'Morgana']);
+        expect((await store.list({ tags: ['wizard', 'npc'] })).map(c => c.name)).toEqual(['Merlin']);
+        expect((await store.list())[0].character).toBeUndefined();
+    });
+
+    it('should list and search records whose name or tags are not strings', async () => {
+        const created = await store.create({ character: { name: 2049 }, tags: ['android'] });
+        expect(created.name).toBe('');
+
+        await fs.writeFile(path.join(directory, 'legacy.json'), JSON.stringify({
+            id: 'legacy', name: 2049, tags: 'android', updatedAt: new Date(0).toISOString(), character: { name: 2049 }
+        }));
+        await store.create({ character: { name: 'Rachael' }, tags: ['replicant'] });
+
+        expect((await store.list({ search: 'rach' })).map(c => c.name)).toEqual(['Rachael']);
+        expect((await store.list({ search: 'android' })).map(c => c.id)).toEqual([created.id]);
+        expect((await store.list()).find(c => c.id === 'legacy')).toMatchObject({ name: '', tags: [] });
+    });
+
+    it('should update a character and keep tags unless given', async () => {
+        const created = await store.create({ character: { name: 'Arthur' }, tags: ['knight'] });
+
+        const updated = await store.update(created.id, { character: { name: 'King Arthur' } });
+
+        expect(updated.name).toBe('King Arthur');
+        expect(updated.tags).toEqual(['knight']);
+        expect(updated.createdAt).toBe(created.createdAt);
+        expect(await store.update('missing-id', { character: {} })).toBeNull();
+    });
+
+    it('should delete a character', async () => {
+        const created = await store.create({ character: { name: 'Arthur' } });
+
+        expect(await store.delete(created.id)).toBe(true);
+        expect(await store.get(created.id)).toBeNull();
+        expect(await store.delete(created.id)).toBe(false);
+    });
+
+    it('should reject ids that could escape the store directory', async () => {
+        expect(await store.get('../package')).toBeNull();
+        expect(await store.delete('../package')).toBe(false);
+    });
+
+    it('should list nothing before the directory exists', async () => {
+        const emptyStore = new CharacterStore(path.join(directory, 'missing'));
+        expect(await emptyStore.list()).toEqual([]);
+    });
+});
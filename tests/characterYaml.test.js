@@ -0,0 +1,69 @@
+import { parseCharacterYaml, characterToYaml } from '../services/characterYaml.js';
+
+const source = `# Arthur, maintained by the lore team
+name: Arthur # the king
+bio:
+  # Keep the title first
+  - Rules Camelot.
+  - "Pulled the sword from the stone."
+adjectives:
+  - brave # not reckless
+  - fair
+style:
+  all:
+    - formal
+`;
+
+describe('parseCharacterYaml', () => {
+    it('should read a character mapping', () => {
+        expect(parseCharacterYaml(source)).toEqual({
+            name: 'Arthur',
+            bio: ['Rules Camelot.', 'Pulled the sword from the stone.'],
+            adjectives: ['brave', 'fair'],
+            style: { all: ['formal'] }
+        });
+    });
+
+    it('should reject invalid YAML and non-mappings', () => {
+        expect(() => parseCharacterYaml('name: [unclosed')).toThrow('Invalid YAML');
+        expect(() => parseCharacterYaml('- a\n- b')).toThrow('must be a mapping');
+    });
+});
+
+describe('characterToYaml', () => {
+    it('should write block scalars for long and multi-line strings', () => {
+        const long = 'Arthur was raised by Sir Ector without knowing his parentage, until he drew the sword from the stone.';
+        const yaml = characterToYaml({ name: 'Arthur', bio: [long, 'First line\nSecond line', 'Short.'] });
+
+        expect(yaml).toContain('  - >-\n    Arthur was raised');
+        expect(yaml).toContain('  - |-\n    First line\n    Second line\n');
+        expect(yaml).toContain('  - Short.\n');
+        expect(parseCharacterYaml(yaml).bio).toEqual([long, 'First line\nSecond line', 'Short.']);
+    });
+
+    it('should keep the comments and quoting of the source YAML', () => {
+        const character = parseCharacterYaml(source);
+        character.adjectives = ['brave'];
+        character.lore = ['Married Guinevere.'];
+        character.bio[0] = 'Rules Camelot wisely.';
+
+        expect(characterToYaml(character, { source })).toBe(`# Arthur, maintained by the lore team
+name: Arthur # the king
+bio:
+  # Keep the title first
+  - Rules Camelot wisely.
+  - "Pulled the sword from the stone."
+adjectives:
+  - brave # not reckless
+style:
+  all:
+    - formal
+lore:
+  - Married Guinevere.
+`);
+    });
+
+    it('should start over when the source is not a usable YAML mapping', () => {
+        expect(characterToYaml({ name: 'Kay' }, { source: '- not a mapping' })).toBe('name: Kay\n');
+    });
+});
@@ -0,0 +1,174 @@
+import { parseChatLog, listParticipants, mineChatExamples, describeChatStyle } from '../services/chatLogs.js';
+
+const at = (minutes) => new Date(Date.UTC(2024, 0, 1, 12, minutes)).toISOString();
+
+describe('parseChatLog', () => {
+    it('should read a Telegram Desktop export, skipping service messages', () => {
+        const log = parseChatLog(JSON.stringify({
+            name: 'Round Table',
+            type: 'private_group',
+            messages: [
+                { id: 1, type: 'service', date: at(0), actor: 'Arthur', action: 'create_group' },
+                { id: 2, type: 'message', date: at(1), from: 'Arthur', text: 'Who has seen the grail?' },
+                { id: 3, type: 'message', date: at(2), from: 'Lancelot', text: ['Not ', { type: 'bold', text: 'me' }, '.'] },
+                { id: 4, type: 'message', date: at(3), from: 'Lancelot', text: '', photo: 'photo.jpg' }
+            ]
+        }), 'result.json');
+
+        expect(log.format).toBe('telegram');
+        expect(log.messages).toEqual([
+            { author: 'Arthur', text: 'Who has seen the grail?', timestamp: Date.parse(at(1)), thread: 0 },
+            { author: 'Lancelot', text: 'Not me.', timestamp: Date.parse(at(2)), thread: 0 }
+        ]);
+    });
+
+    it('should keep each chat of a full Telegram export in its own thread', () => {
+        const chat = (from, text) => ({ messages: [{ type: 'message', date: at(0), from, text }] });
+        const log = parseChatLog(JSON.stringify({ chats: { list: [chat('Arthur', 'One'), chat('Merlin', 'Two')] } }), 'result.json');
+        expect(log.messages.map(({ author, thread }) => [author, thread])).toEqual([['Arthur', 0], ['Merlin', 1]]);
+    });
+
+    it('should read a DiscordChatExporter export using nicknames', () => {
+        const log = parseChatLog(JSON.stringify({
+            guild: { name: 'Camelot' },
+            channel: { name: 'general' },
+            messages: [
+                { type: 'GuildMemberJoin', timestamp: at(0), content: 'Joined the server.', author: { name: 'gawain' } },
+                { type: 'Default', timestamp: at(1), content: 'Hail!', author: { name: 'arthur', nickname: 'King Arthur' } },
+                { type: 'Reply', timestamp: at(2), content: 'Hail, sire.', author: { name: 'gawain', nickname: null } }
+            ]
+        }), 'general.json');
+
+        expect(log.format).toBe('discord');
+        expect(log.messages.map(({ author, text }) => `${author}: ${text}`)).toEqual(['King Arthur: Hail!', 'gawain: Hail, sire.']);
+    });
+
+    it('should read generic JSON lists, including Eliza message examples', () => {
+        const flat = parseChatLog(JSON.stringify([
+            { sender: { username: 'arthur' }, message: 'Ready?', timestamp: 1704110400 },
+            { user: 'merlin', content: { text: 'Always.' } }
+        ]), 'log.json');
+        expect(flat.format).toBe('json');
+        expect(flat.messages).toEqual([
+            { author: 'arthur', text: 'Ready?', timestamp: 1704110400000, thread: 0 },
+            { author: 'merlin', text: 'Always.', timestamp: null, thread: 0 }
+        ]);
+
+        const nested = parseChatLog(JSON.stringify([
+            [{ user: 'a', content: { text: 'x' } }],
+            [{ user: 'b', content: { text: 'y' } }]
+        ]), 'examples.json');
+        expect(nested.messages.map(({ thread }) => thread)).toEqual([0, 1]);
+    });
+
+    it('should read plain, timestamped, WhatsApp and IRC text lines', () => {
+        const log = parseChatLog([
+            'Arthur: Morning all',
+            'and good luck today',
+            '[2024-01-01 12:05] Merlin: Luck has nothing to do with it.',
+            '01/02/2024, 12:06 - Gawain: Ha: true',
+            '[12:07] <Kay> food?',
+            'This is a long line of prose that has a colon: it should continue the last message'
+        ].join('\n'), 'chat.txt');
+
+        expect(log.format).toBe('text');
+        expect(log.messages.map(({ author, text }) => [author, text])).toEqual([
+            ['Arthur', 'Morning all\nand good luck today'],
+            ['Merlin', 'Luck has nothing to do with it.'],
+            ['Gawain', 'Ha: true'],
+            ['Kay', 'food?\nThis is a long line of prose that has a colon: it should continue the last message']
+        ]);
+        expect(log.messages[1].timestamp).toBe(Date.parse('2024-01-01 12:05'));
+    });
+
+    it('should reject unreadable files', () => {
+        expect(() => parseChatLog('{oops', 'log.json')).toThrow('Invalid JSON');
+        expect(() => parseChatLog('no speakers here', 'notes.txt')).toThrow('No messages found');
+        expect(() => parseChatLog('a,b', 'log.csv')).toThrow('Unsupported chat log format ".csv"');
+    });
+});
+
+describe('listParticipants', () => {
+    it('should count messages per author, most active first', () => {
+        const messages = ['b', 'a', 'b', 'c', 'a', 'b'].map(author => ({ author, text: 'x' }));
+        expect(listParticipants(messages)).toEqual([
+            { name: 'b', messages: 3 },
+            { name: 'a', messages: 2 },
+            { name: 'c', messages: 1 }
+        ]);
+    });
+});
+
+describe('mineChatExamples', () => {
+    const chat = (lines, { thread = 0, startMinute = 0 } = {}) => lines.map(([author, text], index) => ({
+        author,
+        text,
+        timestamp: Date.parse(at(startMinute + index)),
+        thread
+    }));
+
+    it('should build multi-turn examples that end with the character and use placeholders', () => {
+        const messages = chat([
+            ['Gawain', 'Arthur, the knights are restless'],
+            ['Kay', 'and hungry'],
+            ['Arthur', 'Tell them to wait,'],
+            ['Arthur', 'Kay, feed them.'],
+            ['Gawain', 'As you wish']
+        ]);
+
+        const { messageExamples } = mineChatExamples(messages, 'Arthur', { characterName: 'King Arthur' });
+        expect(messageExamples).toEqual([[
+            { user: '{{user1}}', content: { text: 'Arthur, the knights are restless' } },
+            { user: '{{user2}}', content: { text: 'and hungry' } },
+            { user: 'King Arthur', content: { text: 'Tell them to wait,\n{{user2}}, feed them.' } }
+        ]]);
+    });
+
+    it('should not join conversations across long pauses or threads', () => {
+        const messages = [
+            ...chat([['Merlin', 'See you tomorrow']]),
+            ...chat([['Arthur', 'Good morning']], { startMinute: 60 }),
+            ...chat([['Kay', 'Anyone here?']], { thread: 1, startMinute: 61 }),
+            ...chat([['Arthur', 'Yes']], { thread: 2, startMinute: 62 })
+        ];
+        expect(mineChatExamples(messages, 'Arthur').messageExamples).toEqual([]);
+    });
+
+    it('should spread examples evenly and keep unused post-length messages as posts', () => {
+        const lines = [];
+        for (let i = 0; i < 10; i++) {
+            lines.push(['Kay', `Question ${i}?`], ['Arthur', `Answer ${i}.`]);
+        }
+        const messages = [
+            ...chat(lines),
+            // Kay's link-only message is skipped, leaving Arthur's post outside any exchange
+            ...chat([['Kay', 'https://example.com/grail'], ['Arthur', 'A kingdom is only as strong as the trust between its people.']], { thread: 1 })
+        ];
+
+        const result = mineChatExamples(messages, 'Arthur', { maxExamples: 3, maxPosts: 5 });
+        expect(result.messageExamples.map(example => example[1].content.text)).toEqual(['Answer 0.', 'Answer 3.', 'Answer 6.']);
+        expect(result.postExamples).toEqual(['A kingdom is only as strong as the trust between its people.']);
+        expect(result.stats.messages).toBe(11);
+        expect(result.samples).toHaveLength(11);
+    });
+
+    it('should reject a participant without messages', () => {
+        expect(() => mineChatExamples(chat([['Kay', 'Hi']]), 'Arthur')).toThrow('Arthur has no messages');
+    });
+});
+
+describe('describeChatStyle', () => {
+    it('should measure how messages are written', () => {
+        expect(describeChatStyle(['hey there!', 'what? 😄', 'Fine.', 'see https://x.y'])).toEqual({
+            messages: 4,
+            averageLength: 10,
+            startsLowercase: 0.75,
+            endsWithPunctuation: 0.5,
+            questions: 0.25,
+            exclamations: 0.25,
+            emoji: 0.25,
+            links: 0.25,
+            multiline: 0
+        });
+    });
+});
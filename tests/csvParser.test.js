@@ -0,0 +1,32 @@
+import { parseCsv, parseCsvRecords } from '../services/csvParser.js';
+
+describe('parseCsv', () => {
+    it('should handle quotes, doubled quotes and embedded newlines', () => {
+        const rows = parseCsv('a,b,c\r\n"x, y","say ""hi""","line one\nline two"\n');
+        expect(rows).toEqual([
+            ['a', 'b', 'c'],
+            ['x, y', 'say "hi"', 'line one\nline two']
+        ]);
+    });
+
+    it('should skip blank lines, keep empty fields and strip a BOM', () => {
+        expect(parseCsv('﻿a,b\n\n1,\n')).toEqual([['a', 'b'], ['1', '']]);
+    });
+
+    it('should support other delimiters', () => {
+        expect(parseCsv('a;b\n1;2', { delimiter: ';' })).toEqual([['a', 'b'], ['1', '2']]);
+    });
+
+    it('should throw on an unterminated quote', () => {
+        expect(() => parseCsv('a\n"open')).toThrow('Unterminated quoted field');
+    });
+});
+
+describe('parseCsvRecords', () => {
+    it('should key rows by trimmed header names', () => {
+        expect(parseCsvRecords(' name , role\nArthur, king\nMerlin').records).toEqual([
+            { name: 'Arthur', role: 'king' },
+            { name: 'Merlin', role: '' }
+        ]);
+    });
+});
@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import { createZipArchive } from '../services/zipArchive.js';
+
+const mockPdf2md = jest.fn();
+jest.unstable_mockModule('@opendocsg/pdf2md', () => ({
+    default: mockPdf2md
+}));
+
+const {
+    extractHtmlText,
+    extractDocxText,
+    extractEpubText,
+    extractRtfText,
+    extractDocumentText
+} = await import('../services/documentExtractors.js');
+
+const wordDocument = (body) => createZipArchive([
+    { name: '[Content_Types].xml', content: '<Types/>' },
+    {
+        name: 'word/document.xml',
+        content: `<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="w"><w:body>${body}</w:body></w:document>`
+    }
+]);
+
+const paragraph = (text, properties = '') => `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}<w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+
+describe('extractHtmlText', () => {
+    it('should keep the main content and drop navigation and boilerplate', () => {
+        const html = `<!DOCTYPE html><html><head><title>Wiki</title><style>p { color: red; }</style></head>
+            <body>
+                <header><a href="/">Home</a></header>
+                <nav><ul><li>Link one</li></ul></nav>
+                <main>
+                    <h1>Arthur</h1>
+                    <p>King of   the <b>Britons</b> &amp; wielder of Excalibur.</p>
+                    <div class="sidebar">Related pages</div>
+                    <ul><li>Brave</li><li>Just</li></ul>
+                    <script>track();</script>
+                </main>
+                <footer>Copyright</footer>
+            </body></html>`;
+
+        expect(extractHtmlText(html)).toBe('# Arthur\n\nKing of the Britons & wielder of Excalibur.\n\n- Brave\n- Just');
+    });
+
+    it('should use the whole body when there is no main or article', () => {
+        expect(extractHtmlText('<body><nav>Menu</nav><h2>Lore</h2><p>Line one<br>Line two</p></body>'))
+            .toBe('## Lore\n\nLine one\nLine two');
+    });
+});
+
+describe('extractDocxText', () => {
+    it('should read paragraphs, headings and list items', () => {
+        const docx = wordDocument([
+            paragraph('Lore Bible', '<w:pStyle w:val="Title"/>'),
+            paragraph('Origins', '<w:pStyle w:val="Heading2"/>'),
+            paragraph('Born in Camelot &amp; raised by Merlin.'),
+            paragraph('First trait', '<w:numPr><w:ilvl w:val="0"/></w:numPr>'),
+            paragraph('Second trait', '<w:numPr><w:ilvl w:val="0"/></w:numPr>'),
+            '<w:p/>'
+        ].join(''));
+
+        expect(extractDocxText(docx)).toBe('# Lore Bible\n\n## Origins\n\nBorn in Camelot & raised by Merlin.\n\n- First trait\n- Second trait');
+    });
+
+    it('should reject archives without a document', () => {
+        expect(() => extractDocxText(createZipArchive([{ name: 'other.xml', content: '<x/>' }]))).toThrow('Not a Word document');
+    });
+});
+
+describe('extractEpubText', () => {
+    it('should read chapters in spine order', () => {
+        const epub = createZipArchive([
+            { name: 'mimetype', content: 'application/epub+zip' },
+            {
+                name: 'META-INF/container.xml',
+                content: '<container><rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>'
+            },
+            {
+                name: 'OEBPS/content.opf',
+                content: `<package><manifest>
+                    <item id="c1" href="text/one.xhtml" media-type="application/xhtml+xml"/>
+                    <item id="c2" href="text/two%20b.xhtml" media-type="application/xhtml+xml"/>
+                    <item id="css" href="style.css" media-type="text/css"/>
+                </manifest><spine><itemref idref="c2"/><itemref idref="c1"/></spine></package>`
+            },
+            { name: 'OEBPS/text/one.xhtml', content: '<?xml version="1.0"?><html><body><h1>Chapter One</h1><p>First.</p></body></html>' },
+            { name: 'OEBPS/text/two b.xhtml', content: '<html><body><h1>Prologue</h1><p>Before.</p></body></html>' }
+        ]);
+
+        expect(extractEpubText(epub)).toBe('# Prologue\n\nBefore.\n\n# Chapter One\n\nFirst.');
+    });
+});
+
+describe('extractRtfText', () => {
+    it('should read text and skip formatting tables', () => {
+        const rtf = '{\\rtf1\\ansi{\\fonttbl{\\f0 Times;}}{\\colortbl;\\red0\\green0\\blue0;}' +
+            '{\\*\\generator Writer;}\\f0 Caf\\\'e9 \\b bold\\b0  text\\par\n' +
+            'Unicode \\u8364? sign \\{braces\\}\\par}';
+
+        expect(extractRtfText(rtf)).toBe('Café bold text\n\nUnicode € sign {braces}');
+    });
+
+    it('should reject content that is not RTF', () => {
+        expect(() => extractRtfText('plain text')).toThrow('Not an RTF document');
+    });
+});
+
+describe('extractDocumentText', () => {
+    it('should pass text files through', async () => {
+        expect(await extractDocumentText(Buffer.from('Notes.'), 'notes.MD')).toBe('Notes.');
+    });
+
+    it('should convert PDFs by MIME type when the name has no extension', async () => {
+        mockPdf2md.mockResolvedValue('# Manual');
+        expect(await extractDocumentText(Buffer.from('%PDF'), 'upload', { mimetype: 'application/pdf' })).toBe('# Manual');
+        expect(mockPdf2md).toHaveBeenCalledWith(expect.any(Uint8Array));
+    });
+
+    it('should name the format when it is unsupported', async () => {
+        await expect(extractDocumentText(Buffer.from('x'), 'sheet.xlsx')).rejects.toThrow('Unsupported file format ".xlsx"');
+    });
+});
@@ -0,0 +1,44 @@
+import JSON5 from 'json5';
+import { IncrementalCharacterParser } from '../services/incrementalParser.js';
+
+describe('IncrementalCharacterParser', () => {
+    let parser;
+
+    beforeEach(() => {
+        parser = new IncrementalCharacterParser(content => JSON5.parse(content));
+    });
+
+    it('should report each top-level field once it is complete', () => {
+        expect(parser.push('{"name": "Ar')).toEqual([]);
+        expect(parser.push('thur", "bio": ["A knight.", ')).toEqual([
+            { key: 'name', value: 'Arthur' }
+        ]);
+        expect(parser.push('"Rules Camelot."], "style": {"all": ["formal"]}')).toEqual([
+            { key: 'bio', value: ['A knight.', 'Rules Camelot.'] }
+        ]);
+        expect(parser.push('}')).toEqual([
+            { key: 'style', value: { all: ['formal'] } }
+        ]);
+    });
+
+    it('should ignore braces and commas inside strings', () => {
+        const sections = parser.push('{"bio": ["He said, \\"{hello}\\" twice."], "topics": []}');
+        expect(sections).toEqual([
+            { key: 'bio', value: ['He said, "{hello}" twice.'] },
+            { key: 'topics', value: [] }
+        ]);
+    });
+
+    it('should skip text before the JSON object', () => {
+        const sections = parser.push('Here it is, "as requested":\n```json\n{"name": "Test"}\n```');
+        expect(sections).toEqual([{ key: 'name', value: 'Test' }]);
+    });
+
+    it('should skip entries that fail to parse', () => {
+        const sections = parser.push('{"name": "Test", "bio": [oops], "lore": ["Old."]}');
+        expect(sections).toEqual([
+            { key: 'name', value: 'Test' },
+            { key: 'lore', value: ['Old.'] }
+        ]);
+    });
+});
@@ -0,0 +1,142 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { JobQueue } from '../services/jobQueue.js';
+
+// Resolves once the queue has settled the job
+const waitFor = async (queue, id, statuses = ['completed', 'failed', 'cancelled']) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+        const job = await queue.get(id);
+        if (statuses.includes(job.status)) return job;
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error(`Job ${id} did not settle`);
+};
+
+const deferred = () => {
+    let resolve;
+    const promise = new Promise(done => { resolve = done; });
+    return { promise, resolve };
+};
+
+describe('JobQueue', () => {
+    it('should run a job and keep its progress and result', async () => {
+        const queue = new JobQueue();
+        const job = queue.enqueue('test', async ({ reportProgress }) => {
+            reportProgress({ done: 1 });
+            reportProgress({ total: 2 });
+            return { value: 42 };
+        });
+
+        expect(job.status).toBe('running');
+        const finished = await waitFor(queue, job.id);
+        expect(finished).toMatchObject({
+            type: 'test',
+            status: 'completed',
+            progress: { done: 1, total: 2 },
+            result: { value: 42 },
+            error: null
+        });
+        expect(finished.finishedAt).not.toBeNull();
+    });
+
+    it('should record failures', async () => {
+        const queue = new JobQueue();
+        const { id } = queue.enqueue('test', async () => {
+            throw new Error('Model unavailable');
+        });
+
+        expect(await waitFor(queue, id)).toMatchObject({ status: 'failed', error: 'Model unavailable' });
+    });
+
+    it('should queue beyond the concurrency limit and cancel queued or running jobs', async () => {
+        const queue = new JobQueue({ concurrency: 1 });
+        const gate = deferred();
+        let aborted = false;
+        const cleanedUp = [];
+
+        const first = queue.enqueue('test', ({ signal }) => {
+            signal.addEventListener('abort', () => { aborted = true; });
+            return gate.promise;
+        }, { onCancel: () => cleanedUp.push('first') });
+        const second = queue.enqueue('test', async () => 'never', { onCancel: () => cleanedUp.push('second') });
+
+        expect(second.status).toBe('queued');
+        expect(queue.cancel(second.id).status).toBe('cancelled');
+        expect(queue.cancel(first.id).status).toBe('cancelled');
+        expect(aborted).toBe(true);
+        // Only the job that never started is cleaned up by onCancel
+        expect(cleanedUp).toEqual(['second']);
+
+        gate.resolve('late result');
+        const settled = await waitFor(queue, first.id);
+        expect(settled.status).toBe('cancelled');
+        expect(settled.result).toBeNull();
+        expect(queue.cancel('unknown')).toBeNull();
+    });
+
+    it('should send live events to watchers until the job finishes', async () => {
+        const queue = new JobQueue();
+        const gate = deferred();
+        const job = queue.enqueue('test', async ({ emit }) => {
+            await gate.promise;
+            emit('token', { text: 'Hi' });
+            return 'done';
+        });
+
+        const events = [];
+        const watched = queue.watch(job.id, (event, data) => events.push([event, data.status || data]));
+        expect(watched.job.status).toBe('running');
+        gate.resolve();
+        await waitFor(queue, job.id);
+
+        expect(events).toEqual([['token', { text: 'Hi' }], ['finished', 'completed']]);
+        expect(queue.watch('missing', () => {})).toBeNull();
+
+        const cancelled = queue.enqueue('test', () => new Promise(() => {}));
+        const cancelEvents = [];
+        queue.watch(cancelled.id, (event, data) => cancelEvents.push([event, data.status]));
+        queue.cancel(cancelled.id);
+        expect(cancelEvents).toEqual([['finished', 'cancelled']]);
+    });
+
+    it('should expire finished jobs', async () => {
+        const queue = new JobQueue({ retentionMs: 1000 });
+        const { id } = queue.enqueue('test', async () => 'done');
+        await waitFor(queue, id);
+
+        queue.pruneExpired(Date.now() + 2000);
+        expect(await queue.get(id)).toBeNull();
+    });
+
+    describe('with a directory', () => {
+        let directory;
+
+        beforeEach(async () => {
+            directory = await fs.mkdtemp(path.join(os.tmpdir(), 'job-queue-'));
+        });
+
+        afterEach(async () => {
+            await fs.rm(directory, { recursive: true, force: true });
+        });
+
+        it('should serve finished jobs from disk after a restart', async () => {
+            const queue = new JobQueue({ directory });
+            const { id } = queue.enqueue('test', async () => ({ knowledge: ['A fact.'] }));
+            await waitFor(queue, id);
+            await queue.jobs.get(id).persisting;
+
+            const restarted = new JobQueue({ directory });
+            expect(await restarted.get(id)).toMatchObject({ status: 'completed', result: { knowledge: ['A fact.'] } });
+        });
+
+        it('should report unfinished jobs from a previous run as interrupted', async () => {
+            const queue = new JobQueue({ directory });
+            const { id } = queue.enqueue('test', () => new Promise(() => {}));
+            await queue.jobs.get(id).persisting;
+
+            const restarted = new JobQueue({ directory });
+            expect(await restarted.get(id)).toMatchObject({ status: 'failed', error: 'Interrupted by a server restart' });
+        });
+    });
+});
@@ -0,0 +1,119 @@
+import { createKnowledgeArchive, readKnowledgeArchive, isKnowledgeReference } from '../services/knowledgeArchive.js';
+import { createZipArchive, readZipArchive } from '../services/zipArchive.js';
+
+const filesOf = (archive) => Object.fromEntries(readZipArchive(archive)
+    .map(entry => [entry.name, entry.content.toString('utf-8')]));
+
+describe('isKnowledgeReference', () => {
+    it('should accept path and directory items only', () => {
+        expect(isKnowledgeReference({ path: 'a.md', shared: false })).toBe(true);
+        expect(isKnowledgeReference({ directory: 'lore' })).toBe(true);
+        expect(isKnowledgeReference('Plain text.')).toBe(false);
+        expect(isKnowledgeReference({ shared: true })).toBe(false);
+        expect(isKnowledgeReference({ path: '', shared: true })).toBe(false);
+        expect(isKnowledgeReference(null)).toBe(false);
+    });
+});
+
+describe('createKnowledgeArchive', () => {
+    it('should group entries by source file and reference them from the character', () => {
+        const character = {
+            name: 'King Arthur',
+            bio: ['Rules Camelot.'],
+            knowledge: ['Camelot has a round table.', 'Merlin is a wizard.', 'Excalibur came\n\nfrom the lake.', { directory: 'shared/lore', shared: true }]
+        };
+
+        const { archive, character: exported, files } = createKnowledgeArchive(character, {
+            sources: ['Court Notes.pdf', null, 'court notes.pdf']
+        });
+
+        expect(files).toEqual(['king-arthur/court-notes.md', 'king-arthur/knowledge.md']);
+        expect(exported.bio).toEqual(['Rules Camelot.']);
+        expect(exported.knowledge).toEqual([
+            { path: 'king-arthur/court-notes.md', shared: false },
+            { path: 'king-arthur/knowledge.md', shared: false },
+            { directory: 'shared/lore', shared: true }
+        ]);
+
+        const contents = filesOf(archive);
+        expect(JSON.parse(contents['characters/king-arthur.character.json'])).toEqual(exported);
+        expect(contents['characters/knowledge/king-arthur/court-notes.md']).toBe('Camelot has a round table.\n\nExcalibur came\nfrom the lake.\n');
+        expect(contents['characters/knowledge/king-arthur/knowledge.md']).toBe('Merlin is a wizard.\n');
+        expect(character.knowledge).toHaveLength(4);
+    });
+
+    it('should split large groups into numbered files', () => {
+        const knowledge = Array.from({ length: 5 }, (_, i) => `Fact number ${i} about the kingdom.`);
+        const { files } = createKnowledgeArchive({ name: 'Kay', knowledge }, { maxFileChars: 70, shared: true });
+        expect(files).toEqual(['kay/knowledge.md', 'kay/knowledge-2.md', 'kay/knowledge-3.md']);
+    });
+});
+
+describe('readKnowledgeArchive', () => {
+    it('should read an exported archive back in knowledge order', () => {
+        const { archive } = createKnowledgeArchive({
+            name: 'Arthur',
+            knowledge: ['One.', 'Two.', 'Three.']
+        }, { sources: ['a.txt', 'b.txt', 'a.txt'] });
+
+        const result = readKnowledgeArchive(archive);
+        expect(result.character.name).toBe('Arthur');
+        expect(result.knowledge).toEqual(['One.', 'Three.', 'Two.']);
+        expect(result.entries.map(entry => entry.source.filename)).toEqual(['arthur/a.md', 'arthur/a.md', 'arthur/b.md']);
+        expect(result.missing).toEqual([]);
+    });
+
+    it('should resolve directories, keep inline strings, use headings as sections and report missing files', () => {
+        const archive = createZipArchive([
+            {
+                name: 'eliza/characters/merlin.character.json',
+                content: JSON.stringify({
+                    name: 'Merlin',
+                    knowledge: ['Inline fact.', { directory: 'merlin/spells' }, { path: 'merlin/gone.md' }, { directory: 'empty' }]
+                })
+            },
+            { name: 'eliza/characters/knowledge/merlin/spells/fire.md', content: '# Fire\n\nBurns bright.\n\nNeeds wood.' },
+            { name: 'eliza/characters/knowledge/merlin/spells/ice.txt', content: 'Freezes.' },
+            { name: 'eliza/characters/knowledge/other/ignored.md', content: 'Not referenced.' }
+        ]);
+
+        const result = readKnowledgeArchive(archive);
+        expect(result.knowledge).toEqual(['Inline fact.', 'Burns bright.', 'Needs wood.', 'Freezes.']);
+        expect(result.entries[0].source).toMatchObject({ filename: 'merlin/spells/fire.md', section: 'Fire' });
+        expect(result.missing).toEqual(['merlin/gone.md', 'empty/']);
+    });
+
+    it('should read every text file when there is no character', () => {
+        const archive = createZipArchive([
+            { name: 'knowledge/court.md', content: 'Arthur rules.\r\n\r\nKay cooks.' },
+            { name: '__MACOSX/knowledge/._court.md', content: 'junk' },
+            { name: 'image.png', content: Buffer.from([1, 2, 3]) }
+        ]);
+
+        const result = readKnowledgeArchive(archive);
+        expect(result.character).toBeNull();
+        expect(result.knowledge).toEqual(['Arthur rules.', 'Kay cooks.']);
+        expect(result.entries[1].source.filename).toBe('court.md');
+    });
+
+    it('should reject archives without knowledge', () => {
+        const missingOnly = createZipArchive([
+            { name: 'characters/kay.character.json', content: JSON.stringify({ name: 'Kay', knowledge: [{ path: 'kay/lost.md' }] }) }
+        ]);
+        expect(() => readKnowledgeArchive(missingOnly)).toThrow('None of the knowledge files were found in the archive: kay/lost.md');
+        expect(() => readKnowledgeArchive(createZipArchive([{ name: 'a.png', content: 'x' }]))).toThrow('No knowledge found');
+    });
+
+    it('should reject archives over the size and entry limits', () => {
+        const archive = createZipArchive([
+            { name: 'one.md', content: 'A fact about Camelot. '.repeat(50) },
+            { name: 'two.md', content: 'Another fact.' }
+        ]);
+
+        expect(readKnowledgeArchive(archive, { maxTotalSize: 2000, maxEntries: 2 }).knowledge).toHaveLength(2);
+        expect(() => readKnowledgeArchive(archive, { maxTotalSize: 1000, maxEntries: 2 }))
+            .toThrow('one.md takes the archive past its 1000 byte limit');
+        expect(() => readKnowledgeArchive(archive, { maxTotalSize: 2000, maxEntries: 1 }))
+            .toThrow('ZIP archive has 2 entries, more than the 1 allowed');
+    });
+});
@@ -0,0 +1,50 @@
+import { findDuplicateGroups, normalizeKnowledge, jaccard } from '../services/knowledgeDedupe.js';
+
+describe('knowledgeDedupe', () => {
+    it('should normalize case, whitespace and trailing punctuation', () => {
+        expect(normalizeKnowledge('  The Sky\n is   BLUE!! ')).toBe('the sky is blue');
+    });
+
+    it('should compute the Jaccard similarity of two sets', () => {
+        expect(jaccard(new Set(['a', 'b', 'c']), new Set(['b', 'c', 'd']))).toBe(0.5);
+        expect(jaccard(new Set(), new Set())).toBe(0);
+    });
+
+    it('should group exact, normalized and near duplicates', () => {
+        const entries = [
+            'King Arthur ruled Camelot from the great castle.',
+            'Merlin is a wizard.',
+            'King Arthur ruled Camelot from the great castle.',
+            'merlin  is a WIZARD',
+            'King Arthur ruled Camelot from the great stone castle.',
+            'Guinevere was queen of the realm.',
+            ''
+        ];
+
+        expect(findDuplicateGroups(entries)).toEqual([
+            { kind: 'near', similarity: expect.any(Number), indexes: [0, 2, 4] },
+            { kind: 'normalized', similarity: 1, indexes: [1, 3] }
+        ]);
+    });
+
+    it('should label groups of identical copies as exact', () => {
+        expect(findDuplicateGroups(['Same fact.', 'Other fact entirely.', 'Same fact.'])).toEqual([
+            { kind: 'exact', similarity: 1, indexes: [0, 2] }
+        ]);
+    });
+
+    it('should respect the similarity threshold', () => {
+        const entries = ['King Arthur ruled Camelot from the great castle.', 'King Arthur ruled Camelot from the great stone castle.'];
+        expect(findDuplicateGroups(entries, { threshold: 0.95 })).toEqual([]);
+        expect(findDuplicateGroups(entries, { threshold: 0.5 })[0].similarity).toBeLessThan(0.95);
+    });
+
+    it('should keep distinct facts apart', () => {
+        const entries = [
+            'Arthur: role is King, home is Camelot.',
+            'Merlin: role is Wizard, home is Crystal Cave.',
+            'Lancelot: role is Knight, home is Joyous Gard.'
+        ];
+        expect(findDuplicateGroups(entries)).toEqual([]);
+    });
+});
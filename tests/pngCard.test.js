@@ -0,0 +1,121 @@
+import fs from 'fs';
+import zlib from 'zlib';
+import {
+    isPng,
+    readPngChunks,
+    writePngChunks,
+    createTextChunk,
+    readPngText,
+    readCharacterFromPng,
+    embedCharacterInPng,
+    MAX_TEXT_CHUNK_SIZE
+} from '../services/pngCard.js';
+import { characterToCard } from '../shared/characterCard.js';
+
+// A 1x1 RGBA image
+const tinyPng = (extraChunks = []) => {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(1, 0);
+    header.writeUInt32BE(1, 4);
+    header[8] = 8;
+    header[9] = 6;
+    return writePngChunks([
+        { type: 'IHDR', data: header },
+        ...extraChunks,
+        { type: 'IDAT', data: zlib.deflateSync(Buffer.from([0, 255, 0, 0, 255])) },
+        { type: 'IEND', data: Buffer.alloc(0) }
+    ]);
+};
+
+const character = {
+    name: 'Guinevere',
+    bio: ['Queen of Camelot.'],
+    lore: ['Née Leodegrance’s daughter.'],
+    style: { all: ['Gracious.'], chat: [], post: [] },
+    messageExamples: []
+};
+
+describe('PNG chunks', () => {
+    it('should read back the chunks it writes', () => {
+        const png = tinyPng([createTextChunk('Comment', 'Hello')]);
+        expect(isPng(png)).toBe(true);
+        expect(readPngChunks(png).map(chunk => chunk.type)).toEqual(['IHDR', 'tEXt', 'IDAT', 'IEND']);
+    });
+
+    it('should read tEXt, zTXt and compressed iTXt text', () => {
+        const png = tinyPng([
+            createTextChunk('Title', 'Plain'),
+            { type: 'zTXt', data: Buffer.concat([Buffer.from('Author\0\0', 'latin1'), zlib.deflateSync(Buffer.from('Squeezed', 'latin1'))]) },
+            { type: 'iTXt', data: Buffer.concat([Buffer.from('Description\0\x01\0en\0Beschreibung\0', 'latin1'), zlib.deflateSync(Buffer.from('Ünïcode ✓', 'utf-8'))]) }
+        ]);
+
+        expect(readPngText(png)).toEqual([
+            { keyword: 'Title', text: 'Plain' },
+            { keyword: 'Author', text: 'Squeezed' },
+            { keyword: 'Description', text: 'Ünïcode ✓' }
+        ]);
+    });
+
+    it('should not inflate text past the size limit', () => {
+        const bomb = zlib.deflateSync(Buffer.alloc(MAX_TEXT_CHUNK_SIZE + 1));
+        const png = tinyPng([{ type: 'zTXt', data: Buffer.concat([Buffer.from('chara\0\0', 'latin1'), bomb]) }]);
+
+        expect(() => readPngText(png)).toThrow(`The "chara" chunk expands past ${MAX_TEXT_CHUNK_SIZE} bytes`);
+        expect(() => readCharacterFromPng(png)).toThrow('expands past');
+    });
+
+    it('should reject files that are not intact PNGs', () => {
+        expect(() => readPngChunks(Buffer.from('GIF89a, not a png at all'))).toThrow('Not a PNG image');
+
+        const corrupt = tinyPng();
+        corrupt[corrupt.length - 20] ^= 0xff;
+        expect(() => readPngChunks(corrupt)).toThrow('CRC mismatch');
+        expect(() => readPngChunks(corrupt.subarray(0, 40))).toThrow('Truncated PNG chunk');
+    });
+});
+
+describe('readCharacterFromPng', () => {
+    it('should convert a base64 Character Card V2 in a chara chunk', () => {
+        const card = { spec: 'chara_card_v2', spec_version: '2.0', data: { name: 'Lancelot', description: '{{char}} is a knight.', tags: ['knight'] } };
+        const png = tinyPng([createTextChunk('chara', Buffer.from(JSON.stringify(card)).toString('base64'))]);
+
+        const result = readCharacterFromPng(png);
+        expect(result).toMatchObject({ from: 'card-v2', keyword: 'chara', dropped: ['tags'] });
+        expect(result.character.bio).toEqual(['Lancelot is a knight.']);
+    });
+
+    it('should prefer the Eliza character over the card mirror', () => {
+        const png = embedCharacterInPng(tinyPng(), character, { card: characterToCard(character).card });
+        expect(readCharacterFromPng(png)).toEqual({ character, from: 'eliza', keyword: 'eliza', dropped: [] });
+    });
+
+    it('should explain what is missing', () => {
+        expect(() => readCharacterFromPng(tinyPng())).toThrow('No character data found in the PNG');
+        expect(() => readCharacterFromPng(tinyPng([createTextChunk('chara', '%%%')]))).toThrow('does not hold valid JSON');
+    });
+});
+
+describe('embedCharacterInPng', () => {
+    it('should keep the image and replace earlier character data', () => {
+        const avatar = fs.readFileSync(new URL('../images/card.png', import.meta.url));
+        const first = embedCharacterInPng(avatar, { ...character, name: 'Old' }, { card: characterToCard(character).card });
+        const second = embedCharacterInPng(first, character);
+
+        const chunks = readPngChunks(second);
+        const texts = readPngText(second);
+        expect(texts.map(text => text.keyword)).toEqual(['eliza']);
+        expect(JSON.parse(texts[0].text)).toEqual(character);
+        expect(chunks[chunks.length - 2].type).toBe('iTXt');
+        expect(Buffer.concat(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)))
+            .toEqual(Buffer.concat(readPngChunks(avatar).filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data)));
+    });
+
+    it('should match chunks by keyword without decompressing them', () => {
+        const broken = (keyword) => ({ type: 'zTXt', data: Buffer.from(`${keyword}\0\0not deflate data`, 'latin1') });
+        const png = embedCharacterInPng(tinyPng([broken('chara'), broken('Comment')]), character);
+
+        expect(readPngChunks(png).filter(chunk => chunk.type === 'zTXt').map(chunk => chunk.data.toString('latin1', 0, 7)))
+            .toEqual(['Comment']);
+        expect(readCharacterFromPng(png).character).toEqual(character);
+    });
+});
@@ -1,5 +1,12 @@
 import { jest } from '@jest/globals';
 import request from 'supertest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Keep the character library out of the working tree
+const storeDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'server-test-store-'));
+process.env.CHARACTER_STORE_DIR = storeDirectory;
 
 // Mock external dependencies
 jest.unstable_mockModule('@opendocsg/pdf2md', () => ({
@@ -10,6 +17,10 @@ jest.unstable_mockModule('@opendocsg/pdf2md', () => ({
 const mockGenerateCharacter = jest.fn();
 const mockRefineCharacter = jest.fn();
 const mockFixJson = jest.fn();
+const mockExpandSection = jest.fn();
+const mockDistillKnowledge = jest.fn();
+const mockGenerateFromDocuments = jest.fn();
+const mockSummarizeChatStyle = jest.fn();
 
 jest.unstable_mockModule('../services/characterGenerator.js', () => ({
     CharacterGeneratorService: class {
@@ -17,17 +28,29 @@ jest.unstable_mockModule('../services/characterGenerator.js', () => ({
         generateCharacter = mockGenerateCharacter;
         refineCharacter = mockRefineCharacter;
         fixJson = mockFixJson;
-    }
+        expandSection = mockExpandSection;
+        distillKnowledge = mockDistillKnowledge;
+        generateFromDocuments = mockGenerateFromDocuments;
+        summarizeChatStyle = mockSummarizeChatStyle;
+    },
+    EXPANDABLE_FIELDS: ['bio', 'lore', 'style.chat'],
+    MAX_EXPAND_COUNT: 50,
+    MAX_DISTILL_FACTS: 1000
 }));
 
 // Import app after mocking
 const { app } = await import('../server.js');
+const { createZipArchive, readZipArchive } = await import('../services/zipArchive.js');
 
 describe('Server API Endpoints', () => {
     beforeEach(() => {
         jest.clearAllMocks();
     });
 
+    afterAll(async () => {
+        await fs.rm(storeDirectory, { recursive: true, force: true });
+    });
+
     describe('POST /api/generate-character', () => {
         it('should return 400 if fields are missing', async () => {
             const res = await request(app)
@@ -58,6 +81,53 @@ describe('Server API Endpoints', () => {
             expect(mockGenerateCharacter).toHaveBeenCalled();
         });
 
+        it('should return 400 for an unknown provider', async () => {
+            const res = await request(app)
+                .post('/api/generate-character')
+                .set('X-API-Key', 'test-key')
+                .send({
+                    prompt: 'test prompt',
+                    model: 'test-model',
+                    provider: 'unknown'
+                });
+
+            expect(res.status).toBe(400);
+            expect(mockGenerateCharacter).not.toHaveBeenCalled();
+        });
+
+        it('should not require an API key for Ollama', async () => {
+            mockGenerateCharacter.mockResolvedValue({ character: { name: 'Local' } });
+
+            const res = await request(app)
+                .post('/api/generate-character')
+                .send({
+                    prompt: 'test prompt',
+                    model: 'llama3',
+                    provider: 'ollama'
+                });
+
+            expect(res.status).toBe(200);
+            expect(mockGenerateCharacter).toHaveBeenCalledWith('test prompt', 'llama3', undefined, {
+                provider: 'ollama',
+                baseUrl: undefined
+            });
+        });
+
+        it('should return 400 for a base URL that is not on the allowlist', async () => {
+            const res = await request(app)
+                .post('/api/generate-character')
+                .send({
+                    prompt: 'test prompt',
+                    model: 'llama3',
+                    provider: 'ollama',
+                    baseUrl: 'http://attacker.example'
+                });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('Base URL http://attacker.example is not allowed for Ollama');
+            expect(mockGenerateCharacter).not.toHaveBeenCalled();
+        });
+
         it('should handle service errors', async () => {
             mockGenerateCharacter.mockRejectedValue(new Error('Service Error'));
 
@@ -74,9 +144,696 @@ describe('Server API Endpoints', () => {
         });
     });
 
+    describe('POST /api/generate-character/stream', () => {
+        it('should relay tokens, sections and the result as SSE', async () => {
+            mockGenerateCharacter.mockImplementation(async (prompt, model, apiKey, { onToken, onSection }) => {
+                onToken('{"name": "Test"}');
+                onSection({ key: 'name', value: 'Test' });
+                return { character: { name: 'Test' } };
+            });
+
+            const res = await request(app)
+                .post('/api/generate-character/stream')
+                .set('X-API-Key', 'test-key')
+                .send({
+                    prompt: 'test prompt',
+                    model: 'test-model'
+                });
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toContain('text/event-stream');
+            expect(res.text).toContain('event: token\ndata: {"text":"{\\"name\\": \\"Test\\"}"}');
+            expect(res.text).toContain('event: section\ndata: {"key":"name","value":"Test"}');
+            expect(res.text).toContain('event: complete\ndata: {"character":{"name":"Test"}}');
+        });
+
+        it('should send service errors as an error event', async () => {
+            mockGenerateCharacter.mockRejectedValue(new Error('Service Error'));
+
+            const res = await request(app)
+                .post('/api/generate-character/stream')
+                .set('X-API-Key', 'test-key')
+                .send({
+                    prompt: 'test prompt',
+                    model: 'test-model'
+                });
+
+            expect(res.text).toContain('event: error\ndata: {"error":"Service Error"}');
+        });
+
+        it('should return 400 before streaming if fields are missing', async () => {
+            const res = await request(app)
+                .post('/api/generate-character/stream')
+                .send({});
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should return 400 before streaming for a base URL that is not allowed', async () => {
+            const res = await request(app)
+                .post('/api/generate-character/stream')
+                .send({ prompt: 'test prompt', model: 'llama3', provider: 'ollama', baseUrl: 'http://attacker.example' });
+
+            expect(res.status).toBe(400);
+            expect(res.headers['content-type']).toContain('application/json');
+            expect(res.body.error).toContain('is not allowed for Ollama');
+        });
+    });
+
+    describe('POST /api/refine-character', () => {
+        it('should pass selected fields to the service', async () => {
+            mockRefineCharacter.mockResolvedValue({ character: { name: 'Test' }, fields: ['bio'] });
+
+            const res = await request(app)
+                .post('/api/refine-character')
+                .set('X-API-Key', 'test-key')
+                .send({ prompt: 'Shorter', model: 'test-model', currentCharacter: { name: 'Test' }, fields: ['bio'] });
+
+            expect(res.status).toBe(200);
+            expect(mockRefineCharacter.mock.calls[0][4].fields).toEqual(['bio']);
+        });
+
+        it('should return 400 for unknown fields', async () => {
+            const res = await request(app)
+                .post('/api/refine-character/stream')
+                .set('X-API-Key', 'test-key')
+                .send({ prompt: 'Shorter', model: 'test-model', currentCharacter: { name: 'Test' }, fields: ['settings.secrets'] });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Unknown field: settings.secrets');
+            expect(mockRefineCharacter).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/expand-section', () => {
+        const body = { model: 'test-model', currentCharacter: { name: 'Test', lore: ['Old.'] }, field: 'lore', count: 3 };
+
+        it('should return the new items', async () => {
+            mockExpandSection.mockResolvedValue({ field: 'lore', items: ['New.'] });
+
+            const res = await request(app)
+                .post('/api/expand-section')
+                .set('X-API-Key', 'test-key')
+                .send(body);
+
+            expect(res.status).toBe(200);
+            expect(res.body.items).toEqual(['New.']);
+            expect(mockExpandSection).toHaveBeenCalledWith('lore', 3, 'test-model', body.currentCharacter, 'test-key', expect.any(Object));
+        });
+
+        it('should return 400 for an unsupported field or count', async () => {
+            const badField = await request(app)
+                .post('/api/expand-section')
+                .set('X-API-Key', 'test-key')
+                .send({ ...body, field: 'people' });
+            const badCount = await request(app)
+                .post('/api/expand-section')
+                .set('X-API-Key', 'test-key')
+                .send({ ...body, count: 500 });
+
+            expect(badField.status).toBe(400);
+            expect(badCount.status).toBe(400);
+            expect(mockExpandSection).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('POST /api/generate-from-documents', () => {
+        it('should generate from the text of each readable document', async () => {
+            mockGenerateFromDocuments.mockResolvedValue({ character: { name: 'Arthur' }, entries: [], summarized: [] });
+
+            const res = await request(app)
+                .post('/api/generate-from-documents')
+                .set('X-API-Key', 'test-key')
+                .field('model', 'test-model')
+                .field('prompt', 'A weary king')
+                .attach('files', Buffer.from('# Court\nArthur rules Camelot.'), 'court.md')
+                .attach('files', Buffer.from('binary'), 'sheet.xlsx');
+
+            expect(res.status).toBe(200);
+            expect(res.body.character.name).toBe('Arthur');
+            expect(res.body.errors).toEqual([
+                { filename: 'sheet.xlsx', error: expect.stringContaining('Unsupported file format') }
+            ]);
+            expect(mockGenerateFromDocuments).toHaveBeenCalledWith(
+                [{ filename: 'court.md', text: '# Court\nArthur rules Camelot.' }],
+                'A weary king',
+                'test-model',
+                'test-key',
+                expect.objectContaining({ provider: 'openrouter' })
+            );
+        });
+
+        it('should return 400 when no document can be read', async () => {
+            const res = await request(app)
+                .post('/api/generate-from-documents')
+                .set('X-API-Key', 'test-key')
+                .field('model', 'test-model')
+                .attach('files', Buffer.from(''), 'empty.txt');
+
+            expect(res.status).toBe(400);
+            expect(res.body.errors).toEqual([{ filename: 'empty.txt', error: 'No text found' }]);
+            expect(mockGenerateFromDocuments).not.toHaveBeenCalled();
+        });
+
+        it('should return 400 without documents or a model', async () => {
+            const noFiles = await request(app)
+                .post('/api/generate-from-documents')
+                .set('X-API-Key', 'test-key')
+                .field('model', 'test-model');
+            expect(noFiles.status).toBe(400);
+
+            const noModel = await request(app)
+                .post('/api/generate-from-documents')
+                .set('X-API-Key', 'test-key')
+                .attach('files', Buffer.from('Text.'), 'notes.txt');
+            expect(noModel.status).toBe(400);
+            expect(mockGenerateFromDocuments).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('/api/chat-logs', () => {
+        const chatLog = Buffer.from([
+            'Kay: Is dinner ready?',
+            'Arthur: Not until the quest is done.',
+            'Kay: Then I will starve',
+            'Arthur: A knight endures hunger with grace and good humour, Kay.'
+        ].join('\n'));
+
+        it('should list participants', async () => {
+            const res = await request(app)
+                .post('/api/chat-logs/participants')
+                .attach('files', chatLog, 'chat.txt')
+                .attach('files', Buffer.from('{oops'), 'broken.json');
+
+            expect(res.status).toBe(200);
+            expect(res.body.participants).toEqual([{ name: 'Arthur', messages: 2 }, { name: 'Kay', messages: 2 }]);
+            expect(res.body.files).toEqual([{ filename: 'chat.txt', format: 'text', messages: 4 }]);
+            expect(res.body.errors).toEqual([{ filename: 'broken.json', error: expect.stringContaining('Invalid JSON') }]);
+        });
+
+        it('should mine examples and summarize the style with the model', async () => {
+            mockSummarizeChatStyle.mockResolvedValue({ style: { all: ['formal'], chat: [], post: [] }, adjectives: ['stoic'] });
+
+            const res = await request(app)
+                .post('/api/chat-logs/examples')
+                .set('X-API-Key', 'test-key')
+                .field('participant', 'Arthur')
+                .field('characterName', 'King Arthur')
+                .field('model', 'test-model')
+                .attach('files', chatLog, 'chat.txt');
+
+            expect(res.status).toBe(200);
+            expect(res.body.messageExamples[0]).toEqual([
+                { user: '{{user1}}', content: { text: 'Is dinner ready?' } },
+                { user: 'King Arthur', content: { text: 'Not until the quest is done.' } }
+            ]);
+            expect(res.body.style.all).toEqual(['formal']);
+            expect(res.body.adjectives).toEqual(['stoic']);
+            expect(mockSummarizeChatStyle).toHaveBeenCalledWith(
+                expect.arrayContaining(['Not until the quest is done.']),
+                expect.objectContaining({ messages: 2 }),
+                'test-model',
+                'test-key',
+                expect.objectContaining({ name: 'King Arthur' })
+            );
+        });
+
+        it('should skip the style summary without a model', async () => {
+            const res = await request(app)
+                .post('/api/chat-logs/examples')
+                .field('participant', 'Arthur')
+                .attach('files', chatLog, 'chat.txt');
+
+            expect(res.status).toBe(200);
+            expect(res.body.messageExamples).toHaveLength(2);
+            expect(res.body.style).toBeNull();
+            expect(mockSummarizeChatStyle).not.toHaveBeenCalled();
+        });
+
+        it('should return 400 for an unknown participant', async () => {
+            const res = await request(app)
+                .post('/api/chat-logs/examples')
+                .field('participant', 'Merlin')
+                .attach('files', chatLog, 'chat.txt');
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Unknown participant: Merlin. Participants: Arthur, Kay');
+        });
+    });
+
+    describe('/api/batch-generate', () => {
+        it('should run a batch, report progress and serve the archive', async () => {
+            mockGenerateCharacter.mockResolvedValue({ character: { name: 'Guard' } });
+
+            const started = await request(app)
+                .post('/api/batch-generate')
+                .set('X-API-Key', 'test-key')
+                .field('model', 'test-model')
+                .attach('file', Buffer.from('prompt\nA guard\nA smith\n'), 'npcs.csv');
+
+            expect(started.status).toBe(202);
+            expect(started.body.total).toBe(2);
+
+            let progress;
+            for (let attempt = 0; attempt < 20; attempt++) {
+                progress = await request(app).get(`/api/batch-generate/${started.body.id}`);
+                if (progress.body.status === 'completed') break;
+                await new Promise(resolve => setTimeout(resolve, 10));
+            }
+            expect(progress.body).toMatchObject({ status: 'completed', succeeded: 2, failed: 0 });
+
+            const archive = await request(app)
+                .get(`/api/batch-generate/${started.body.id}/archive`)
+                .buffer(true)
+                .parse((res, callback) => {
+                    const chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('end', () => callback(null, Buffer.concat(chunks)));
+                });
+            expect(archive.status).toBe(200);
+            expect(archive.headers['content-type']).toBe('application/zip');
+            expect(archive.body.readUInt32LE(0)).toBe(0x04034b50);
+        });
+
+        it('should return 400 for unusable input', async () => {
+            const res = await request(app)
+                .post('/api/batch-generate')
+                .set('X-API-Key', 'test-key')
+                .attach('file', Buffer.from('prompt\nA guard\n'), 'npcs.csv');
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('no model given');
+        });
+
+        it('should return 404 for an unknown batch', async () => {
+            const res = await request(app).get('/api/batch-generate/missing');
+            expect(res.status).toBe(404);
+        });
+    });
+
+    describe('background jobs', () => {
+        const waitForJob = async (id) => {
+            let res;
+            for (let attempt = 0; attempt < 50; attempt++) {
+                res = await request(app).get(`/api/jobs/${id}`);
+                if (!['queued', 'running'].includes(res.body.status)) break;
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            return res;
+        };
+
+        it('should run generation as a job when called with ?async=true', async () => {
+            mockGenerateCharacter.mockImplementation(async (prompt, model, apiKey, { onToken, onSection }) => {
+                onToken('{"name"');
+                onSection({ key: 'name', value: 'Test' });
+                return { character: { name: 'Test' } };
+            });
+
+            const started = await request(app)
+                .post('/api/generate-character?async=true')
+                .set('X-API-Key', 'test-key')
+                .send({ prompt: 'test prompt', model: 'test-model' });
+
+            expect(started.status).toBe(202);
+            expect(started.body.type).toBe('generate-character');
+
+            const job = await waitForJob(started.body.id);
+            expect(job.body.status).toBe('completed');
+            expect(job.body.result.character.name).toBe('Test');
+            expect(job.body.progress.receivedChars).toBe(7);
+            expect(job.body.progress.sections).toEqual(['name']);
+            expect(job.body.progress.partialCharacter).toEqual({ name: 'Test' });
+        });
+
+        it('should process files as a job', async () => {
+            const started = await request(app)
+                .post('/api/process-files?async=true')
+                .attach('files', Buffer.from('The sky is blue. Grass is green.'), 'facts.txt');
+
+            expect(started.status).toBe(202);
+
+            const job = await waitForJob(started.body.id);
+            expect(job.body.status).toBe('completed');
+            expect(job.body.result.knowledge).toEqual(['The sky is blue. Grass is green.']);
+            expect(job.body.progress).toEqual({ processedFiles: 1, totalFiles: 1 });
+        });
+
+        it('should report summarizing progress when generating from documents', async () => {
+            mockGenerateFromDocuments.mockImplementation(async (documents, prompt, model, apiKey, { onProgress }) => {
+                onProgress({ summarizedParts: 1, totalParts: 1 });
+                return { character: { name: 'Test' }, entries: [], summarized: ['notes.txt'] };
+            });
+
+            const started = await request(app)
+                .post('/api/generate-from-documents?async=true')
+                .set('X-API-Key', 'test-key')
+                .field('model', 'test-model')
+                .attach('files', Buffer.from('Text.'), 'notes.txt');
+
+            expect(started.status).toBe(202);
+            expect(started.body.type).toBe('generate-from-documents');
+
+            const job = await waitForJob(started.body.id);
+            expect(job.body.status).toBe('completed');
+            expect(job.body.result.summarized).toEqual(['notes.txt']);
+            expect(job.body.progress).toEqual({ summarizedParts: 1, totalParts: 1 });
+        });
+
+        it('should cancel a running job', async () => {
+            mockGenerateCharacter.mockImplementation((prompt, model, apiKey, { signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new Error('aborted')));
+            }));
+
+            const started = await request(app)
+                .post('/api/generate-character?async=true')
+                .set('X-API-Key', 'test-key')
+                .send({ prompt: 'test prompt', model: 'test-model' });
+
+            const cancelled = await request(app).post(`/api/jobs/${started.body.id}/cancel`);
+            expect(cancelled.status).toBe(200);
+            expect(cancelled.body.status).toBe('cancelled');
+
+            const job = await waitForJob(started.body.id);
+            expect(job.body.status).toBe('cancelled');
+        });
+
+        it('should stream the live events of a running job', async () => {
+            let finish;
+            mockGenerateCharacter.mockImplementation((prompt, model, apiKey, { onToken, onSection }) => new Promise(resolve => {
+                finish = () => {
+                    onToken('{"name"');
+                    onSection({ key: 'name', value: 'Test' });
+                    resolve({ character: { name: 'Test' } });
+                };
+            }));
+
+            const started = await request(app)
+                .post('/api/generate-character?async=true')
+                .set('X-API-Key', 'test-key')
+                .send({ prompt: 'test prompt', model: 'test-model' });
+
+            const events = request(app).get(`/api/jobs/${started.body.id}/events`).then(res => res);
+            await new Promise(resolve => setTimeout(resolve, 50));
+            finish();
+            const res = await events;
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toContain('text/event-stream');
+            expect(res.text).toContain('event: token\ndata: {"text":"{\\"name\\""}');
+            expect(res.text).toContain('event: section\ndata: {"key":"name","value":"Test"}');
+            expect(res.text).toContain('event: complete\ndata: {"character":{"name":"Test"}}');
+        });
+
+        it('should replay the progress and outcome of a finished job', async () => {
+            mockGenerateCharacter.mockImplementation(async (prompt, model, apiKey, { onSection }) => {
+                onSection({ key: 'name', value: 'Test' });
+                throw new Error('Service Error');
+            });
+
+            const started = await request(app)
+                .post('/api/generate-character?async=true')
+                .set('X-API-Key', 'test-key')
+                .send({ prompt: 'test prompt', model: 'test-model' });
+            await waitForJob(started.body.id);
+
+            const res = await request(app).get(`/api/jobs/${started.body.id}/events`);
+            expect(res.text).toContain('event: progress\ndata: {"sections":["name"],"partialCharacter":{"name":"Test"}}');
+            expect(res.text).toContain('event: error\ndata: {"error":"Service Error"}');
+        });
+
+        it('should delete the uploads of a process-files job cancelled while queued', async () => {
+            // Fill every job slot so the process-files job stays queued
+            mockGenerateCharacter.mockImplementation((prompt, model, apiKey, { signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new Error('aborted')));
+            }));
+            const blockers = [];
+            for (let slot = 0; slot < 2; slot++) {
+                blockers.push(await request(app)
+                    .post('/api/generate-character?async=true')
+                    .set('X-API-Key', 'test-key')
+                    .send({ prompt: 'test prompt', model: 'test-model' }));
+            }
+
+            const started = await request(app)
+                .post('/api/process-files?async=true')
+                .attach('files', Buffer.from('Never read.'), 'queued-upload.txt');
+            expect(started.body.status).toBe('queued');
+            await expect(fs.access(path.join('uploads', 'queued-upload.txt'))).resolves.toBeUndefined();
+
+            const cancelled = await request(app).post(`/api/jobs/${started.body.id}/cancel`);
+            expect(cancelled.body.status).toBe('cancelled');
+            await Promise.all(blockers.map(({ body }) => request(app).post(`/api/jobs/${body.id}/cancel`)));
+
+            let exists = true;
+            for (let attempt = 0; attempt < 50 && exists; attempt++) {
+                exists = await fs.access(path.join('uploads', 'queued-upload.txt')).then(() => true, () => false);
+                if (exists) await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            expect(exists).toBe(false);
+        });
+
+        it('should return 404 for unknown jobs', async () => {
+            expect((await request(app).get('/api/jobs/missing')).status).toBe(404);
+            expect((await request(app).get('/api/jobs/missing/events')).status).toBe(404);
+            expect((await request(app).post('/api/jobs/missing/cancel')).status).toBe(404);
+        });
+    });
+
+    describe('POST /api/process-files', () => {
+        it('should chunk text files with the requested chunk size', async () => {
+            const res = await request(app)
+                .post('/api/process-files')
+                .field('chunkSize', '1')
+                .attach('files', Buffer.from('Dr. Smith released v1.2 today. See https://example.com/a.b for more.\n\n- first point\n- second point'), 'notes.md');
+
+            expect(res.status).toBe(200);
+            expect(res.body.knowledge).toEqual([
+                'Dr. Smith released v1.2 today.',
+                'See https://example.com/a.b for more.',
+                '- first point',
+                '- second point'
+            ]);
+        });
+
+        it('should report the source file and section of each chunk', async () => {
+            const res = await request(app)
+                .post('/api/process-files')
+                .attach('files', Buffer.from('# Rules\nBe kind.'), 'guide.md')
+                .attach('files', Buffer.from('Plain fact.'), 'facts.txt');
+
+            expect(res.status).toBe(200);
+            expect(res.body.knowledge).toEqual(['Rules\nBe kind.', 'Plain fact.']);
+            expect(res.body.entries).toEqual([
+                { text: 'Rules\nBe kind.', source: { filename: 'guide.md', section: 'Rules', ingestedAt: expect.any(String) } },
+                { text: 'Plain fact.', source: { filename: 'facts.txt', section: '', ingestedAt: expect.any(String) } }
+            ]);
+        });
+
+        it('should list unsupported files with the reason', async () => {
+            const res = await request(app)
+                .post('/api/process-files')
+                .attach('files', Buffer.from('<html><body><p>Read me.</p></body></html>'), 'page.html')
+                .attach('files', Buffer.from('binary'), 'sheet.xlsx');
+
+            expect(res.status).toBe(200);
+            expect(res.body.knowledge).toEqual(['Read me.']);
+            expect(res.body.errors).toEqual([
+                { filename: 'sheet.xlsx', error: expect.stringContaining('Unsupported file format ".xlsx"') }
+            ]);
+        });
+
+        it('should turn CSV rows into statements using only the selected columns', async () => {
+            const res = await request(app)
+                .post('/api/process-files')
+                .field('chunkSize', '1')
+                .field('fields', 'name, home')
+                .attach('files', Buffer.from('name,role,home\nArthur,King,Camelot\nMerlin,Wizard,Crystal Cave'), 'people.csv');
+
+            expect(res.status).toBe(200);
+            expect(res.body.knowledge).toEqual(['Arthur: home is Camelot.', 'Merlin: home is Crystal Cave.']);
+        });
+
+        it('should distill chunks into facts when asked to', async () => {
+            mockDistillKnowledge.mockResolvedValue({
+                facts: [{ text: 'Arthur rules Camelot.', source: { filename: 'lore.txt' }, chunk: 'Arthur is king. He rules Camelot.' }]
+            });
+
+            const res = await request(app)
+                .post('/api/process-files')
+                .set('X-API-Key', 'test-key')
+                .field('distill', 'true')
+                .field('model', 'test-model')
+                .field('maxFacts', '5')
+                .field('character', JSON.stringify({ name: 'Arthur' }))
+                .attach('files', Buffer.from('Arthur is king. He rules Camelot.'), 'lore.txt');
+
+            expect(res.status).toBe(200);
+            expect(res.body.knowledge).toEqual(['Arthur rules Camelot.']);
+            expect(res.body.entries[0].chunk).toBe('Arthur is king. He rules Camelot.');
+            expect(res.body.distilledChunks).toBe(1);
+            expect(mockDistillKnowledge).toHaveBeenCalledWith(
+                [expect.objectContaining({ text: 'Arthur is king. He rules Camelot.' })],
+                'test-model',
+                'test-key',
+                expect.objectContaining({ maxFacts: 5, character: { name: 'Arthur' } })
+            );
+        });
+
+        it('should return 400 when distilling without a model', async () => {
+            const res = await request(app)
+                .post('/api/process-files')
+                .set('X-API-Key', 'test-key')
+                .field('distill', 'true')
+                .attach('files', Buffer.from('Text.'), 'notes.txt');
+
+            expect(res.status).toBe(400);
+            expect(mockDistillKnowledge).not.toHaveBeenCalled();
+        });
+
+        it('should return 400 when distilling through a base URL that is not allowed', async () => {
+            const res = await request(app)
+                .post('/api/process-files')
+                .field('distill', 'true')
+                .field('model', 'llama3')
+                .field('provider', 'ollama')
+                .field('baseUrl', 'http://attacker.example')
+                .attach('files', Buffer.from('Text.'), 'notes.txt');
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('is not allowed for Ollama');
+            expect(mockDistillKnowledge).not.toHaveBeenCalled();
+        });
+
+        it('should return 400 for an invalid chunk size', async () => {
+            const res = await request(app)
+                .post('/api/process-files')
+                .field('chunkSize', '0')
+                .attach('files', Buffer.from('Text.'), 'notes.txt');
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('chunkSize');
+        });
+
+        it('should return 400 for a chunk size above the maximum', async () => {
+            const res = await request(app)
+                .post('/api/process-files')
+                .field('chunkSize', '20001')
+                .attach('files', Buffer.from('Text.'), 'notes.txt');
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('chunkSize must be a whole number from 1 to 20000');
+        });
+    });
+
+    describe('POST /api/knowledge/dedupe', () => {
+        it('should group duplicate knowledge entries', async () => {
+            const res = await request(app)
+                .post('/api/knowledge/dedupe')
+                .send({ knowledge: ['The sky is blue.', 'Grass is green.', 'the sky is  blue'] });
+
+            expect(res.status).toBe(200);
+            expect(res.body).toEqual({
+                groups: [{ kind: 'normalized', similarity: 1, indexes: [0, 2] }],
+                duplicates: 1
+            });
+        });
+
+        it('should return 400 when knowledge is not a list of strings', async () => {
+            const res = await request(app)
+                .post('/api/knowledge/dedupe')
+                .send({ knowledge: ['ok', 3] });
+
+            expect(res.status).toBe(400);
+        });
+
+        it('should return 400 for an out of range threshold', async () => {
+            const res = await request(app)
+                .post('/api/knowledge/dedupe')
+                .send({ knowledge: ['ok'], threshold: 2 });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('threshold');
+        });
+    });
+
+    describe('POST /api/knowledge/archive', () => {
+        const readBuffer = (res, callback) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+        };
+
+        it('should export knowledge as Markdown files and import them back', async () => {
+            const exported = await request(app)
+                .post('/api/knowledge/archive')
+                .send({
+                    character: { name: 'King Arthur', knowledge: ['Camelot has a round table.', 'Excalibur came from the lake.'] },
+                    shared: true,
+                    sources: ['court.pdf', null]
+                })
+                .buffer(true)
+                .parse(readBuffer);
+
+            expect(exported.status).toBe(200);
+            expect(exported.headers['content-type']).toBe('application/zip');
+            expect(exported.headers['content-disposition']).toContain('king-arthur-knowledge.zip');
+            const files = readZipArchive(exported.body);
+            expect(files.map(file => file.name)).toEqual([
+                'characters/king-arthur.character.json',
+                'characters/knowledge/king-arthur/court.md',
+                'characters/knowledge/king-arthur/knowledge.md'
+            ]);
+            expect(JSON.parse(files[0].content.toString('utf-8')).knowledge).toEqual([
+                { path: 'king-arthur/court.md', shared: true },
+                { path: 'king-arthur/knowledge.md', shared: true }
+            ]);
+
+            const imported = await request(app)
+                .post('/api/knowledge/archive/import')
+                .attach('file', exported.body, 'king-arthur-knowledge.zip');
+
+            expect(imported.status).toBe(200);
+            expect(imported.body.knowledge).toEqual(['Camelot has a round table.', 'Excalibur came from the lake.']);
+            expect(imported.body.entries[0].source.filename).toBe('king-arthur/court.md');
+            expect(imported.body.missing).toEqual([]);
+        });
+
+        it('should return 400 for a character without knowledge', async () => {
+            const res = await request(app)
+                .post('/api/knowledge/archive')
+                .send({ character: { name: 'Empty', knowledge: [] } });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('no knowledge');
+        });
+
+        it('should return 400 for a file that is not a knowledge archive', async () => {
+            const res = await request(app)
+                .post('/api/knowledge/archive/import')
+                .attach('file', Buffer.from('not a zip file at all, only text'), 'notes.zip');
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('Not a ZIP archive');
+        });
+
+        it('should return 400 for an archive with too many entries', async () => {
+            const archive = createZipArchive(Array.from({ length: 2001 }, (_, index) => ({ name: `${index}.md`, content: '' })));
+
+            const res = await request(app)
+                .post('/api/knowledge/archive/import')
+                .attach('file', archive, 'many.zip');
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('ZIP archive has 2001 entries, more than the 2000 allowed');
+        });
+    });
+
     describe('POST /api/fix-json', () => {
         it('should fix json successfully', async () => {
-            mockFixJson.mockReturnValue({ name: 'Fixed' });
+            mockFixJson.mockReturnValue({
+                character: { name: 'Fixed' },
+                changes: [{ path: 'bio', message: 'missing, set to empty array' }]
+            });
 
             const res = await request(app)
                 .post('/api/fix-json')
@@ -84,6 +841,200 @@ describe('Server API Endpoints', () => {
 
             expect(res.status).toBe(200);
             expect(res.body.character.name).toBe('Fixed');
+            expect(res.body.changes).toEqual([{ path: 'bio', message: 'missing, set to empty array' }]);
+        });
+    });
+
+    describe('POST /api/convert', () => {
+        it('should convert a Character Card V2 to an Eliza character', async () => {
+            const res = await request(app)
+                .post('/api/convert')
+                .send({
+                    data: { spec: 'chara_card_v2', spec_version: '2.0', data: { name: 'Arthur', description: '{{char}} is king.', tags: ['fantasy'] } },
+                    to: 'eliza'
+                });
+
+            expect(res.status).toBe(200);
+            expect(res.body.from).toBe('card-v2');
+            expect(res.body.result.bio).toEqual(['Arthur is king.']);
+            expect(res.body.dropped).toEqual(['tags']);
+        });
+
+        it('should convert an Eliza character to a card', async () => {
+            const res = await request(app)
+                .post('/api/convert')
+                .send({ data: { name: 'Arthur', bio: ['Arthur is king.'] }, to: 'card-v2' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.result.spec).toBe('chara_card_v2');
+            expect(res.body.result.data.description).toBe('{{char}} is king.');
+        });
+
+        it('should return 400 for an unknown target format', async () => {
+            const res = await request(app)
+                .post('/api/convert')
+                .send({ data: { name: 'Arthur' }, to: 'yaml-v9' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('Unknown target format');
+        });
+    });
+
+    describe('YAML characters', () => {
+        it('should read a YAML character', async () => {
+            const res = await request(app)
+                .post('/api/character-yaml/import')
+                .send({ content: 'name: Arthur\nbio:\n  - Rules Camelot.\n' });
+
+            expect(res.status).toBe(200);
+            expect(res.body.character).toEqual({ name: 'Arthur', bio: ['Rules Camelot.'] });
+        });
+
+        it('should return 400 for invalid YAML', async () => {
+            const res = await request(app)
+                .post('/api/character-yaml/import')
+                .send({ content: 'name: [unclosed' });
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('Invalid YAML');
+        });
+
+        it('should write YAML keeping the source comments', async () => {
+            const res = await request(app)
+                .post('/api/character-yaml/export')
+                .send({ character: { name: 'King Arthur', bio: ['Rules Camelot.'] }, source: '# Lore team\nname: Arthur\n' });
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toContain('text/yaml');
+            expect(res.headers['content-disposition']).toContain('king-arthur.character.yaml');
+            expect(res.text).toBe('# Lore team\nname: King Arthur\nbio:\n  - Rules Camelot.\n');
+        });
+    });
+
+    describe('PNG cards', () => {
+        const avatar = async () => fs.readFile(path.join(path.dirname(new URL(import.meta.url).pathname), '../images/card.png'));
+
+        it('should embed a character in an avatar and read it back', async () => {
+            const exported = await request(app)
+                .post('/api/png-card/export')
+                .attach('file', await avatar(), 'avatar.png')
+                .field('character', JSON.stringify({ name: 'King Arthur', bio: ['Rules Camelot.'] }))
+                .field('includeCard', 'true')
+                .buffer(true)
+                .parse((res, callback) => {
+                    const chunks = [];
+                    res.on('data', chunk => chunks.push(chunk));
+                    res.on('end', () => callback(null, Buffer.concat(chunks)));
+                });
+
+            expect(exported.status).toBe(200);
+            expect(exported.headers['content-type']).toBe('image/png');
+            expect(exported.headers['content-disposition']).toContain('king-arthur.png');
+
+            const imported = await request(app)
+                .post('/api/png-card/import')
+                .attach('file', exported.body, 'king-arthur.png');
+
+            expect(imported.status).toBe(200);
+            expect(imported.body).toMatchObject({ from: 'eliza', character: { name: 'King Arthur', bio: ['Rules Camelot.'] } });
+        });
+
+        it('should return 400 for images without a character', async () => {
+            const res = await request(app)
+                .post('/api/png-card/import')
+                .attach('file', await avatar(), 'avatar.png');
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toContain('No character data found');
+        });
+
+        it('should return 400 when the upload is not a PNG', async () => {
+            const res = await request(app)
+                .post('/api/png-card/export')
+                .attach('file', Buffer.from('not an image'), 'avatar.png')
+                .field('character', JSON.stringify({ name: 'Arthur', bio: [] }));
+
+            expect(res.status).toBe(400);
+            expect(res.body.error).toBe('Not a PNG image');
+        });
+    });
+
+    describe('POST /api/validate-character', () => {
+        it('should return errors and warnings with JSON paths', async () => {
+            const res = await request(app)
+                .post('/api/validate-character')
+                .send({ character: { name: 'Test', clients: ['slack'] } });
+
+            expect(res.status).toBe(200);
+            expect(res.body.valid).toBe(false);
+            expect(res.body.errors).toContainEqual({ path: 'clients[0]', message: '"slack" not a known client' });
+            expect(res.body.errors).toContainEqual({ path: 'bio', message: 'missing' });
+        });
+
+        it('should return 400 without a character', async () => {
+            const res = await request(app)
+                .post('/api/validate-character')
+                .send({});
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('/api/characters', () => {
+        it('should create, list, update and delete characters', async () => {
+            const created = await request(app)
+                .post('/api/characters')
+                .send({ character: { name: 'Arthur' }, tags: ['knight'] });
+
+            expect(created.status).toBe(201);
+            const { id } = created.body;
+
+            const listed = await request(app).get('/api/characters').query({ search: 'arth' });
+            expect(listed.body.characters.map(c => c.id)).toEqual([id]);
+
+            const updated = await request(app)
+                .put(`/api/characters/${id}`)
+                .send({ character: { name: 'King Arthur' } });
+            expect(updated.status).toBe(200);
+            expect(updated.body.name).toBe('King Arthur');
+
+            const loaded = await request(app).get(`/api/characters/${id}`);
+            expect(loaded.body.character.name).toBe('King Arthur');
+
+            const deleted = await request(app).delete(`/api/characters/${id}`);
+            expect(deleted.status).toBe(204);
+
+            const missing = await request(app).get(`/api/characters/${id}`);
+            expect(missing.status).toBe(404);
+        });
+
+        it('should filter by comma-separated tags', async () => {
+            await request(app).post('/api/characters').send({ character: { name: 'Merlin' }, tags: ['wizard', 'npc'] });
+            await request(app).post('/api/characters').send({ character: { name: 'Morgana' }, tags: ['wizard'] });
+
+            const res = await request(app).get('/api/characters').query({ tags: 'wizard,npc' });
+
+            expect(res.body.characters.map(c => c.name)).toEqual(['Merlin']);
+        });
+
+        it('should reject writes without a character object', async () => {
+            const res = await request(app).post('/api/characters').send({ tags: ['x'] });
+            expect(res.status).toBe(400);
+
+            const badTags = await request(app).post('/api/characters').send({ character: {}, tags: 'x' });
+            expect(badTags.status).toBe(400);
+
+            const badName = await request(app).post('/api/characters').send({ character: { name: 2049 } });
+            expect(badName.status).toBe(400);
+            expect(badName.body.error).toBe('Character name must be a string');
+        });
+
+        it('should return 404 when updating a missing character', async () => {
+            const res = await request(app)
+                .put('/api/characters/does-not-exist')
+                .send({ character: { name: 'Nobody' } });
+
+            expect(res.status).toBe(404);
         });
     });
 });
@@ -0,0 +1,72 @@
+import { csvToStatements, flattenToStatements, structuredDataToText } from '../services/structuredData.js';
+
+describe('csvToStatements', () => {
+    const csv = 'Name,Role,Home\nArthur,King,Camelot\nMerlin,,"Crystal Cave"\n,,\n';
+
+    it('should name each row by its first column', () => {
+        expect(csvToStatements(csv)).toEqual([
+            'Arthur: Role is King, Home is Camelot.',
+            'Merlin: Home is Crystal Cave.'
+        ]);
+    });
+
+    it('should keep only the selected columns, in the order given', () => {
+        expect(csvToStatements(csv, { fields: ['home', 'name'] })).toEqual([
+            'Camelot: Name is Arthur.',
+            'Crystal Cave: Name is Merlin.'
+        ]);
+        expect(csvToStatements(csv, { fields: ['Role'] })).toEqual(['Role: King.']);
+    });
+
+    it('should report unknown columns', () => {
+        expect(() => csvToStatements(csv, { fields: ['age'] })).toThrow('Unknown column: age. Available columns: Name, Role, Home');
+    });
+});
+
+describe('flattenToStatements', () => {
+    const data = {
+        name: 'Camelot',
+        founded: 500,
+        tags: ['castle', 'court'],
+        places: [
+            { name: 'Great Hall', details: { seats: 150 } },
+            { name: 'Chapel' }
+        ],
+        empty: null
+    };
+
+    it('should flatten nested values with their path', () => {
+        expect(flattenToStatements(data)).toEqual([
+            'name: Camelot.',
+            'founded: 500.',
+            'tags: castle, court.',
+            'places[0].name: Great Hall.',
+            'places[0].details.seats: 150.',
+            'places[1].name: Chapel.'
+        ]);
+    });
+
+    it('should select keys across array items', () => {
+        expect(flattenToStatements(data, { fields: ['places.name', 'founded'] })).toEqual([
+            'founded: 500.',
+            'places[0].name: Great Hall.',
+            'places[1].name: Chapel.'
+        ]);
+    });
+
+    it('should report a selection that matches nothing', () => {
+        expect(() => flattenToStatements(data, { fields: ['rulers'] }))
+            .toThrow('None of the selected keys were found (rulers). Top-level keys: name, founded, tags, places, empty');
+    });
+});
+
+describe('structuredDataToText', () => {
+    it('should parse YAML into one statement per paragraph', () => {
+        expect(structuredDataToText('king: Arthur\nknights:\n  - Lancelot\n  - Gawain\n', '.yml'))
+            .toBe('king: Arthur.\n\nknights: Lancelot, Gawain.');
+    });
+
+    it('should report invalid JSON', () => {
+        expect(() => structuredDataToText('{"a":', '.json')).toThrow('Invalid JSON');
+    });
+});
@@ -0,0 +1,93 @@
+import { splitSentences, segmentBlocks, chunkText, chunkSections } from '../shared/textSegmentation.js';
+
+describe('splitSentences', () => {
+    it('should not split on abbreviations, initials, numbers or URLs', () => {
+        expect(splitSentences('Dr. Smith met J. R. R. Tolkien in the U.S. in 1950. Version 1.2 is at https://example.com/v1.2/docs. It costs $3.50, e.g. cheap. Great!'))
+            .toEqual([
+                'Dr. Smith met J. R. R. Tolkien in the U.S. in 1950.',
+                'Version 1.2 is at https://example.com/v1.2/docs.',
+                'It costs $3.50, e.g. cheap.',
+                'Great!'
+            ]);
+    });
+
+    it('should treat lines as entries, strip list markers and keep punctuation', () => {
+        expect(splitSentences('- uses slang\n\n* Really? Yes\n2. numbered item'))
+            .toEqual(['uses slang.', 'Really?', 'Yes.', 'numbered item.']);
+    });
+
+    it('should leave unterminated entries alone when asked', () => {
+        expect(splitSentences('no period here', { terminate: false })).toEqual(['no period here']);
+        expect(splitSentences('')).toEqual([]);
+        expect(splitSentences(undefined)).toEqual([]);
+    });
+});
+
+describe('segmentBlocks', () => {
+    it('should find headings, joined paragraphs, lists and code', () => {
+        const blocks = segmentBlocks('# Title\nFirst line\nwrapped line.\n\n- one\n  continued\n- two\nAfter list.\n\n```\ncode. Here\n```');
+        expect(blocks).toEqual([
+            { type: 'heading', level: 1, text: 'Title' },
+            { type: 'paragraph', text: 'First line wrapped line.' },
+            { type: 'list', items: ['one continued', 'two'] },
+            { type: 'paragraph', text: 'After list.' },
+            { type: 'code', text: '```\ncode. Here\n```' }
+        ]);
+    });
+});
+
+describe('chunkText', () => {
+    const sentence = (n) => `Sentence number ${n} is here.`;
+
+    it('should pack sentences up to the chunk size', () => {
+        const text = [1, 2, 3, 4, 5].map(sentence).join(' ');
+        const chunks = chunkText(text, { chunkSize: 60 });
+
+        expect(chunks).toEqual([
+            `${sentence(1)} ${sentence(2)}`,
+            `${sentence(3)} ${sentence(4)}`,
+            sentence(5)
+        ]);
+    });
+
+    it('should break at headings and prefix the heading path', () => {
+        const chunks = chunkText('# Guide\n## Setup\nInstall it.\n## Usage\nRun it.\n\n- fast\n- safe', { chunkSize: 500 });
+        expect(chunks).toEqual([
+            'Guide > Setup\nInstall it.',
+            'Guide > Usage\nRun it.\n- fast\n- safe'
+        ]);
+    });
+
+    it('should prefer breaking between paragraphs', () => {
+        const chunks = chunkText(`${sentence(1)} ${sentence(2)}\n\n${sentence(3)} ${sentence(4)}`, { chunkSize: 90 });
+        expect(chunks).toEqual([
+            `${sentence(1)} ${sentence(2)}`,
+            `${sentence(3)} ${sentence(4)}`
+        ]);
+    });
+
+    it('should repeat trailing sentences as overlap', () => {
+        const text = [1, 2, 3, 4].map(sentence).join(' ');
+        const chunks = chunkText(text, { chunkSize: 60, overlap: 30 });
+
+        expect(chunks).toEqual([
+            `${sentence(1)} ${sentence(2)}`,
+            `${sentence(2)} ${sentence(3)}`,
+            `${sentence(3)} ${sentence(4)}`
+        ]);
+    });
+
+    it('should keep an oversized sentence whole', () => {
+        const long = `${'word '.repeat(40).trim()}.`;
+        expect(chunkText(`${long} Short.`, { chunkSize: 50 })).toEqual([long, 'Short.']);
+    });
+});
+
+describe('chunkSections', () => {
+    it('should report the heading path of each chunk', () => {
+        expect(chunkSections('Intro text.\n# Guide\n## Setup\nInstall it.', { chunkSize: 500 })).toEqual([
+            { text: 'Intro text.', section: '' },
+            { text: 'Guide > Setup\nInstall it.', section: 'Guide > Setup' }
+        ]);
+    });
+});
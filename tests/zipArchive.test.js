@@ -0,0 +1,48 @@
+import { createZipArchive, readZipArchive, crc32 } from '../services/zipArchive.js';
+
+describe('zipArchive', () => {
+    it('should compute the standard CRC-32', () => {
+        expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    });
+
+    it('should round-trip stored and deflated entries', () => {
+        const repetitive = 'The knight rode on. '.repeat(200);
+        const archive = createZipArchive([
+            { name: 'characters/arthur.json', content: repetitive },
+            { name: 'tiny.txt', content: 'x' },
+            { name: 'ünïcode.md', content: Buffer.from('ok') }
+        ]);
+
+        expect(archive.readUInt32LE(0)).toBe(0x04034b50);
+        expect(archive.length).toBeLessThan(repetitive.length);
+
+        const entries = readZipArchive(archive);
+        expect(entries.map(entry => entry.name)).toEqual(['characters/arthur.json', 'tiny.txt', 'ünïcode.md']);
+        expect(entries[0].content.toString('utf-8')).toBe(repetitive);
+        expect(entries[1].content.toString('utf-8')).toBe('x');
+    });
+
+    it('should not inflate an entry past the size its header records', () => {
+        const archive = createZipArchive([{ name: 'bomb.txt', content: Buffer.alloc(1024 * 1024) }]);
+        // Understate the uncompressed size in the central directory
+        const central = archive.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02]));
+        archive.writeUInt32LE(1024, central + 24);
+
+        expect(() => readZipArchive(archive)).toThrow('bomb.txt is larger than the 1024 bytes its ZIP header records');
+    });
+
+    it('should stop at the total size limit', () => {
+        const archive = createZipArchive([
+            { name: 'a.txt', content: 'a'.repeat(600) },
+            { name: 'b.txt', content: 'b'.repeat(600) }
+        ]);
+
+        expect(readZipArchive(archive, { maxTotalSize: 1200 })).toHaveLength(2);
+        expect(() => readZipArchive(archive, { maxTotalSize: 1000 })).toThrow('b.txt takes the archive past its 1000 byte limit');
+        expect(() => readZipArchive(archive, { maxEntries: 1 })).toThrow('ZIP archive has 2 entries, more than the 1 allowed');
+    });
+
+    it('should reject data that is not a zip archive', () => {
+        expect(() => readZipArchive(Buffer.from('definitely not a zip file, just some text'))).toThrow('Not a ZIP archive');
+    });
+});